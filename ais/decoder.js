@@ -0,0 +1,256 @@
+/**
+ * AIS NMEA Decoder
+ * Parses !AIVDM/!AIVDO sentences, reassembles multi-part messages and decodes
+ * position reports (types 1/2/3, 18, 19) and static/voyage data (type 5).
+ */
+
+const FRAGMENT_TTL_MS = 10000
+
+// 6-bit ASCII used for AIS text fields
+const SIXBIT_ASCII = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?'
+
+const NAVIGATION_STATUS = [
+    'under way using engine',
+    'at anchor',
+    'not under command',
+    'restricted manoeuverability',
+    'constrained by draught',
+    'moored',
+    'aground',
+    'engaged in fishing',
+    'under way sailing'
+]
+
+function getShipTypeName(code) {
+    if (!Number.isFinite(code) || code <= 0) return null
+    if (code === 30) return 'Fishing'
+    if (code === 31 || code === 32 || code === 52) return 'Tug'
+    if (code === 36) return 'Sailing'
+    if (code === 37) return 'Pleasure Craft'
+    if (code >= 40 && code <= 49) return 'High Speed Craft'
+    if (code >= 60 && code <= 69) return 'Passenger'
+    if (code >= 70 && code <= 79) return 'Cargo'
+    if (code >= 80 && code <= 89) return 'Tanker'
+    return 'Other'
+}
+
+function isValidChecksum(sentence) {
+    const star = sentence.lastIndexOf('*')
+    if (star < 0) return false
+    const expected = parseInt(sentence.slice(star + 1, star + 3), 16)
+    if (!Number.isFinite(expected)) return false
+    let checksum = 0
+    for (let i = 1; i < star; i++) {
+        checksum ^= sentence.charCodeAt(i)
+    }
+    return checksum === expected
+}
+
+function payloadToBits(payload, fillBits = 0) {
+    let bits = ''
+    for (const char of payload) {
+        let value = char.charCodeAt(0) - 48
+        if (value > 40) value -= 8
+        bits += value.toString(2).padStart(6, '0')
+    }
+    return fillBits > 0 ? bits.slice(0, bits.length - fillBits) : bits
+}
+
+function readUnsigned(bits, start, length) {
+    if (start + length > bits.length) return null
+    return parseInt(bits.slice(start, start + length), 2)
+}
+
+function readSigned(bits, start, length) {
+    const value = readUnsigned(bits, start, length)
+    if (value === null) return null
+    return bits[start] === '1' ? value - 2 ** length : value
+}
+
+function readText(bits, start, length) {
+    if (start + length > bits.length) return null
+    let text = ''
+    for (let i = start; i + 6 <= start + length; i += 6) {
+        text += SIXBIT_ASCII[parseInt(bits.slice(i, i + 6), 2)]
+    }
+    const cleaned = text.replace(/@.*$/, '').trim()
+    return cleaned || null
+}
+
+function readCoordinates(bits, lonStart, latStart) {
+    const lon = readSigned(bits, lonStart, 28)
+    const lat = readSigned(bits, latStart, 27)
+    if (lon === null || lat === null) return null
+    const longitude = lon / 600000
+    const latitude = lat / 600000
+    // 181 / 91 mean "not available"
+    if (Math.abs(longitude) > 180 || Math.abs(latitude) > 90) return null
+    return { latitude, longitude }
+}
+
+function readSpeed(bits, start) {
+    const sog = readUnsigned(bits, start, 10)
+    return sog === null || sog === 1023 ? null : sog / 10
+}
+
+function readCourse(bits, start) {
+    const cog = readUnsigned(bits, start, 12)
+    return cog === null || cog >= 3600 ? null : cog / 10
+}
+
+function readHeading(bits, start) {
+    const heading = readUnsigned(bits, start, 9)
+    return heading === null || heading === 511 ? null : heading
+}
+
+function decodeClassAPosition(bits, type) {
+    const coords = readCoordinates(bits, 61, 89)
+    if (!coords) return null
+    const status = readUnsigned(bits, 38, 4)
+    return {
+        type,
+        kind: 'position',
+        mmsi: readUnsigned(bits, 8, 30).toString().padStart(9, '0'),
+        ...coords,
+        speed: readSpeed(bits, 50),
+        course: readCourse(bits, 116),
+        heading: readHeading(bits, 128),
+        navigationStatus: NAVIGATION_STATUS[status] || null,
+        aisClass: 'A'
+    }
+}
+
+function decodeClassBPosition(bits, type) {
+    const coords = readCoordinates(bits, 57, 85)
+    if (!coords) return null
+    const message = {
+        type,
+        kind: 'position',
+        mmsi: readUnsigned(bits, 8, 30).toString().padStart(9, '0'),
+        ...coords,
+        speed: readSpeed(bits, 46),
+        course: readCourse(bits, 112),
+        heading: readHeading(bits, 124),
+        navigationStatus: null,
+        aisClass: 'B'
+    }
+    // Type 19 is the extended report that also carries name and ship type
+    if (type === 19) {
+        const shipTypeCode = readUnsigned(bits, 263, 8)
+        message.name = readText(bits, 143, 120)
+        message.shipType = getShipTypeName(shipTypeCode)
+    }
+    return message
+}
+
+// Type 5 ETA has no year; take the first occurrence that is not more than a week past,
+// since crews often leave the last ETA set for a few days after arriving
+function buildVoyageEta(month, day, hour, minute) {
+    if (!month || !day || month > 12 || day > 31 || hour > 23 || minute > 59) return null
+    const now = new Date()
+    const earliest = now.getTime() - 7 * 24 * 60 * 60 * 1000
+    let eta = null
+    for (let year = now.getUTCFullYear() - 1; year <= now.getUTCFullYear() + 1; year++) {
+        eta = new Date(Date.UTC(year, month - 1, day, hour, minute))
+        if (eta.getTime() >= earliest) break
+    }
+    return eta.toISOString()
+}
+
+function decodeStaticVoyage(bits) {
+    if (bits.length < 420) return null
+    const imo = readUnsigned(bits, 40, 30)
+    const shipTypeCode = readUnsigned(bits, 232, 8)
+    const draught = readUnsigned(bits, 294, 8)
+    return {
+        type: 5,
+        kind: 'static',
+        mmsi: readUnsigned(bits, 8, 30).toString().padStart(9, '0'),
+        imo: imo ? imo.toString() : null,
+        callSign: readText(bits, 70, 42),
+        name: readText(bits, 112, 120),
+        shipType: getShipTypeName(shipTypeCode),
+        length: (readUnsigned(bits, 240, 9) || 0) + (readUnsigned(bits, 249, 9) || 0) || null,
+        beam: (readUnsigned(bits, 258, 6) || 0) + (readUnsigned(bits, 264, 6) || 0) || null,
+        eta: buildVoyageEta(
+            readUnsigned(bits, 274, 4),
+            readUnsigned(bits, 278, 5),
+            readUnsigned(bits, 283, 5),
+            readUnsigned(bits, 288, 6)
+        ),
+        draught: draught ? draught / 10 : null,
+        destination: readText(bits, 302, 120)
+    }
+}
+
+function decodePayload(payload, fillBits) {
+    const bits = payloadToBits(payload, fillBits)
+    const type = readUnsigned(bits, 0, 6)
+    if (type === 1 || type === 2 || type === 3) return decodeClassAPosition(bits, type)
+    if (type === 18 || type === 19) return decodeClassBPosition(bits, type)
+    if (type === 5) return decodeStaticVoyage(bits)
+    return null
+}
+
+// Stateful decoder - holds fragments of multi-part messages until complete
+function createAisDecoder() {
+    const fragments = new Map()
+
+    function pruneFragments(now) {
+        fragments.forEach((entry, key) => {
+            if (now - entry.receivedAt > FRAGMENT_TTL_MS) fragments.delete(key)
+        })
+    }
+
+    function decode(line) {
+        if (!line) return null
+        // Drop tag blocks or receiver prefixes before the sentence
+        const start = line.search(/[!$]AIVD[MO]/)
+        if (start < 0) return null
+        const sentence = line.slice(start).trim()
+        if (!isValidChecksum(sentence)) return null
+
+        const fields = sentence.split('*')[0].split(',')
+        if (fields.length < 7) return null
+        const total = Number(fields[1])
+        const index = Number(fields[2])
+        const sequenceId = fields[3]
+        const channel = fields[4]
+        const payload = fields[5]
+        const fillBits = Number(fields[6]) || 0
+        if (!Number.isInteger(total) || !Number.isInteger(index) || !payload) return null
+
+        if (total === 1) {
+            try {
+                return decodePayload(payload, fillBits)
+            } catch (err) {
+                return null
+            }
+        }
+
+        const now = Date.now()
+        pruneFragments(now)
+        const key = `${sequenceId}:${channel}`
+        const entry = fragments.get(key) || { parts: [], receivedAt: now }
+        entry.parts[index - 1] = payload
+        if (index === total) entry.fillBits = fillBits
+        fragments.set(key, entry)
+
+        const received = entry.parts.filter(Boolean).length
+        if (received < total) return null
+        fragments.delete(key)
+
+        try {
+            return decodePayload(entry.parts.join(''), entry.fillBits || 0)
+        } catch (err) {
+            return null
+        }
+    }
+
+    return { decode }
+}
+
+module.exports = {
+    createAisDecoder,
+    getShipTypeName
+}
@@ -0,0 +1,147 @@
+/**
+ * AIS Ingestion
+ * Reads NMEA sentences from a TCP or UDP listener, or replays a capture file,
+ * and hands decoded messages to the supplied callbacks.
+ *
+ * Configuration:
+ *   AIS_TCP_PORT - accept receiver connections on this TCP port
+ *   AIS_UDP_PORT - receive datagrams on this UDP port
+ *   AIS_FILE - path to a file of NMEA sentences to replay once on startup
+ *   AIS_BIND_HOST - interface to bind listeners to (default 0.0.0.0)
+ */
+
+const fs = require('fs')
+const net = require('net')
+const dgram = require('dgram')
+const readline = require('readline')
+const { createAisDecoder } = require('./decoder')
+
+const AIS_TCP_PORT = Number(process.env.AIS_TCP_PORT) || null
+const AIS_UDP_PORT = Number(process.env.AIS_UDP_PORT) || null
+const AIS_FILE = process.env.AIS_FILE || null
+const AIS_BIND_HOST = process.env.AIS_BIND_HOST || '0.0.0.0'
+// NMEA sentences are at most 82 characters; leave room for a receiver's tag block
+const MAX_LINE_LENGTH = 512
+
+const stats = {
+    sentences: 0,
+    decoded: 0,
+    positions: 0,
+    staticReports: 0,
+    lastMessageAt: null
+}
+
+let tcpServer = null
+let udpSocket = null
+
+function isAisIngestConfigured() {
+    return !!(AIS_TCP_PORT || AIS_UDP_PORT || AIS_FILE)
+}
+
+function createLineHandler(decoder, handlers) {
+    return (line) => {
+        if (!line || !line.trim()) return
+        stats.sentences += 1
+        const message = decoder.decode(line)
+        if (!message) return
+
+        stats.decoded += 1
+        stats.lastMessageAt = new Date().toISOString()
+        message.receivedAt = stats.lastMessageAt
+
+        let handler = null
+        if (message.kind === 'position') {
+            stats.positions += 1
+            handler = handlers.onPosition
+        } else if (message.kind === 'static') {
+            stats.staticReports += 1
+            handler = handlers.onStatic
+        }
+        if (!handler) return
+
+        // Handlers may be async; never let one bad message take the listener down
+        Promise.resolve()
+            .then(() => handler(message))
+            .catch(err => console.error('AIS message handler error:', err.message))
+    }
+}
+
+function startTcpListener(handleLine) {
+    tcpServer = net.createServer((socket) => {
+        const remote = `${socket.remoteAddress}:${socket.remotePort}`
+        console.log('AIS receiver connected:', remote)
+        // Each connection carries its own stream, so buffer partial lines per socket
+        let buffer = ''
+        socket.setEncoding('ascii')
+        socket.on('data', (chunk) => {
+            buffer += chunk
+            const lines = buffer.split(/\r?\n/)
+            buffer = lines.pop()
+            lines.forEach(handleLine)
+            // A peer that never sends a newline is not an NMEA feed; don't buffer it forever
+            if (buffer.length > MAX_LINE_LENGTH) {
+                console.error(`AIS receiver ${remote} sent a line over ${MAX_LINE_LENGTH} characters; disconnecting`)
+                buffer = ''
+                socket.destroy()
+            }
+        })
+        socket.on('error', (err) => console.error('AIS TCP socket error:', err.message))
+        socket.on('close', () => console.log('AIS receiver disconnected:', remote))
+    })
+    tcpServer.on('error', (err) => console.error('AIS TCP listener error:', err.message))
+    tcpServer.listen(AIS_TCP_PORT, AIS_BIND_HOST, () => {
+        console.log(`AIS TCP listener on ${AIS_BIND_HOST}:${AIS_TCP_PORT}`)
+    })
+}
+
+function startUdpListener(handleLine) {
+    udpSocket = dgram.createSocket('udp4')
+    udpSocket.on('message', (msg) => {
+        msg.toString('ascii').split(/\r?\n/).forEach(handleLine)
+    })
+    udpSocket.on('error', (err) => console.error('AIS UDP listener error:', err.message))
+    udpSocket.bind(AIS_UDP_PORT, AIS_BIND_HOST, () => {
+        console.log(`AIS UDP listener on ${AIS_BIND_HOST}:${AIS_UDP_PORT}`)
+    })
+}
+
+async function replayFile(handleLine) {
+    if (!fs.existsSync(AIS_FILE)) {
+        console.error('AIS file not found:', AIS_FILE)
+        return
+    }
+    const reader = readline.createInterface({ input: fs.createReadStream(AIS_FILE), crlfDelay: Infinity })
+    for await (const line of reader) {
+        handleLine(line)
+    }
+    console.log(`AIS file replay finished: ${AIS_FILE} (${stats.decoded} messages decoded)`)
+}
+
+function startAisIngest(handlers = {}) {
+    if (!isAisIngestConfigured()) return false
+
+    // Separate decoders so fragments from different feeds never mix
+    if (AIS_TCP_PORT && !tcpServer) startTcpListener(createLineHandler(createAisDecoder(), handlers))
+    if (AIS_UDP_PORT && !udpSocket) startUdpListener(createLineHandler(createAisDecoder(), handlers))
+    if (AIS_FILE) {
+        replayFile(createLineHandler(createAisDecoder(), handlers))
+            .catch(err => console.error('AIS file replay failed:', err.message))
+    }
+    return true
+}
+
+function getAisIngestStats() {
+    return {
+        enabled: isAisIngestConfigured(),
+        tcpPort: AIS_TCP_PORT,
+        udpPort: AIS_UDP_PORT,
+        file: AIS_FILE,
+        ...stats
+    }
+}
+
+module.exports = {
+    startAisIngest,
+    getAisIngestStats,
+    isAisIngestConfigured
+}
@@ -0,0 +1,250 @@
+/**
+ * Event-Triggered Vessel Alerts
+ * Rule-based alerts for notification subscriptions, evaluated after every position refresh
+ * so a subscriber hears about a change when it happens rather than at the next scheduled
+ * status email.
+ *
+ * Triggers (subscription.triggers, each optional):
+ *   etaShift      { hours }   - ETA moved by more than N hours since it was last reported (default 6)
+ *   bottleneck    {}          - vessel entered or left a bottleneck zone
+ *   stopped       { minutes } - speed below 1 knot for at least N minutes (default 60)
+ *   nearPod       { nm }      - within N nm of the port of discharge (default 50)
+ *   positionStale { hours }   - no position received for N hours (default 12)
+ *
+ * What each trigger last saw (the reported ETA, the zone the vessel is in, ...) is kept on
+ * the subscription as alertState, so a condition alerts once when it starts and not on
+ * every refresh while it lasts.
+ */
+
+const { haversineDistance } = require('./seaRoutes')
+
+const ALERT_TRIGGERS = {
+    etaShift: { label: 'ETA changes', param: 'hours', defaultValue: 6, min: 1, max: 240 },
+    bottleneck: { label: 'Enters or leaves a bottleneck', param: null },
+    stopped: { label: 'Stops moving', param: 'minutes', defaultValue: 60, min: 10, max: 24 * 60 },
+    nearPod: { label: 'Approaching port of discharge', param: 'nm', defaultValue: 50, min: 1, max: 1000 },
+    positionStale: { label: 'No position received', param: 'hours', defaultValue: 12, min: 1, max: 168 }
+}
+
+const STOPPED_KNOTS = 1
+// Leaving the approach area by this factor re-arms the alert for the next arrival
+const NEAR_POD_RESET_FACTOR = 1.5
+const MAX_RECENT_ALERTS = 20
+const HOUR_MS = 60 * 60 * 1000
+
+/**
+ * Validate triggers from a request body: either { etaShift: { hours: 12 }, bottleneck: true }
+ * or a list of trigger names using their defaults.
+ * Returns { triggers } or { error }.
+ */
+function normalizeTriggers(input) {
+    if (input === undefined || input === null) return { triggers: {} }
+    const entries = Array.isArray(input)
+        ? input.map(type => [type, true])
+        : typeof input === 'object' ? Object.entries(input) : null
+    if (!entries) return { error: 'triggers must be an object or a list of trigger names' }
+
+    const triggers = {}
+    for (const [type, value] of entries) {
+        const definition = ALERT_TRIGGERS[type]
+        if (!definition) {
+            return { error: `Unknown trigger "${type}". Use one of: ${Object.keys(ALERT_TRIGGERS).join(', ')}` }
+        }
+        if (value === false) continue
+        if (!definition.param) {
+            triggers[type] = {}
+            continue
+        }
+        const raw = value === true ? definition.defaultValue : value?.[definition.param] ?? definition.defaultValue
+        const number = Number(raw)
+        if (!Number.isFinite(number) || number <= 0) {
+            return { error: `${type}.${definition.param} must be a positive number` }
+        }
+        triggers[type] = { [definition.param]: Math.min(Math.max(number, definition.min), definition.max) }
+    }
+    return { triggers }
+}
+
+function hasTriggers(subscription) {
+    return !!subscription?.triggers && Object.keys(subscription.triggers).length > 0
+}
+
+function formatHours(hours) {
+    const rounded = Math.round(Math.abs(hours))
+    if (rounded < 48) return `${rounded}h`
+    return `${Math.round(rounded / 24)} days`
+}
+
+function distanceToPodNm(vessel) {
+    if (!Number.isFinite(vessel.latitude) || !Number.isFinite(vessel.longitude)) return null
+    // Geocoded port coordinates may be stored as strings
+    const destLat = vessel.destLat == null ? NaN : Number(vessel.destLat)
+    const destLng = vessel.destLng == null ? NaN : Number(vessel.destLng)
+    if (!Number.isFinite(destLat) || !Number.isFinite(destLng)) return null
+    return haversineDistance(vessel.latitude, vessel.longitude, destLat, destLng) * 0.539957
+}
+
+/**
+ * Check one subscription's triggers against the vessel's current state.
+ * Returns { alerts: [{ type, title, message, details }], alertState } without changing the
+ * subscription; the caller stores the new state.
+ */
+function evaluateTriggers(subscription, vessel, now = Date.now()) {
+    const triggers = subscription.triggers || {}
+    const state = { ...(subscription.alertState || {}) }
+    const alerts = []
+    const port = vessel.destination || 'the port of discharge'
+
+    if (triggers.etaShift && vessel.eta) {
+        const eta = new Date(vessel.eta).getTime()
+        const reported = state.eta ? new Date(state.eta).getTime() : NaN
+        if (!Number.isFinite(reported)) {
+            // First ETA seen is the baseline; there is nothing to compare it with yet
+            state.eta = vessel.eta
+        } else if (Number.isFinite(eta) && Math.abs(eta - reported) > triggers.etaShift.hours * HOUR_MS) {
+            const shiftHours = (eta - reported) / HOUR_MS
+            alerts.push({
+                type: 'etaShift',
+                title: shiftHours > 0 ? `ETA delayed by ${formatHours(shiftHours)}` : `ETA brought forward by ${formatHours(shiftHours)}`,
+                message: `ETA at ${port} changed from ${new Date(reported).toUTCString()} to ${new Date(eta).toUTCString()}.`,
+                details: { previousEta: state.eta, eta: vessel.eta, shiftHours: Math.round(shiftHours * 10) / 10 }
+            })
+            state.eta = vessel.eta
+        }
+    }
+
+    if (triggers.bottleneck) {
+        const zone = vessel.bottleneckWarning?.zone || null
+        // A vessel already in a zone when the subscription starts didn't just enter it
+        if (!('zone' in state)) state.zone = zone
+        else if (zone !== state.zone) {
+            if (state.zone) {
+                alerts.push({
+                    type: 'bottleneck',
+                    title: `Left ${state.zone}`,
+                    message: `Vessel has left the ${state.zone} bottleneck zone.`,
+                    details: { event: 'left', zone: state.zone }
+                })
+            }
+            if (zone) {
+                const warning = vessel.bottleneckWarning
+                alerts.push({
+                    type: 'bottleneck',
+                    title: `Entered ${zone}`,
+                    message: `Vessel has entered the ${zone} bottleneck zone (${warning.severity} congestion, about +${warning.delayMinutes} min).`,
+                    details: { event: 'entered', zone, severity: warning.severity, delayMinutes: warning.delayMinutes }
+                })
+            }
+            state.zone = zone
+        }
+    }
+
+    if (triggers.stopped && Number.isFinite(vessel.speed)) {
+        if (vessel.speed >= STOPPED_KNOTS) {
+            state.stoppedSince = null
+            state.stoppedAlerted = false
+        } else {
+            state.stoppedSince = state.stoppedSince || vessel.updatedAt || new Date(now).toISOString()
+            const stoppedMinutes = (now - new Date(state.stoppedSince).getTime()) / 60000
+            if (!state.stoppedAlerted && stoppedMinutes >= triggers.stopped.minutes) {
+                alerts.push({
+                    type: 'stopped',
+                    title: 'Vessel stopped',
+                    message: `Vessel has been stopped (${vessel.speed.toFixed(1)} kn) since ${new Date(state.stoppedSince).toUTCString()}.`,
+                    details: { since: state.stoppedSince, speed: vessel.speed, latitude: vessel.latitude, longitude: vessel.longitude }
+                })
+                state.stoppedAlerted = true
+            }
+        }
+    }
+
+    if (triggers.nearPod) {
+        const distanceNm = distanceToPodNm(vessel)
+        if (distanceNm !== null) {
+            if (!state.nearPodAlerted && distanceNm <= triggers.nearPod.nm) {
+                alerts.push({
+                    type: 'nearPod',
+                    title: `${Math.round(distanceNm)} nm from ${port}`,
+                    message: `Vessel is ${Math.round(distanceNm)} nm from ${port}.`,
+                    details: { distanceNm: Math.round(distanceNm), port: vessel.destination || null }
+                })
+                state.nearPodAlerted = true
+            } else if (state.nearPodAlerted && distanceNm > triggers.nearPod.nm * NEAR_POD_RESET_FACTOR) {
+                state.nearPodAlerted = false
+            }
+        }
+    }
+
+    if (triggers.positionStale) {
+        const lastFix = vessel.updatedAt ? new Date(vessel.updatedAt).getTime() : NaN
+        const ageHours = Number.isFinite(lastFix) ? (now - lastFix) / HOUR_MS : null
+        if (ageHours !== null && ageHours >= triggers.positionStale.hours) {
+            if (!state.staleAlerted) {
+                alerts.push({
+                    type: 'positionStale',
+                    title: `No position for ${formatHours(ageHours)}`,
+                    message: `No position has been received since ${new Date(lastFix).toUTCString()}.`,
+                    details: { lastPositionAt: vessel.updatedAt, ageHours: Math.round(ageHours) }
+                })
+                state.staleAlerted = true
+            }
+        } else if (ageHours !== null) {
+            state.staleAlerted = false
+        }
+    }
+
+    return { alerts, alertState: state }
+}
+
+/**
+ * Runs every subscription's triggers for a refreshed vessel and hands fired alerts to
+ * deliverAlert(subscription, alert, vessel).
+ */
+function createAlertEngine({ listSubscriptions, deliverAlert, saveSubscriptions }) {
+    async function evaluate(vessel, now = Date.now()) {
+        if (!vessel?.mmsi) return []
+        const mmsi = vessel.mmsi.toString()
+        const fired = []
+        let modified = false
+
+        for (const sub of listSubscriptions()) {
+            if (!sub.active || sub.mmsi !== mmsi || !hasTriggers(sub)) continue
+
+            const { alerts, alertState } = evaluateTriggers(sub, vessel, now)
+            // Stored before delivery so an overlapping refresh doesn't fire the same alert
+            if (JSON.stringify(alertState) !== JSON.stringify(sub.alertState || {})) {
+                sub.alertState = alertState
+                modified = true
+            }
+
+            for (const alert of alerts) {
+                const entry = { ...alert, at: new Date(now).toISOString(), delivered: true, error: null }
+                try {
+                    await deliverAlert(sub, alert, vessel)
+                    sub.lastAlertAt = entry.at
+                } catch (err) {
+                    console.error(`Alert ${alert.type} for ${mmsi} (${sub.id}) failed:`, err.message)
+                    entry.delivered = false
+                    entry.error = err.message
+                    sub.lastError = err.message
+                }
+                sub.recentAlerts = [entry, ...(sub.recentAlerts || [])].slice(0, MAX_RECENT_ALERTS)
+                modified = true
+                fired.push({ subscriptionId: sub.id, ...entry })
+            }
+        }
+
+        if (modified) saveSubscriptions()
+        return fired
+    }
+
+    return { evaluate }
+}
+
+module.exports = {
+    ALERT_TRIGGERS,
+    normalizeTriggers,
+    hasTriggers,
+    evaluateTriggers,
+    createAlertEngine
+}
@@ -0,0 +1,249 @@
+/**
+ * Rule-based Bill of Lading Extractor
+ * Reads the core BL fields out of a PDF text layer using label and pattern heuristics.
+ * It needs no network, so it is the fallback when no LLM is configured or reachable,
+ * and a cross-check on what an LLM returned.
+ */
+
+const { CARRIERS, detectCarrier } = require('./carrierTracking')
+
+// Labels as printed on common carrier BL forms. Order matters where labels overlap:
+// the combined vessel/voyage box is tried before the plain vessel label.
+const FIELD_LABELS = {
+    vesselVoyage: /\b(?:ocean\s+)?vessel\s*(?:name\s*)?(?:\/|&|and)\s*voy(?:age)?\.?(?:\s*(?:no|number)\.?)?/i,
+    vessel: /\b(?:ocean\s+vessel|vessel(?:\s+name)?|name\s+of\s+vessel)\b/i,
+    voyage: /\bvoy(?:age)?\.?\s*(?:no|number|#)\.?/i,
+    portOfLoading: /\bport\s+of\s+loading\b|\bP\.?O\.?L\.?(?=[\s:]|$)/i,
+    portOfDischarge: /\bport\s+of\s+discharge\b|\bP\.?O\.?D\.?(?=[\s:]|$)/i,
+    finalDestination: /\bplace\s+of\s+delivery\b|\bfinal\s+destination\b/i,
+    blNumber: /\b(?:B\s*\/\s*L|bill\s+of\s+lading)\s*(?:no|number|#)\.?/i,
+    bookingNumber: /\bbooking\s*(?:no|number|ref(?:erence)?|#)\.?/i,
+    shipper: /^shipper\b|^exporter\b/i,
+    consignee: /^consignee\b/i
+}
+
+const MMSI_PATTERN = /\bMMSI\b[^0-9]{0,12}(\d{9})\b/i
+const CONTAINER_PATTERN = /\b([A-Z]{3}[UJZ])\s?-?(\d{6})\s?-?(\d)\b/g
+const SIZE_TYPE_PATTERN = /\b(20|40|45)\s?'?\s?(GP|DV|DC|HC|HQ|RF|RH|OT|FR|TK|G1|R1|U1|P1)\b/i
+const SEAL_PATTERN = /\bseal(?:\s*(?:no|number|#))?\.?\s*[:#]?\s*([A-Z0-9]{5,15})\b/i
+
+// A value on the same line shorter than this is usually a stray mark, not data
+const MIN_VALUE_LENGTH = 2
+// Labels are often printed above their box; look this many lines ahead for the value
+const VALUE_LOOKAHEAD_LINES = 2
+
+// ISO 6346 letter values skip multiples of 11
+const LETTER_VALUES = (() => {
+    const values = {}
+    let value = 10
+    for (const letter of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+        if (value % 11 === 0) value += 1
+        values[letter] = value
+        value += 1
+    }
+    return values
+})()
+
+function isValidContainerNumber(number) {
+    if (!/^[A-Z]{3}[UJZ]\d{7}$/.test(number)) return false
+    const sum = number.slice(0, 10).split('').reduce((total, char, index) => {
+        const value = LETTER_VALUES[char] ?? Number(char)
+        return total + value * Math.pow(2, index)
+    }, 0)
+    return (sum % 11) % 10 === Number(number[10])
+}
+
+function isLabel(text) {
+    return Object.values(FIELD_LABELS).some(pattern => pattern.test(text))
+}
+
+function cleanValue(value) {
+    if (!value) return null
+    const cleaned = value.replace(/^[\s:.#\-–]+/, '').replace(/\s+/g, ' ').trim()
+    if (cleaned.length < MIN_VALUE_LENGTH || isLabel(cleaned)) return null
+    return cleaned
+}
+
+// Value printed after the label on the same line, or in the box beneath it
+function findLabelledValue(lines, pattern) {
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(pattern)
+        if (!match) continue
+
+        const sameLine = cleanValue(lines[i].slice(match.index + match[0].length))
+        if (sameLine) return sameLine
+
+        for (let j = i + 1; j <= i + VALUE_LOOKAHEAD_LINES && j < lines.length; j++) {
+            if (isLabel(lines[j])) break
+            const below = cleanValue(lines[j])
+            if (below) return below
+        }
+    }
+    return null
+}
+
+// "MSC OSCAR / 123W", "MSC OSCAR V.123W" or "MSC OSCAR 123W"
+function splitVesselVoyage(raw) {
+    if (!raw) return { vessel: null, voyage: null }
+    const value = raw.replace(/^M\s*\/\s*V\.?\s+|^MV\.?\s+/i, '')
+    const slash = value.split(/\s*\/\s*/)
+    if (slash.length >= 2) return { vessel: slash[0] || null, voyage: slash.slice(1).join('/') || null }
+
+    const marked = value.match(/^(.*?)\s+(?:V\.?|VOY\.?)\s*([A-Z0-9-]+)$/i)
+    if (marked) return { vessel: marked[1], voyage: marked[2] }
+
+    const trailing = value.match(/^(.*?[A-Z].*?)\s+(\d{2,4}[A-Z]{0,2})$/i)
+    if (trailing) return { vessel: trailing[1], voyage: trailing[2] }
+
+    return { vessel: value, voyage: null }
+}
+
+function cleanVesselName(value) {
+    if (!value) return null
+    const name = value.replace(/\s+/g, ' ').trim().toUpperCase()
+    return /[A-Z]{2}/.test(name) ? name : null
+}
+
+// Just the reference token from a labelled value, e.g. "MEDUXY123456 (ORIGINAL)" -> "MEDUXY123456"
+function cleanReference(value) {
+    if (!value) return null
+    const token = value.toUpperCase().match(/[A-Z0-9][A-Z0-9-]{5,}/)
+    return token ? token[0].replace(/-/g, '') : null
+}
+
+function extractContainers(lines) {
+    const containers = new Map()
+    lines.forEach((line) => {
+        const upper = line.toUpperCase()
+        for (const match of upper.matchAll(CONTAINER_PATTERN)) {
+            const number = `${match[1]}${match[2]}${match[3]}`
+            if (!isValidContainerNumber(number) || containers.has(number)) continue
+            const sizeType = upper.match(SIZE_TYPE_PATTERN)
+            const seal = upper.match(SEAL_PATTERN)
+            containers.set(number, {
+                containerNumber: number,
+                sizeType: sizeType ? `${sizeType[1]}${sizeType[2]}` : null,
+                sealNumber: seal && seal[1] !== number ? seal[1] : null
+            })
+        }
+    })
+    return Array.from(containers.values())
+}
+
+// A token starting with a known carrier BL prefix that isn't itself a container number
+function findPrefixedBlNumber(text, containerNumbers) {
+    const prefixes = Object.values(CARRIERS).flatMap(carrier => carrier.blPrefixes)
+    const pattern = new RegExp(`\\b((?:${prefixes.join('|')})[A-Z0-9]{6,12})\\b`, 'g')
+    for (const match of text.toUpperCase().matchAll(pattern)) {
+        if (!containerNumbers.has(match[1]) && !isValidContainerNumber(match[1])) return match[1]
+    }
+    return null
+}
+
+// Carrier names as whole words; short aliases like "one" or "pil" are too common in prose
+function findCarrierName(text) {
+    const lower = text.toLowerCase()
+    for (const carrier of Object.values(CARRIERS)) {
+        const names = [carrier.name, ...carrier.aliases].filter(name => name.length > 3)
+        const found = names.some(name =>
+            new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower)
+        )
+        if (found) return carrier.name
+    }
+    return null
+}
+
+/**
+ * Extract BL fields from PDF text. Returns the same shape the LLM extractors do,
+ * with null for anything the rules could not find.
+ */
+function extractBlDetails(text) {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+
+    const combined = splitVesselVoyage(findLabelledValue(lines, FIELD_LABELS.vesselVoyage))
+    const vesselValue = combined.vessel || findLabelledValue(lines, FIELD_LABELS.vessel)
+    const { vessel, voyage: inlineVoyage } = combined.vessel ? combined : splitVesselVoyage(vesselValue)
+    const voyage = combined.voyage || inlineVoyage || cleanReference(findLabelledValue(lines, FIELD_LABELS.voyage))
+
+    const containers = extractContainers(lines)
+    const containerNumbers = new Set(containers.map(c => c.containerNumber))
+    const blNumber = cleanReference(findLabelledValue(lines, FIELD_LABELS.blNumber)) ||
+        findPrefixedBlNumber(text || '', containerNumbers)
+
+    const carrierInfo = detectCarrier({ blNumber, containerNumber: containers[0]?.containerNumber })
+    const mmsi = (text || '').match(MMSI_PATTERN)
+
+    return {
+        vessel: cleanVesselName(vessel),
+        voyage: voyage ? voyage.toUpperCase() : null,
+        portOfLoading: findLabelledValue(lines, FIELD_LABELS.portOfLoading),
+        portOfDischarge: findLabelledValue(lines, FIELD_LABELS.portOfDischarge),
+        finalDestination: findLabelledValue(lines, FIELD_LABELS.finalDestination),
+        eta: null,
+        blNumber,
+        shipper: findLabelledValue(lines, FIELD_LABELS.shipper),
+        consignee: findLabelledValue(lines, FIELD_LABELS.consignee),
+        mmsi: mmsi ? mmsi[1] : null,
+        carrier: carrierInfo?.name || findCarrierName(text || ''),
+        bookingNumber: cleanReference(findLabelledValue(lines, FIELD_LABELS.bookingNumber)),
+        containerNumber: containers[0]?.containerNumber || null,
+        containers
+    }
+}
+
+function compact(value) {
+    return (value || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+function valuesAgree(a, b) {
+    const left = compact(a)
+    const right = compact(b)
+    return left === right || (left.length > 0 && right.length > 0 && (left.includes(right) || right.includes(left)))
+}
+
+const CROSS_CHECK_FIELDS = [
+    'vessel', 'voyage', 'portOfLoading', 'portOfDischarge', 'finalDestination',
+    'blNumber', 'bookingNumber', 'mmsi', 'carrier', 'shipper', 'consignee'
+]
+
+/**
+ * Compare LLM output with the rule-based result. LLM values win; gaps are filled from
+ * the rules and containers the LLM missed are added.
+ * Returns { details, agreed: [field], disagreements: { field: ruleValue }, filled: [field], containersAdded: [number] }
+ */
+function crossCheckExtraction(aiDetails, ruleDetails) {
+    const details = { ...aiDetails }
+    const agreed = []
+    const disagreements = {}
+    const filled = []
+
+    CROSS_CHECK_FIELDS.forEach((field) => {
+        const ruleValue = ruleDetails?.[field]
+        if (!ruleValue) return
+        if (!details[field]) {
+            details[field] = ruleValue
+            filled.push(field)
+        } else if (valuesAgree(details[field], ruleValue)) {
+            agreed.push(field)
+        } else {
+            disagreements[field] = ruleValue
+        }
+    })
+
+    const aiContainers = Array.isArray(details.containers) ? details.containers : []
+    const known = new Set([
+        ...aiContainers.map(c => compact(typeof c === 'object' && c !== null ? c.containerNumber : c)),
+        compact(details.containerNumber)
+    ])
+    const missing = (ruleDetails?.containers || []).filter(c => !known.has(c.containerNumber))
+    if (missing.length > 0) details.containers = [...aiContainers, ...missing]
+
+    return { details, agreed, disagreements, filled, containersAdded: missing.map(c => c.containerNumber) }
+}
+
+module.exports = {
+    extractBlDetails,
+    crossCheckExtraction,
+    isValidContainerNumber,
+    valuesAgree
+}
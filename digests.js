@@ -0,0 +1,191 @@
+/**
+ * Daily Digests
+ * One scheduled email per recipient covering every vessel they follow, instead of one
+ * status email per subscription. A digest belongs to an email address and has its own
+ * send time in the recipient's timezone. While it is active, the scheduled status emails of
+ * that address's subscriptions are folded into it; triggered alerts still go out at once.
+ *
+ * Digest: { id, email, sendAt: 'HH:MM', timezone, active, nextRun, lastSentAt,
+ *           vessels: { [mmsi]: { eta } } }  (vessels: what the last digest reported)
+ *
+ * Configuration:
+ *   DIGEST_SLIP_MINUTES - an ETA later by at least this much since the last digest ranks
+ *                         the vessel as medium urgency on its own (default 720)
+ */
+
+const DIGEST_SLIP_MINUTES = Number(process.env.DIGEST_SLIP_MINUTES || 12 * 60)
+const DEFAULT_SEND_AT = '08:00'
+const DEFAULT_TIMEZONE = 'UTC'
+const SEVERITY_RANK = { none: 0, low: 1, medium: 2, high: 3 }
+const SEND_AT_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+        return true
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Validate digest settings from a request body.
+ * Returns { email, sendAt, timezone } or { error }.
+ */
+function normalizeDigestInput({ email, sendAt = DEFAULT_SEND_AT, timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!email) return { error: 'email required' }
+    const time = SEND_AT_PATTERN.exec(String(sendAt).trim())
+    if (!time) return { error: 'sendAt must be a time of day as HH:MM (24-hour)' }
+    if (!isValidTimezone(timezone)) return { error: `Unknown timezone "${timezone}". Use an IANA name such as Europe/Berlin` }
+    return {
+        email: email.toString().trim().toLowerCase(),
+        sendAt: `${time[1].padStart(2, '0')}:${time[2]}`,
+        timezone
+    }
+}
+
+// Wall-clock date and time of an instant in a timezone
+function zonedParts(timestamp, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(timestamp))
+    const value = type => Number(parts.find(part => part.type === type).value)
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') }
+}
+
+// How far the timezone is ahead of UTC at an instant, in ms
+function timezoneOffset(timestamp, timezone) {
+    const p = zonedParts(timestamp, timezone)
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(timestamp / 1000) * 1000
+}
+
+// The instant a local date and time happens in a timezone (DST-aware)
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute)
+    const guess = asUtc - timezoneOffset(asUtc, timezone)
+    // The offset can differ at the guess when a DST change falls in between
+    return asUtc - timezoneOffset(guess, timezone)
+}
+
+// Next time the digest is due: today at sendAt in its timezone, or tomorrow if that has passed
+function nextDigestRun(digest, now = Date.now()) {
+    const [hour, minute] = digest.sendAt.split(':').map(Number)
+    const today = zonedParts(now, digest.timezone)
+    for (let dayOffset = 0; dayOffset <= 2; dayOffset++) {
+        // Date.UTC rolls day overflow into the next month
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset))
+        const run = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, digest.timezone)
+        if (run > now) return run
+    }
+    return now + DAY_MS
+}
+
+function formatDigestTime(timestamp, timezone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    }).format(new Date(timestamp))
+}
+
+function formatDelta(minutes) {
+    if (minutes === null) return null
+    if (Math.abs(minutes) < 1) return 'no change'
+    const total = Math.round(Math.abs(minutes))
+    const days = Math.floor(total / (24 * 60))
+    const hours = Math.floor((total % (24 * 60)) / 60)
+    const mins = total % 60
+    const parts = days > 0 ? [`${days}d`, hours ? `${hours}h` : null] : [hours ? `${hours}h` : null, mins ? `${mins}m` : null]
+    return `${parts.filter(Boolean).join(' ')} ${minutes > 0 ? 'later' : 'earlier'}`
+}
+
+// Vessels without an ETA sort last
+function etaOrder(row) {
+    return row.eta ? new Date(row.eta).getTime() : Number.MAX_SAFE_INTEGER
+}
+
+/**
+ * One row per vessel from its status report (see buildVesselReport in server.js), compared
+ * with what the previous digest reported, most urgent first: highest warning severity, then
+ * the biggest ETA slip, then the soonest arrival.
+ * entries: [{ mmsi, report, name?, error? }] (name is the fallback when the report failed)
+ */
+function buildDigestRows(entries, digest) {
+    const rows = entries.map(({ mmsi, report, name, error }) => {
+        const voyage = report?.voyage || {}
+        const eta = voyage.eta ? new Date(voyage.eta).getTime() : NaN
+        const previous = digest.vessels?.[mmsi]?.eta ? new Date(digest.vessels[mmsi].eta).getTime() : NaN
+        const deltaMinutes = Number.isFinite(eta) && Number.isFinite(previous) ? (eta - previous) / 60000 : null
+        const warnings = report?.warnings || []
+
+        let urgency = warnings.reduce((level, warning) => (
+            SEVERITY_RANK[warning.severity] > SEVERITY_RANK[level] ? warning.severity : level
+        ), 'none')
+        if (deltaMinutes !== null && deltaMinutes >= DIGEST_SLIP_MINUTES && SEVERITY_RANK[urgency] < SEVERITY_RANK.medium) {
+            urgency = 'medium'
+        }
+
+        return {
+            mmsi,
+            name: report?.vessel?.name || name || mmsi,
+            destination: voyage.destination || null,
+            eta: Number.isFinite(eta) ? new Date(eta).toISOString() : null,
+            etaText: Number.isFinite(eta) ? formatDigestTime(eta, digest.timezone) : 'unavailable',
+            deltaMinutes: deltaMinutes === null ? null : Math.round(deltaMinutes),
+            deltaText: deltaMinutes !== null ? formatDelta(deltaMinutes) : Number.isFinite(eta) ? 'new' : '-',
+            progressPercent: Number.isFinite(voyage.progressPercent) ? Math.round(voyage.progressPercent) : null,
+            warnings,
+            urgency,
+            error: error || null
+        }
+    })
+
+    return rows.sort((a, b) => (
+        SEVERITY_RANK[b.urgency] - SEVERITY_RANK[a.urgency] ||
+        Math.max(b.deltaMinutes || 0, 0) - Math.max(a.deltaMinutes || 0, 0) ||
+        etaOrder(a) - etaOrder(b)
+    ))
+}
+
+// What this digest reported, kept for the next one's ETA deltas. A vessel whose report
+// failed keeps the baseline from the digest before.
+function snapshotRows(rows, previous = {}) {
+    return Object.fromEntries(rows
+        .map(row => [row.mmsi, row.error ? previous[row.mmsi] : { eta: row.eta }])
+        .filter(([, entry]) => entry))
+}
+
+function buildDigestReport(digest, rows, now = Date.now()) {
+    const flagged = rows.filter(row => row.urgency !== 'none').length
+    return {
+        subject: `Daily Vessel Digest: ${rows.length} vessel${rows.length === 1 ? '' : 's'}${flagged ? `, ${flagged} need attention` : ''}`,
+        heading: 'DAILY VESSEL DIGEST',
+        recipient: digest.email,
+        timezone: digest.timezone,
+        generatedText: formatDigestTime(now, digest.timezone),
+        sinceText: digest.lastSentAt ? formatDigestTime(new Date(digest.lastSentAt).getTime(), digest.timezone) : null,
+        rows,
+        flaggedCount: flagged,
+        footer: `Digest generated: ${new Date(now).toUTCString()}`
+    }
+}
+
+module.exports = {
+    normalizeDigestInput,
+    nextDigestRun,
+    buildDigestRows,
+    buildDigestReport,
+    snapshotRows
+}
@@ -0,0 +1,177 @@
+/**
+ * Document Store
+ * Keeps the original uploaded BL PDFs so an import can be re-extracted later and its
+ * source document produced on request. Files are keyed by content hash, so uploading the
+ * same PDF twice stores it once.
+ *
+ * Configuration:
+ *   DOCUMENT_STORE - 'local' or 's3' (default: 's3' when DOCUMENT_S3_BUCKET is set, otherwise 'local')
+ *   DOCUMENT_STORAGE_DIR - local directory (default: documents/ next to the database)
+ *   DOCUMENT_S3_BUCKET, DOCUMENT_S3_REGION (default us-east-1), DOCUMENT_S3_PREFIX
+ *   DOCUMENT_S3_ENDPOINT - any S3-compatible endpoint, e.g. MinIO or R2 (default AWS)
+ *   DOCUMENT_S3_ACCESS_KEY_ID, DOCUMENT_S3_SECRET_ACCESS_KEY
+ *   DOCUMENT_S3_TIMEOUT_MS - per request (default 15000)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { DATABASE_PATH } = require('./storage')
+
+const DOCUMENT_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR ||
+    (DATABASE_PATH === ':memory:'
+        ? path.join(__dirname, 'data', 'documents')
+        : path.join(path.dirname(DATABASE_PATH), 'documents'))
+
+const S3_BUCKET = process.env.DOCUMENT_S3_BUCKET || null
+const S3_REGION = process.env.DOCUMENT_S3_REGION || 'us-east-1'
+const S3_ENDPOINT = (process.env.DOCUMENT_S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`).replace(/\/+$/, '')
+const S3_PREFIX = process.env.DOCUMENT_S3_PREFIX || ''
+const S3_ACCESS_KEY_ID = process.env.DOCUMENT_S3_ACCESS_KEY_ID || null
+const S3_SECRET_ACCESS_KEY = process.env.DOCUMENT_S3_SECRET_ACCESS_KEY || null
+const S3_TIMEOUT_MS = Number(process.env.DOCUMENT_S3_TIMEOUT_MS || 15000)
+
+const DOCUMENT_STORE = process.env.DOCUMENT_STORE || (S3_BUCKET ? 's3' : 'local')
+
+function hashDocument(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex')
+}
+
+// Keys are generated from hashes, but never let one escape the storage directory
+function safeKey(key) {
+    if (!/^[A-Za-z0-9._-]+$/.test(key || '')) throw new Error(`Invalid document key: ${key}`)
+    return key
+}
+
+function createLocalStore(directory = DOCUMENT_STORAGE_DIR) {
+    const filePath = key => path.join(directory, safeKey(key))
+
+    return {
+        type: 'local',
+        location: directory,
+
+        async put(key, buffer) {
+            const target = filePath(key)
+            if (fs.existsSync(target)) return
+            await fs.promises.mkdir(directory, { recursive: true })
+            // Write then rename so a crash never leaves a truncated document behind
+            const temp = `${target}.${process.pid}.tmp`
+            await fs.promises.writeFile(temp, buffer)
+            await fs.promises.rename(temp, target)
+        },
+
+        async get(key) {
+            try {
+                return await fs.promises.readFile(filePath(key))
+            } catch (err) {
+                if (err.code === 'ENOENT') return null
+                throw err
+            }
+        },
+
+        async remove(key) {
+            await fs.promises.rm(filePath(key), { force: true })
+        }
+    }
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex')
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest()
+}
+
+// Path-style requests signed with AWS Signature V4, which S3-compatible stores also accept
+function createS3Store({
+    bucket = S3_BUCKET,
+    region = S3_REGION,
+    endpoint = S3_ENDPOINT,
+    prefix = S3_PREFIX,
+    accessKeyId = S3_ACCESS_KEY_ID,
+    secretAccessKey = S3_SECRET_ACCESS_KEY
+} = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('DOCUMENT_S3_BUCKET, DOCUMENT_S3_ACCESS_KEY_ID and DOCUMENT_S3_SECRET_ACCESS_KEY are required for the s3 document store')
+    }
+
+    async function request(method, key, body = null) {
+        const objectPath = `${prefix}${safeKey(key)}`.split('/').map(encodeURIComponent).join('/')
+        const url = new URL(`${endpoint}/${encodeURIComponent(bucket)}/${objectPath}`)
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+        const dateStamp = amzDate.slice(0, 8)
+        const payloadHash = sha256Hex(body || '')
+
+        const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate }
+        if (body) headers['content-type'] = 'application/pdf'
+        const headerNames = Object.keys(headers).sort()
+        const signedHeaders = headerNames.join(';')
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            '',
+            headerNames.map(name => `${name}:${headers[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n')
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n')
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request')
+        const signature = hmac(signingKey, stringToSign).toString('hex')
+
+        const { host, ...sentHeaders } = headers
+        return fetch(url, {
+            method,
+            headers: {
+                ...sentHeaders,
+                authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            body: body || undefined,
+            signal: AbortSignal.timeout(S3_TIMEOUT_MS)
+        })
+    }
+
+    return {
+        type: 's3',
+        location: `${endpoint}/${bucket}/${prefix}`,
+
+        async put(key, buffer) {
+            const response = await request('PUT', key, buffer)
+            if (!response.ok) throw new Error(`S3 PUT ${key} failed: ${response.status}`)
+        },
+
+        async get(key) {
+            const response = await request('GET', key)
+            if (response.status === 404) return null
+            if (!response.ok) throw new Error(`S3 GET ${key} failed: ${response.status}`)
+            return Buffer.from(await response.arrayBuffer())
+        },
+
+        async remove(key) {
+            const response = await request('DELETE', key)
+            if (!response.ok && response.status !== 404) throw new Error(`S3 DELETE ${key} failed: ${response.status}`)
+        }
+    }
+}
+
+const store = DOCUMENT_STORE === 's3' ? createS3Store() : createLocalStore()
+
+// Store a PDF and return { key, hash, size, store } to record on the import
+async function saveDocument(buffer) {
+    const hash = hashDocument(buffer)
+    const key = `${hash}.pdf`
+    await store.put(key, buffer)
+    return { key, hash, size: buffer.length, store: store.type }
+}
+
+module.exports = {
+    saveDocument,
+    getDocument: key => store.get(key),
+    removeDocument: key => store.remove(key),
+    describeDocumentStore: () => ({ type: store.type, location: store.location }),
+    hashDocument,
+    createLocalStore,
+    createS3Store
+}
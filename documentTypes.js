@@ -0,0 +1,227 @@
+/**
+ * Shipping Document Types
+ * What the importer knows about each kind of document: how to recognise it, which fields
+ * to extract and review, and how a committed import merges into a shipment.
+ *
+ * Merge kinds:
+ *   shipment - creates or amends the tracked vessel and its shipment (BL, sea waybill)
+ *   booking - creates a pre-shipment keyed by booking number before any BL exists
+ *   arrival - updates ETA and free time on the matching shipment
+ *   attachment - attaches commercial data to the matching shipment
+ */
+
+// Fields every transport document shares; they match the shipment record
+const SHIPMENT_FIELDS = [
+    'vessel', 'voyage', 'portOfLoading', 'portOfDischarge', 'finalDestination', 'eta',
+    'blNumber', 'shipper', 'consignee', 'mmsi', 'carrier', 'bookingNumber', 'containerNumber'
+]
+
+const BL_REVIEW_FIELDS = [
+    'vessel', 'mmsi', 'voyage', 'portOfLoading', 'portOfDischarge', 'finalDestination',
+    'carrier', 'blNumber', 'bookingNumber', 'shipper', 'consignee'
+]
+
+const DOCUMENT_TYPES = {
+    'bill-of-lading': {
+        label: 'Bill of Lading',
+        merge: 'shipment',
+        // "Bill of Lading No." is a label on most other document types, not a title
+        patterns: [/\bbill\s+of\s+lading\b(?!\s*(?:no|number|#))/i, /\bocean\s+B\/L\b/i],
+        fileNamePattern: /\b(?:bl|bol|mbl|hbl)\b|bill.?of.?lading/i,
+        textFields: SHIPMENT_FIELDS,
+        numberFields: [],
+        reviewFields: BL_REVIEW_FIELDS,
+        requiredFields: ['vessel', 'portOfLoading', 'portOfDischarge', 'blNumber'],
+        keyFields: ['vessel'],
+        rules: true,
+        instructions: [
+            'Prefer the exact POL and POD fields from the BL (not the final inland destination)',
+            'List every container on the BL (including continuation/rider pages) as its own entry in "containers"; use [] if none'
+        ]
+    },
+    'sea-waybill': {
+        label: 'Sea Waybill',
+        merge: 'shipment',
+        patterns: [/\bsea\s*-?\s*way\s*-?\s*bill\b/i, /\bnon[-\s]?negotiable\s+waybill\b/i],
+        fileNamePattern: /\bswb\b|way.?bill/i,
+        textFields: SHIPMENT_FIELDS,
+        numberFields: [],
+        reviewFields: BL_REVIEW_FIELDS,
+        requiredFields: ['vessel', 'portOfLoading', 'portOfDischarge', 'blNumber'],
+        keyFields: ['vessel'],
+        rules: true,
+        instructions: [
+            'The waybill number goes in "blNumber"',
+            'List every container as its own entry in "containers"; use [] if none'
+        ]
+    },
+    'arrival-notice': {
+        label: 'Arrival Notice',
+        merge: 'arrival',
+        patterns: [/\barrival\s+notice\b/i, /\bnotice\s+of\s+arrival\b/i, /\bcargo\s+arrival\s+notification\b/i],
+        // Two-letter abbreviations are common words and initials; only trust them leading a document number
+        fileNamePattern: /arrival|^an\s?\d/i,
+        textFields: [...SHIPMENT_FIELDS, 'lastFreeDay', 'terminal'],
+        numberFields: ['freeTimeDays'],
+        reviewFields: [
+            'vessel', 'mmsi', 'voyage', 'portOfDischarge', 'eta', 'lastFreeDay', 'freeTimeDays',
+            'terminal', 'blNumber', 'bookingNumber', 'carrier'
+        ],
+        requiredFields: ['eta', 'blNumber'],
+        keyFields: ['vessel', 'blNumber', 'bookingNumber'],
+        rules: true,
+        instructions: [
+            '"eta" is the estimated arrival at the port of discharge as YYYY-MM-DD',
+            '"lastFreeDay" is the last free day before demurrage or storage charges start, as YYYY-MM-DD',
+            '"freeTimeDays" is the number of free days allowed at the terminal',
+            '"terminal" is the discharge terminal or pickup location'
+        ]
+    },
+    'booking-confirmation': {
+        label: 'Booking Confirmation',
+        merge: 'booking',
+        patterns: [/\bbooking\s+confirmation\b/i, /\bbooking\s+(?:acknowledgement|acknowledgment|advice)\b/i, /\bconfirmation\s+of\s+booking\b/i],
+        fileNamePattern: /booking|^bc\s?\d/i,
+        textFields: [...SHIPMENT_FIELDS, 'etd', 'cargoCutoff', 'documentCutoff', 'equipment'],
+        numberFields: [],
+        reviewFields: [
+            'bookingNumber', 'vessel', 'voyage', 'portOfLoading', 'portOfDischarge', 'finalDestination',
+            'etd', 'eta', 'cargoCutoff', 'documentCutoff', 'equipment', 'carrier', 'shipper'
+        ],
+        requiredFields: ['bookingNumber'],
+        keyFields: ['bookingNumber', 'vessel'],
+        rules: true,
+        instructions: [
+            '"etd" and "eta" are the planned departure and arrival dates as YYYY-MM-DD',
+            '"cargoCutoff" and "documentCutoff" are the CY/cargo and documentation (SI/VGM) cut-off date-times',
+            '"equipment" summarises the containers booked, e.g. "2 x 40HC, 1 x 20GP"',
+            'Booked containers usually have no numbers yet; only list containers with a container number'
+        ]
+    },
+    'commercial-invoice': {
+        label: 'Commercial Invoice',
+        merge: 'attachment',
+        patterns: [/\bcommercial\s+invoice\b/i, /\b(?:proforma|pro-forma|customs)\s+invoice\b/i],
+        fileNamePattern: /invoice|\binv\b|^ci\s?\d/i,
+        textFields: [
+            'invoiceNumber', 'invoiceDate', 'currency', 'incoterms', 'shipper', 'consignee',
+            'blNumber', 'bookingNumber', 'vessel', 'voyage', 'portOfLoading', 'portOfDischarge', 'containerNumber'
+        ],
+        numberFields: ['totalValue'],
+        reviewFields: [
+            'invoiceNumber', 'invoiceDate', 'currency', 'totalValue', 'incoterms',
+            'shipper', 'consignee', 'blNumber', 'bookingNumber'
+        ],
+        requiredFields: ['invoiceNumber'],
+        keyFields: ['invoiceNumber', 'blNumber', 'bookingNumber'],
+        rules: false,
+        instructions: [
+            '"shipper" is the seller/exporter and "consignee" the buyer/importer',
+            '"totalValue" is the invoice total as a number, in "currency" (ISO code, e.g. USD)',
+            '"incoterms" is the trade term with its place, e.g. "FOB Shanghai"'
+        ]
+    },
+    'packing-list': {
+        label: 'Packing List',
+        merge: 'attachment',
+        patterns: [/\bpacking\s+list\b/i, /\bpacking\s+slip\b/i],
+        fileNamePattern: /packing|^pl\s?\d/i,
+        textFields: [
+            'packingListNumber', 'invoiceNumber', 'packageType', 'shipper', 'consignee',
+            'blNumber', 'bookingNumber', 'vessel', 'voyage', 'containerNumber'
+        ],
+        numberFields: ['totalPackages', 'totalGrossWeightKg', 'totalMeasurementCbm'],
+        reviewFields: [
+            'packingListNumber', 'invoiceNumber', 'totalPackages', 'packageType',
+            'totalGrossWeightKg', 'totalMeasurementCbm', 'blNumber', 'bookingNumber'
+        ],
+        requiredFields: [],
+        keyFields: ['packingListNumber', 'blNumber', 'bookingNumber', 'containerNumber'],
+        rules: false,
+        instructions: [
+            'Totals are for the whole shipment; convert weights to kilograms and volumes to cubic metres',
+            'List each container with its packages, gross weight and volume in "containers"'
+        ]
+    }
+}
+
+const DEFAULT_DOCUMENT_TYPE = 'bill-of-lading'
+
+// A document's title is usually in the first few lines; a match there outweighs one in small print
+const TITLE_AREA_CHARS = 400
+const TITLE_MATCH_SCORE = 3
+const BODY_MATCH_SCORE = 1
+const FILE_NAME_SCORE = 2
+
+function getDocumentType(id) {
+    const key = DOCUMENT_TYPES[id] ? id : DEFAULT_DOCUMENT_TYPE
+    return { id: key, ...DOCUMENT_TYPES[key] }
+}
+
+function isDocumentType(id) {
+    return !!DOCUMENT_TYPES[id]
+}
+
+/**
+ * Guess a document's type from its text and file name.
+ * Returns { type, confidence, source: 'rules' | 'default', scores }.
+ * With nothing to go on (e.g. a scanned PDF named "scan.pdf") it falls back to a BL.
+ */
+function classifyDocument(text = '', fileName = '') {
+    const title = text.replace(/\s+/g, ' ').trim().slice(0, TITLE_AREA_CHARS)
+    const scores = {}
+    Object.entries(DOCUMENT_TYPES).forEach(([id, type]) => {
+        let score = 0
+        type.patterns.forEach((pattern) => {
+            if (pattern.test(title)) score += TITLE_MATCH_SCORE
+            else if (pattern.test(text)) score += BODY_MATCH_SCORE
+        })
+        if (fileName && type.fileNamePattern.test(fileName.replace(/[_.-]+/g, ' '))) score += FILE_NAME_SCORE
+        if (score > 0) scores[id] = score
+    })
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1])
+    if (ranked.length === 0) {
+        return { type: DEFAULT_DOCUMENT_TYPE, confidence: 0.3, source: 'default', scores }
+    }
+    const [best, bestScore] = ranked[0]
+    const margin = bestScore - (ranked[1]?.[1] || 0)
+    const confidence = Math.min(0.5 + 0.1 * bestScore + 0.1 * margin, 0.95)
+    return { type: best, confidence: Math.round(confidence * 100) / 100, source: 'rules', scores }
+}
+
+// Whether an extraction found enough to be worth reviewing
+function isUsableExtraction(typeId, details) {
+    if (!details) return false
+    const type = getDocumentType(typeId)
+    return type.keyFields.some(field => !!details[field]) ||
+        (type.merge === 'attachment' && Array.isArray(details.containers) && details.containers.length > 0)
+}
+
+// The parts of a type definition clients need to render the review form
+function describeDocumentType(typeId) {
+    const type = getDocumentType(typeId)
+    return {
+        id: type.id,
+        label: type.label,
+        merge: type.merge,
+        reviewFields: type.reviewFields,
+        requiredFields: type.requiredFields,
+        numberFields: type.numberFields
+    }
+}
+
+function listDocumentTypes() {
+    return Object.keys(DOCUMENT_TYPES).map(describeDocumentType)
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    DEFAULT_DOCUMENT_TYPE,
+    getDocumentType,
+    isDocumentType,
+    classifyDocument,
+    isUsableExtraction,
+    describeDocumentType,
+    listDocumentTypes
+}
@@ -0,0 +1,249 @@
+/**
+ * Email Templates
+ * Renders notification emails from templates on disk: an HTML body and a plain-text
+ * fallback per template (`<name>.html` and `<name>.txt`). The built-in templates live in
+ * templates/email/. Admins can replace any of them by putting a file with the same name in
+ * EMAIL_TEMPLATES_DIR; files are re-read when they change, so no restart is needed.
+ *
+ * Template syntax is a small Mustache subset:
+ *   {{name}}               value (HTML-escaped in .html templates), dotted paths allowed
+ *   {{{name}}}             value without escaping
+ *   {{#name}}...{{/name}}  repeat for each item of a list, or render once if truthy
+ *   {{^name}}...{{/name}}  render if missing, false or an empty list
+ *   {{! comment}}          ignored
+ * A section or comment tag alone on its line removes the whole line.
+ *
+ * Configuration:
+ *   EMAIL_TEMPLATES_DIR - override directory (default: email-templates/ next to the database)
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { DATABASE_PATH } = require('./storage')
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, 'templates', 'email')
+const EMAIL_TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR ||
+    (DATABASE_PATH === ':memory:'
+        ? path.join(__dirname, 'data', 'email-templates')
+        : path.join(path.dirname(DATABASE_PATH), 'email-templates'))
+
+// Inline styles per warning severity; email clients ignore most <style> rules
+const SEVERITY_STYLES = {
+    high: { label: 'High', color: '#b91c1c', background: '#fef2f2', border: '#dc2626' },
+    medium: { label: 'Medium', color: '#b45309', background: '#fffbeb', border: '#f59e0b' },
+    low: { label: 'Low', color: '#1d4ed8', background: '#eff6ff', border: '#3b82f6' }
+}
+const NEUTRAL_STYLE = { label: 'None', color: '#475569', background: '#ffffff', border: '#e2e8f0' }
+
+const TAG_PATTERN = /\{\{(\{[^}]*\}|[^}]*)\}\}/g
+// Parsed templates by file path, reused until the file's mtime changes
+const templateCache = new Map()
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
+
+function isBlank(text) {
+    return /^[ \t]*$/.test(text)
+}
+
+function parseTemplate(source) {
+    const root = { children: [] }
+    const stack = [root]
+    let cursor = 0
+    let match
+
+    TAG_PATTERN.lastIndex = 0
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        let text = source.slice(cursor, match.index)
+        let end = TAG_PATTERN.lastIndex
+        const raw = match[1]
+        const sigil = raw.startsWith('{') ? '{' : raw.trim()[0]
+        const isStandaloneType = sigil === '#' || sigil === '^' || sigil === '/' || sigil === '!'
+
+        if (isStandaloneType) {
+            const lineStart = text.lastIndexOf('\n') + 1
+            const lineEnd = source.indexOf('\n', end)
+            const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd)
+            const startsLine = lineStart > 0 || cursor === 0 || source[cursor - 1] === '\n'
+            if (startsLine && isBlank(text.slice(lineStart)) && isBlank(after)) {
+                text = text.slice(0, lineStart)
+                end = lineEnd === -1 ? source.length : lineEnd + 1
+                TAG_PATTERN.lastIndex = end
+            }
+        }
+
+        const current = stack[stack.length - 1]
+        if (text) current.children.push({ type: 'text', text })
+        cursor = end
+
+        if (sigil === '{') {
+            current.children.push({ type: 'value', name: raw.slice(1, -1).trim(), escape: false })
+        } else if (sigil === '#' || sigil === '^') {
+            const section = { type: sigil === '#' ? 'section' : 'inverted', name: raw.trim().slice(1).trim(), children: [] }
+            current.children.push(section)
+            stack.push(section)
+        } else if (sigil === '/') {
+            const name = raw.trim().slice(1).trim()
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}}`)
+            }
+            stack.pop()
+        } else if (sigil !== '!') {
+            current.children.push({ type: 'value', name: raw.trim(), escape: true })
+        }
+    }
+
+    if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}}`)
+    const rest = source.slice(cursor)
+    if (rest) root.children.push({ type: 'text', text: rest })
+    return root.children
+}
+
+function lookup(contexts, name) {
+    if (name === '.') return contexts[contexts.length - 1]
+    const [head, ...rest] = name.split('.')
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i]
+        if (context && typeof context === 'object' && head in context) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head])
+        }
+    }
+    return undefined
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0)
+}
+
+function renderNodes(nodes, contexts, escape) {
+    let output = ''
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.text
+        } else if (node.type === 'value') {
+            const value = lookup(contexts, node.name)
+            if (value === undefined || value === null) continue
+            output += node.escape && escape ? escapeHtml(value) : String(value)
+        } else if (node.type === 'section') {
+            const value = lookup(contexts, node.name)
+            if (isEmpty(value)) continue
+            const items = Array.isArray(value) ? value : [value]
+            for (const item of items) {
+                output += renderNodes(node.children, item === true ? contexts : [...contexts, item], escape)
+            }
+        } else if (node.type === 'inverted') {
+            if (isEmpty(lookup(contexts, node.name))) output += renderNodes(node.children, contexts, escape)
+        }
+    }
+    return output
+}
+
+// Override directory first, then the built-in copy. Returns { file, nodes } or null.
+function loadTemplate(fileName) {
+    for (const dir of [EMAIL_TEMPLATES_DIR, BUILT_IN_TEMPLATES_DIR]) {
+        const file = path.join(dir, fileName)
+        let stat = null
+        try {
+            stat = fs.statSync(file)
+        } catch {
+            continue
+        }
+        const cached = templateCache.get(file)
+        if (cached && cached.mtimeMs === stat.mtimeMs) return cached
+
+        const entry = { file, mtimeMs: stat.mtimeMs, nodes: parseTemplate(fs.readFileSync(file, 'utf8')) }
+        templateCache.set(file, entry)
+        if (dir === EMAIL_TEMPLATES_DIR) console.log('Email template loaded from override:', file)
+        return entry
+    }
+    return null
+}
+
+/**
+ * Render a template pair. Returns { html, text } (html is null when the template has no
+ * .html file), or null if the template is missing or broken.
+ */
+function renderEmailTemplate(name, view) {
+    try {
+        const text = loadTemplate(`${name}.txt`)
+        if (!text) throw new Error('no .txt template found')
+        const html = loadTemplate(`${name}.html`)
+        return {
+            html: html ? renderNodes(html.nodes, [view], true) : null,
+            text: renderNodes(text.nodes, [view], false)
+        }
+    } catch (err) {
+        console.error(`Email template ${name} failed:`, err.message)
+        return null
+    }
+}
+
+/**
+ * Template data for a vessel report (see notificationChannels.js for its shape).
+ * mapSrc is the route map image's src: a cid: reference or a URL.
+ */
+function buildReportView(report, { mapSrc = null } = {}) {
+    const voyage = report.voyage || null
+    const warnings = (report.warnings || []).map(warning => ({
+        ...warning,
+        style: SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.medium
+    }))
+    const progress = Number.isFinite(voyage?.progressPercent) ? Math.round(voyage.progressPercent) : null
+
+    return {
+        ...report,
+        vessel: { ...report.vessel, name: report.vessel.name || 'Unknown', mmsi: report.vessel.mmsi || 'N/A' },
+        sections: report.sections.map(section => ({
+            ...section,
+            titleUpper: section.title.toUpperCase(),
+            bullet: section.bullet || '-',
+            warning: section.tone === 'warning'
+        })),
+        voyage: voyage && {
+            ...voyage,
+            origin: voyage.origin || 'Port of loading',
+            destination: voyage.destination || 'Port of discharge',
+            hasProgress: progress !== null,
+            progressPercent: progress,
+            // Both cells of the progress bar need a width; 0% or 100% would collapse one
+            progressWidth: progress === null ? null : Math.min(Math.max(progress, 1), 99),
+            remainingWidth: progress === null ? null : 100 - Math.min(Math.max(progress, 1), 99)
+        },
+        warnings,
+        hasWarnings: warnings.length > 0,
+        mapSrc
+    }
+}
+
+// Template data for a daily digest (see buildDigestReport in digests.js)
+function buildDigestView(digestReport) {
+    return {
+        ...digestReport,
+        count: digestReport.rows.length,
+        rows: digestReport.rows.map((row, index) => ({
+            ...row,
+            position: index + 1,
+            hasProgress: row.progressPercent !== null,
+            style: SEVERITY_STYLES[row.urgency] || NEUTRAL_STYLE,
+            // Later is bad news, earlier is good news
+            deltaColor: row.deltaMinutes > 0 ? '#b45309' : row.deltaMinutes < 0 ? '#15803d' : '#475569',
+            warnings: row.warnings.map(warning => ({
+                ...warning,
+                style: SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.medium
+            }))
+        }))
+    }
+}
+
+module.exports = {
+    EMAIL_TEMPLATES_DIR,
+    renderEmailTemplate,
+    buildReportView,
+    buildDigestView
+}
@@ -0,0 +1,50 @@
+/**
+ * Gemini Extraction Backend
+ * Reads shipping documents from text or straight from the PDF bytes via the Google Generative AI API.
+ *
+ * Configuration:
+ *   GEMINI_API_KEY - enables the backend
+ *   GEMINI_MODEL - model id (default gemini-3-flash-preview)
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai')
+const { getExtractionSpec, EXTRACTION_MAX_OUTPUT_TOKENS, EXTRACTION_MAX_TEXT_CHARS } = require('./schema')
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-3-flash-preview'
+
+const genAI = process.env.GEMINI_API_KEY
+    ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+    : null
+
+async function generate(parts, { timeoutMs }) {
+    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL })
+    const result = await model.generateContent({
+        contents: [{ role: 'user', parts }],
+        generationConfig: {
+            temperature: 0,
+            maxOutputTokens: EXTRACTION_MAX_OUTPUT_TOKENS,
+            responseMimeType: 'application/json'
+        }
+    }, { timeout: timeoutMs })
+    return result.response.text()
+}
+
+function extractText(text, options) {
+    const { prompt } = getExtractionSpec(options.documentType)
+    return generate([{ text: `${prompt}\n\nDocument text:\n${text.substring(0, EXTRACTION_MAX_TEXT_CHARS)}` }], options)
+}
+
+function extractPdf(pdfBuffer, options) {
+    return generate([
+        { inlineData: { mimeType: 'application/pdf', data: pdfBuffer.toString('base64') } },
+        { text: getExtractionSpec(options.documentType).prompt }
+    ], options)
+}
+
+module.exports = {
+    id: 'gemini',
+    name: `Gemini (${GEMINI_MODEL})`,
+    isConfigured: () => !!genAI,
+    extractText,
+    extractPdf
+}
@@ -0,0 +1,145 @@
+/**
+ * Document Extraction Backend Registry
+ * Each backend implements extractText(text, { timeoutMs, documentType }) and optionally
+ * extractPdf(buffer, { timeoutMs, documentType }), resolving to the model's raw JSON text
+ * for that document type's prompt and schema (see schema.js).
+ * Backends are tried in the configured order; a backend that is unconfigured, throws,
+ * times out or returns output that fails the schema is skipped for the next one.
+ *
+ * Configuration:
+ *   EXTRACTION_PROVIDERS - comma-separated backend ids in priority order
+ *     (built in: local-llm, openai, gemini; "none" disables LLM extraction).
+ *     List only local-llm to keep documents on your own network.
+ *   EXTRACTION_TIMEOUT_MS - default per-call timeout
+ *   <ID>_TIMEOUT_MS - per-backend override, e.g. LOCAL_LLM_TIMEOUT_MS
+ *   EXTRACTION_SECOND_OPINION - also ask the next configured backend and return its
+ *     answer as an alternate, so disagreements between models can be flagged
+ */
+
+const openai = require('./openai')
+const gemini = require('./gemini')
+const { createOpenAICompatibleExtractor } = require('./openaiCompatible')
+const { parseJsonResponse, validateExtraction } = require('./schema')
+const { isUsableExtraction } = require('../documentTypes')
+const { withTimeout } = require('../timeouts')
+
+const DEFAULT_EXTRACTION_TIMEOUT_MS = Number(process.env.EXTRACTION_TIMEOUT_MS || 120000)
+const EXTRACTION_SECOND_OPINION = process.env.EXTRACTION_SECOND_OPINION === 'true'
+
+// A configured local endpoint goes first; the hosted APIs keep their existing order
+const DEFAULT_ORDER = ['local-llm', 'openai', 'gemini']
+
+const extractors = new Map()
+
+function registerExtractor(extractor) {
+    if (!extractor?.id) throw new Error('Extractor id required')
+    extractors.set(extractor.id, extractor)
+}
+
+function getExtractorEnvKey(extractor, suffix) {
+    return `${extractor.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${suffix}`
+}
+
+function getExtractorTimeout(extractor) {
+    const configured = Number(process.env[getExtractorEnvKey(extractor, 'TIMEOUT_MS')] || extractor.timeoutMs)
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_EXTRACTION_TIMEOUT_MS
+}
+
+function getExtractorOrder(method) {
+    const configured = process.env.EXTRACTION_PROVIDERS
+    const ids = configured
+        ? configured.split(',').map(id => id.trim().toLowerCase()).filter(id => id && id !== 'none')
+        : DEFAULT_ORDER
+    return ids
+        .map(id => extractors.get(id))
+        .filter(extractor => extractor && extractor.isConfigured() && typeof extractor[method] === 'function')
+}
+
+async function callExtractor(extractor, method, input, documentType) {
+    const timeoutMs = getExtractorTimeout(extractor)
+    try {
+        const content = await withTimeout(
+            Promise.resolve(extractor[method](input, { timeoutMs, documentType })),
+            timeoutMs,
+            `${extractor.id}.${method}`
+        )
+        const validation = validateExtraction(parseJsonResponse(content), documentType)
+        if (!validation.ok) {
+            console.error(`Extractor ${extractor.id}.${method} returned invalid output:`, validation.errors.slice(0, 5).join('; '))
+            return null
+        }
+        console.log(`${extractor.name} extracted:`, validation.details)
+        return validation.details
+    } catch (err) {
+        console.error(`Extractor ${extractor.id}.${method} failed:`, err.message)
+        return null
+    }
+}
+
+// Walk backends until one returns something usable for the document type (a vessel on
+// a BL, an invoice number on an invoice, ...); { details, provider, mode, alternates } or null
+async function runInOrder(method, input, documentType) {
+    const order = getExtractorOrder(method)
+    const mode = method === 'extractPdf' ? 'pdf' : 'text'
+    for (let i = 0; i < order.length; i++) {
+        const details = await callExtractor(order[i], method, input, documentType)
+        if (!isUsableExtraction(documentType, details)) continue
+
+        const alternates = []
+        if (EXTRACTION_SECOND_OPINION) {
+            for (const other of order.slice(i + 1)) {
+                const alternate = await callExtractor(other, method, input, documentType)
+                if (isUsableExtraction(documentType, alternate)) {
+                    alternates.push({ provider: other.id, details: alternate })
+                    break
+                }
+            }
+        }
+        return { details, provider: order[i].id, mode, alternates }
+    }
+    return null
+}
+
+// options.documentType - a documentTypes.js id; defaults to a Bill of Lading
+async function extractFromText(text, { documentType } = {}) {
+    if (!text || text.trim().length < 50) return null
+    return runInOrder('extractText', text, documentType)
+}
+
+// Backends that read PDFs directly come first; the text layer is the last resort
+async function extractFromPdf(pdfBuffer, text = '', { documentType } = {}) {
+    const result = await runInOrder('extractPdf', pdfBuffer, documentType)
+    if (result) return result
+    return extractFromText(text, { documentType })
+}
+
+function isConfigured() {
+    return getExtractorOrder('extractText').length > 0 || getExtractorOrder('extractPdf').length > 0
+}
+
+function listExtractors() {
+    return {
+        text: getExtractorOrder('extractText').map(e => e.id),
+        pdf: getExtractorOrder('extractPdf').map(e => e.id),
+        secondOpinion: EXTRACTION_SECOND_OPINION
+    }
+}
+
+registerExtractor(createOpenAICompatibleExtractor({
+    id: 'local-llm',
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL,
+    responseFormat: process.env.LOCAL_LLM_RESPONSE_FORMAT
+}))
+registerExtractor(openai)
+registerExtractor(gemini)
+
+module.exports = {
+    registerExtractor,
+    createOpenAICompatibleExtractor,
+    extractFromText,
+    extractFromPdf,
+    isConfigured,
+    listExtractors
+}
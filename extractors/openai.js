@@ -0,0 +1,65 @@
+/**
+ * OpenAI Extraction Backend
+ * Uses the Responses API with structured output; PDFs are uploaded as input files
+ * and deleted again once read.
+ *
+ * Configuration:
+ *   OPENAI_API_KEY - enables the backend
+ *   OPENAI_MODEL - model id (default gpt-5.2)
+ */
+
+const { OpenAI, toFile } = require('openai')
+const { getExtractionSpec, EXTRACTION_MAX_OUTPUT_TOKENS, EXTRACTION_MAX_TEXT_CHARS } = require('./schema')
+
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5.2'
+
+const openai = process.env.OPENAI_API_KEY
+    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+    : null
+
+async function respond(content, { timeoutMs, documentType }) {
+    const { name, schema } = getExtractionSpec(documentType)
+    const response = await openai.responses.create({
+        model: OPENAI_MODEL,
+        input: [{ role: 'user', content }],
+        max_output_tokens: EXTRACTION_MAX_OUTPUT_TOKENS,
+        temperature: 0,
+        text: {
+            format: { type: 'json_schema', name, schema, strict: true }
+        }
+    }, { timeout: timeoutMs, maxRetries: 0 })
+    return response.output_text
+}
+
+function extractText(text, options) {
+    const { prompt } = getExtractionSpec(options.documentType)
+    return respond([
+        { type: 'input_text', text: `${prompt}\n\nDocument text:\n${text.substring(0, EXTRACTION_MAX_TEXT_CHARS)}` }
+    ], options)
+}
+
+async function extractPdf(pdfBuffer, options) {
+    const { name, prompt } = getExtractionSpec(options.documentType)
+    const file = await openai.files.create({
+        file: await toFile(pdfBuffer, `${name}.pdf`, { type: 'application/pdf' }),
+        purpose: 'assistants'
+    }, { timeout: options.timeoutMs })
+
+    try {
+        return await respond([
+            { type: 'input_file', file_id: file.id },
+            { type: 'input_text', text: prompt }
+        ], options)
+    } finally {
+        openai.files.delete(file.id)
+            .catch(err => console.error('OpenAI file cleanup failed:', err.message))
+    }
+}
+
+module.exports = {
+    id: 'openai',
+    name: `OpenAI (${OPENAI_MODEL})`,
+    isConfigured: () => !!openai,
+    extractText,
+    extractPdf
+}
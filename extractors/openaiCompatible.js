@@ -0,0 +1,58 @@
+/**
+ * OpenAI-compatible Extraction Backend
+ * Talks to any server exposing /v1/chat/completions - Ollama, vLLM, LM Studio, llama.cpp -
+ * so document contents can stay on the local network. Text only: the PDF text layer is sent,
+ * never the file.
+ *
+ * Configuration (for the built-in "local-llm" instance):
+ *   LOCAL_LLM_BASE_URL - e.g. http://localhost:11434/v1 (Ollama) or http://vllm:8000/v1
+ *   LOCAL_LLM_MODEL - model name as the server knows it
+ *   LOCAL_LLM_API_KEY - only if the server checks one
+ *   LOCAL_LLM_RESPONSE_FORMAT - json_schema (default), json_object or none,
+ *     for servers without structured-output support
+ */
+
+const { OpenAI } = require('openai')
+const { getExtractionSpec, EXTRACTION_MAX_OUTPUT_TOKENS, EXTRACTION_MAX_TEXT_CHARS } = require('./schema')
+
+const RESPONSE_FORMATS = {
+    json_schema: ({ name, schema }) => ({ type: 'json_schema', json_schema: { name, schema, strict: true } }),
+    json_object: () => ({ type: 'json_object' }),
+    none: () => null
+}
+
+function createOpenAICompatibleExtractor({ id, name, baseURL, apiKey, model, responseFormat = 'json_schema' }) {
+    if (!id) throw new Error('Extractor id required')
+    const buildFormat = RESPONSE_FORMATS[responseFormat] || RESPONSE_FORMATS.json_schema
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    const client = baseURL && model
+        ? new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' })
+        : null
+
+    async function extractText(text, { timeoutMs, documentType }) {
+        const spec = getExtractionSpec(documentType)
+        const format = buildFormat(spec)
+        const completion = await client.chat.completions.create({
+            model,
+            messages: [
+                { role: 'system', content: spec.prompt },
+                { role: 'user', content: `Document text:\n${text.substring(0, EXTRACTION_MAX_TEXT_CHARS)}` }
+            ],
+            temperature: 0,
+            max_tokens: EXTRACTION_MAX_OUTPUT_TOKENS,
+            ...(format ? { response_format: format } : {})
+        }, { timeout: timeoutMs, maxRetries: 0 })
+        return completion.choices?.[0]?.message?.content
+    }
+
+    return {
+        id,
+        name: name || `${id} (${model || 'no model'})`,
+        isConfigured: () => !!client,
+        extractText
+    }
+}
+
+module.exports = {
+    createOpenAICompatibleExtractor
+}
@@ -0,0 +1,218 @@
+/**
+ * Extraction Prompts and Output Schemas
+ * Built per document type from documentTypes.js and shared by every LLM backend, so they
+ * are asked the same question and held to the same answer shape, whichever model answered.
+ */
+
+const { getDocumentType } = require('../documentTypes')
+
+// What each field means, as the model is told
+const FIELD_DESCRIPTIONS = {
+    vessel: 'vessel/ship name',
+    voyage: 'voyage number',
+    portOfLoading: 'port of loading (POL)',
+    portOfDischarge: 'port of discharge (POD)',
+    finalDestination: 'final place of delivery (if different from POD)',
+    eta: 'estimated arrival date or shipped on board date',
+    blNumber: 'bill of lading number',
+    shipper: 'shipper/exporter name',
+    consignee: 'consignee name',
+    mmsi: '9-digit MMSI number if visible',
+    carrier: 'shipping line/carrier name (e.g., Maersk, MSC, CMA CGM, Hapag-Lloyd, OOCL, Evergreen, ONE, Yang Ming, Cosco, PIL)',
+    bookingNumber: 'booking or reference number if different from BL number',
+    containerNumber: 'first container number (e.g., MSKU1234567)',
+    lastFreeDay: 'last free day before demurrage/storage charges',
+    freeTimeDays: 'free days at the terminal as a number',
+    terminal: 'discharge terminal or pickup location',
+    etd: 'estimated departure date',
+    cargoCutoff: 'cargo/CY cut-off date and time',
+    documentCutoff: 'documentation (SI/VGM) cut-off date and time',
+    equipment: 'containers booked, e.g. 2 x 40HC',
+    invoiceNumber: 'invoice number',
+    invoiceDate: 'invoice date',
+    currency: 'invoice currency code',
+    totalValue: 'invoice total as a number',
+    incoterms: 'incoterms with place (e.g., FOB Shanghai)',
+    packingListNumber: 'packing list number',
+    packageType: 'package kind (e.g., CARTONS, PALLETS, BAGS)',
+    totalPackages: 'total number of packages as a number',
+    totalGrossWeightKg: 'total gross weight in kilograms as a number',
+    totalMeasurementCbm: 'total volume in cubic metres as a number'
+}
+
+const CONTAINERS_DESCRIPTION = `  "containers": [
+    {
+      "containerNumber": "container number (4 letters + 7 digits)",
+      "sizeType": "size/type code (e.g., 20GP, 40HC, 45G1)",
+      "sealNumber": "seal number(s), separated by / if several",
+      "packages": "number of packages as a number",
+      "packageType": "package kind (e.g., CARTONS, PALLETS, BAGS)",
+      "grossWeightKg": "gross weight in kilograms as a number",
+      "measurementCbm": "volume in cubic metres as a number"
+    }
+  ]`
+
+const COMMON_RULES = [
+    'Extract the actual port/city names, not labels',
+    'Vessel name should be just the ship name without voyage number',
+    'Carrier can often be identified from the document header/logo, BL number prefix, or stated shipping line',
+    'Common BL prefixes: MAEU/MSKU=Maersk, MSCU=MSC, CMAU=CMA CGM, HLCU=Hapag-Lloyd, OOLU=OOCL, EISU=Evergreen, ONEY=ONE',
+    'Convert weights given in tonnes or pounds to kilograms',
+    'Return ONLY valid JSON, no markdown code blocks, no explanation'
+]
+
+function buildPrompt(type) {
+    const fields = [...type.textFields, ...type.numberFields]
+        .map(field => `  "${field}": "${FIELD_DESCRIPTIONS[field] || field}"`)
+    return `You are a shipping document parser. This document is a ${type.label}.
+Extract vessel and shipping details from this document.
+
+Return ONLY a valid JSON object with these fields (use null for missing values):
+{
+${[...fields, CONTAINERS_DESCRIPTION].join(',\n')}
+}
+
+Important rules:
+${[...type.instructions, ...COMMON_RULES].map(rule => `- ${rule}`).join('\n')}`
+}
+
+// BLs with dozens of containers need room for the full container list
+const EXTRACTION_MAX_OUTPUT_TOKENS = 8000
+
+// Text sent to text-only backends is capped to keep prompts inside small context windows
+const EXTRACTION_MAX_TEXT_CHARS = 15000
+
+const CONTAINER_TEXT_FIELDS = ['containerNumber', 'sizeType', 'sealNumber', 'packageType']
+const CONTAINER_NUMBER_FIELDS = ['packages', 'grossWeightKg', 'measurementCbm']
+
+const nullable = type => ({ type: [type, 'null'] })
+
+// JSON Schema in the strict subset structured-output APIs accept:
+// every property required, nulls for gaps, no extra keys
+function buildSchema(type) {
+    return {
+        type: 'object',
+        additionalProperties: false,
+        required: [...type.textFields, ...type.numberFields, 'containers'],
+        properties: {
+            ...Object.fromEntries(type.textFields.map(field => [field, nullable('string')])),
+            ...Object.fromEntries(type.numberFields.map(field => [field, nullable('number')])),
+            containers: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    required: [...CONTAINER_TEXT_FIELDS, ...CONTAINER_NUMBER_FIELDS],
+                    properties: {
+                        ...Object.fromEntries(CONTAINER_TEXT_FIELDS.map(field => [field, nullable('string')])),
+                        ...Object.fromEntries(CONTAINER_NUMBER_FIELDS.map(field => [field, nullable('number')]))
+                    }
+                }
+            }
+        }
+    }
+}
+
+const specs = new Map()
+
+/**
+ * Prompt and schema for a document type: { typeId, name, prompt, schema }.
+ * Unknown types get the Bill of Lading spec.
+ */
+function getExtractionSpec(documentType) {
+    const type = getDocumentType(documentType)
+    if (!specs.has(type.id)) {
+        specs.set(type.id, {
+            typeId: type.id,
+            name: type.id.replace(/-/g, '_'),
+            prompt: buildPrompt(type),
+            schema: buildSchema(type),
+            textFields: type.textFields,
+            numberFields: type.numberFields
+        })
+    }
+    return specs.get(type.id)
+}
+
+// Models wrap JSON in markdown fences even when told not to
+function parseJsonResponse(content) {
+    const cleaned = (content || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
+    if (!cleaned) return null
+    return JSON.parse(cleaned)
+}
+
+function coerceText(value) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'string' || typeof value === 'number') return value.toString().trim() || null
+    return undefined
+}
+
+function coerceNumber(value) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined
+    if (typeof value === 'string') {
+        const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/)
+        return match ? Number(match[0]) : null
+    }
+    return undefined
+}
+
+/**
+ * Check a parsed model response against a document type's schema.
+ * Returns { ok: true, details } with unknown keys dropped and numbers-as-strings coerced,
+ * or { ok: false, errors }.
+ */
+function validateExtraction(parsed, documentType) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { ok: false, errors: ['response is not a JSON object'] }
+    }
+
+    const { textFields, numberFields } = getExtractionSpec(documentType)
+    const errors = []
+    const details = {}
+    textFields.forEach((field) => {
+        const value = coerceText(parsed[field])
+        if (value === undefined) errors.push(`${field} must be a string or null`)
+        else details[field] = value
+    })
+    numberFields.forEach((field) => {
+        const value = coerceNumber(parsed[field])
+        if (value === undefined) errors.push(`${field} must be a number or null`)
+        else details[field] = value
+    })
+
+    const containers = parsed.containers ?? []
+    if (!Array.isArray(containers)) {
+        errors.push('containers must be an array')
+    } else {
+        details.containers = []
+        containers.forEach((container, index) => {
+            if (!container || typeof container !== 'object') {
+                errors.push(`containers[${index}] must be an object`)
+                return
+            }
+            const entry = {}
+            CONTAINER_TEXT_FIELDS.forEach((field) => {
+                const value = coerceText(container[field])
+                if (value === undefined) errors.push(`containers[${index}].${field} must be a string or null`)
+                else entry[field] = value
+            })
+            CONTAINER_NUMBER_FIELDS.forEach((field) => {
+                const value = coerceNumber(container[field])
+                if (value === undefined) errors.push(`containers[${index}].${field} must be a number or null`)
+                else entry[field] = value
+            })
+            details.containers.push(entry)
+        })
+    }
+
+    return errors.length > 0 ? { ok: false, errors } : { ok: true, details }
+}
+
+module.exports = {
+    getExtractionSpec,
+    EXTRACTION_MAX_OUTPUT_TOKENS,
+    EXTRACTION_MAX_TEXT_CHARS,
+    parseJsonResponse,
+    validateExtraction
+}
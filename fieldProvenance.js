@@ -0,0 +1,214 @@
+/**
+ * Extracted Field Provenance
+ * Scores each extracted BL field and records where it came from: the backend that
+ * produced it, whether another reader (the rule-based pass or a second model) agreed,
+ * and where in the document text it was found. Reviewers use this to decide which
+ * values to double-check before an import is committed.
+ */
+
+const { valuesAgree } = require('./blExtractor')
+const { detectCarrier } = require('./carrierTracking')
+
+// Below this a field is highlighted on the review form
+const LOW_CONFIDENCE_THRESHOLD = 0.6
+
+// Starting confidence by how the value was read
+const BASE_CONFIDENCE = {
+    'ai-text': 0.7,
+    'ai-vision': 0.6,
+    rules: 0.6,
+    'text-scan': 0.3
+}
+
+const FOUND_IN_TEXT_BONUS = 0.15
+const NOT_IN_TEXT_PENALTY = 0.2
+const CROSS_VALIDATED_BONUS = 0.2
+// Two readers disagreeing caps confidence no matter how sure either was
+const CONFLICT_CEILING = 0.35
+
+const SNIPPET_MAX_CHARS = 160
+
+// Carrier is usually inferred from a logo or BL prefix rather than printed, and an
+// MMSI is validated by format instead
+const TEXT_CHECK_EXEMPT = ['carrier', 'mmsi']
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Find a value in the PDF text, tolerating spacing and punctuation differences.
+// pageStarts - offset in the text where each page begins (see parsePdf in server.js);
+// without it the page is unknown.
+function locateInText(text, value, pageStarts = null) {
+    if (!text || !value) return null
+    const tokens = value.toString().split(/[^A-Za-z0-9]+/).filter(Boolean)
+    if (tokens.length === 0) return null
+
+    const match = new RegExp(tokens.map(escapeRegex).join('[^A-Za-z0-9]*'), 'i').exec(text)
+    if (!match) return null
+
+    const lineStart = text.lastIndexOf('\n', match.index) + 1
+    const lineEnd = text.indexOf('\n', match.index + match[0].length)
+    const line = text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).replace(/\s+/g, ' ').trim()
+    const page = pageStarts?.length ? pageStarts.filter(start => start <= match.index).length : 0
+    return {
+        snippet: line.length > SNIPPET_MAX_CHARS ? `${line.slice(0, SNIPPET_MAX_CHARS - 1)}…` : line,
+        page: page || null
+    }
+}
+
+function clamp(value) {
+    return Math.round(Math.min(Math.max(value, 0), 1) * 100) / 100
+}
+
+/**
+ * Build { field: { value, confidence, source, crossValidated, crossValidatedBy, snippet, page, conflicts, note } }
+ *
+ * details - final extracted details
+ * options.fields - fields to describe
+ * options.text - PDF text layer ('' for image-only documents)
+ * options.pageStarts - offset in text where each page begins, for page numbers
+ * options.extractionMethod - 'ai-text' | 'ai-vision' | 'rules' | 'none'
+ * options.provider - backend id that produced the details
+ * options.crossCheck - result of crossCheckExtraction against the rule-based pass
+ * options.alternates - [{ provider, details }] from second-opinion backends
+ */
+function buildFieldProvenance(details, options = {}) {
+    const {
+        fields = [],
+        text = '',
+        pageStarts = null,
+        extractionMethod = 'none',
+        provider = null,
+        crossCheck = null,
+        alternates = []
+    } = options
+    const provenance = {}
+
+    fields.forEach((field) => {
+        const value = details?.[field] ?? null
+        if (!value) {
+            provenance[field] = {
+                value: null,
+                confidence: 0,
+                source: null,
+                crossValidated: false,
+                crossValidatedBy: [],
+                snippet: null,
+                page: null,
+                conflicts: [],
+                note: null
+            }
+            return
+        }
+
+        let method = extractionMethod
+        let source = provider || extractionMethod
+        if (extractionMethod === 'rules' || crossCheck?.filled?.includes(field)) {
+            method = 'rules'
+            source = 'rules'
+        }
+        if (field === 'mmsi' && details.mmsiGuessed) {
+            method = 'text-scan'
+            source = 'text-scan'
+        }
+
+        const crossValidatedBy = []
+        const conflicts = []
+        if (source !== 'rules' && crossCheck?.agreed?.includes(field)) crossValidatedBy.push('rules')
+        if (crossCheck?.disagreements?.[field]) {
+            conflicts.push({ source: 'rules', value: crossCheck.disagreements[field] })
+        }
+        alternates.forEach((alternate) => {
+            const other = alternate.details?.[field]
+            if (!other) return
+            if (valuesAgree(value, other)) crossValidatedBy.push(alternate.provider)
+            else conflicts.push({ source: alternate.provider, value: other })
+        })
+
+        const location = locateInText(text, value, pageStarts)
+        let confidence = BASE_CONFIDENCE[method] ?? 0.5
+        let note = null
+
+        if (text && !TEXT_CHECK_EXEMPT.includes(field)) {
+            if (location) confidence += FOUND_IN_TEXT_BONUS
+            else {
+                confidence -= NOT_IN_TEXT_PENALTY
+                note = 'not found in document text'
+            }
+        }
+        if (crossValidatedBy.length > 0) confidence += CROSS_VALIDATED_BONUS
+
+        if (field === 'mmsi' && !/^\d{9}$/.test(value.toString())) {
+            confidence = Math.min(confidence, 0.1)
+            note = 'not a 9-digit MMSI'
+        } else if (method === 'text-scan') {
+            note = 'guessed from a 9-digit number in the text'
+        }
+
+        // A BL prefix that belongs to a different carrier means one of the two is wrong
+        if (field === 'carrier' && details.blNumber) {
+            const fromBl = detectCarrier({ blNumber: details.blNumber })
+            const fromName = detectCarrier({ carrier: value })
+            if (fromBl && fromName && fromBl.id !== fromName.id) {
+                conflicts.push({ source: 'bl-prefix', value: fromBl.name })
+            }
+        }
+
+        if (conflicts.length > 0) {
+            confidence = Math.min(confidence, CONFLICT_CEILING)
+            note = `${conflicts[0].source} read "${conflicts[0].value}"`
+        }
+
+        provenance[field] = {
+            value,
+            confidence: clamp(confidence),
+            source,
+            crossValidated: crossValidatedBy.length > 0,
+            crossValidatedBy,
+            snippet: location?.snippet || null,
+            page: location?.page || null,
+            conflicts,
+            note
+        }
+    })
+
+    return provenance
+}
+
+// Provenance for a value found by a lookup after extraction, e.g. an MMSI searched by vessel name
+function createLookupProvenance(value, source, { confidence = 0.5, note = null } = {}) {
+    return {
+        value,
+        confidence,
+        source,
+        crossValidated: false,
+        crossValidatedBy: [],
+        snippet: null,
+        page: null,
+        conflicts: [],
+        note
+    }
+}
+
+// Fields a reviewer should look at: { field: reason }
+function getLowConfidenceFields(provenance, requiredFields = []) {
+    const flags = {}
+    Object.entries(provenance).forEach(([field, entry]) => {
+        if (!entry.value) {
+            if (field === 'mmsi') flags[field] = 'not on document; will be looked up by vessel name'
+            else if (requiredFields.includes(field)) flags[field] = 'not found on document'
+            return
+        }
+        if (entry.confidence < LOW_CONFIDENCE_THRESHOLD) flags[field] = entry.note || 'low confidence'
+    })
+    return flags
+}
+
+module.exports = {
+    buildFieldProvenance,
+    getLowConfidenceFields,
+    createLookupProvenance,
+    locateInText,
+    LOW_CONFIDENCE_THRESHOLD
+}
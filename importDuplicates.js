@@ -0,0 +1,131 @@
+/**
+ * Duplicate and Amended BL Detection
+ * Before an import is committed, finds what it may repeat: earlier imports of the very
+ * same file (by content hash) and shipments already holding the same BL, booking or
+ * container numbers.
+ * For a matching shipment it lists what the new document changes field by field, so an
+ * amended BL (new POD, or a new vessel after a rollover) is visible before it is applied.
+ */
+
+const { importRepository, shipmentRepository } = require('./storage')
+const { valuesAgree } = require('./blExtractor')
+const { getDocumentType } = require('./documentTypes')
+
+// Shipment field -> extracted detail field
+const DIFF_FIELDS = {
+    vesselName: 'vessel',
+    voyage: 'voyage',
+    portOfLoading: 'portOfLoading',
+    portOfDischarge: 'portOfDischarge',
+    finalDestination: 'finalDestination',
+    carrier: 'carrier',
+    blNumber: 'blNumber',
+    bookingNumber: 'bookingNumber',
+    shipper: 'shipper',
+    consignee: 'consignee',
+    etd: 'etd',
+    eta: 'eta',
+    lastFreeDay: 'lastFreeDay',
+    freeTimeDays: 'freeTimeDays',
+    terminal: 'terminal',
+    cargoCutoff: 'cargoCutoff',
+    documentCutoff: 'documentCutoff'
+}
+
+/**
+ * Field-by-field changes from a stored shipment to newly extracted details.
+ * Only fields the document type carries are compared, so a BL's on-board date is not
+ * taken as a change to the ETA an arrival notice gave.
+ * Returns { changes: [{ field, previous, current }], containers: { added, removed } }.
+ * Fields the new document leaves blank are not treated as removed.
+ */
+function diffShipment(shipment, details, documentType) {
+    const { reviewFields } = getDocumentType(documentType)
+    const changes = []
+    Object.entries(DIFF_FIELDS).forEach(([field, detailField]) => {
+        if (!reviewFields.includes(detailField)) return
+        const previous = shipment[field] || null
+        const current = details[detailField] || null
+        if (!current || valuesAgree(previous, current)) return
+        changes.push({ field, previous, current })
+    })
+
+    const before = new Set((shipment.containers || []).map(c => c.containerNumber))
+    const after = new Set((details.containers || []).map(c => c.containerNumber))
+    const containers = {
+        added: [...after].filter(number => !before.has(number)),
+        // Only a document that lists containers can drop one
+        removed: after.size > 0 ? [...before].filter(number => !after.has(number)) : []
+    }
+
+    return { changes, containers }
+}
+
+/**
+ * Look for earlier imports and shipments this import repeats or adds to.
+ * Returns {
+ *   sameDocument: [{ importId, status, fileName, createdAt, shipmentId }],
+ *   shipments: [{ shipmentId, mmsi, vesselName, blNumber, bookingNumber, matchedBy, changes, containers }],
+ *   isAmendment - a matching shipment would change
+ * }
+ */
+function findDuplicates({ importId = null, fileHash = null, details = {}, documentType = null }) {
+    const sameDocument = fileHash
+        ? importRepository.list({ fileHash }).imports
+            .filter(entry => entry.id !== importId)
+            .map(entry => ({
+                importId: entry.id,
+                status: entry.status,
+                fileName: entry.fileName || null,
+                createdAt: entry.createdAt,
+                shipmentId: entry.shipmentId || null
+            }))
+        : []
+
+    const matches = new Map()
+    const addMatches = (shipments, matchedBy) => {
+        shipments.forEach((shipment) => {
+            const match = matches.get(shipment.id) || { shipment, matchedBy: [] }
+            match.matchedBy.push(matchedBy)
+            matches.set(shipment.id, match)
+        })
+    }
+    if (details.blNumber) addMatches(shipmentRepository.list({ blNumber: details.blNumber }), 'blNumber')
+    if (details.bookingNumber) addMatches(shipmentRepository.list({ bookingNumber: details.bookingNumber }), 'bookingNumber')
+    // Packing lists often carry only container numbers
+    if (matches.size === 0 && details.containers?.length > 0) {
+        const numbers = new Set(details.containers.map(c => c.containerNumber))
+        addMatches(
+            shipmentRepository.list().filter(shipment => (shipment.containers || []).some(c => numbers.has(c.containerNumber))),
+            'containerNumber'
+        )
+    }
+
+    const shipments = Array.from(matches.values()).map(({ shipment, matchedBy }) => ({
+        shipmentId: shipment.id,
+        mmsi: shipment.mmsi || null,
+        vesselName: shipment.vesselName || null,
+        blNumber: shipment.blNumber || null,
+        bookingNumber: shipment.bookingNumber || null,
+        matchedBy,
+        ...diffShipment(shipment, details, documentType)
+    }))
+
+    return {
+        sameDocument,
+        shipments,
+        isAmendment: shipments.some(match =>
+            match.changes.length > 0 || match.containers.added.length > 0 || match.containers.removed.length > 0
+        )
+    }
+}
+
+function hasDuplicates(duplicates) {
+    return !!duplicates && (duplicates.sameDocument.length > 0 || duplicates.shipments.length > 0)
+}
+
+module.exports = {
+    findDuplicates,
+    diffShipment,
+    hasDuplicates
+}
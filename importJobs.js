@@ -0,0 +1,189 @@
+/**
+ * Import Job Queue
+ * Runs BL imports in the background with bounded concurrency, so a batch upload returns
+ * straight away and clients poll each file's progress instead of holding a request open.
+ *
+ * Every file is an import from the moment it is uploaded: stored as 'queued' with its
+ * document, and turned into a draft once extracted. The job's state is kept on the import
+ * (`job`), so progress survives a restart and unfinished files are picked up again by resume().
+ *
+ * Job statuses: queued -> extracting -> resolving -> done | failed
+ *
+ * Configuration:
+ *   IMPORT_JOB_CONCURRENCY - files processed at once (default 2)
+ */
+
+const crypto = require('crypto')
+const { importRepository } = require('./storage')
+const { saveDocument, getDocument } = require('./documentStore')
+
+const IMPORT_JOB_CONCURRENCY = Math.max(Number(process.env.IMPORT_JOB_CONCURRENCY || 2), 1)
+
+const JOB_PROGRESS = {
+    queued: 0,
+    extracting: 25,
+    resolving: 75,
+    done: 100,
+    failed: 100
+}
+const UNFINISHED_JOB_STATUSES = ['queued', 'extracting', 'resolving']
+
+function createId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`
+}
+
+// What the API reports for a job; the import id doubles as the job id
+function toJob(entry) {
+    if (!entry?.job) return null
+    const { options, position, ...job } = entry.job
+    return {
+        id: entry.id,
+        batchId: entry.batchId,
+        fileName: entry.fileName || null,
+        size: entry.fileSize ?? null,
+        ...job,
+        importId: job.status === 'done' ? entry.id : null,
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+    }
+}
+
+/**
+ * runJob({ entry, buffer }, setStatus) - processes one file. entry is its import: still
+ *   'queued', or already a draft when a restart interrupted the lookup. buffer is the
+ *   uploaded file (null for a draft). Call setStatus('resolving') etc. as it moves on;
+ *   resolve to fields merged into the job.
+ */
+function createImportJobQueue({ runJob, concurrency = IMPORT_JOB_CONCURRENCY }) {
+    // Uploaded files held for this process's queue; after a restart they come from the document store
+    const buffers = new Map()
+    const pending = []
+    let running = 0
+
+    // Returns the updated import, or null once it has been discarded
+    function updateJob(id, changes, entryChanges = {}) {
+        const entry = importRepository.get(id)
+        if (!entry) return null
+        const job = { ...entry.job, ...changes }
+        job.progress = JOB_PROGRESS[job.status] ?? job.progress
+        return importRepository.update(id, { ...entryChanges, job })
+    }
+
+    async function readUpload(id, entry) {
+        if (buffers.has(id)) return buffers.get(id)
+        if (!entry.document?.key) return null
+        try {
+            return await getDocument(entry.document.key)
+        } catch (err) {
+            console.error(`Import job ${id} could not read its document:`, err.message)
+            return null
+        }
+    }
+
+    async function run(id) {
+        running += 1
+        try {
+            const entry = updateJob(id, { status: 'extracting', startedAt: new Date().toISOString() })
+            if (!entry) return
+            const buffer = entry.status === 'queued' ? await readUpload(id, entry) : null
+            if (entry.status === 'queued' && !buffer) throw new Error('The uploaded file is no longer available. Upload it again.')
+
+            const result = await runJob({ entry, buffer }, status => updateJob(id, { status }))
+            updateJob(id, { ...result, status: 'done', finishedAt: new Date().toISOString() })
+        } catch (err) {
+            const entry = importRepository.get(id)
+            console.error(`Import job ${id} (${entry?.fileName}) failed:`, err.message)
+            // A file that already became a draft stays reviewable
+            updateJob(id, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() },
+                entry?.status === 'queued' ? { status: 'failed' } : {})
+        } finally {
+            buffers.delete(id)
+            running -= 1
+            drain()
+        }
+    }
+
+    function drain() {
+        while (running < concurrency && pending.length > 0) {
+            run(pending.shift())
+        }
+    }
+
+    /**
+     * files: [{ fileName, buffer, options }] or [{ fileName, error }] for files rejected up
+     * front. options ({ uploadedBy, uploaderIp, documentType }) are kept for the extraction.
+     */
+    async function enqueue(files) {
+        const batchId = createId('batch')
+        const created = []
+        for (const [position, file] of files.entries()) {
+            // Stored first, so the file can still be extracted after a restart
+            let document = null
+            if (!file.error) {
+                try {
+                    document = await saveDocument(file.buffer)
+                } catch (err) {
+                    console.error('Document store error:', err.message)
+                }
+            }
+
+            const status = file.error ? 'failed' : 'queued'
+            const entry = importRepository.create({
+                status,
+                batchId,
+                fileName: file.fileName,
+                fileHash: document?.hash || null,
+                fileSize: file.buffer?.length ?? null,
+                document: document && { key: document.key, store: document.store },
+                uploadedBy: file.options?.uploadedBy || null,
+                uploaderIp: file.options?.uploaderIp || null,
+                job: {
+                    status,
+                    progress: JOB_PROGRESS[status],
+                    error: file.error || null,
+                    position,
+                    options: file.options || {},
+                    finishedAt: file.error ? new Date().toISOString() : null
+                }
+            })
+            if (!file.error) {
+                buffers.set(entry.id, file.buffer)
+                pending.push(entry.id)
+            }
+            created.push(toJob(entry))
+        }
+        drain()
+        return { batchId, jobs: created }
+    }
+
+    // Queue again the files a restart interrupted, in upload order
+    function resume() {
+        const unfinished = importRepository.listByJobStatus(UNFINISHED_JOB_STATUSES)
+        unfinished.forEach((entry) => {
+            if (!pending.includes(entry.id)) pending.push(entry.id)
+        })
+        if (unfinished.length > 0) console.log(`Import jobs: resuming ${unfinished.length} unfinished file(s)`)
+        drain()
+    }
+
+    function get(id) {
+        return toJob(importRepository.get(id))
+    }
+
+    function listBatch(batchId) {
+        return importRepository.list({ batchId }).imports
+            .sort((a, b) => (a.job?.position ?? 0) - (b.job?.position ?? 0))
+            .map(toJob)
+            .filter(Boolean)
+    }
+
+    function getStats() {
+        return { concurrency, running, queued: pending.length, jobs: importRepository.countByJobStatus() }
+    }
+
+    return { enqueue, resume, get, listBatch, getStats }
+}
+
+module.exports = {
+    createImportJobQueue
+}
@@ -0,0 +1,211 @@
+/**
+ * Notification Channels
+ * Renders a vessel report (a status update or a triggered alert) for each delivery
+ * channel: plain text for email, Block Kit for Slack incoming webhooks and an Adaptive
+ * Card for Microsoft Teams. All three show the same content; the report is assembled once
+ * in server.js.
+ *
+ * Report shape:
+ *   { subject, heading, vessel: { name, mmsi }, message?, footer,
+ *     sections: [{ title, fields: [{ label, value }], items: [string], bullet, tone? }] }
+ *
+ * Configuration:
+ *   CHAT_WEBHOOK_TIMEOUT_MS - per Slack/Teams request (default 10000)
+ */
+
+const CHAT_WEBHOOK_TIMEOUT_MS = Number(process.env.CHAT_WEBHOOK_TIMEOUT_MS || 10000)
+
+const NOTIFICATION_CHANNELS = {
+    email: { label: 'Email' },
+    slack: { label: 'Slack' },
+    teams: { label: 'Microsoft Teams' }
+}
+
+// Slack allows at most 10 fields per section block
+const SLACK_MAX_FIELDS = 10
+
+/**
+ * Validate the channel and its target from a request body.
+ * Returns { channel, email, targetUrl } or { error }.
+ */
+function normalizeChannel({ channel = 'email', email, targetUrl } = {}) {
+    if (!NOTIFICATION_CHANNELS[channel]) {
+        return { error: `channel must be one of: ${Object.keys(NOTIFICATION_CHANNELS).join(', ')}` }
+    }
+    if (channel === 'email') {
+        if (!email) return { error: 'email required' }
+        return { channel, email: email.toString().trim().toLowerCase(), targetUrl: null }
+    }
+
+    let url = null
+    try {
+        url = new URL(targetUrl)
+    } catch {
+        return { error: `targetUrl must be the ${NOTIFICATION_CHANNELS[channel].label} incoming webhook URL` }
+    }
+    if (url.protocol !== 'https:') return { error: 'targetUrl must use https' }
+    return { channel, email: null, targetUrl: url.toString() }
+}
+
+// Incoming webhook URLs are credentials; only show enough to recognise one
+function maskTargetUrl(targetUrl) {
+    if (!targetUrl) return null
+    try {
+        const url = new URL(targetUrl)
+        return `${url.origin}${url.pathname.slice(0, 12)}…`
+    } catch {
+        return '…'
+    }
+}
+
+// Where a subscription delivers to, for logs
+function describeTarget(subscription) {
+    if (!subscription.channel || subscription.channel === 'email') return subscription.email
+    return `${NOTIFICATION_CHANNELS[subscription.channel]?.label || subscription.channel} (${maskTargetUrl(subscription.targetUrl)})`
+}
+
+function formatReportText(report) {
+    const lines = [
+        `=== ${report.heading} ===`,
+        ``,
+        `Vessel: ${report.vessel.name || 'Unknown'}`,
+        `MMSI: ${report.vessel.mmsi || 'N/A'}`
+    ]
+    if (report.message) lines.push(``, report.message)
+
+    report.sections.forEach((section) => {
+        lines.push(``, `--- ${section.title.toUpperCase()} ---`)
+        ;(section.fields || []).forEach(field => lines.push(`${field.label}: ${field.value}`))
+        ;(section.items || []).forEach(item => lines.push(`${section.bullet || '-'} ${item}`))
+    })
+
+    lines.push(``, `---`, report.footer)
+    return lines.join('\n')
+}
+
+function escapeSlack(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+function formatSlackMessage(report) {
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: report.subject.slice(0, 150), emoji: true } },
+        {
+            type: 'section',
+            fields: [
+                { type: 'mrkdwn', text: `*Vessel*\n${escapeSlack(report.vessel.name || 'Unknown')}` },
+                { type: 'mrkdwn', text: `*MMSI*\n${escapeSlack(report.vessel.mmsi || 'N/A')}` }
+            ]
+        }
+    ]
+    if (report.message) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeSlack(report.message) } })
+    }
+
+    report.sections.forEach((section) => {
+        blocks.push({ type: 'divider' })
+        const title = section.tone === 'warning' ? `:warning: *${escapeSlack(section.title)}*` : `*${escapeSlack(section.title)}*`
+        const fields = (section.fields || []).slice(0, SLACK_MAX_FIELDS)
+        blocks.push({
+            type: 'section',
+            text: { type: 'mrkdwn', text: title },
+            ...(fields.length > 0 && {
+                fields: fields.map(field => ({ type: 'mrkdwn', text: `*${escapeSlack(field.label)}*\n${escapeSlack(field.value)}` }))
+            })
+        })
+        if (section.items?.length > 0) {
+            blocks.push({
+                type: 'section',
+                text: { type: 'mrkdwn', text: section.items.map(item => `• ${escapeSlack(item)}`).join('\n') }
+            })
+        }
+    })
+
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(report.footer) }] })
+    // text is the notification preview and the fallback for clients without blocks
+    return { text: report.subject, blocks }
+}
+
+function formatTeamsMessage(report) {
+    const body = [
+        { type: 'TextBlock', text: report.subject, size: 'Large', weight: 'Bolder', wrap: true },
+        {
+            type: 'FactSet',
+            facts: [
+                { title: 'Vessel', value: report.vessel.name || 'Unknown' },
+                { title: 'MMSI', value: String(report.vessel.mmsi || 'N/A') }
+            ]
+        }
+    ]
+    if (report.message) body.push({ type: 'TextBlock', text: report.message, wrap: true })
+
+    report.sections.forEach((section) => {
+        body.push({
+            type: 'TextBlock',
+            text: section.title,
+            weight: 'Bolder',
+            separator: true,
+            spacing: 'Medium',
+            ...(section.tone === 'warning' && { color: 'Attention' })
+        })
+        if (section.fields?.length > 0) {
+            body.push({ type: 'FactSet', facts: section.fields.map(field => ({ title: field.label, value: String(field.value) })) })
+        }
+        ;(section.items || []).forEach((item) => {
+            body.push({ type: 'TextBlock', text: `${section.bullet || '-'} ${item}`, wrap: true, spacing: 'None' })
+        })
+    })
+
+    body.push({ type: 'TextBlock', text: report.footer, isSubtle: true, size: 'Small', wrap: true, separator: true })
+
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body
+            }
+        }]
+    }
+}
+
+const CHAT_FORMATTERS = {
+    slack: formatSlackMessage,
+    teams: formatTeamsMessage
+}
+
+// Post a report to a Slack or Teams incoming webhook
+async function sendChatMessage(channel, targetUrl, report) {
+    const format = CHAT_FORMATTERS[channel]
+    if (!format) throw new Error(`Unsupported chat channel: ${channel}`)
+
+    const response = await fetch(targetUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(format(report)),
+        signal: AbortSignal.timeout(CHAT_WEBHOOK_TIMEOUT_MS)
+    }).catch((err) => {
+        throw new Error(err.name === 'TimeoutError'
+            ? `${NOTIFICATION_CHANNELS[channel].label} webhook timeout after ${CHAT_WEBHOOK_TIMEOUT_MS}ms`
+            : `${NOTIFICATION_CHANNELS[channel].label} webhook error: ${err.message}`)
+    })
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '')
+        throw new Error(`${NOTIFICATION_CHANNELS[channel].label} webhook error: ${response.status}${detail ? ` - ${detail.slice(0, 200)}` : ''}`)
+    }
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    normalizeChannel,
+    maskTargetUrl,
+    describeTarget,
+    formatReportText,
+    formatSlackMessage,
+    formatTeamsMessage,
+    sendChatMessage
+}
@@ -0,0 +1,121 @@
+/**
+ * Position Plausibility Filter
+ * Screens incoming fixes before they are committed, so scraper glitches and
+ * corrupt AIS reports never reach the history, route or ETA.
+ */
+
+const { haversineDistance } = require('./seaRoutes')
+
+// Highest speed (knots) we believe each vessel type can sustain, with headroom
+const VESSEL_TYPE_MAX_SPEEDS = {
+    'high speed': 60,
+    'passenger': 40,
+    'container': 30,
+    'lng': 25,
+    'ro-ro': 28,
+    'cargo': 25,
+    'tanker': 22,
+    'bulk': 20,
+    'fishing': 20,
+    'tug': 18,
+    'default': 35
+}
+
+// Ignore jumps this small; scraped coordinates are rounded and AIS jitters
+const MIN_TELEPORT_DISTANCE_NM = 2
+
+// Short gaps make implied speed explode on rounding alone
+const MIN_TELEPORT_INTERVAL_MS = 5 * 60 * 1000
+
+// Coarse continental interiors. Deliberately well clear of coasts, ports and
+// navigable rivers, so this only catches gross errors (swapped or garbled coordinates).
+const LAND_INTERIORS = [
+    { name: 'North America', minLat: 35, maxLat: 60, minLng: -115, maxLng: -95 },
+    { name: 'South America', minLat: -20, maxLat: -8, minLng: -56, maxLng: -45 },
+    { name: 'Sahara', minLat: 10, maxLat: 28, minLng: -5, maxLng: 28 },
+    { name: 'Central Africa', minLat: -20, maxLat: -5, minLng: 18, maxLng: 28 },
+    { name: 'Arabia', minLat: 18, maxLat: 26, minLng: 43, maxLng: 50 },
+    { name: 'Central Asia', minLat: 35, maxLat: 50, minLng: 60, maxLng: 100 },
+    { name: 'India', minLat: 16, maxLat: 26, minLng: 75, maxLng: 81 },
+    { name: 'Australia', minLat: -30, maxLat: -20, minLng: 120, maxLng: 145 },
+    { name: 'Greenland', minLat: 65, maxLat: 80, minLng: -50, maxLng: -25 },
+    { name: 'Antarctica', minLat: -90, maxLat: -80, minLng: -180, maxLng: 180 }
+]
+
+function getVesselTypeMaxSpeed(vesselType) {
+    if (!vesselType) return VESSEL_TYPE_MAX_SPEEDS.default
+    const type = vesselType.toLowerCase()
+    for (const [key, speed] of Object.entries(VESSEL_TYPE_MAX_SPEEDS)) {
+        if (type.includes(key)) return speed
+    }
+    return VESSEL_TYPE_MAX_SPEEDS.default
+}
+
+function findLandInterior(lat, lng) {
+    return LAND_INTERIORS.find(area =>
+        lat >= area.minLat && lat <= area.maxLat && lng >= area.minLng && lng <= area.maxLng
+    ) || null
+}
+
+// The fix the vessel already has, fetched again: same timestamp, same coordinates.
+// Providers keep returning their latest fix until a newer one arrives.
+function isRepeatedFix(current, fix) {
+    if (!current?.updatedAt || !fix?.updatedAt) return false
+    const fixTime = new Date(fix.updatedAt).getTime()
+    const currentTime = new Date(current.updatedAt).getTime()
+    return Number.isFinite(fixTime) && fixTime === currentTime &&
+        fix.latitude === current.latitude && fix.longitude === current.longitude
+}
+
+// Check a candidate fix against the vessel's current one.
+// Returns { ok: true } or { ok: false, reason, detail }
+function validatePositionFix(current, fix) {
+    const lat = fix?.latitude
+    const lng = fix?.longitude
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return { ok: false, reason: 'invalid-coordinates', detail: `${lat}, ${lng}` }
+    }
+
+    // Null Island: the classic "no position" placeholder
+    if (Math.abs(lat) < 0.01 && Math.abs(lng) < 0.01) {
+        return { ok: false, reason: 'null-island', detail: '0,0 placeholder position' }
+    }
+
+    const land = findLandInterior(lat, lng)
+    if (land) {
+        return { ok: false, reason: 'on-land', detail: `inside ${land.name}` }
+    }
+
+    const hasCurrent = current && Number.isFinite(current.latitude) && Number.isFinite(current.longitude) && current.positionSource
+    if (!hasCurrent) return { ok: true }
+
+    const fixTime = new Date(fix.updatedAt || Date.now()).getTime()
+    const currentTime = new Date(current.updatedAt || 0).getTime()
+    if (Number.isFinite(fixTime) && Number.isFinite(currentTime) && fixTime < currentTime) {
+        return { ok: false, reason: 'stale', detail: `fix from ${new Date(fixTime).toISOString()} is older than current` }
+    }
+
+    const distanceNm = haversineDistance(current.latitude, current.longitude, lat, lng) * 0.539957
+    if (distanceNm > MIN_TELEPORT_DISTANCE_NM && Number.isFinite(fixTime) && Number.isFinite(currentTime)) {
+        const elapsedMs = Math.max(fixTime - currentTime, MIN_TELEPORT_INTERVAL_MS)
+        const impliedKnots = distanceNm / (elapsedMs / (60 * 60 * 1000))
+        const maxKnots = getVesselTypeMaxSpeed(current.shipType || current.vesselType)
+        if (impliedKnots > maxKnots) {
+            return {
+                ok: false,
+                reason: 'teleport',
+                detail: `${Math.round(distanceNm)} nm jump implies ${Math.round(impliedKnots)} kn (max ${maxKnots})`
+            }
+        }
+    }
+
+    return { ok: true }
+}
+
+module.exports = {
+    validatePositionFix,
+    isRepeatedFix,
+    getVesselTypeMaxSpeed,
+    findLandInterior
+}
@@ -0,0 +1,96 @@
+/**
+ * Local AIS Receiver Provider
+ * Serves positions and voyage data decoded from our own AIS feed (see ais/ingest.js).
+ * Returns null for vessels outside receiver range so the registry fails over.
+ */
+
+const AIS_POSITION_MAX_AGE_MS = Number(process.env.AIS_POSITION_MAX_AGE_MS || 30 * 60 * 1000)
+
+const latestPositions = new Map()
+const staticData = new Map()
+
+function recordPosition(message) {
+    if (!message?.mmsi) return null
+    const position = {
+        latitude: message.latitude,
+        longitude: message.longitude,
+        speed: message.speed,
+        heading: message.heading ?? message.course ?? null,
+        navigationStatus: message.navigationStatus || null,
+        source: 'ais',
+        updatedAt: message.receivedAt || new Date().toISOString()
+    }
+    latestPositions.set(message.mmsi, position)
+    if (message.name || message.shipType) {
+        recordStatic({ mmsi: message.mmsi, name: message.name, shipType: message.shipType })
+    }
+    return position
+}
+
+function recordStatic(message) {
+    if (!message?.mmsi) return null
+    const existing = staticData.get(message.mmsi) || {}
+    const merged = { ...existing }
+    Object.entries(message).forEach(([key, value]) => {
+        if (value !== null && value !== undefined) merged[key] = value
+    })
+    merged.updatedAt = new Date().toISOString()
+    staticData.set(message.mmsi, merged)
+    return merged
+}
+
+function getFreshPosition(mmsi) {
+    const position = latestPositions.get(mmsi?.toString())
+    if (!position) return null
+    if (Date.now() - new Date(position.updatedAt).getTime() > AIS_POSITION_MAX_AGE_MS) return null
+    return position
+}
+
+function getStaticData(mmsi) {
+    return staticData.get(mmsi?.toString()) || null
+}
+
+async function getPosition(mmsi) {
+    return getFreshPosition(mmsi)
+}
+
+async function getStatus(mmsi) {
+    const position = getFreshPosition(mmsi)
+    const voyage = getStaticData(mmsi)
+    if (!position && !voyage) return null
+    return {
+        name: voyage?.name || null,
+        speed: position?.speed ?? null,
+        heading: position?.heading ?? null,
+        currentDestination: voyage?.destination || null,
+        vesselType: voyage?.shipType || null,
+        imo: voyage?.imo || null,
+        eta: voyage?.eta || null,
+        lastUpdate: position?.updatedAt || voyage?.updatedAt || null,
+        source: 'ais'
+    }
+}
+
+// Exact name match against vessels heard by the receiver
+async function search(name) {
+    const wanted = (name || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
+    if (!wanted) return null
+    for (const [mmsi, voyage] of staticData) {
+        const heard = (voyage.name || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+        if (heard && heard === wanted) {
+            return { mmsi, name: voyage.name, imo: voyage.imo || null, source: 'ais' }
+        }
+    }
+    return null
+}
+
+module.exports = {
+    id: 'ais',
+    name: 'Local AIS receiver',
+    getPosition,
+    getStatus,
+    search,
+    recordPosition,
+    recordStatic,
+    getStaticData
+}
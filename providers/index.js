@@ -0,0 +1,228 @@
+/**
+ * Vessel Data Provider Registry
+ * Each provider implements getPosition(mmsi, vessel), getStatus(mmsi) and search(name).
+ * Lookups walk providers in the configured priority order and fail over when one
+ * returns null, throws or exceeds its timeout.
+ *
+ * Configuration:
+ *   POSITION_PROVIDERS / STATUS_PROVIDERS / SEARCH_PROVIDERS - comma-separated provider ids
+ *     (built in: ais, myshiptracking, vesselfinder)
+ *   PROVIDER_TIMEOUT_MS - default per-call timeout
+ *   <ID>_TIMEOUT_MS - per-provider override, e.g. VESSELFINDER_TIMEOUT_MS
+ *   <ID>_RATE_PER_MINUTE - request budget shared by all capabilities of a provider,
+ *     e.g. MYSHIPTRACKING_RATE_PER_MINUTE (0 = unlimited)
+ */
+
+const ais = require('./ais')
+const myShipTracking = require('./myShipTracking')
+const vesselFinder = require('./vesselFinder')
+const { withTimeout } = require('../timeouts')
+
+const DEFAULT_PROVIDER_TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS || 30000)
+
+// The local AIS receiver answers instantly (or not at all), so it goes first where it can help
+const DEFAULT_ORDER = {
+    position: ['ais', 'myshiptracking'],
+    status: ['vesselfinder', 'ais', 'myshiptracking'],
+    search: ['ais', 'vesselfinder', 'myshiptracking']
+}
+
+const CAPABILITY_ENV = {
+    position: 'POSITION_PROVIDERS',
+    status: 'STATUS_PROVIDERS',
+    search: 'SEARCH_PROVIDERS'
+}
+
+const CAPABILITY_METHOD = {
+    position: 'getPosition',
+    status: 'getStatus',
+    search: 'search'
+}
+
+const providers = new Map()
+const rateBudgets = new Map()
+
+function registerProvider(provider) {
+    if (!provider?.id) throw new Error('Provider id required')
+    providers.set(provider.id, provider)
+}
+
+function getProviderTimeout(provider) {
+    const configured = Number(process.env[getProviderEnvKey(provider, 'TIMEOUT_MS')] || provider.timeoutMs)
+    return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_PROVIDER_TIMEOUT_MS
+}
+
+function getProviderEnvKey(provider, suffix) {
+    return `${provider.id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${suffix}`
+}
+
+function getProviderRate(provider) {
+    const configured = process.env[getProviderEnvKey(provider, 'RATE_PER_MINUTE')]
+    const rate = Number(configured ?? provider.ratePerMinute)
+    return Number.isFinite(rate) && rate > 0 ? rate : null
+}
+
+// Token bucket per provider, refilled continuously up to one minute's worth of calls
+function getBudget(provider) {
+    const rate = getProviderRate(provider)
+    if (!rate) return null
+    const now = Date.now()
+    const budget = rateBudgets.get(provider.id) || { tokens: rate, updatedAt: now, throttled: 0 }
+    budget.tokens = Math.min(rate, budget.tokens + ((now - budget.updatedAt) / 60000) * rate)
+    budget.updatedAt = now
+    rateBudgets.set(provider.id, budget)
+    return budget
+}
+
+function takeBudget(provider) {
+    const budget = getBudget(provider)
+    if (!budget) return true
+    if (budget.tokens < 1) {
+        budget.throttled += 1
+        return false
+    }
+    budget.tokens -= 1
+    return true
+}
+
+function getProviderOrder(capability) {
+    const configured = process.env[CAPABILITY_ENV[capability]]
+    const ids = configured
+        ? configured.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ORDER[capability]
+    const method = CAPABILITY_METHOD[capability]
+    return ids
+        .map(id => providers.get(id))
+        .filter(provider => provider && typeof provider[method] === 'function')
+}
+
+async function callProvider(provider, method, args) {
+    // Out of budget counts as a miss, so the lookup fails over to the next provider
+    if (!takeBudget(provider)) return null
+    try {
+        const result = await withTimeout(
+            Promise.resolve(provider[method](...args)),
+            getProviderTimeout(provider),
+            `${provider.id}.${method}`
+        )
+        return result || null
+    } catch (err) {
+        console.error(`Provider ${provider.id}.${method} failed:`, err.message)
+        return null
+    }
+}
+
+async function getPosition(mmsi, vessel = {}) {
+    if (!mmsi && !vessel?.name) return null
+    for (const provider of getProviderOrder('position')) {
+        const position = await callProvider(provider, 'getPosition', [mmsi, vessel])
+        if (position && Number.isFinite(position.latitude) && Number.isFinite(position.longitude)) {
+            return { ...position, source: position.source || provider.id }
+        }
+    }
+    return null
+}
+
+async function getStatus(mmsi) {
+    if (!mmsi) return null
+    for (const provider of getProviderOrder('status')) {
+        const status = await callProvider(provider, 'getStatus', [mmsi])
+        if (status) return { ...status, source: status.source || provider.id }
+    }
+    return null
+}
+
+// Generate name variations: with spaces, without spaces, first word, hyphenated
+function generateNameVariants(name) {
+    const variants = new Set()
+    const upper = name.toUpperCase().trim()
+
+    // Original with spaces
+    variants.add(upper)
+
+    // Without any spaces (SOLUNITY)
+    variants.add(upper.replace(/\s+/g, ''))
+
+    // With single space between words
+    variants.add(upper.replace(/\s+/g, ' '))
+
+    // First word only (SOL)
+    const firstWord = upper.split(/\s+/)[0]
+    if (firstWord.length >= 3) variants.add(firstWord)
+
+    // With hyphens instead of spaces (SOL-UNITY)
+    variants.add(upper.replace(/\s+/g, '-'))
+
+    // Try adding space after common prefixes if name has no spaces
+    if (!upper.includes(' ') && upper.length > 4) {
+        // Try splitting at common word boundaries
+        for (let i = 3; i < Math.min(upper.length - 2, 8); i++) {
+            variants.add(upper.slice(0, i) + ' ' + upper.slice(i))
+        }
+    }
+
+    return Array.from(variants)
+}
+
+// Search for vessel MMSI by name across providers, trying name variants per provider
+async function search(vesselName) {
+    if (!vesselName) return null
+
+    const cleanName = vesselName.trim().toUpperCase()
+    console.log('Searching for vessel MMSI:', cleanName)
+
+    const searchVariants = generateNameVariants(cleanName)
+    console.log('Trying name variants:', searchVariants.slice(0, 5).join(', '))
+
+    for (const provider of getProviderOrder('search')) {
+        const limit = provider.searchVariantLimit || searchVariants.length
+        for (const term of searchVariants.slice(0, limit)) {
+            const result = await callProvider(provider, 'search', [term])
+            if (result?.mmsi) return { ...result, source: result.source || provider.id }
+        }
+    }
+
+    console.log('Could not find MMSI for vessel:', cleanName)
+    return null
+}
+
+// True when every rate-limited provider for a capability can take another call right now
+function hasCapacity(capability) {
+    return getProviderOrder(capability).every((provider) => {
+        const budget = getBudget(provider)
+        return !budget || budget.tokens >= 1
+    })
+}
+
+function getRateBudgets() {
+    return Object.fromEntries(
+        Array.from(providers.values())
+            .map(provider => [provider, getBudget(provider)])
+            .filter(([, budget]) => budget)
+            .map(([provider, budget]) => [provider.id, {
+                ratePerMinute: getProviderRate(provider),
+                available: Math.floor(budget.tokens),
+                throttled: budget.throttled
+            }])
+    )
+}
+
+function listProviders() {
+    return Object.fromEntries(
+        Object.keys(CAPABILITY_METHOD).map(capability => [capability, getProviderOrder(capability).map(p => p.id)])
+    )
+}
+
+registerProvider(ais)
+registerProvider(myShipTracking)
+registerProvider(vesselFinder)
+
+module.exports = {
+    registerProvider,
+    getPosition,
+    getStatus,
+    search,
+    hasCapacity,
+    getRateBudgets,
+    listProviders
+}
@@ -0,0 +1,303 @@
+/**
+ * MyShipTracking Provider
+ * Scrapes live positions, vessel lookup and planned routes from myshiptracking.com.
+ */
+
+const { createCacheStore } = require('../storage')
+
+const DEFAULT_FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 15000)
+const SCRAPE_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+    'Accept': 'text/html'
+}
+
+const myShipTrackingUrlCache = createCacheStore('myshiptracking-url')
+
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_FETCH_TIMEOUT_MS) {
+    const controller = new AbortController()
+    const id = setTimeout(() => controller.abort(), timeoutMs)
+    try {
+        return await fetch(url, { ...options, signal: controller.signal })
+    } catch (err) {
+        if (err?.name === 'AbortError') {
+            throw new Error(`Request timeout after ${timeoutMs}ms`)
+        }
+        throw err
+    } finally {
+        clearTimeout(id)
+    }
+}
+
+function normalizeName(name) {
+    return (name || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+function getMyShipTrackingCachedUrl(mmsi, name) {
+    if (mmsi && myShipTrackingUrlCache.has(mmsi.toString())) return myShipTrackingUrlCache.get(mmsi.toString())
+    const nameKey = name ? normalizeName(name) : null
+    if (nameKey && myShipTrackingUrlCache.has(nameKey)) return myShipTrackingUrlCache.get(nameKey)
+    return null
+}
+
+function cacheMyShipTrackingUrl(mmsi, name, url) {
+    if (!url) return
+    if (mmsi) myShipTrackingUrlCache.set(mmsi.toString(), url)
+    if (name) myShipTrackingUrlCache.set(normalizeName(name), url)
+}
+
+async function resolveMyShipTrackingInfo(mmsi, name) {
+    const cachedUrl = getMyShipTrackingCachedUrl(mmsi, name)
+    if (cachedUrl) return { url: cachedUrl, mmsi: mmsi ? mmsi.toString() : null, name }
+
+    const term = mmsi || name
+    if (!term) return null
+
+    try {
+        const searchUrl = `https://www.myshiptracking.com/vessels?name=${encodeURIComponent(term)}`
+        const res = await fetchWithTimeout(searchUrl, {
+            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!res.ok) return null
+        const html = await res.text()
+
+        let linkMatch = null
+        if (mmsi) {
+            const escaped = mmsi.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            linkMatch = html.match(new RegExp(`href=\"(\\/vessels\\/[^\"\\s]*-mmsi-${escaped}-[^\"\\s]*)\"`, 'i'))
+        }
+        if (!linkMatch) {
+            linkMatch = html.match(/href=\"(\/vessels\/[^\"\s]+)\"/i)
+        }
+        if (!linkMatch) return null
+
+        const link = linkMatch[1]
+        const url = `https://www.myshiptracking.com${link}`
+        const mmsiMatch = link.match(/-mmsi-(\d{9})-/i)
+        const nameMatch = link.match(/\/vessels\/([^\/]+?)-mmsi-\d{9}/i)
+        const resolvedName = nameMatch ? nameMatch[1].replace(/-/g, ' ').toUpperCase() : name
+        const resolvedMmsi = mmsiMatch ? mmsiMatch[1] : (mmsi ? mmsi.toString() : null)
+
+        cacheMyShipTrackingUrl(resolvedMmsi, resolvedName, url)
+        return { url, mmsi: resolvedMmsi, name: resolvedName }
+    } catch (err) {
+        console.error('MyShipTracking resolve failed:', err.message)
+        return null
+    }
+}
+
+function parseMyShipTrackingPosition(html) {
+    if (!html) return null
+    const match = html.match(/canvas_map_generate\("map_locator"\s*,\s*\d+\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)/i)
+    if (!match) return null
+
+    const latitude = Number(match[1])
+    const longitude = Number(match[2])
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
+
+    const heading = Number(match[3])
+    const speed = Number(match[4])
+    return {
+        latitude,
+        longitude,
+        heading: Number.isFinite(heading) ? heading : null,
+        speed: Number.isFinite(speed) ? speed : null
+    }
+}
+
+async function fetchMyShipTrackingPositionByMmsi(mmsi) {
+    if (!mmsi) return null
+    try {
+        const url = `https://www.myshiptracking.com/requests/vesselonmap.php?type=json&mmsi=${encodeURIComponent(mmsi)}`
+        const res = await fetchWithTimeout(url, {
+            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!res.ok) return null
+        const raw = (await res.text()).trim()
+        if (!raw) return null
+        const parts = raw.split(/\s+/)
+        if (parts.length < 2) return null
+        const latitude = Number(parts[0])
+        const longitude = Number(parts[1])
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
+        const speed = Number(parts[2])
+        const heading = Number(parts[3])
+        return {
+            latitude,
+            longitude,
+            speed: Number.isFinite(speed) ? speed : null,
+            heading: Number.isFinite(heading) && heading >= 0 && heading <= 360 ? heading : null
+        }
+    } catch (err) {
+        console.error('MyShipTracking vesselonmap error:', err.message)
+        return null
+    }
+}
+
+function parseMyShipTrackingRouteList(xml) {
+    if (!xml) return []
+    const routes = []
+    const blocks = xml.match(new RegExp('<P>[\\s\\S]*?<\\/P>', 'g')) || []
+    blocks.forEach((block) => {
+        const routeId = block.match(/<ROUTEID>([^<]+)<\/ROUTEID>/i)?.[1]?.trim()
+        const name = block.match(/<NAME>([^<]+)<\/NAME>/i)?.[1]?.trim()
+        if (routeId) {
+            routes.push({ id: routeId, name })
+        }
+    })
+    return routes
+}
+
+function parseMyShipTrackingRoutePoints(xml) {
+    if (!xml) return []
+    const points = []
+    const blocks = xml.match(new RegExp('<P>[\\s\\S]*?<\\/P>', 'g')) || []
+    blocks.forEach((block) => {
+        const lat = Number(block.match(/<LAT>([^<]+)<\/LAT>/i)?.[1])
+        const lon = Number(block.match(/<LON>([^<]+)<\/LON>/i)?.[1])
+        const ord = Number(block.match(/<ORD>([^<]+)<\/ORD>/i)?.[1])
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+            points.push({ lat, lon, ord: Number.isFinite(ord) ? ord : points.length })
+        }
+    })
+    return points.sort((a, b) => a.ord - b.ord)
+}
+
+async function fetchMyShipTrackingRoute(mmsi, originName, destName) {
+    if (!mmsi) return null
+    try {
+        const portsUrl = `https://www.myshiptracking.com/requests/calc_ports.php?mmsi=${encodeURIComponent(mmsi)}`
+        const portsRes = await fetchWithTimeout(portsUrl, {
+            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!portsRes.ok) return null
+        const portsXml = await portsRes.text()
+        const routes = parseMyShipTrackingRouteList(portsXml)
+        if (!routes.length) return null
+
+        const routeId = routes[0].id
+        const routeUrl = `https://www.myshiptracking.com/requests/calc_routes.php?route=${encodeURIComponent(routeId)}`
+        const routeRes = await fetchWithTimeout(routeUrl, {
+            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!routeRes.ok) return null
+        const routeXml = await routeRes.text()
+        const points = parseMyShipTrackingRoutePoints(routeXml)
+        if (points.length < 2) return null
+
+        return points.map((point, index) => ({
+            lat: point.lat,
+            lng: point.lon,
+            name: index === 0 ? (originName || 'Origin') : index === points.length - 1 ? (destName || 'Destination') : `Waypoint ${index}`,
+            type: index === 0 ? 'origin' : index === points.length - 1 ? 'destination' : 'waypoint'
+        }))
+    } catch (err) {
+        console.error('MyShipTracking route fetch failed:', err.message)
+        return null
+    }
+}
+
+async function fetchMyShipTrackingPosition(vessel) {
+    const mmsi = vessel?.mmsi ? vessel.mmsi.toString() : null
+    const name = vessel?.name || null
+    const quickPosition = mmsi ? await fetchMyShipTrackingPositionByMmsi(mmsi) : null
+    if (quickPosition) {
+        return {
+            ...quickPosition,
+            source: 'myshiptracking',
+            updatedAt: new Date().toISOString(),
+            myShipTrackingUrl: getMyShipTrackingCachedUrl(mmsi, name) || null
+        }
+    }
+
+    let url = vessel?.myShipTrackingUrl || getMyShipTrackingCachedUrl(mmsi, name)
+    if (!url) {
+        const resolved = await resolveMyShipTrackingInfo(mmsi, name)
+        url = resolved?.url || null
+        if (resolved?.mmsi || resolved?.name) {
+            cacheMyShipTrackingUrl(resolved?.mmsi || mmsi, resolved?.name || name, url)
+        }
+    }
+    if (!url) return null
+
+    try {
+        const res = await fetchWithTimeout(url, {
+            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!res.ok) return null
+        const html = await res.text()
+        const position = parseMyShipTrackingPosition(html)
+        if (!position) return null
+        return {
+            ...position,
+            source: 'myshiptracking',
+            updatedAt: new Date().toISOString(),
+            myShipTrackingUrl: url
+        }
+    } catch (err) {
+        console.error('MyShipTracking position fetch failed:', err.message)
+        return null
+    }
+}
+
+// Autocomplete endpoint (fast, returns MMSI in response)
+async function searchMyShipTrackingAutocomplete(term) {
+    try {
+        const url = `https://www.myshiptracking.com/requests/autocomplete-ede42.php?term=${encodeURIComponent(term)}`
+        const res = await fetchWithTimeout(url, {
+            headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'application/json', 'Referer': 'https://www.myshiptracking.com/' }
+        })
+        if (!res.ok) return null
+        const data = await res.json()
+        if (!Array.isArray(data) || data.length === 0) return null
+        const match = data[0]
+        const mmsiMatch = (match.value || match.label || '').match(/\b(\d{9})\b/)
+        if (!mmsiMatch) return null
+        console.log('Found vessel via MyShipTracking:', match.label, mmsiMatch[1])
+        return { mmsi: mmsiMatch[1], name: (match.label || '').split(' - ')[0].trim(), source: 'myshiptracking' }
+    } catch (err) {
+        console.log('MyShipTracking failed:', err.message)
+        return null
+    }
+}
+
+async function searchMyShipTracking(term) {
+    if (!term) return null
+    const autocomplete = await searchMyShipTrackingAutocomplete(term)
+    if (autocomplete) return autocomplete
+
+    // Fallback: search page (parses vessel link)
+    const resolved = await resolveMyShipTrackingInfo(null, term)
+    if (!resolved?.mmsi) return null
+    console.log('Found vessel via MyShipTracking search:', resolved.name || term, resolved.mmsi)
+    return {
+        mmsi: resolved.mmsi,
+        name: resolved.name || term,
+        source: 'myshiptracking',
+        myShipTrackingUrl: resolved.url
+    }
+}
+
+// Speed/heading only - used as a status fallback when richer sources are down
+async function getMyShipTrackingStatus(mmsi) {
+    const position = await fetchMyShipTrackingPositionByMmsi(mmsi)
+    if (!position) return null
+    return {
+        speed: position.speed,
+        heading: position.heading,
+        lastUpdate: new Date().toISOString(),
+        source: 'myshiptracking'
+    }
+}
+
+module.exports = {
+    id: 'myshiptracking',
+    name: 'MyShipTracking',
+    // Name search is slow per term, so only the closest variants are tried
+    searchVariantLimit: 3,
+    // Scraped site; bursts beyond this get the server IP blocked
+    ratePerMinute: 20,
+    getPosition: (mmsi, vessel = {}) => fetchMyShipTrackingPosition({ ...vessel, mmsi }),
+    getStatus: getMyShipTrackingStatus,
+    search: searchMyShipTracking,
+    fetchMyShipTrackingRoute
+}
@@ -0,0 +1,113 @@
+/**
+ * VesselFinder Provider
+ * Vessel status from the public click API and MMSI lookup by scraping search pages.
+ */
+
+const DEFAULT_FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 15000)
+
+async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_FETCH_TIMEOUT_MS) {
+    const controller = new AbortController()
+    const id = setTimeout(() => controller.abort(), timeoutMs)
+    try {
+        return await fetch(url, { ...options, signal: controller.signal })
+    } catch (err) {
+        if (err?.name === 'AbortError') {
+            throw new Error(`Request timeout after ${timeoutMs}ms`)
+        }
+        throw err
+    } finally {
+        clearTimeout(id)
+    }
+}
+
+// Get vessel status from VesselFinder click API
+// Note: Free tier doesn't include coordinates, but gives speed/course/destination
+async function getVesselStatus(mmsi) {
+    if (!mmsi) return null
+    try {
+        const url = `https://www.vesselfinder.com/api/pub/click/${mmsi}`
+        const res = await fetchWithTimeout(url, {
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Accept': 'application/json',
+                'Referer': 'https://www.vesselfinder.com/'
+            }
+        })
+        if (!res.ok) return null
+        const data = await res.json()
+
+        // VesselFinder click API returns:
+        // ss = speed, cu = course, dest = destination, ts = timestamp
+        // name, imo, country, type, gt (gross tonnage), etc.
+        const status = {
+            name: data.name || null,
+            speed: data.ss ?? null,
+            heading: data.cu ?? null,
+            currentDestination: data.dest || null,
+            vesselType: data.type || null,
+            country: data.country || null,
+            imo: data.imo || null,
+            grossTonnage: data.gt || null,
+            eta: data.etaTS ? new Date(data.etaTS * 1000).toISOString() : null,
+            lastUpdate: data.ts ? new Date(data.ts * 1000).toISOString() : null,
+            source: 'vesselfinder-api'
+        }
+
+        console.log('VesselFinder status for', mmsi, ':', status.speed, 'kn, dest:', status.currentDestination)
+        return status
+    } catch (err) {
+        console.error('VesselFinder status fetch failed:', err.message)
+        return null
+    }
+}
+
+// VesselFinder scraping - most reliable
+async function searchVesselFinder(term) {
+    if (!term) return null
+    try {
+        // Step 1: Search page
+        const searchUrl = `https://www.vesselfinder.com/vessels?name=${encodeURIComponent(term)}`
+        const res = await fetchWithTimeout(searchUrl, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'text/html' }
+        })
+        if (!res.ok) return null
+        const html = await res.text()
+
+        // Find vessel detail link
+        const detailMatch = html.match(/href="(\/vessels\/details\/\d+[^"]*)"/i) ||
+            html.match(/href="(\/vessels\/[^"\s]+IMO-\d+[^"]*)"/i)
+        if (!detailMatch) return null
+
+        // Step 2: Get MMSI from detail page
+        const detailUrl = 'https://www.vesselfinder.com' + detailMatch[1]
+        const detailRes = await fetchWithTimeout(detailUrl, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'text/html' }
+        })
+        if (!detailRes.ok) return null
+        const detailHtml = await detailRes.text()
+
+        // Extract MMSI with multiple patterns
+        const mmsiMatch = detailHtml.match(/MMSI<\/td>\s*<td[^>]*>(\d{9})/i) ||
+            detailHtml.match(/"mmsi"\s*:\s*"?(\d{9})/i) ||
+            detailHtml.match(/MMSI:\s*(\d{9})/i)
+        if (!mmsiMatch) return null
+
+        // Extract vessel name
+        const nameMatch = detailHtml.match(/<h1[^>]*>([^<]+)<\/h1>/i)
+        console.log('Found vessel via VesselFinder:', nameMatch?.[1]?.trim() || term, mmsiMatch[1])
+        return { mmsi: mmsiMatch[1], name: (nameMatch?.[1] || term).trim(), source: 'vesselfinder' }
+    } catch (err) {
+        console.log('VesselFinder failed:', err.message)
+        return null
+    }
+}
+
+module.exports = {
+    id: 'vesselfinder',
+    name: 'VesselFinder',
+    ratePerMinute: 30,
+    // Free tier has no coordinates
+    getPosition: async () => null,
+    getStatus: getVesselStatus,
+    search: searchVesselFinder
+}
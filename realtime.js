@@ -0,0 +1,86 @@
+/**
+ * Realtime Module
+ * Server-Sent Events hub that pushes state changes to connected clients.
+ * Keeps a short replay buffer so reconnecting clients can resume via Last-Event-ID
+ * (the header, or ?lastEventId= from clients that open a new EventSource to reconnect).
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25000
+const REPLAY_BUFFER_SIZE = 100
+const CLIENT_RETRY_MS = 3000
+
+const clients = new Set()
+const replayBuffer = []
+let nextEventId = 1
+let heartbeatTimer = null
+
+function writeEvent(res, entry) {
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`)
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return
+    heartbeatTimer = setInterval(() => {
+        clients.forEach(res => res.write(': heartbeat\n\n'))
+    }, HEARTBEAT_INTERVAL_MS)
+    heartbeatTimer.unref?.()
+}
+
+function stopHeartbeatIfIdle() {
+    if (clients.size > 0 || !heartbeatTimer) return
+    clearInterval(heartbeatTimer)
+    heartbeatTimer = null
+}
+
+// Express handler for GET /api/events
+function handleEventStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders?.()
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`)
+
+    // Replay anything the client missed while disconnected
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId)
+    if (Number.isFinite(lastEventId) && lastEventId > 0) {
+        replayBuffer
+            .filter(entry => entry.id > lastEventId)
+            .forEach(entry => writeEvent(res, entry))
+    }
+
+    clients.add(res)
+    startHeartbeat()
+
+    req.on('close', () => {
+        clients.delete(res)
+        stopHeartbeatIfIdle()
+    })
+}
+
+function publish(event, data) {
+    const entry = { id: nextEventId++, event, data }
+    replayBuffer.push(entry)
+    if (replayBuffer.length > REPLAY_BUFFER_SIZE) replayBuffer.shift()
+
+    clients.forEach((res) => {
+        try {
+            writeEvent(res, entry)
+        } catch (err) {
+            console.error('Event stream write failed:', err.message)
+            clients.delete(res)
+        }
+    })
+}
+
+function getClientCount() {
+    return clients.size
+}
+
+module.exports = {
+    handleEventStream,
+    publish,
+    getClientCount
+}
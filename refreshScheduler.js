@@ -0,0 +1,253 @@
+/**
+ * Adaptive Position Refresh Scheduler
+ * Gives each vessel its own refresh interval based on where it is and what it is doing,
+ * and dispatches due refreshes with bounded concurrency while the providers have budget.
+ *
+ * Tiers:
+ *   fast   - inside a bottleneck zone, approaching a port or ETA within a day
+ *   normal - everything else
+ *   slow   - at anchor / stopped, or mid-ocean far from any port
+ *
+ * Configuration:
+ *   REFRESH_FAST_MS / POSITION_REFRESH_MS / REFRESH_SLOW_MS - tier intervals
+ *   REFRESH_CONCURRENCY - max refreshes in flight
+ *   REFRESH_JITTER - fraction of the interval to randomise by (default 0.15)
+ */
+
+const { haversineDistance } = require('./seaRoutes')
+
+const REFRESH_FAST_MS = Number(process.env.REFRESH_FAST_MS || 15 * 60 * 1000)
+const REFRESH_NORMAL_MS = Number(process.env.POSITION_REFRESH_MS || 60 * 60 * 1000)
+const REFRESH_SLOW_MS = Number(process.env.REFRESH_SLOW_MS || 3 * 60 * 60 * 1000)
+const REFRESH_CONCURRENCY = Math.max(Number(process.env.REFRESH_CONCURRENCY || 3), 1)
+const REFRESH_JITTER = Number(process.env.REFRESH_JITTER ?? 0.15)
+const SCHEDULER_TICK_MS = 5000
+// How often the vessel list is re-read to pick up added and removed vessels
+const SCHEDULER_SYNC_MS = 60 * 1000
+// Spread first refreshes after startup so a few hundred vessels don't fire at once
+const STARTUP_SPREAD_MS = 5 * 60 * 1000
+
+const NEAR_PORT_NM = 50
+const MID_OCEAN_NM = 300
+const IMMINENT_ETA_HOURS = 24
+const STOPPED_KNOTS = 1
+
+const TIER_INTERVALS = {
+    fast: REFRESH_FAST_MS,
+    normal: REFRESH_NORMAL_MS,
+    slow: REFRESH_SLOW_MS
+}
+
+// Same ordering is used to pick between due vessels when budget is tight
+const TIER_RANK = { fast: 0, normal: 1, slow: 2 }
+
+function distanceToNm(vessel, lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null
+    return haversineDistance(vessel.latitude, vessel.longitude, lat, lng) * 0.539957
+}
+
+function getHoursToArrival(vessel) {
+    if (Number.isFinite(vessel.hoursRemaining)) return vessel.hoursRemaining
+    const eta = vessel.eta ? new Date(vessel.eta).getTime() : NaN
+    return Number.isFinite(eta) ? (eta - Date.now()) / (60 * 60 * 1000) : null
+}
+
+// Pick a refresh tier for a vessel from its last known state
+function getRefreshTier(vessel) {
+    if (!Number.isFinite(vessel?.latitude) || !Number.isFinite(vessel?.longitude)) {
+        return { tier: 'normal', reason: 'no position yet' }
+    }
+    if (vessel.bottleneckWarning) {
+        return { tier: 'fast', reason: `in ${vessel.bottleneckWarning.zone}` }
+    }
+
+    const speed = Number(vessel.speed) || 0
+    const portDistances = [
+        distanceToNm(vessel, vessel.destLat, vessel.destLng),
+        distanceToNm(vessel, vessel.originLat, vessel.originLng)
+    ].filter(d => d !== null)
+    const nearestPortNm = portDistances.length > 0 ? Math.min(...portDistances) : null
+
+    if (speed < STOPPED_KNOTS) {
+        return { tier: 'slow', reason: 'stopped or at anchor' }
+    }
+
+    const hoursToArrival = getHoursToArrival(vessel)
+    if (hoursToArrival !== null && hoursToArrival >= 0 && hoursToArrival <= IMMINENT_ETA_HOURS) {
+        return { tier: 'fast', reason: 'arriving within a day' }
+    }
+    if (nearestPortNm !== null && nearestPortNm <= NEAR_PORT_NM) {
+        return { tier: 'fast', reason: 'near port' }
+    }
+    if (nearestPortNm !== null && nearestPortNm >= MID_OCEAN_NM) {
+        return { tier: 'slow', reason: 'mid-ocean' }
+    }
+    return { tier: 'normal', reason: 'under way' }
+}
+
+function withJitter(intervalMs) {
+    const spread = intervalMs * Math.max(REFRESH_JITTER, 0)
+    return Math.round(intervalMs - spread + Math.random() * spread * 2)
+}
+
+/**
+ * listMmsis() - MMSIs of the vessels that should be kept fresh; read once a minute, so it
+ *   should not load the vessels themselves
+ * getVessel(mmsi) - the vessel as stored now, or null once it should no longer be refreshed
+ * refreshVessel(vessel) - performs one refresh, resolving to the updated vessel or null
+ * hasCapacity() - false while provider budgets are exhausted
+ */
+function createRefreshScheduler({ listMmsis, getVessel, refreshVessel, hasCapacity = () => true }) {
+    // mmsi -> { tier, reason, intervalMs, nextDueAt, lastRunAt, lastResult }
+    const schedule = new Map()
+    const inFlight = new Set()
+    const stats = { refreshed: 0, failed: 0, deferredForBudget: 0, lastTickAt: null, lastSyncAt: null }
+    let timer = null
+    let startedAt = null
+    let lastSyncAt = 0
+
+    function planNext(mmsi, vessel, { initial = false } = {}) {
+        const { tier, reason } = getRefreshTier(vessel)
+        const intervalMs = TIER_INTERVALS[tier]
+        const delay = initial
+            ? Math.random() * Math.min(intervalMs, STARTUP_SPREAD_MS)
+            : withJitter(intervalMs)
+        const entry = { ...(schedule.get(mmsi) || {}), tier, reason, intervalMs, nextDueAt: Date.now() + delay }
+        schedule.set(mmsi, entry)
+        return entry
+    }
+
+    async function runRefresh(mmsi) {
+        inFlight.add(mmsi)
+        let vessel = null
+        let result = null
+        try {
+            // Read when it runs, not when it was scheduled, so a refresh never saves back a
+            // copy older than an edit made in between
+            vessel = getVessel(mmsi)
+            if (vessel) result = await refreshVessel(vessel)
+        } catch (err) {
+            console.error(`Scheduled refresh failed for ${mmsi}:`, err.message)
+        } finally {
+            inFlight.delete(mmsi)
+        }
+
+        if (!vessel) {
+            schedule.delete(mmsi)
+        } else {
+            if (result) stats.refreshed += 1
+            else stats.failed += 1
+            const entry = planNext(mmsi, result || vessel)
+            entry.lastRunAt = new Date().toISOString()
+            entry.lastResult = result ? 'ok' : 'no position'
+        }
+
+        // Fill the freed slot straight away rather than waiting for the next tick
+        if (timer) dispatch()
+    }
+
+    function dispatch() {
+        const now = Date.now()
+        const due = Array.from(schedule.entries())
+            .filter(([mmsi, entry]) => !inFlight.has(mmsi) && entry.nextDueAt <= now)
+            .sort(([, a], [, b]) => (TIER_RANK[a.tier] - TIER_RANK[b.tier]) || (a.nextDueAt - b.nextDueAt))
+
+        for (const [mmsi] of due) {
+            if (inFlight.size >= REFRESH_CONCURRENCY) break
+            if (!hasCapacity()) {
+                stats.deferredForBudget += 1
+                break
+            }
+            runRefresh(mmsi)
+        }
+    }
+
+    // Forget vessels that were removed; give new ones a first slot (staggered at startup)
+    function sync(now) {
+        let mmsis = []
+        try {
+            mmsis = listMmsis().filter(Boolean).map(mmsi => mmsi.toString())
+        } catch (err) {
+            console.error('Refresh scheduler list error:', err.message)
+            return
+        }
+        lastSyncAt = now
+        stats.lastSyncAt = new Date(now).toISOString()
+
+        const current = new Set(mmsis)
+        schedule.forEach((_, mmsi) => {
+            if (!current.has(mmsi) && !inFlight.has(mmsi)) schedule.delete(mmsi)
+        })
+        const isStartup = now - startedAt < SCHEDULER_TICK_MS * 2
+        mmsis.forEach((mmsi) => {
+            if (schedule.has(mmsi)) return
+            const vessel = getVessel(mmsi)
+            if (vessel) planNext(mmsi, vessel, { initial: isStartup })
+        })
+    }
+
+    // Cheap: only the in-memory schedule is looked at, except for the periodic sync
+    function tick() {
+        const now = Date.now()
+        stats.lastTickAt = new Date(now).toISOString()
+        if (now - lastSyncAt >= SCHEDULER_SYNC_MS) sync(now)
+        dispatch()
+    }
+
+    function start() {
+        if (timer) return
+        startedAt = Date.now()
+        lastSyncAt = 0
+        tick()
+        timer = setInterval(tick, SCHEDULER_TICK_MS)
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer)
+        timer = null
+    }
+
+    // Refresh soon regardless of tier, e.g. after a vessel was edited
+    function expedite(mmsi) {
+        const entry = schedule.get(mmsi?.toString())
+        if (entry) entry.nextDueAt = Date.now()
+    }
+
+    function getStats() {
+        const tiers = { fast: 0, normal: 0, slow: 0 }
+        const now = Date.now()
+        let due = 0
+        schedule.forEach((entry) => {
+            tiers[entry.tier] += 1
+            if (entry.nextDueAt <= now) due += 1
+        })
+        return {
+            vessels: schedule.size,
+            inFlight: inFlight.size,
+            due,
+            tiers,
+            concurrency: REFRESH_CONCURRENCY,
+            intervalsMs: TIER_INTERVALS,
+            ...stats
+        }
+    }
+
+    function getVesselSchedule(mmsi) {
+        const entry = schedule.get(mmsi?.toString())
+        if (!entry) return null
+        return {
+            tier: entry.tier,
+            reason: entry.reason,
+            nextRefreshAt: new Date(entry.nextDueAt).toISOString(),
+            lastRefreshAt: entry.lastRunAt || null,
+            lastResult: entry.lastResult || null
+        }
+    }
+
+    return { start, stop, expedite, getStats, getVesselSchedule }
+}
+
+module.exports = {
+    createRefreshScheduler,
+    getRefreshTier
+}
@@ -165,6 +165,64 @@ function calculateRouteDistance(route) {
     return totalKm * 0.539957 // Convert km to nautical miles
 }
 
+// Walk distanceNm along a route starting from the given position
+function projectAlongRoute(route, currentLat, currentLng, distanceNm) {
+    const { remaining } = splitRouteByPosition(route, currentLat, currentLng)
+    let left = Math.max(distanceNm, 0)
+
+    for (let i = 0; i < remaining.length - 1; i++) {
+        const from = remaining[i]
+        const to = remaining[i + 1]
+        const segmentNm = haversineDistance(from.lat, from.lng, to.lat, to.lng) * 0.539957
+        if (segmentNm <= 0) continue
+        if (left <= segmentNm) {
+            const ratio = left / segmentNm
+            return {
+                lat: from.lat + (to.lat - from.lat) * ratio,
+                lng: from.lng + (to.lng - from.lng) * ratio,
+                reachedEnd: false
+            }
+        }
+        left -= segmentNm
+    }
+
+    const last = remaining[remaining.length - 1]
+    return { lat: last.lat, lng: last.lng, reachedEnd: true }
+}
+
+// Dead-reckoning estimate from the last fix, assuming the vessel holds its speed along the route
+function estimateDeadReckoning(route, lastLat, lastLng, speedKnots, lastFixAt, options = {}) {
+    if (!route || route.length < 2) return null
+    if (!Number.isFinite(lastLat) || !Number.isFinite(lastLng)) return null
+
+    const fixTime = new Date(lastFixAt).getTime()
+    if (!Number.isFinite(fixTime)) return null
+
+    const now = options.now || Date.now()
+    const ageHours = Math.max(now - fixTime, 0) / (60 * 60 * 1000)
+    const maxAgeHours = options.maxAgeHours || 72
+    if (ageHours > maxAgeHours) return null
+
+    const speed = Number.isFinite(speedKnots) && speedKnots > 0 ? speedKnots : 0
+    const distanceNm = speed * ageHours
+    const projected = projectAlongRoute(route, lastLat, lastLng, distanceNm)
+
+    // Uncertainty grows with distance run (speed/course drift) and with time since the fix
+    const uncertaintyNm = 1 + distanceNm * 0.15 + ageHours * 0.5
+
+    return {
+        latitude: projected.lat,
+        longitude: projected.lng,
+        distanceNm: Math.round(distanceNm * 10) / 10,
+        ageMinutes: Math.round(ageHours * 60),
+        uncertaintyNm: Math.round(uncertaintyNm * 10) / 10,
+        speedKnots: speed,
+        reachedDestination: projected.reachedEnd,
+        basedOn: new Date(fixTime).toISOString(),
+        estimatedAt: new Date(now).toISOString()
+    }
+}
+
 function estimateArrival(route, currentLat, currentLng, speedKnots, options = {}) {
     const { remaining } = splitRouteByPosition(route, currentLat, currentLng)
     const remainingDistance = calculateRouteDistance(remaining)
@@ -215,6 +273,8 @@ module.exports = {
     splitRouteByPosition,
     calculateRouteDistance,
     estimateArrival,
+    projectAlongRoute,
+    estimateDeadReckoning,
     haversineDistance,
     getVesselTypeSpeed,
     adjustSpeedForWeather,
@@ -1,8 +1,10 @@
 /**
  * Backend Server - Express API for vessel tracking
  *
- * Uses AI-powered extraction (Google Gemini 3 Flash with GPT-4o fallback) to parse any Bill of Lading format.
- * Uses live web scraping for vessel tracking.
+ * Reads shipping documents through configurable extraction backends (see extractors/index.js and
+ * EXTRACTION_PROVIDERS), with a rule-based fallback.
+ * Uses pluggable vessel data providers (see providers/) for live tracking.
+ * Persists vessels, tracking state and lookup caches in SQLite (see storage.js).
  */
 
 const express = require('express')
@@ -10,25 +12,42 @@ const cors = require('cors')
 const path = require('path')
 const multer = require('multer')
 const pdfParse = require('pdf-parse')
-const { GoogleGenerativeAI } = require('@google/generative-ai')
-const OpenAI = require('openai')
 const nodemailer = require('nodemailer')
 const { getBottlenecks, getBottlenecksSync, checkBottleneckProximity, estimateRouteDelay } = require('./bottlenecks')
-const { calculateRoute, estimateArrival } = require('./seaRoutes')
+const { calculateRoute, calculateRouteDistance, estimateArrival, estimateDeadReckoning, haversineDistance, splitRouteByPosition } = require('./seaRoutes')
 const { detectCarrier, fetchCarrierETA, getTrackingUrl } = require('./carrierTracking')
-
-// Initialize Gemini client
-const genAI = process.env.GEMINI_API_KEY
-    ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-    : null
-
-// Initialize OpenAI client
-const openai = process.env.OPENAI_API_KEY
-    ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-    : null
-const OPENAI_MODELS = [
-    process.env.OPENAI_MODEL || 'gpt-5.2'
-]
+const {
+    vesselRepository,
+    trackedVesselRepository,
+    positionHistoryRepository,
+    shipmentRepository,
+    importRepository,
+    webhookRepository,
+    webhookDeliveryRepository,
+    createCacheStore
+} = require('./storage')
+const { handleEventStream, publish, getClientCount } = require('./realtime')
+const vesselProviders = require('./providers')
+const { validatePositionFix, isRepeatedFix } = require('./positionFilter')
+const { extractBlDetails, crossCheckExtraction } = require('./blExtractor')
+const extractionBackends = require('./extractors')
+const { buildFieldProvenance, getLowConfidenceFields, createLookupProvenance } = require('./fieldProvenance')
+const { createImportJobQueue } = require('./importJobs')
+const { isZip, readZipEntries } = require('./zipArchive')
+const { findDuplicates, diffShipment, hasDuplicates } = require('./importDuplicates')
+const { getDocumentType, isDocumentType, classifyDocument, isUsableExtraction, describeDocumentType } = require('./documentTypes')
+const { saveDocument, getDocument, removeDocument, describeDocumentStore, hashDocument } = require('./documentStore')
+const { createRefreshScheduler } = require('./refreshScheduler')
+const { withTimeout } = require('./timeouts')
+const { ALERT_TRIGGERS, createAlertEngine, normalizeTriggers } = require('./alertRules')
+const { normalizeChannel, maskTargetUrl, describeTarget, formatReportText, sendChatMessage } = require('./notificationChannels')
+const { EMAIL_TEMPLATES_DIR, renderEmailTemplate, buildReportView, buildDigestView } = require('./emailTemplates')
+const { renderRouteMap } = require('./staticMap')
+const { normalizeDigestInput, nextDigestRun, buildDigestRows, buildDigestReport, snapshotRows } = require('./digests')
+const { WEBHOOK_EVENTS, createWebhookDispatcher, normalizeWebhookInput, toWebhookView, generateSecret } = require('./webhooks')
+const { fetchMyShipTrackingRoute } = require('./providers/myShipTracking')
+const aisProvider = require('./providers/ais')
+const { startAisIngest, getAisIngestStats } = require('./ais/ingest')
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -38,28 +57,61 @@ app.use(cors())
 app.use(express.json())
 
 // Configure Multer for file uploads
+const MAX_PDF_BYTES = 5 * 1024 * 1024
+const MAX_BATCH_FILES = Number(process.env.MAX_BATCH_FILES || 50)
 const upload = multer({
     storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+    limits: { fileSize: MAX_PDF_BYTES }
+})
+// Zips of many BLs are larger than any single PDF
+const batchUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024, files: MAX_BATCH_FILES }
 })
 
-// In-memory vessel storage
-let vesselDatabase = []
-const trackedVessels = new Map()
-const positionCache = new Map()
-const myShipTrackingUrlCache = new Map()
-const POSITION_REFRESH_MS = Number(process.env.POSITION_REFRESH_MS || 3600000)
+// Persistent vessel storage (see storage.js)
+const positionCache = createCacheStore('position')
 const POSITION_CACHE_TTL_MS = Number(process.env.POSITION_CACHE_TTL_MS || 25000)
-const MAX_TRACKED_VESSELS = Number(process.env.MAX_TRACKED_VESSELS || 10)
-let positionRefreshTimer = null
-let positionRefreshInFlight = false
+const SEARCH_RESULT_LIMIT = 10
+// Fields a user may correct on a tracked vessel via PATCH /api/vessels/:mmsi
+const EDITABLE_VESSEL_FIELDS = [
+    'name', 'origin', 'destination', 'finalDestination', 'voyage',
+    'blNumber', 'bookingNumber', 'containerNumber', 'carrier', 'shipper', 'consignee'
+]
+// Free-text shipment fields accepted by POST/PATCH /api/shipments (plus mmsi, containers, status)
+const SHIPMENT_TEXT_FIELDS = [
+    'vesselName', 'voyage', 'blNumber', 'bookingNumber', 'shipper', 'consignee',
+    'portOfLoading', 'portOfDischarge', 'finalDestination', 'carrier', 'notes'
+]
+const SHIPMENT_STATUSES = ['booked', 'in-transit', 'arrived', 'delivered']
+const IMPORT_DRAFT_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const IMPORT_PRUNE_INTERVAL_MS = 60 * 60 * 1000
+const TRACK_DEFAULT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000 // 7 days
+const TRACK_MAX_POINTS = Number(process.env.TRACK_MAX_POINTS || 500)
+const DEAD_RECKONING_MIN_AGE_MS = Number(process.env.DEAD_RECKONING_MIN_AGE_MS || 10 * 60 * 1000)
+const DEAD_RECKONING_MAX_AGE_HOURS = Number(process.env.DEAD_RECKONING_MAX_AGE_HOURS || 72)
+const AIS_MIN_UPDATE_MS = Number(process.env.AIS_MIN_UPDATE_MS || 60000)
+const MAX_RECENT_REJECTIONS = 10
+// After this many teleport rejections in a row, assume the stored fix was the bad one
+const TELEPORT_OVERRIDE_COUNT = 3
+const aisLastApplied = new Map()
+// Webhook vessel events: ETA moves smaller than this are not reported
+const ETA_CHANGE_EVENT_MINUTES = Number(process.env.ETA_CHANGE_EVENT_MINUTES || 60)
+// Within this distance of the POD and below this speed a vessel counts as arrived
+const ARRIVAL_RADIUS_NM = Number(process.env.ARRIVAL_RADIUS_NM || 10)
+const ARRIVAL_MAX_KNOTS = 1
+const vesselEventState = createCacheStore('vessel-events')
+const webhookDispatcher = createWebhookDispatcher()
+const BOTTLENECK_REFRESH_MS = Number(process.env.BOTTLENECK_REFRESH_MS || 30 * 60 * 1000)
+let bottleneckRefreshTimer = null
+let lastBottleneckSignature = null
 const SUBSCRIPTIONS_FILE = path.join(__dirname, 'subscriptions.json')
 let subscriptions = []
+// Daily digests, one per recipient email (see digests.js)
+const DIGESTS_FILE = path.join(__dirname, 'digests.json')
+let digests = []
+let digestTickRunning = false
 let notificationsTimer = null
-const SCRAPE_HEADERS = {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-    'Accept': 'text/html'
-}
 
 // Email configuration - Brevo HTTP API (preferred) or SMTP fallback
 const BREVO_API_KEY = process.env.BREVO_API_KEY || null
@@ -72,6 +124,9 @@ const SMTP_SECURE = (process.env.SMTP_SECURE || '').toLowerCase() === 'true'
 const EMAIL_VIA_API = !!BREVO_API_KEY
 const EMAIL_VIA_SMTP = !!(SMTP_HOST && SMTP_USER && SMTP_PASS && SMTP_FROM)
 const EMAIL_ENABLED = EMAIL_VIA_API || EMAIL_VIA_SMTP
+// Public address of this server, used to link the route map from emails sent via Brevo
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null
+const ROUTE_MAP_CID = 'route-map@vessel-tracker'
 const DEFAULT_FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 15000)
 const SMTP_SEND_TIMEOUT_MS = Number(process.env.SMTP_SEND_TIMEOUT_MS || 15000)
 
@@ -88,7 +143,7 @@ const mailTransporter = EMAIL_VIA_SMTP
     : null
 
 // Send email via Brevo HTTP API
-async function sendEmailViaBrevoAPI(to, subject, textContent) {
+async function sendEmailViaBrevoAPI(to, subject, textContent, htmlContent = null) {
     const response = await fetchWithTimeout('https://api.brevo.com/v3/smtp/email', {
         method: 'POST',
         headers: {
@@ -100,7 +155,8 @@ async function sendEmailViaBrevoAPI(to, subject, textContent) {
             sender: { email: SMTP_FROM || 'noreply@vesseltracker.app', name: 'Vessel Tracker' },
             to: [{ email: to }],
             subject: subject,
-            textContent: textContent
+            textContent: textContent,
+            ...(htmlContent && { htmlContent })
         })
     })
 
@@ -112,16 +168,6 @@ async function sendEmailViaBrevoAPI(to, subject, textContent) {
     return await response.json()
 }
 
-function withTimeout(promise, timeoutMs, label) {
-    let timeoutId = null
-    const timeout = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => reject(new Error(`${label} timeout`)), timeoutMs)
-    })
-    return Promise.race([promise, timeout]).finally(() => {
-        if (timeoutId) clearTimeout(timeoutId)
-    })
-}
-
 function formatEmailError(err) {
     if (!err) return 'Unknown email error'
     const parts = []
@@ -195,45 +241,103 @@ function saveSubscriptions() {
     }
 }
 
+function loadDigests() {
+    try {
+        const fs = require('fs')
+        if (!fs.existsSync(DIGESTS_FILE)) {
+            digests = []
+            return
+        }
+        const data = JSON.parse(fs.readFileSync(DIGESTS_FILE, 'utf8'))
+        digests = Array.isArray(data) ? data : []
+    } catch (err) {
+        console.error('Failed to load digests:', err.message)
+        digests = []
+    }
+}
+
+function saveDigests() {
+    try {
+        const fs = require('fs')
+        fs.writeFileSync(DIGESTS_FILE, JSON.stringify(digests, null, 2))
+    } catch (err) {
+        console.error('Failed to save digests:', err.message)
+    }
+}
+
+function findActiveDigest(email) {
+    return (email && digests.find(d => d.active && d.email === email)) || null
+}
+
+// Scheduled status emails of a recipient with an active digest go out in the digest instead
+function isInDigest(sub) {
+    return (!sub.channel || sub.channel === 'email') && !!findActiveDigest(sub.email)
+}
+
 function normalizeCadenceHours(input) {
     const hours = Number(input)
     if (!Number.isFinite(hours) || hours <= 0) return 24
     return Math.min(Math.max(hours, 1), 168)
 }
 
-function formatPositionLine(vessel) {
-    if (!vessel?.latitude || !vessel?.longitude) return 'Current Position: unavailable'
-    return `Current Position: ${vessel.latitude.toFixed(4)}, ${vessel.longitude.toFixed(4)}`
+function formatPosition(vessel) {
+    if (!vessel?.latitude || !vessel?.longitude) return 'unavailable'
+    return `${vessel.latitude.toFixed(4)}, ${vessel.longitude.toFixed(4)}`
 }
 
-function formatWeatherLine(weather) {
-    if (!weather) return 'Weather: unavailable'
+function formatWeather(weather) {
+    if (!weather) return 'unavailable'
     const wind = `${(weather.wind_speed_10m ?? 0).toFixed(1)} m/s @ ${weather.wind_direction_10m ?? 0}°`
     const wave = weather.wave_height ? `${weather.wave_height.toFixed(2)} m` : 'N/A'
-    return `Weather: wind ${wind}, wave height ${wave}`
+    return `wind ${wind}, wave height ${wave}`
 }
 
-function buildWarningLines(vessel, weather) {
+// Warnings for the vessel's current location, each with a severity (low, medium, high)
+function buildWarnings(vessel, weather) {
     const warnings = []
     if (vessel?.bottleneckWarning) {
-        warnings.push(`Congestion: ${vessel.bottleneckWarning.zone} (+${vessel.bottleneckWarning.delayMinutes} min)`)
+        warnings.push({
+            text: `Congestion: ${vessel.bottleneckWarning.zone} (+${vessel.bottleneckWarning.delayMinutes} min)`,
+            severity: vessel.bottleneckWarning.severity || 'medium'
+        })
     }
     if (weather?.wind_speed_10m && weather.wind_speed_10m >= 15) {
-        warnings.push('Weather: high wind conditions')
+        warnings.push({ text: 'Weather: high wind conditions', severity: weather.wind_speed_10m >= 20 ? 'high' : 'medium' })
     }
     if (weather?.wave_height && weather.wave_height >= 3) {
-        warnings.push('Weather: high wave height')
+        warnings.push({ text: 'Weather: high wave height', severity: weather.wave_height >= 5 ? 'high' : 'medium' })
     }
     return warnings
 }
 
-async function sendVesselEmailUpdate(subscription) {
-    if (!EMAIL_ENABLED) {
-        throw new Error('Email service not configured')
+// Where the vessel is between POL and POD, for the HTML email's progress bar, ETA box and map
+function buildVoyageSummary(vessel, progress = null) {
+    const hasRoute = Array.isArray(vessel.route) && vessel.route.length >= 2
+    const hasPosition = Number.isFinite(vessel.latitude) && Number.isFinite(vessel.longitude)
+    let progressPercent = null
+    if (hasRoute && hasPosition) {
+        const { completed, remaining } = splitRouteByPosition(vessel.route, vessel.latitude, vessel.longitude)
+        const travelledNm = calculateRouteDistance(completed)
+        const totalNm = travelledNm + calculateRouteDistance(remaining)
+        if (totalNm > 0) progressPercent = (travelledNm / totalNm) * 100
     }
+    return {
+        origin: vessel.origin || null,
+        destination: vessel.destination || null,
+        progressPercent,
+        remaining: progress,
+        eta: vessel.eta || null,
+        etaText: vessel.eta ? new Date(vessel.eta).toUTCString() : 'unavailable',
+        delayMinutes: vessel.bottleneckDelayMinutes || 0,
+        route: hasRoute ? vessel.route : null,
+        latitude: hasPosition ? vessel.latitude : null,
+        longitude: hasPosition ? vessel.longitude : null
+    }
+}
 
-    const mmsi = subscription.mmsi
-    let vessel = trackedVessels.get(mmsi) || vesselDatabase.find(v => v.mmsi === mmsi)
+// Everything a status update reports, gathered once and rendered per channel (see notificationChannels.js)
+async function buildVesselReport(mmsi) {
+    let vessel = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
     if (!vessel) {
         vessel = { mmsi }
     }
@@ -263,19 +367,15 @@ async function sendVesselEmailUpdate(subscription) {
         liveVessel.bottleneckWarning = checkBottleneckProximity(liveVessel.latitude, liveVessel.longitude)
     }
 
-    const etaLine = liveVessel.eta
-        ? `ETA: ${new Date(liveVessel.eta).toUTCString()}`
-        : 'ETA: unavailable'
-
     // Build voyage progress info
-    let progressLine = ''
+    let progress = null
     if (liveVessel.distanceRemainingNm && liveVessel.hoursRemaining) {
         const days = Math.floor(liveVessel.hoursRemaining / 24)
         const hours = Math.round(liveVessel.hoursRemaining % 24)
         const timeStr = days > 0 ? `${days}d ${hours}h` : `${hours}h`
-        progressLine = `Distance Remaining: ${liveVessel.distanceRemainingNm.toFixed(0)} nm (~${timeStr} at current speed)`
+        progress = `${liveVessel.distanceRemainingNm.toFixed(0)} nm (~${timeStr} at current speed)`
     } else if (liveVessel.distanceRemainingNm) {
-        progressLine = `Distance Remaining: ${liveVessel.distanceRemainingNm.toFixed(0)} nm`
+        progress = `${liveVessel.distanceRemainingNm.toFixed(0)} nm`
     }
 
     // Get route-based congestion forecast
@@ -287,78 +387,126 @@ async function sendVesselEmailUpdate(subscription) {
         )
     }
 
-    const warnings = buildWarningLines(liveVessel, weather)
+    const warnings = buildWarnings(liveVessel, weather)
 
-    // Build email subject with status indicator
+    // Build subject with status indicator
     let statusIndicator = ''
     if (warnings.length > 0) {
         statusIndicator = ' ⚠️'
     } else if (liveVessel.speed > 0) {
         statusIndicator = ' ✓'
     }
-    const subject = `Vessel Update: ${liveVessel.name || liveVessel.mmsi}${statusIndicator}`
-
-    const bodyLines = [
-        `=== VESSEL STATUS UPDATE ===`,
-        ``,
-        `Vessel: ${liveVessel.name || 'Unknown'}`,
-        `MMSI: ${liveVessel.mmsi || 'N/A'}`,
-        ``,
-        `--- ROUTE ---`,
-        `Port of Loading: ${liveVessel.origin || 'N/A'}`,
-        `Port of Discharge: ${liveVessel.destination || 'N/A'}`,
-        ``,
-        `--- CURRENT STATUS ---`,
-        formatPositionLine(liveVessel),
-        `Speed: ${liveVessel.speed?.toFixed(1) || '0'} knots`,
-        `Heading: ${liveVessel.heading || liveVessel.cog || 'N/A'}°`,
-        etaLine
-    ]
-
-    if (progressLine) {
-        bodyLines.push(progressLine)
-    }
 
-    bodyLines.push(``, `--- WEATHER CONDITIONS ---`, formatWeatherLine(weather))
+    const status = [
+        { label: 'Current Position', value: formatPosition(liveVessel) },
+        { label: 'Speed', value: `${liveVessel.speed?.toFixed(1) || '0'} knots` },
+        { label: 'Heading', value: `${liveVessel.heading || liveVessel.cog || 'N/A'}°` },
+        { label: 'ETA', value: liveVessel.eta ? new Date(liveVessel.eta).toUTCString() : 'unavailable' }
+    ]
+    if (progress) status.push({ label: 'Distance Remaining', value: progress })
+
+    const sections = [
+        {
+            title: 'Route',
+            fields: [
+                { label: 'Port of Loading', value: liveVessel.origin || 'N/A' },
+                { label: 'Port of Discharge', value: liveVessel.destination || 'N/A' }
+            ]
+        },
+        { title: 'Current Status', fields: status },
+        { title: 'Weather Conditions', fields: [{ label: 'Weather', value: formatWeather(weather) }] }
+    ]
 
     // Add route congestion forecast
     if (routeCongestion && routeCongestion.affectedZones.length > 0) {
-        bodyLines.push(``, `--- ROUTE CONGESTION FORECAST ---`)
-        bodyLines.push(`Total Estimated Delay: ${routeCongestion.totalDelayMinutes} minutes`)
-        routeCongestion.affectedZones.forEach(zone => {
-            const warningStr = zone.warnings?.length ? ` (${zone.warnings.join(', ')})` : ''
-            bodyLines.push(`- ${zone.name}: ${zone.delay} min delay [${zone.severity}]${warningStr}`)
+        sections.push({
+            title: 'Route Congestion Forecast',
+            fields: [{ label: 'Total Estimated Delay', value: `${routeCongestion.totalDelayMinutes} minutes` }],
+            items: routeCongestion.affectedZones.map((zone) => {
+                const warningStr = zone.warnings?.length ? ` (${zone.warnings.join(', ')})` : ''
+                return `${zone.name}: ${zone.delay} min delay [${zone.severity}]${warningStr}`
+            }),
+            bullet: '-'
         })
     }
 
     // Add current location warnings
     if (warnings.length) {
-        bodyLines.push(``, `--- ACTIVE WARNINGS ---`)
-        warnings.forEach(w => bodyLines.push(`⚠ ${w}`))
+        sections.push({ title: 'Active Warnings', items: warnings.map(w => w.text), bullet: '⚠', tone: 'warning' })
+    }
+
+    return {
+        subject: `Vessel Update: ${liveVessel.name || liveVessel.mmsi}${statusIndicator}`,
+        heading: 'VESSEL STATUS UPDATE',
+        vessel: { name: liveVessel.name || null, mmsi: liveVessel.mmsi || mmsi },
+        sections,
+        voyage: buildVoyageSummary(liveVessel, progress),
+        warnings,
+        footer: `Report generated: ${new Date().toUTCString()}`
+    }
+}
+
+// Send a report on the subscription's channel: email, Slack or Teams
+async function deliverReport(subscription, report) {
+    if (subscription.channel && subscription.channel !== 'email') {
+        await sendChatMessage(subscription.channel, subscription.targetUrl, report)
+        console.log(`${subscription.channel} message sent to:`, describeTarget(subscription))
+        return
+    }
+    if (!EMAIL_ENABLED) {
+        throw new Error('Email service not configured')
+    }
+    await sendEmail(subscription.email, report.subject, ...renderReportEmail(report))
+}
+
+// HTML email with a text fallback from the templates (see emailTemplates.js). The route
+// map goes inline as a cid: attachment over SMTP; the Brevo API can't reference
+// attachments, so there it's linked from PUBLIC_BASE_URL when that is set.
+// Returns [text, { html, attachments }] for sendEmail.
+function renderReportEmail(report) {
+    let mapSrc = null
+    const attachments = []
+    if (report.voyage && !EMAIL_VIA_API && mailTransporter) {
+        const map = renderRouteMap(report.voyage)
+        if (map) {
+            attachments.push({ filename: 'route-map.png', content: map, cid: ROUTE_MAP_CID })
+            mapSrc = `cid:${ROUTE_MAP_CID}`
+        }
+    } else if (report.voyage && PUBLIC_BASE_URL && report.vessel.mmsi) {
+        // Image proxies cache by URL, so each email gets its own
+        mapSrc = `${PUBLIC_BASE_URL}/api/vessels/${encodeURIComponent(report.vessel.mmsi)}/route-map.png?t=${Date.now()}`
     }
 
-    bodyLines.push(``, `---`, `Report generated: ${new Date().toUTCString()}`)
+    const rendered = renderEmailTemplate('vessel-report', buildReportView(report, { mapSrc }))
+    if (!rendered) return [formatReportText(report), {}]
+    return [rendered.text, { html: rendered.html, attachments: rendered.html ? attachments : [] }]
+}
 
-    const text = bodyLines.join('\n')
+async function sendVesselUpdate(subscription) {
+    const report = await buildVesselReport(subscription.mmsi)
+    await deliverReport(subscription, report)
+}
 
+async function sendEmail(to, subject, text, { html = null, attachments = [] } = {}) {
     try {
         // Prefer Brevo HTTP API (works on all cloud platforms)
         if (EMAIL_VIA_API) {
-            await sendEmailViaBrevoAPI(subscription.email, subject, text)
-            console.log('Email sent via Brevo API to:', subscription.email)
+            await sendEmailViaBrevoAPI(to, subject, text, html)
+            console.log('Email sent via Brevo API to:', to)
         } else if (mailTransporter) {
             // Fallback to SMTP
             await withTimeout(
                 mailTransporter.sendMail({
                     from: SMTP_FROM,
-                    to: subscription.email,
+                    to,
                     subject,
-                    text
+                    text,
+                    ...(html && { html, attachments })
                 }),
                 SMTP_SEND_TIMEOUT_MS,
                 'SMTP send'
             )
-            console.log('Email sent via SMTP to:', subscription.email)
+            console.log('Email sent via SMTP to:', to)
         } else {
             throw new Error('No email transport configured')
         }
@@ -369,6 +517,37 @@ async function sendVesselEmailUpdate(subscription) {
     }
 }
 
+// One triggered alert (see alertRules.js): a short message on the subscription's channel
+// plus a push to open clients
+async function deliverVesselAlert(subscription, alert, vessel) {
+    const name = vessel.name || vessel.mmsi
+    publish('vesselAlert', { id: subscription.id, mmsi: vessel.mmsi, type: alert.type, title: alert.title, message: alert.message })
+
+    await deliverReport(subscription, {
+        subject: `Vessel Alert: ${name} - ${alert.title}`,
+        heading: 'VESSEL ALERT',
+        vessel: { name: vessel.name || null, mmsi: vessel.mmsi },
+        message: alert.message,
+        sections: [{
+            title: 'Current Status',
+            fields: [
+                { label: 'Current Position', value: formatPosition(vessel) },
+                { label: 'Speed', value: `${vessel.speed?.toFixed(1) || '0'} knots` },
+                { label: 'ETA', value: vessel.eta ? new Date(vessel.eta).toUTCString() : 'unavailable' }
+            ]
+        }],
+        voyage: buildVoyageSummary(vessel),
+        footer: `Alert generated: ${new Date().toUTCString()}`
+    })
+    console.log(`Alert ${alert.type} sent for ${vessel.mmsi} to ${describeTarget(subscription)}: ${alert.title}`)
+}
+
+const alertEngine = createAlertEngine({
+    listSubscriptions: () => subscriptions,
+    deliverAlert: deliverVesselAlert,
+    saveSubscriptions
+})
+
 const MAX_RETRY_COUNT = 3
 const RETRY_DELAY_MS = 5 * 60 * 1000 // 5 minutes between retries
 
@@ -380,15 +559,17 @@ async function runNotificationsTick() {
     for (const sub of subscriptions) {
         if (!sub.active) continue
         if (!sub.nextRun || sub.nextRun > now) continue
+        if (isInDigest(sub)) continue
 
         try {
-            await sendVesselEmailUpdate(sub)
+            await sendVesselUpdate(sub)
             sub.lastSentAt = new Date().toISOString()
             sub.nextRun = Date.now() + sub.cadenceHours * 60 * 60 * 1000
             sub.retryCount = 0 // Reset retry count on success
             sub.lastError = null
             modified = true
-            console.log(`Scheduled notification sent for ${sub.mmsi} to ${sub.email}`)
+            publish('notificationSent', { id: sub.id, mmsi: sub.mmsi, sentAt: sub.lastSentAt })
+            console.log(`Scheduled notification sent for ${sub.mmsi} to ${describeTarget(sub)}`)
         } catch (err) {
             sub.lastError = err.message
             sub.retryCount = (sub.retryCount || 0) + 1
@@ -410,218 +591,165 @@ async function runNotificationsTick() {
     if (modified) saveSubscriptions()
 }
 
-function startNotificationsScheduler() {
-    if (notificationsTimer) return
-    loadSubscriptions()
-    runNotificationsTick()
-    notificationsTimer = setInterval(runNotificationsTick, 60000)
-}
+// Build and send one digest: a status report for every vessel the recipient follows.
+// Returns the rows sent, or null when the recipient has no active subscriptions.
+async function sendDigest(digest) {
+    if (!EMAIL_ENABLED) {
+        throw new Error('Email service not configured')
+    }
+    const mmsis = [...new Set(subscriptions
+        .filter(sub => sub.active && (!sub.channel || sub.channel === 'email') && sub.email === digest.email)
+        .map(sub => sub.mmsi))]
+    if (mmsis.length === 0) return null
 
-function getMyShipTrackingCachedUrl(mmsi, name) {
-    if (mmsi && myShipTrackingUrlCache.has(mmsi.toString())) return myShipTrackingUrlCache.get(mmsi.toString())
-    const nameKey = name ? normalizeName(name) : null
-    if (nameKey && myShipTrackingUrlCache.has(nameKey)) return myShipTrackingUrlCache.get(nameKey)
-    return null
-}
+    // One vessel at a time: each report refreshes the position and fetches weather
+    const entries = []
+    for (const mmsi of mmsis) {
+        try {
+            entries.push({ mmsi, report: await buildVesselReport(mmsi) })
+        } catch (err) {
+            console.error(`Digest report for ${mmsi} failed:`, err.message)
+            const stored = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
+            entries.push({ mmsi, report: null, name: stored?.name, error: 'Latest status unavailable' })
+        }
+    }
 
-function cacheMyShipTrackingUrl(mmsi, name, url) {
-    if (!url) return
-    if (mmsi) myShipTrackingUrlCache.set(mmsi.toString(), url)
-    if (name) myShipTrackingUrlCache.set(normalizeName(name), url)
-}
+    const rows = buildDigestRows(entries, digest)
+    const report = buildDigestReport(digest, rows)
+    const rendered = renderEmailTemplate('daily-digest', buildDigestView(report))
+    if (!rendered) throw new Error('Digest template unavailable')
 
-async function resolveMyShipTrackingInfo(mmsi, name) {
-    const cachedUrl = getMyShipTrackingCachedUrl(mmsi, name)
-    if (cachedUrl) return { url: cachedUrl, mmsi: mmsi ? mmsi.toString() : null, name }
+    await sendEmail(digest.email, report.subject, rendered.text, { html: rendered.html })
+    console.log(`Digest sent to ${digest.email}: ${rows.length} vessels`)
+    return rows
+}
 
-    const term = mmsi || name
-    if (!term) return null
+async function runDigestsTick() {
+    // A digest of many vessels can outlast the one-minute tick
+    if (digestTickRunning || !digests.length) return
+    digestTickRunning = true
+    let modified = false
 
     try {
-        const searchUrl = `https://www.myshiptracking.com/vessels?name=${encodeURIComponent(term)}`
-        const res = await fetchWithTimeout(searchUrl, {
-            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
-        })
-        if (!res.ok) return null
-        const html = await res.text()
+        for (const digest of digests) {
+            if (!digest.active || !digest.nextRun || digest.nextRun > Date.now()) continue
 
-        let linkMatch = null
-        if (mmsi) {
-            const escaped = mmsi.toString().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-            linkMatch = html.match(new RegExp(`href=\"(\\/vessels\\/[^\"\\s]*-mmsi-${escaped}-[^\"\\s]*)\"`, 'i'))
-        }
-        if (!linkMatch) {
-            linkMatch = html.match(/href=\"(\/vessels\/[^\"\s]+)\"/i)
+            try {
+                const rows = await sendDigest(digest)
+                if (rows) {
+                    digest.lastSentAt = new Date().toISOString()
+                    digest.vessels = snapshotRows(rows, digest.vessels)
+                }
+                digest.nextRun = nextDigestRun(digest)
+                digest.retryCount = 0
+                digest.lastError = null
+            } catch (err) {
+                digest.lastError = err.message
+                digest.retryCount = (digest.retryCount || 0) + 1
+                if (digest.retryCount >= MAX_RETRY_COUNT) {
+                    console.error(`Digest for ${digest.email} failed after ${MAX_RETRY_COUNT} retries: ${err.message}`)
+                    digest.nextRun = nextDigestRun(digest)
+                    digest.retryCount = 0
+                } else {
+                    console.error(`Digest for ${digest.email} failed (retry ${digest.retryCount}/${MAX_RETRY_COUNT}): ${err.message}`)
+                    digest.nextRun = Date.now() + RETRY_DELAY_MS
+                }
+            }
+            modified = true
         }
-        if (!linkMatch) return null
-
-        const link = linkMatch[1]
-        const url = `https://www.myshiptracking.com${link}`
-        const mmsiMatch = link.match(/-mmsi-(\d{9})-/i)
-        const nameMatch = link.match(/\/vessels\/([^\/]+?)-mmsi-\d{9}/i)
-        const resolvedName = nameMatch ? nameMatch[1].replace(/-/g, ' ').toUpperCase() : name
-        const resolvedMmsi = mmsiMatch ? mmsiMatch[1] : (mmsi ? mmsi.toString() : null)
-
-        cacheMyShipTrackingUrl(resolvedMmsi, resolvedName, url)
-        return { url, mmsi: resolvedMmsi, name: resolvedName }
-    } catch (err) {
-        console.error('MyShipTracking resolve failed:', err.message)
-        return null
+    } finally {
+        digestTickRunning = false
+        if (modified) saveDigests()
     }
 }
 
-function parseMyShipTrackingPosition(html) {
-    if (!html) return null
-    const match = html.match(/canvas_map_generate\("map_locator"\s*,\s*\d+\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)\s*,\s*([-\d.]+)/i)
-    if (!match) return null
-
-    const latitude = Number(match[1])
-    const longitude = Number(match[2])
-    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
-
-    const heading = Number(match[3])
-    const speed = Number(match[4])
-    return {
-        latitude,
-        longitude,
-        heading: Number.isFinite(heading) ? heading : null,
-        speed: Number.isFinite(speed) ? speed : null
-    }
+function startNotificationsScheduler() {
+    if (notificationsTimer) return
+    loadSubscriptions()
+    loadDigests()
+    runNotificationsTick()
+    runDigestsTick()
+    notificationsTimer = setInterval(() => {
+        runNotificationsTick()
+        runDigestsTick()
+    }, 60000)
 }
 
-async function fetchMyShipTrackingPositionByMmsi(mmsi) {
-    if (!mmsi) return null
-    try {
-        const url = `https://www.myshiptracking.com/requests/vesselonmap.php?type=json&mmsi=${encodeURIComponent(mmsi)}`
-        const res = await fetchWithTimeout(url, {
-            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
-        })
-        if (!res.ok) return null
-        const raw = (await res.text()).trim()
-        if (!raw) return null
-        const parts = raw.split(/\s+/)
-        if (parts.length < 2) return null
-        const latitude = Number(parts[0])
-        const longitude = Number(parts[1])
-        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
-        const speed = Number(parts[2])
-        const heading = Number(parts[3])
-        return {
-            latitude,
-            longitude,
-            speed: Number.isFinite(speed) ? speed : null,
-            heading: Number.isFinite(heading) && heading >= 0 && heading <= 360 ? heading : null
+// Queue webhook events for what a new fix changed. The last ETA reported and whether the
+// vessel has arrived are kept per MMSI, so slow ETA drift still adds up to an event.
+function emitVesselEvents(previous, updated) {
+    const summary = {
+        mmsi: updated.mmsi,
+        name: updated.name || null,
+        latitude: updated.latitude,
+        longitude: updated.longitude,
+        speed: updated.speed ?? null,
+        heading: updated.heading ?? null,
+        eta: updated.eta || null,
+        origin: updated.origin || null,
+        destination: updated.destination || null,
+        positionSource: updated.positionSource || null,
+        updatedAt: updated.updatedAt || null
+    }
+    webhookDispatcher.emit('vessel.position_updated', summary)
+
+    const state = vesselEventState.get(updated.mmsi) || {}
+    const next = { ...state }
+    if (updated.eta) {
+        const shiftMinutes = state.eta ? (new Date(updated.eta) - new Date(state.eta)) / 60000 : null
+        if (shiftMinutes === null) next.eta = updated.eta
+        else if (Math.abs(shiftMinutes) >= ETA_CHANGE_EVENT_MINUTES) {
+            webhookDispatcher.emit('vessel.eta_changed', { ...summary, previousEta: state.eta, shiftMinutes: Math.round(shiftMinutes) })
+            next.eta = updated.eta
         }
-    } catch (err) {
-        console.error('MyShipTracking vesselonmap error:', err.message)
-        return null
     }
-}
 
-function parseMyShipTrackingRouteList(xml) {
-    if (!xml) return []
-    const routes = []
-    const blocks = xml.match(new RegExp('<P>[\\s\\S]*?<\\/P>', 'g')) || []
-    blocks.forEach((block) => {
-        const routeId = block.match(/<ROUTEID>([^<]+)<\/ROUTEID>/i)?.[1]?.trim()
-        const name = block.match(/<NAME>([^<]+)<\/NAME>/i)?.[1]?.trim()
-        if (routeId) {
-            routes.push({ id: routeId, name })
-        }
-    })
-    return routes
-}
-
-function parseMyShipTrackingRoutePoints(xml) {
-    if (!xml) return []
-    const points = []
-    const blocks = xml.match(new RegExp('<P>[\\s\\S]*?<\\/P>', 'g')) || []
-    blocks.forEach((block) => {
-        const lat = Number(block.match(/<LAT>([^<]+)<\/LAT>/i)?.[1])
-        const lon = Number(block.match(/<LON>([^<]+)<\/LON>/i)?.[1])
-        const ord = Number(block.match(/<ORD>([^<]+)<\/ORD>/i)?.[1])
-        if (Number.isFinite(lat) && Number.isFinite(lon)) {
-            points.push({ lat, lon, ord: Number.isFinite(ord) ? ord : points.length })
+    const previousZone = previous?.bottleneckWarning?.zone || null
+    const zone = updated.bottleneckWarning?.zone || null
+    if (previousZone !== zone) {
+        if (previousZone) webhookDispatcher.emit('vessel.zone_left', { ...summary, zone: previousZone })
+        if (zone) {
+            webhookDispatcher.emit('vessel.zone_entered', {
+                ...summary,
+                zone,
+                severity: updated.bottleneckWarning.severity,
+                delayMinutes: updated.bottleneckWarning.delayMinutes
+            })
         }
-    })
-    return points.sort((a, b) => a.ord - b.ord)
-}
-
-async function fetchMyShipTrackingRoute(mmsi, originName, destName) {
-    if (!mmsi) return null
-    try {
-        const portsUrl = `https://www.myshiptracking.com/requests/calc_ports.php?mmsi=${encodeURIComponent(mmsi)}`
-        const portsRes = await fetchWithTimeout(portsUrl, {
-            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
-        })
-        if (!portsRes.ok) return null
-        const portsXml = await portsRes.text()
-        const routes = parseMyShipTrackingRouteList(portsXml)
-        if (!routes.length) return null
-
-        const routeId = routes[0].id
-        const routeUrl = `https://www.myshiptracking.com/requests/calc_routes.php?route=${encodeURIComponent(routeId)}`
-        const routeRes = await fetchWithTimeout(routeUrl, {
-            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
-        })
-        if (!routeRes.ok) return null
-        const routeXml = await routeRes.text()
-        const points = parseMyShipTrackingRoutePoints(routeXml)
-        if (points.length < 2) return null
-
-        return points.map((point, index) => ({
-            lat: point.lat,
-            lng: point.lon,
-            name: index === 0 ? (originName || 'Origin') : index === points.length - 1 ? (destName || 'Destination') : `Waypoint ${index}`,
-            type: index === 0 ? 'origin' : index === points.length - 1 ? 'destination' : 'waypoint'
-        }))
-    } catch (err) {
-        console.error('MyShipTracking route fetch failed:', err.message)
-        return null
     }
-}
 
-async function fetchMyShipTrackingPosition(vessel) {
-    const mmsi = vessel?.mmsi ? vessel.mmsi.toString() : null
-    const name = vessel?.name || null
-    const quickPosition = mmsi ? await fetchMyShipTrackingPositionByMmsi(mmsi) : null
-    if (quickPosition) {
-        return {
-            ...quickPosition,
-            source: 'myshiptracking',
-            updatedAt: new Date().toISOString(),
-            myShipTrackingUrl: getMyShipTrackingCachedUrl(mmsi, name) || null
+    const destLat = Number(updated.destLat)
+    const destLng = Number(updated.destLng)
+    if (updated.destLat != null && updated.destLng != null && Number.isFinite(destLat) && Number.isFinite(destLng)) {
+        const distanceNm = haversineDistance(updated.latitude, updated.longitude, destLat, destLng) * 0.539957
+        if (!state.arrivedAt && distanceNm <= ARRIVAL_RADIUS_NM && (updated.speed ?? 0) <= ARRIVAL_MAX_KNOTS) {
+            next.arrivedAt = updated.updatedAt || new Date().toISOString()
+            webhookDispatcher.emit('vessel.arrived', {
+                ...summary,
+                arrivedAt: next.arrivedAt,
+                distanceNm: Math.round(distanceNm * 10) / 10,
+                shipments: shipmentRepository.list({ mmsi: updated.mmsi }).map(shipment => ({
+                    id: shipment.id,
+                    blNumber: shipment.blNumber || null,
+                    bookingNumber: shipment.bookingNumber || null
+                }))
+            })
+        } else if (state.arrivedAt && distanceNm > ARRIVAL_RADIUS_NM * 3) {
+            // Sailed again: the next arrival is a new event
+            next.arrivedAt = null
         }
     }
 
-    let url = vessel?.myShipTrackingUrl || getMyShipTrackingCachedUrl(mmsi, name)
-    if (!url) {
-        const resolved = await resolveMyShipTrackingInfo(mmsi, name)
-        url = resolved?.url || null
-        if (resolved?.mmsi || resolved?.name) {
-            cacheMyShipTrackingUrl(resolved?.mmsi || mmsi, resolved?.name || name, url)
-        }
-    }
-    if (!url) return null
+    if (JSON.stringify(next) !== JSON.stringify(state)) vesselEventState.set(updated.mmsi, next)
+}
 
-    try {
-        const res = await fetchWithTimeout(url, {
-            headers: { ...SCRAPE_HEADERS, 'Referer': 'https://www.myshiptracking.com/' }
-        })
-        if (!res.ok) return null
-        const html = await res.text()
-        const position = parseMyShipTrackingPosition(html)
-        if (!position) return null
-        return {
-            ...position,
-            source: 'myshiptracking',
-            updatedAt: new Date().toISOString(),
-            myShipTrackingUrl: url
-        }
-    } catch (err) {
-        console.error('MyShipTracking position fetch failed:', err.message)
-        return null
-    }
+// Fields whose change is worth pushing to connected clients
+function hasVesselStateChanged(previous, next) {
+    if (!previous) return true
+    const fields = ['latitude', 'longitude', 'speed', 'heading', 'eta', 'positionSource', 'destination', 'origin']
+    if (fields.some(field => previous[field] !== next[field])) return true
+    if ((previous.bottleneckWarning?.zone || null) !== (next.bottleneckWarning?.zone || null)) return true
+    return (previous.route?.length || 0) !== (next.route?.length || 0)
 }
 
 async function refreshPositionForVessel(vessel, options = {}) {
@@ -641,10 +769,75 @@ async function refreshPositionForVessel(vessel, options = {}) {
         }
     }
 
-    const livePosition = await fetchMyShipTrackingPosition(vessel)
-    if (!livePosition) return null
+    const livePosition = await vesselProviders.getPosition(vessel.mmsi, vessel)
+    const updated = livePosition ? await applyLivePosition(vessel, livePosition) : null
+
+    // An accepted fix is evaluated in applyLivePosition. Alerts run on failed refreshes
+    // too, so a vessel that stops reporting is noticed.
+    if (!updated) {
+        const latest = (vessel.mmsi && trackedVesselRepository.get(vessel.mmsi)) || vessel
+        alertEngine.evaluate(latest).catch(err => console.error('Alert evaluation failed:', err.message))
+    }
+
+    return updated
+}
+
+// Keep a rejected fix out of the vessel state, but remember why in its data-quality info
+function recordRejectedFix(vessel, livePosition, verdict) {
+    console.log(`Rejected position for ${vessel.mmsi || vessel.name} from ${livePosition.source || 'unknown'}: ${verdict.reason} (${verdict.detail})`)
+    if (!vessel.mmsi) return
+
+    const quality = vessel.dataQuality || {}
+    const rejection = {
+        reason: verdict.reason,
+        detail: verdict.detail,
+        latitude: livePosition.latitude,
+        longitude: livePosition.longitude,
+        source: livePosition.source || null,
+        at: new Date().toISOString()
+    }
+    const dataQuality = {
+        ...quality,
+        rejectedFixes: (quality.rejectedFixes || 0) + 1,
+        consecutiveRejections: (quality.consecutiveRejections || 0) + 1,
+        lastRejection: rejection,
+        recentRejections: [rejection, ...(quality.recentRejections || [])].slice(0, MAX_RECENT_REJECTIONS)
+    }
+    if (trackedVesselRepository.has(vessel.mmsi)) trackedVesselRepository.merge({ mmsi: vessel.mmsi, dataQuality })
+    if (vesselRepository.has(vessel.mmsi)) vesselRepository.merge({ mmsi: vessel.mmsi, dataQuality })
+}
+
+// Commit a fresh fix: history, route/ETA enrichment, persistence and push
+async function applyLivePosition(vessel, livePosition) {
+    const current = (vessel.mmsi && trackedVesselRepository.get(vessel.mmsi)) || vessel
+    // Nothing new: no history row, no events, and not a rejection either. Alerts still
+    // run, so a vessel whose provider keeps repeating one fix is noticed.
+    if (isRepeatedFix(current, livePosition)) {
+        alertEngine.evaluate(current).catch(err => console.error('Alert evaluation failed:', err.message))
+        return current
+    }
+
+    const verdict = validatePositionFix(current, livePosition)
+    const quality = current.dataQuality || {}
+    if (!verdict.ok) {
+        const overrideTeleport = verdict.reason === 'teleport' && (quality.consecutiveRejections || 0) >= TELEPORT_OVERRIDE_COUNT
+        if (!overrideTeleport) {
+            recordRejectedFix(current, livePosition, verdict)
+            return null
+        }
+        console.log(`Accepting position for ${vessel.mmsi} after ${quality.consecutiveRejections} consecutive rejections`)
+    }
 
-    const updated = { ...vessel }
+    const cacheKey = getPositionCacheKey(vessel.mmsi, vessel.name)
+    // The stored copy wins over the caller's: an edit made while the position was being
+    // fetched must not be saved over
+    const updated = { ...vessel, ...current }
+    updated.dataQuality = {
+        ...quality,
+        acceptedFixes: (quality.acceptedFixes || 0) + 1,
+        consecutiveRejections: 0,
+        lastAcceptedAt: new Date().toISOString()
+    }
     updated.latitude = livePosition.latitude
     updated.longitude = livePosition.longitude
     updated.speed = livePosition.speed ?? updated.speed
@@ -653,6 +846,17 @@ async function refreshPositionForVessel(vessel, options = {}) {
     updated.updatedAt = livePosition.updatedAt
     updated.myShipTrackingUrl = livePosition.myShipTrackingUrl || updated.myShipTrackingUrl
 
+    if (updated.mmsi) {
+        positionHistoryRepository.record(updated.mmsi, {
+            latitude: livePosition.latitude,
+            longitude: livePosition.longitude,
+            speed: livePosition.speed,
+            heading: livePosition.heading,
+            source: livePosition.source,
+            recordedAt: livePosition.updatedAt
+        })
+    }
+
     if (updated.latitude !== undefined && updated.longitude !== undefined) {
         updated.bottleneckWarning = checkBottleneckProximity(updated.latitude, updated.longitude)
     }
@@ -674,11 +878,25 @@ async function refreshPositionForVessel(vessel, options = {}) {
     }
 
     if (updated.mmsi) {
-        trackedVessels.set(updated.mmsi.toString(), updated)
-        const dbIdx = vesselDatabase.findIndex(v => v.mmsi === updated.mmsi)
-        if (dbIdx >= 0) {
-            vesselDatabase[dbIdx] = { ...vesselDatabase[dbIdx], ...updated }
+        // A vessel deleted while its route and ETA were worked out must not be saved back,
+        // pushed or announced again
+        if (!trackedVesselRepository.has(updated.mmsi) && !vesselRepository.has(updated.mmsi)) return updated
+
+        const previous = trackedVesselRepository.get(updated.mmsi)
+        trackedVesselRepository.save(updated)
+        if (vesselRepository.has(updated.mmsi)) {
+            vesselRepository.merge(updated)
+        }
+        if (hasVesselStateChanged(previous, updated)) {
+            publish('vesselUpdate', withEstimatedPosition(updated))
+        }
+        try {
+            emitVesselEvents(previous, updated)
+        } catch (err) {
+            console.error('Vessel webhook events failed:', err.message)
         }
+        // Here rather than in the callers so AIS fixes raise alerts like scheduled refreshes
+        alertEngine.evaluate(updated).catch(err => console.error('Alert evaluation failed:', err.message))
     }
 
     setCachedPosition(cacheKey, {
@@ -693,283 +911,113 @@ async function refreshPositionForVessel(vessel, options = {}) {
     return updated
 }
 
-async function refreshTrackedPositions() {
-    if (positionRefreshInFlight) return
-    positionRefreshInFlight = true
-    try {
-        const combined = [...vesselDatabase, ...Array.from(trackedVessels.values())]
-        const unique = Array.from(new Map(combined.map(v => [v.mmsi, v])).values())
-        const list = unique.filter(v => v?.mmsi).slice(0, MAX_TRACKED_VESSELS)
-        for (const vessel of list) {
-            await refreshPositionForVessel(vessel)
-        }
-    } catch (err) {
-        console.error('Position refresh error:', err.message)
-    } finally {
-        positionRefreshInFlight = false
-    }
-}
+// Thin a track to at most maxPoints by keeping the latest fix per equal time bucket
+function downsampleTrack(points, maxPoints) {
+    if (!Array.isArray(points) || points.length <= maxPoints || maxPoints < 2) return points || []
+    const start = new Date(points[0].recordedAt).getTime()
+    const end = new Date(points[points.length - 1].recordedAt).getTime()
+    const bucketMs = Math.max((end - start) / Math.max(maxPoints - 2, 1), 1)
+
+    const buckets = new Map()
+    points.forEach((point) => {
+        const bucket = Math.floor((new Date(point.recordedAt).getTime() - start) / bucketMs)
+        buckets.set(bucket, point)
+    })
 
-function startPositionRefresh() {
-    if (positionRefreshTimer) return
-    refreshTrackedPositions()
-    positionRefreshTimer = setInterval(refreshTrackedPositions, POSITION_REFRESH_MS)
+    const sampled = Array.from(buckets.values())
+    if (sampled[0] !== points[0]) sampled.unshift(points[0])
+    return sampled
 }
 
-// ============================================
-// AI-POWERED PDF EXTRACTION
-// ============================================
-
-const EXTRACTION_PROMPT = `You are a shipping document parser. This is a Bill of Lading document.
-Extract vessel and shipping details from this document.
-
-Return ONLY a valid JSON object with these fields (use null for missing values):
-{
-  "vessel": "vessel/ship name",
-  "voyage": "voyage number",
-  "portOfLoading": "port of loading (POL)",
-  "portOfDischarge": "port of discharge (POD)",
-  "finalDestination": "final place of delivery (if different from POD)",
-  "eta": "estimated arrival date or shipped on board date",
-  "blNumber": "bill of lading number",
-  "shipper": "shipper/exporter name",
-  "consignee": "consignee name",
-  "mmsi": "9-digit MMSI number if visible",
-  "carrier": "shipping line/carrier name (e.g., Maersk, MSC, CMA CGM, Hapag-Lloyd, OOCL, Evergreen, ONE, Yang Ming, Cosco, PIL)",
-  "bookingNumber": "booking or reference number if different from BL number",
-  "containerNumber": "container number (e.g., MSKU1234567)"
-}
-
-Important rules:
-- Prefer the exact POL and POD fields from the BL (not the final inland destination)
-- Extract the actual port/city names, not labels
-- Vessel name should be just the ship name without voyage number
-- Carrier can often be identified from the BL header/logo, BL number prefix, or stated shipping line
-- Common BL prefixes: MAEU/MSKU=Maersk, MSCU=MSC, CMAU=CMA CGM, HLCU=Hapag-Lloyd, OOLU=OOCL, EISU=Evergreen, ONEY=ONE
-- Return ONLY valid JSON, no markdown code blocks, no explanation`
-
-async function extractWithGemini(pdfBuffer) {
-    if (!genAI) return null
-
-    try {
-        const model = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' })
-        const result = await model.generateContent({
-            contents: [{
-                role: 'user',
-                parts: [
-                    { inlineData: { mimeType: 'application/pdf', data: pdfBuffer.toString('base64') } },
-                    { text: EXTRACTION_PROMPT }
-                ]
-            }],
-            generationConfig: { temperature: 0, maxOutputTokens: 2000 }
-        })
-
-        const content = result.response.text() || '{}'
-        const cleanContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
-        const parsed = JSON.parse(cleanContent)
-        console.log('Gemini 3 Flash extracted:', parsed)
-        return parsed
-    } catch (error) {
-        console.error('Gemini extraction error:', error.message)
-        return null
-    }
+// Project a stale live fix forward along the route; null while the fix is still fresh
+function getEstimatedPosition(vessel) {
+    if (!vessel?.positionSource || !vessel.updatedAt) return null
+    const ageMs = Date.now() - new Date(vessel.updatedAt).getTime()
+    if (!Number.isFinite(ageMs) || ageMs < DEAD_RECKONING_MIN_AGE_MS) return null
+    return estimateDeadReckoning(vessel.route, vessel.latitude, vessel.longitude, vessel.speed, vessel.updatedAt, {
+        maxAgeHours: DEAD_RECKONING_MAX_AGE_HOURS
+    })
 }
 
-async function extractWithOpenAIText(text) {
-    if (!openai || !text || text.length < 50) return null
-
-    let lastError = null
-    for (const model of OPENAI_MODELS) {
-        try {
-            const response = await openai.responses.create({
-                model,
-                input: [
-                    {
-                        role: 'user',
-                        content: [
-                            { type: 'input_text', text: `${EXTRACTION_PROMPT}\n\nDocument text:\n${text.substring(0, 15000)}` }
-                        ]
-                    }
-                ],
-                max_output_tokens: 2000,
-                temperature: 0
-            })
-
-            const content = response.output_text || '{}'
-            const cleanContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
-            const parsed = JSON.parse(cleanContent)
-            console.log(`${model} extracted:`, parsed)
-            return parsed
-        } catch (error) {
-            lastError = error
-            console.error(`OpenAI text extraction error (${model}):`, error.message)
-        }
-    }
-
-    if (lastError) return null
-    return null
+// Vessel as sent to clients: with the dead-reckoning estimate, which isn't stored
+function withEstimatedPosition(vessel) {
+    return { ...vessel, estimatedPosition: getEstimatedPosition(vessel) }
 }
 
-async function extractWithOpenAIPDF(pdfBuffer) {
-    if (!openai) return null
-
-    let file = null
-    try {
-        const fs = require('fs')
-        const os = require('os')
-        const crypto = require('crypto')
-
-        const tempDir = os.tmpdir()
-        const tempId = crypto.randomBytes(8).toString('hex')
-        const tempPdfPath = path.join(tempDir, `bl_${tempId}.pdf`)
-
-        // Write PDF buffer to temp file
-        fs.writeFileSync(tempPdfPath, pdfBuffer)
-
-        console.log('Uploading PDF to OpenAI...')
-
-        // Upload file to OpenAI
-        file = await openai.files.create({
-            file: fs.createReadStream(tempPdfPath),
-            purpose: 'assistants'
-        })
-
-        console.log('PDF uploaded, file ID:', file.id)
-
-        // Clean up temp file
-        try { fs.unlinkSync(tempPdfPath) } catch (e) { /* ignore */ }
-
-        let lastError = null
-        for (const model of OPENAI_MODELS) {
-            try {
-                console.log(`Calling ${model} with PDF file...`)
-                const response = await openai.responses.create({
-                    model,
-                    input: [
-                        {
-                            role: 'user',
-                            content: [
-                                {
-                                    type: 'input_file',
-                                    file_id: file.id
-                                },
-                                {
-                                    type: 'input_text',
-                                    text: EXTRACTION_PROMPT
-                                }
-                            ]
-                        }
-                    ],
-                    max_output_tokens: 2000,
-                    temperature: 0
-                })
-
-                const content = response.output_text || '{}'
-                const cleanContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
-                const parsed = JSON.parse(cleanContent)
-                console.log(`${model} PDF extracted:`, parsed)
-                return parsed
-            } catch (error) {
-                lastError = error
-                console.error(`OpenAI PDF extraction error (${model}):`, error.message)
-            }
-        }
-
-        if (lastError) return null
-        return null
-    } catch (error) {
-        console.error('OpenAI PDF extraction error:', error.message)
-        return null
-    } finally {
-        if (openai && file?.id) {
-            try {
-                await openai.files.del(file.id)
-                console.log('Deleted uploaded file:', file.id)
-            } catch (e) { /* ignore deletion errors */ }
-        }
-    }
+function listRefreshableMmsis() {
+    return Array.from(new Set([...vesselRepository.listActiveMmsis(), ...trackedVesselRepository.listActiveMmsis()]))
 }
 
-async function extractVesselDetailsFromPDFImage(pdfBuffer, extractedText = '') {
-    // Try OpenAI PDF first (if configured)
-    let result = await extractWithOpenAIPDF(pdfBuffer)
-    if (result && result.vessel) {
-        return result
-    }
-
-    // Fallback to Gemini 3 Flash (supports PDF directly)
-    console.log('OpenAI PDF failed, trying Gemini PDF...')
-    result = await extractWithGemini(pdfBuffer)
-    if (result && result.vessel) {
-        return result
-    }
-
-    // Last resort: try OpenAI with extracted text (if any)
-    if (extractedText && extractedText.length > 50) {
-        console.log('PDF vision failed, trying OpenAI text...')
-        result = await extractWithOpenAIText(extractedText)
-        if (result && result.vessel) {
-            return result
-        }
-    }
-
-    return null
+function getRefreshableVessel(mmsi) {
+    const vessel = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
+    return vessel && !vessel.archived ? vessel : null
 }
 
-async function extractVesselDetailsWithAI(text) {
-    if (!text || text.trim().length < 50) {
-        return {
-            vessel: null,
-            voyage: null,
-            portOfLoading: null,
-            portOfDischarge: null,
-            finalDestination: null,
-            eta: null,
-            blNumber: null
-        }
-    }
+// Per-vessel adaptive refresh (see refreshScheduler.js)
+const refreshScheduler = createRefreshScheduler({
+    listMmsis: listRefreshableMmsis,
+    getVessel: getRefreshableVessel,
+    refreshVessel: vessel => refreshPositionForVessel(vessel),
+    hasCapacity: () => vesselProviders.hasCapacity('position')
+})
 
-    // Try OpenAI first
-    const gptResult = await extractWithOpenAIText(text)
-    if (gptResult && gptResult.vessel) {
-        return gptResult
-    }
+// Feed receiver fixes for vessels we track through the same path as scraped positions
+async function handleAisPosition(message) {
+    aisProvider.recordPosition(message)
+    const vessel = trackedVesselRepository.get(message.mmsi) || vesselRepository.get(message.mmsi)
+    if (!vessel || vessel.archived) return
+
+    // Receivers report every few seconds; route/ETA enrichment doesn't need that rate
+    const lastApplied = aisLastApplied.get(message.mmsi) || 0
+    if (Date.now() - lastApplied < AIS_MIN_UPDATE_MS) return
+    aisLastApplied.set(message.mmsi, Date.now())
+
+    await applyLivePosition(vessel, {
+        latitude: message.latitude,
+        longitude: message.longitude,
+        speed: message.speed,
+        heading: message.heading ?? message.course,
+        source: 'ais',
+        updatedAt: message.receivedAt
+    })
+}
 
-    // Fallback to Gemini
-    console.log('OpenAI failed, trying Gemini for text extraction...')
-    if (genAI) {
-        try {
-            const model = genAI.getGenerativeModel({ model: 'gemini-3-flash-preview' })
-            const result = await model.generateContent({
-                contents: [{ role: 'user', parts: [{ text: `${EXTRACTION_PROMPT}\n\nDocument text:\n${text.substring(0, 15000)}` }] }],
-                generationConfig: { temperature: 0, maxOutputTokens: 2000 }
-            })
+function handleAisStatic(message) {
+    aisProvider.recordStatic(message)
+    const vessel = trackedVesselRepository.get(message.mmsi)
+    if (!vessel) return
+    trackedVesselRepository.merge({
+        mmsi: vessel.mmsi,
+        imo: vessel.imo || message.imo,
+        shipType: vessel.shipType || message.shipType,
+        callSign: message.callSign || vessel.callSign || null,
+        draught: message.draught ?? vessel.draught ?? null,
+        currentDestination: message.destination || vessel.currentDestination || null
+    })
+}
 
-            const content = result.response.text() || '{}'
-            const cleanContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim()
-            const parsed = JSON.parse(cleanContent)
-            if (parsed && parsed.vessel) {
-                console.log('Gemini 3 Flash extracted:', parsed)
-                return parsed
-            }
-        } catch (error) {
-            console.error('Gemini text extraction error:', error.message)
+// Push congestion zones to clients only when a severity or delay actually moves
+async function refreshBottlenecks() {
+    try {
+        const bottlenecks = await getBottlenecks()
+        const signature = JSON.stringify(bottlenecks.map(b => [b.id, b.severity, b.estimatedDelay]))
+        if (lastBottleneckSignature !== null && signature !== lastBottleneckSignature) {
+            publish('bottleneckUpdate', { bottlenecks })
         }
+        lastBottleneckSignature = signature
+    } catch (err) {
+        console.error('Bottleneck refresh error:', err.message)
     }
+}
 
-    return {
-        vessel: null,
-        voyage: null,
-        portOfLoading: null,
-        portOfDischarge: null,
-        finalDestination: null,
-        eta: null,
-        blNumber: null
-    }
+function startBottleneckRefresh() {
+    if (bottleneckRefreshTimer) return
+    refreshBottlenecks()
+    bottleneckRefreshTimer = setInterval(refreshBottlenecks, BOTTLENECK_REFRESH_MS)
 }
 
 // Port geocoding via Nominatim OpenStreetMap
-const geocodeCache = new Map()
+const geocodeCache = createCacheStore('geocode')
 
 // Generate simplified search terms from a port name
 function simplifyPortName(portName) {
@@ -1177,50 +1225,9 @@ async function getMarineConditions(lat, lon) {
     }
 }
 
-// Get vessel status from VesselFinder click API
-// Note: Free tier doesn't include coordinates, but gives speed/course/destination
-async function getVesselStatus(mmsi) {
-    if (!mmsi) return null
-    try {
-        const url = `https://www.vesselfinder.com/api/pub/click/${mmsi}`
-        const res = await fetchWithTimeout(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Accept': 'application/json',
-                'Referer': 'https://www.vesselfinder.com/'
-            }
-        })
-        if (!res.ok) return null
-        const data = await res.json()
-
-        // VesselFinder click API returns:
-        // ss = speed, cu = course, dest = destination, ts = timestamp
-        // name, imo, country, type, gt (gross tonnage), etc.
-        const status = {
-            name: data.name || null,
-            speed: data.ss ?? null,
-            heading: data.cu ?? null,
-            currentDestination: data.dest || null,
-            vesselType: data.type || null,
-            country: data.country || null,
-            imo: data.imo || null,
-            grossTonnage: data.gt || null,
-            eta: data.etaTS ? new Date(data.etaTS * 1000).toISOString() : null,
-            lastUpdate: data.ts ? new Date(data.ts * 1000).toISOString() : null,
-            source: 'vesselfinder-api'
-        }
-
-        console.log('VesselFinder status for', mmsi, ':', status.speed, 'kn, dest:', status.currentDestination)
-        return status
-    } catch (err) {
-        console.error('VesselFinder status fetch failed:', err.message)
-        return null
-    }
-}
-
 // Attempt to get live position from cached scraper updates
 function getLivePosition(mmsi) {
-    const tracked = trackedVessels.get(mmsi?.toString())
+    const tracked = trackedVesselRepository.get(mmsi)
     if (tracked && tracked.latitude && tracked.longitude) {
         return {
             latitude: tracked.latitude,
@@ -1244,141 +1251,13 @@ function normalizeName(name) {
     return (name || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
 }
 
-// Search for vessel MMSI by name - efficient scraping only (no API keys needed)
-async function searchVesselByName(vesselName) {
-    if (!vesselName) return null
+async function createVesselFromImport(details, rawText = '') {
+    if (!details.vessel) return null
 
-    const cleanName = vesselName.trim().toUpperCase()
-    console.log('Searching for vessel MMSI:', cleanName)
-
-    // VesselFinder scraping - most reliable
-    async function vesselFinderScrape(term) {
-        try {
-            // Step 1: Search page
-            const searchUrl = `https://www.vesselfinder.com/vessels?name=${encodeURIComponent(term)}`
-            const res = await fetchWithTimeout(searchUrl, {
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'text/html' }
-            })
-            if (!res.ok) return null
-            const html = await res.text()
-
-            // Find vessel detail link
-            const detailMatch = html.match(/href="(\/vessels\/details\/\d+[^"]*)"/i) ||
-                html.match(/href="(\/vessels\/[^"\s]+IMO-\d+[^"]*)"/i)
-            if (!detailMatch) return null
-
-            // Step 2: Get MMSI from detail page
-            const detailUrl = 'https://www.vesselfinder.com' + detailMatch[1]
-            const detailRes = await fetchWithTimeout(detailUrl, {
-                headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36', 'Accept': 'text/html' }
-            })
-            if (!detailRes.ok) return null
-            const detailHtml = await detailRes.text()
-
-            // Extract MMSI with multiple patterns
-            const mmsiMatch = detailHtml.match(/MMSI<\/td>\s*<td[^>]*>(\d{9})/i) ||
-                detailHtml.match(/"mmsi"\s*:\s*"?(\d{9})/i) ||
-                detailHtml.match(/MMSI:\s*(\d{9})/i)
-            if (!mmsiMatch) return null
-
-            // Extract vessel name
-            const nameMatch = detailHtml.match(/<h1[^>]*>([^<]+)<\/h1>/i)
-            console.log('Found vessel via VesselFinder:', nameMatch?.[1]?.trim() || term, mmsiMatch[1])
-            return { mmsi: mmsiMatch[1], name: (nameMatch?.[1] || term).trim(), source: 'vesselfinder' }
-        } catch (err) {
-            console.log('VesselFinder failed:', err.message)
-            return null
-        }
-    }
-
-    // Generate name variations: with spaces, without spaces, first word, hyphenated
-    function generateNameVariants(name) {
-        const variants = new Set()
-        const upper = name.toUpperCase().trim()
-
-        // Original with spaces
-        variants.add(upper)
-
-        // Without any spaces (SOLUNITY)
-        variants.add(upper.replace(/\s+/g, ''))
-
-        // With single space between words
-        variants.add(upper.replace(/\s+/g, ' '))
-
-        // First word only (SOL)
-        const firstWord = upper.split(/\s+/)[0]
-        if (firstWord.length >= 3) variants.add(firstWord)
-
-        // With hyphens instead of spaces (SOL-UNITY)
-        variants.add(upper.replace(/\s+/g, '-'))
-
-        // Try adding space after common prefixes if name has no spaces
-        if (!upper.includes(' ') && upper.length > 4) {
-            // Try splitting at common word boundaries
-            for (let i = 3; i < Math.min(upper.length - 2, 8); i++) {
-                variants.add(upper.slice(0, i) + ' ' + upper.slice(i))
-            }
-        }
-
-        return Array.from(variants)
-    }
-
-    const searchVariants = generateNameVariants(cleanName)
-    console.log('Trying name variants:', searchVariants.slice(0, 5).join(', '))
-
-    for (const term of searchVariants) {
-        const result = await vesselFinderScrape(term)
-        if (result) return result
-    }
-
-    // Fallback: Try MyShipTracking autocomplete with variations (fast, returns MMSI in response)
-    for (const term of searchVariants.slice(0, 3)) {
-        try {
-            const url = `https://www.myshiptracking.com/requests/autocomplete-ede42.php?term=${encodeURIComponent(term)}`
-            const res = await fetchWithTimeout(url, {
-                headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'application/json', 'Referer': 'https://www.myshiptracking.com/' }
-            })
-            if (res.ok) {
-                const data = await res.json()
-                if (Array.isArray(data) && data.length > 0) {
-                    const match = data[0]
-                    const mmsiMatch = (match.value || match.label || '').match(/\b(\d{9})\b/)
-                    if (mmsiMatch) {
-                        console.log('Found vessel via MyShipTracking:', match.label, mmsiMatch[1])
-                        return { mmsi: mmsiMatch[1], name: (match.label || '').split(' - ')[0].trim(), source: 'myshiptracking' }
-                    }
-                }
-            }
-        } catch (err) {
-            console.log('MyShipTracking failed:', err.message)
-        }
-    }
-
-    // Fallback: MyShipTracking search page (parses vessel link)
-    for (const term of searchVariants.slice(0, 3)) {
-        const resolved = await resolveMyShipTrackingInfo(null, term)
-        if (resolved?.mmsi) {
-            console.log('Found vessel via MyShipTracking search:', resolved.name || term, resolved.mmsi)
-            return {
-                mmsi: resolved.mmsi,
-                name: resolved.name || term,
-                source: 'myshiptracking',
-                myShipTrackingUrl: resolved.url
-            }
-        }
-    }
-
-    console.log('Could not find MMSI for vessel:', cleanName)
-    return null
-}
-
-async function createVesselFromImport(details, rawText = '') {
-    if (!details.vessel) return null
-
-    const vesselName = (details.vessel || '').toUpperCase().trim()
-    const portOfLoading = details.portOfLoading || details.origin || null
-    const portOfDischarge = details.portOfDischarge || details.destination || null
-    const finalDestination = details.finalDestination || null
+    const vesselName = (details.vessel || '').toUpperCase().trim()
+    const portOfLoading = details.portOfLoading || details.origin || null
+    const portOfDischarge = details.portOfDischarge || details.destination || null
+    const finalDestination = details.finalDestination || null
 
     // Try to extract MMSI from document or AI extraction
     let mmsi = details.mmsi || extractMmsiFromText(rawText)
@@ -1387,7 +1266,7 @@ async function createVesselFromImport(details, rawText = '') {
     // If no MMSI found, search vessel databases
     if (!mmsi) {
         console.log('No MMSI in document, searching vessel databases...')
-        vesselInfo = await searchVesselByName(vesselName)
+        vesselInfo = await vesselProviders.search(vesselName)
         if (vesselInfo && vesselInfo.mmsi) {
             mmsi = vesselInfo.mmsi
             console.log('Found MMSI from database:', mmsi)
@@ -1400,14 +1279,14 @@ async function createVesselFromImport(details, rawText = '') {
         return null
     }
 
-    // Get coordinates for origin and destination ports + vessel status from VesselFinder
+    // Get coordinates for origin and destination ports + vessel status from the status providers
     const [originCoords, destCoords, vesselStatus] = await Promise.all([
         geocodePort(portOfLoading),
         geocodePort(portOfDischarge),
-        getVesselStatus(mmsi)
+        vesselProviders.getStatus(mmsi)
     ])
     console.log('Geocode results:', { origin: portOfLoading, originCoords, destination: portOfDischarge, destCoords })
-    console.log('Vessel status from VesselFinder:', vesselStatus)
+    console.log('Vessel status:', vesselStatus)
 
     // Check if we have cached position from previous scraper refresh
     const cachedPosition = getLivePosition(mmsi)
@@ -1482,11 +1361,284 @@ async function createVesselFromImport(details, rawText = '') {
         console.log('Route NOT calculated - missing coords:', { originLat: vessel.originLat, originLng: vessel.originLng, destLat: vessel.destLat, destLng: vessel.destLng })
     }
 
-    trackedVessels.set(vessel.mmsi, vessel)
+    trackedVesselRepository.save(vessel)
     const refreshed = await refreshPositionForVessel(vessel, { force: true })
     return refreshed || vessel
 }
 
+// "12,345.600 KGS" -> 12345.6; null when there is no number
+function parseQuantity(value) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null
+    const match = value.toString().replace(/,/g, '').match(/-?\d+(\.\d+)?/)
+    return match ? Number(match[0]) : null
+}
+
+function cleanText(value) {
+    if (value === null || value === undefined) return null
+    return value.toString().trim().replace(/\s+/g, ' ') || null
+}
+
+// Accepts ['MSCU1234567', ...], [{ containerNumber, sealNumber, ... }] or a string separated by
+// commas, semicolons or newlines. Spaces inside a number are dropped, so "MSKU 1234567" is one container.
+function normalizeContainers(value) {
+    if (!value) return []
+    const items = Array.isArray(value) ? value : value.toString().split(/[,;\r\n]+/)
+    const byNumber = new Map()
+    items.forEach((item) => {
+        const entry = typeof item === 'object' && item !== null ? item : { containerNumber: item }
+        const number = (entry.containerNumber || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
+        if (!number) return
+        const packages = parseQuantity(entry.packages)
+        byNumber.set(number, {
+            containerNumber: number,
+            sizeType: cleanText(entry.sizeType)?.toUpperCase() || null,
+            sealNumber: cleanText(entry.sealNumber)?.toUpperCase() || null,
+            packages: packages === null ? null : Math.round(packages),
+            packageType: cleanText(entry.packageType)?.toUpperCase() || null,
+            grossWeightKg: parseQuantity(entry.grossWeightKg),
+            measurementCbm: parseQuantity(entry.measurementCbm)
+        })
+    })
+    return Array.from(byNumber.values())
+}
+
+// Reconcile the single containerNumber field with the containers list from extraction
+function normalizeExtractedDetails(details) {
+    if (!details) return details
+    const single = details.containerNumber
+        ? details.containerNumber.toString().toUpperCase().replace(/[^A-Z0-9]/g, '')
+        : null
+    const containers = normalizeContainers(
+        Array.isArray(details.containers) && details.containers.length > 0 ? details.containers : [single]
+    )
+    return {
+        ...details,
+        containers,
+        containerNumber: single || containers[0]?.containerNumber || null
+    }
+}
+
+// Validate and pick shipment fields from a request body; returns { fields } or { error }
+function parseShipmentInput(body = {}, { partial = false } = {}) {
+    const fields = {}
+    SHIPMENT_TEXT_FIELDS.forEach((field) => {
+        if (!(field in body)) return
+        fields[field] = body[field] === null ? null : body[field]?.toString().trim() || null
+    })
+    if ('containers' in body) fields.containers = normalizeContainers(body.containers)
+    if ('status' in body) {
+        if (!SHIPMENT_STATUSES.includes(body.status)) {
+            return { error: `status must be one of: ${SHIPMENT_STATUSES.join(', ')}` }
+        }
+        fields.status = body.status
+    }
+    if ('mmsi' in body) {
+        const mmsi = body.mmsi ? body.mmsi.toString().trim() : null
+        if (mmsi && !trackedVesselRepository.has(mmsi) && !vesselRepository.has(mmsi)) {
+            return { error: `Unknown vessel ${mmsi}; track the vessel first` }
+        }
+        fields.mmsi = mmsi
+    }
+    if (!partial && !fields.blNumber && !fields.bookingNumber && !(fields.containers || []).length) {
+        return { error: 'blNumber, bookingNumber or containers required' }
+    }
+    return { fields }
+}
+
+// Attach a light vessel summary so cargo lists don't need a second lookup
+function withVesselSummary(shipment) {
+    const vessel = shipment.mmsi ? (trackedVesselRepository.get(shipment.mmsi) || vesselRepository.get(shipment.mmsi)) : null
+    return {
+        ...shipment,
+        vessel: vessel ? {
+            mmsi: vessel.mmsi,
+            name: vessel.name,
+            latitude: vessel.latitude ?? null,
+            longitude: vessel.longitude ?? null,
+            eta: vessel.eta || null,
+            destination: vessel.destination || null,
+            archived: !!vessel.archived
+        } : null
+    }
+}
+
+// One shipment per BL on a vessel; re-importing the same BL updates it.
+// options.action: 'create' always adds a shipment, 'update' amends options.shipmentId.
+// Amendments record what each later import changed.
+function upsertShipmentFromImport(details, vessel, options = {}) {
+    if (!vessel?.mmsi) return null
+    const blNumber = details.blNumber ? details.blNumber.toString().toUpperCase() : null
+    const fields = {
+        mmsi: vessel.mmsi,
+        vesselName: vessel.name || details.vessel || null,
+        voyage: details.voyage || null,
+        blNumber,
+        bookingNumber: details.bookingNumber || null,
+        containers: normalizeContainers(details.containers || details.containerNumber),
+        shipper: details.shipper || null,
+        consignee: details.consignee || null,
+        portOfLoading: details.portOfLoading || details.origin || null,
+        portOfDischarge: details.portOfDischarge || details.destination || null,
+        finalDestination: details.finalDestination || null,
+        carrier: vessel.carrier || details.carrier || null,
+        status: 'in-transit',
+        source: 'import'
+    }
+    if (!fields.blNumber && !fields.bookingNumber && fields.containers.length === 0) return null
+    if (options.action === 'create') return shipmentRepository.create(fields)
+
+    let existing = null
+    if (options.shipmentId) existing = shipmentRepository.get(options.shipmentId)
+    else if (blNumber) existing = shipmentRepository.list({ mmsi: vessel.mmsi, blNumber })[0] || null
+    if (!existing) return shipmentRepository.create(fields)
+    return shipmentRepository.update(existing.id, withAmendment(existing, details, fields, options))
+}
+
+// Append what a document changes on an existing shipment to its amendment log
+function withAmendment(existing, details, fields, options = {}) {
+    const { changes, containers } = diffShipment(existing, details, options.documentType)
+    if (changes.length === 0 && containers.added.length === 0 && containers.removed.length === 0) return fields
+    const amendment = {
+        importId: options.importId || null,
+        documentType: options.documentType || null,
+        amendedAt: new Date().toISOString(),
+        changes,
+        containers
+    }
+    return { ...fields, amendments: [...(existing.amendments || []), amendment] }
+}
+
+// Only the values a document actually gave, so a partial document never blanks a field
+function withoutEmpty(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) =>
+        value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ))
+}
+
+// Container rows from a later document (e.g. a packing list's weights) layered over the stored ones
+function mergeContainerDetails(existing = [], incoming = []) {
+    const byNumber = new Map(existing.map(container => [container.containerNumber, container]))
+    incoming.forEach((container) => {
+        byNumber.set(container.containerNumber, { ...byNumber.get(container.containerNumber), ...withoutEmpty(container) })
+    })
+    return normalizeContainers(Array.from(byNumber.values()))
+}
+
+// A booking confirmation: the shipment exists before there is a BL, and often before the
+// vessel is known, so nothing is tracked yet. A later BL with the same booking number
+// updates it into an in-transit shipment.
+function upsertPreShipment(details, options = {}) {
+    const fields = {
+        bookingNumber: details.bookingNumber ? details.bookingNumber.toString().toUpperCase() : null,
+        vesselName: details.vessel || null,
+        voyage: details.voyage || null,
+        portOfLoading: details.portOfLoading || null,
+        portOfDischarge: details.portOfDischarge || null,
+        finalDestination: details.finalDestination || null,
+        carrier: details.carrier || null,
+        shipper: details.shipper || null,
+        etd: details.etd || null,
+        eta: details.eta || null,
+        cargoCutoff: details.cargoCutoff || null,
+        documentCutoff: details.documentCutoff || null,
+        equipment: details.equipment || null,
+        containers: normalizeContainers(details.containers)
+    }
+    const existing = options.action === 'update' && options.shipmentId ? shipmentRepository.get(options.shipmentId) : null
+    if (existing) return shipmentRepository.update(existing.id, withAmendment(existing, details, withoutEmpty(fields), options))
+    return shipmentRepository.create({ ...fields, mmsi: null, blNumber: null, status: 'booked', source: 'import' })
+}
+
+// Arrival notices, invoices and packing lists add to a shipment that already exists
+function applyDocumentToShipment(shipmentId, details, options = {}) {
+    const existing = shipmentRepository.get(shipmentId)
+    if (!existing) return null
+
+    let fields = {}
+    if (options.documentType === 'arrival-notice') {
+        fields = withAmendment(existing, details, withoutEmpty({
+            vesselName: details.vessel,
+            voyage: details.voyage,
+            portOfDischarge: details.portOfDischarge,
+            eta: details.eta,
+            lastFreeDay: details.lastFreeDay,
+            freeTimeDays: details.freeTimeDays,
+            terminal: details.terminal
+        }), options)
+    } else if (options.documentType === 'commercial-invoice') {
+        fields = {
+            invoice: withoutEmpty({
+                invoiceNumber: details.invoiceNumber,
+                invoiceDate: details.invoiceDate,
+                currency: details.currency,
+                totalValue: details.totalValue,
+                incoterms: details.incoterms,
+                seller: details.shipper,
+                buyer: details.consignee
+            })
+        }
+    } else if (options.documentType === 'packing-list') {
+        fields = {
+            packingList: withoutEmpty({
+                packingListNumber: details.packingListNumber,
+                invoiceNumber: details.invoiceNumber,
+                totalPackages: details.totalPackages,
+                packageType: details.packageType,
+                totalGrossWeightKg: details.totalGrossWeightKg,
+                totalMeasurementCbm: details.totalMeasurementCbm
+            }),
+            containers: mergeContainerDetails(existing.containers, details.containers)
+        }
+    }
+    return shipmentRepository.update(existing.id, fields)
+}
+
+// Every document that contributed to a shipment, newest last
+function recordShipmentDocument(shipment, entry, documentType) {
+    if (!shipment) return null
+    const documents = (shipment.documents || []).filter(doc => doc.importId !== entry.id)
+    documents.push({
+        importId: entry.id,
+        documentType: documentType.id,
+        fileName: entry.fileName || null,
+        importedAt: new Date().toISOString()
+    })
+    return shipmentRepository.update(shipment.id, { documents })
+}
+
+// What clients see of an import; the stored text layer stays server-side
+function toImportView(entry) {
+    if (!entry) return null
+    const { text, ...rest } = entry
+    return { ...rest, textLength: (text || '').length }
+}
+
+// One row of the import history
+function toImportSummary(entry) {
+    const details = entry.reviewedDetails || entry.extractedDetails || {}
+    return {
+        id: entry.id,
+        status: entry.status,
+        fileName: entry.fileName || null,
+        fileHash: entry.fileHash || null,
+        fileSize: entry.fileSize ?? null,
+        hasDocument: !!entry.document?.key,
+        uploadedBy: entry.uploadedBy || null,
+        createdAt: entry.createdAt,
+        committedAt: entry.committedAt || null,
+        extractionMethod: entry.extractionMethod || null,
+        extractionProvider: entry.extractionProvider || null,
+        documentType: describeDocumentType(entry.documentType).id,
+        documentTypeLabel: describeDocumentType(entry.documentType).label,
+        vessel: details.vessel || null,
+        blNumber: details.blNumber || null,
+        mmsi: entry.mmsi || details.mmsi || null,
+        shipmentId: entry.shipmentId || null,
+        rerunOf: entry.rerunOf || null
+    }
+}
+
 // ============================================
 // API ENDPOINTS
 // ============================================
@@ -1509,126 +1661,627 @@ app.post('/api/test/add-vessel', async (req, res) => {
     }
 
     // Add to database
-    const idx = vesselDatabase.findIndex(v => v.mmsi === vessel.mmsi)
-    if (idx >= 0) {
-        vesselDatabase[idx] = { ...vesselDatabase[idx], ...vessel }
-    } else {
-        vesselDatabase.push(vessel)
-    }
+    vesselRepository.merge(vessel)
 
     const refreshed = await refreshPositionForVessel(vessel, { force: true })
     console.log('Test vessel added:', name, mmsi)
     res.json({ success: true, vessel: refreshed || vessel })
 })
 
-app.post('/api/import/bl', upload.single('file'), async (req, res) => {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' })
+// Who sent an upload. There are no user accounts, so this is whatever name the client
+// gives plus the address it came from.
+function getUploader(req) {
+    const name = (req.get('X-Uploaded-By') || req.body?.uploadedBy || '').toString().trim()
+    return { uploadedBy: name || null, uploaderIp: req.ip || null }
+}
 
+// Delete a stored document once no import refers to it any more
+async function releaseImportDocument(entry) {
+    if (!entry?.document?.key || importRepository.countByFileHash(entry.fileHash) > 0) return
     try {
-        const dataBuffer = req.file.buffer
-        let details = { vessel: null }
-        let text = ''
-        let extractionMethod = 'none'
-        let isScannedPDF = false
+        await removeDocument(entry.document.key)
+    } catch (err) {
+        console.error('Document store delete error:', err.message)
+    }
+}
 
-        console.log(`Processing PDF: ${req.file.originalname}, size: ${dataBuffer.length} bytes`)
+// Drafts nobody reviewed and failed batch files expire; checked at startup and then hourly,
+// away from the upload and extraction path
+async function pruneImportDrafts() {
+    try {
+        const pruned = importRepository.pruneDrafts(Date.now() - IMPORT_DRAFT_TTL_MS)
+        for (const entry of pruned) {
+            await releaseImportDocument(entry)
+        }
+        if (pruned.length > 0) console.log(`Pruned ${pruned.length} expired import draft(s)`)
+    } catch (err) {
+        console.error('Import prune error:', err.message)
+    }
+}
 
-        // Step 1: Extract text from PDF
-        try {
-            const pdfData = await pdfParse(dataBuffer)
-            text = pdfData.text || ''
-            const cleanedText = text.replace(/\s+/g, '').trim()
-            isScannedPDF = cleanedText.length < 50
+function startImportPruning() {
+    pruneImportDrafts()
+    setInterval(pruneImportDrafts, IMPORT_PRUNE_INTERVAL_MS)
+}
 
-            if (isScannedPDF) {
-                console.log('PDF appears to be scanned')
-            } else {
-                console.log(`Extracted ${text.length} characters from PDF`)
+// Text layer of a PDF, with the offset where each page starts. The page rendering is
+// pdf-parse's own (lib/pdf-parse.js render_page); pdf-parse joins the pages as "\n\n" + page,
+// and a blank line inside a page looks the same, so the offsets are recorded as pages render.
+async function parsePdf(dataBuffer) {
+    const pageLengths = []
+    const pdfData = await pdfParse(dataBuffer, {
+        pagerender: async (pageData) => {
+            let text = ''
+            try {
+                const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+                let lastY
+                for (const item of content.items) {
+                    text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`
+                    lastY = item.transform[5]
+                }
+            } catch (err) {
+                console.error('pdf-parse page error:', err.message)
+                text = ''
             }
-        } catch (e) {
-            console.error('pdf-parse error:', e.message)
+            pageLengths.push(text.length)
+            return text
         }
+    })
 
-        // Step 2: Use AI to extract structured data (Gemini 3 Flash with OpenAI fallback)
-        if (process.env.GEMINI_API_KEY || process.env.OPENAI_API_KEY) {
-            if (!isScannedPDF && text.length > 50) {
-                console.log('Using AI text extraction...')
-                details = await extractVesselDetailsWithAI(text)
-                extractionMethod = 'ai-text'
-            } else {
-                console.log('Using AI vision extraction...')
-                const visionDetails = await extractVesselDetailsFromPDFImage(dataBuffer, text)
-                if (visionDetails && visionDetails.vessel) {
-                    details = visionDetails
-                    extractionMethod = 'ai-vision'
-                    isScannedPDF = false
-                }
-            }
+    let offset = 0
+    const pageStarts = pageLengths.map((length) => {
+        const start = offset + 2
+        offset = start + length
+        return start
+    })
+    return { text: pdfData.text || '', pageStarts }
+}
+
+// Read a shipping document PDF into an import draft: text layer, document type, LLM
+// backends, rule-based cross-check and field provenance. Shared by single uploads, batch
+// jobs and re-extraction.
+// options: uploadedBy, uploaderIp, rerunOf (id of the import being re-extracted),
+//   documentType (skips classification when the uploader says what the document is),
+//   importId and document (a queued batch file: fill in that import, already stored)
+async function createImportDraft(dataBuffer, fileName, options = {}) {
+    let details = { vessel: null }
+    let rawExtraction = null
+    let text = ''
+    let pageStarts = []
+    let extractionMethod = 'none'
+    let isScannedPDF = false
+
+    console.log(`Processing PDF: ${fileName}, size: ${dataBuffer.length} bytes`)
+
+    // Keep the original so the import can be re-extracted and its source produced later
+    let document = options.document || null
+    if (!document) {
+        try {
+            document = await saveDocument(dataBuffer)
+        } catch (err) {
+            console.error('Document store error:', err.message)
         }
+    }
 
-        // Create vessel from extracted details
-        const vessel = await createVesselFromImport(details, text)
+    // Step 1: Extract text from PDF
+    try {
+        ({ text, pageStarts } = await parsePdf(dataBuffer))
+        const cleanedText = text.replace(/\s+/g, '').trim()
+        isScannedPDF = cleanedText.length < 50
 
-        if (vessel) {
-            const idx = vesselDatabase.findIndex(v => v.mmsi === vessel.mmsi)
-            if (idx >= 0) {
-                vesselDatabase[idx] = { ...vesselDatabase[idx], ...vessel }
-            } else {
-                vesselDatabase.push(vessel)
+        if (isScannedPDF) {
+            console.log('PDF appears to be scanned')
+        } else {
+            console.log(`Extracted ${text.length} characters from PDF`)
+        }
+    } catch (e) {
+        console.error('pdf-parse error:', e.message)
+    }
+
+    // Step 2: Document type decides which fields are asked for and how the import merges
+    const classification = isDocumentType(options.documentType)
+        ? { type: options.documentType, confidence: 1, source: 'user' }
+        : classifyDocument(text, fileName)
+    const documentType = getDocumentType(classification.type)
+    console.log(`Document type: ${documentType.label} (${classification.source}, ${classification.confidence})`)
+
+    // Step 3: LLM extraction through the configured backends (see extractors/)
+    let extractionProvider = null
+    let alternates = []
+    if (extractionBackends.isConfigured()) {
+        const textBased = !isScannedPDF && text.length > 50
+        console.log(`Using AI ${textBased ? 'text' : 'vision'} extraction...`)
+        const result = textBased
+            ? await extractionBackends.extractFromText(text, { documentType: documentType.id })
+            : await extractionBackends.extractFromPdf(dataBuffer, text, { documentType: documentType.id })
+        if (result) {
+            rawExtraction = result.details
+            details = normalizeExtractedDetails(result.details)
+            extractionMethod = result.mode === 'pdf' ? 'ai-vision' : 'ai-text'
+            extractionProvider = result.provider
+            alternates = result.alternates || []
+            if (result.mode === 'pdf') isScannedPDF = false
+        }
+    }
+
+    // Step 4: Rule-based pass over the text layer - the whole extraction when no LLM
+    // answered, otherwise a cross-check on what it returned. The rules read transport
+    // documents; invoices and packing lists are left to the LLM.
+    let crossCheck = null
+    if (documentType.rules && !isScannedPDF && text.length > 50) {
+        const ruleDetails = extractBlDetails(text)
+        if (isUsableExtraction(documentType.id, details)) {
+            crossCheck = crossCheckExtraction(details, ruleDetails)
+            details = normalizeExtractedDetails(crossCheck.details)
+            if (Object.keys(crossCheck.disagreements).length > 0) {
+                console.log('Extraction cross-check disagreements:', crossCheck.disagreements)
             }
-            console.log('Vessel imported:', vessel.name, vessel.mmsi)
+        } else if (isUsableExtraction(documentType.id, ruleDetails) || ruleDetails.blNumber) {
+            console.log('Using rule-based extraction...')
+            rawExtraction = ruleDetails
+            details = normalizeExtractedDetails(ruleDetails)
+            extractionMethod = 'rules'
+        }
+    }
+
+    // Keep the extraction as a draft; nothing is tracked until a user reviews and commits it
+    if (documentType.reviewFields.includes('mmsi') && details.vessel && !details.mmsi) {
+        const guessed = extractMmsiFromText(text)
+        if (guessed) details = { ...details, mmsi: guessed, mmsiGuessed: true }
+    }
+    const fieldProvenance = buildFieldProvenance(details, {
+        fields: documentType.reviewFields,
+        text: extractionMethod === 'ai-vision' ? '' : text,
+        pageStarts,
+        extractionMethod,
+        provider: extractionProvider,
+        crossCheck,
+        alternates
+    })
+
+    const fileHash = document?.hash || hashDocument(dataBuffer)
+    const duplicates = findDuplicates({ importId: options.importId, fileHash, details, documentType: documentType.id })
+    const fields = {
+        status: 'draft',
+        fileName,
+        fileHash,
+        fileSize: dataBuffer.length,
+        document: document && { key: document.key, store: document.store },
+        uploadedBy: options.uploadedBy || null,
+        uploaderIp: options.uploaderIp || null,
+        rerunOf: options.rerunOf || null,
+        documentType: documentType.id,
+        classification,
+        isScannedPDF,
+        extractionMethod,
+        extractionProvider,
+        rawExtraction,
+        extractedDetails: details,
+        crossCheck: crossCheck && {
+            agreed: crossCheck.agreed,
+            disagreements: crossCheck.disagreements,
+            filled: crossCheck.filled,
+            containersAdded: crossCheck.containersAdded
+        },
+        alternates: alternates.map(alternate => ({ provider: alternate.provider, details: alternate.details })),
+        fieldProvenance,
+        lowConfidenceFields: getLowConfidenceFields(fieldProvenance, documentType.requiredFields),
+        duplicates,
+        text
+    }
+    const draft = options.importId ? importRepository.update(options.importId, fields) : importRepository.create(fields)
+    if (!draft) throw new Error('Import was removed while it was being extracted')
+    console.log('Import draft created:', draft.id, documentType.label, details.vessel || '(no vessel)')
+    if (hasDuplicates(duplicates)) {
+        console.log(`Import ${draft.id} repeats ${duplicates.sameDocument.length} import(s) and ${duplicates.shipments.length} shipment(s)${duplicates.isAmendment ? ' with changes' : ''}`)
+    }
+    return draft
+}
+
+// Batch jobs have time to spare, so look up what the review form would otherwise leave
+// for commit: the MMSI by vessel name, and whether the geocoder can place each port
+async function resolveImportDraft(draft) {
+    const details = { ...draft.extractedDetails }
+    const fieldProvenance = { ...draft.fieldProvenance }
+    const lowConfidenceFields = { ...draft.lowConfidenceFields }
+    const { reviewFields } = getDocumentType(draft.documentType)
+    if (!details.vessel) return draft
+
+    if (!details.mmsi && reviewFields.includes('mmsi')) {
+        const found = await vesselProviders.search(details.vessel)
+        if (found?.mmsi) {
+            details.mmsi = found.mmsi.toString()
+            fieldProvenance.mmsi = createLookupProvenance(details.mmsi, 'vessel-search', {
+                note: `matched "${found.name || details.vessel}" by name`
+            })
+            lowConfidenceFields.mmsi = fieldProvenance.mmsi.note
         }
+    }
 
-        const response = {
-            success: !!vessel,
-            vessel,
-            extractedDetails: details,
-            extractionMethod,
-            textLength: text.length
+    for (const field of ['portOfLoading', 'portOfDischarge'].filter(name => reviewFields.includes(name))) {
+        if (details[field] && !lowConfidenceFields[field] && !(await geocodePort(details[field]))) {
+            lowConfidenceFields[field] = 'port not found by geocoder'
         }
+    }
+
+    return importRepository.update(draft.id, {
+        extractedDetails: details,
+        fieldProvenance,
+        lowConfidenceFields,
+        resolvedAt: new Date().toISOString()
+    })
+}
+
+function toImportResponse(draft) {
+    const details = draft.extractedDetails || {}
+    const documentType = describeDocumentType(draft.documentType)
+    const success = isUsableExtraction(documentType.id, details)
+    const response = {
+        success,
+        draft: toImportView(draft),
+        documentType,
+        classification: draft.classification || null,
+        extractedDetails: details,
+        extractionMethod: draft.extractionMethod,
+        extractionProvider: draft.extractionProvider || null,
+        fieldProvenance: draft.fieldProvenance || {},
+        duplicates: draft.duplicates || null,
+        isScannedPDF: !!draft.isScannedPDF,
+        textLength: (draft.text || '').length
+    }
+    if (!success) {
+        response.error = `Could not extract ${documentType.label} details from the PDF. Enter the details below to continue.`
+    }
+    return response
+}
+
+const importJobs = createImportJobQueue({
+    runJob: async ({ entry, buffer }, setStatus) => {
+        // After a restart, a file that was already extracted only repeats the lookups
+        const draft = entry.status === 'draft'
+            ? entry
+            : await createImportDraft(buffer, entry.fileName, { ...entry.job.options, importId: entry.id, document: entry.document })
+        setStatus('resolving')
+        return summarizeImportJob(await resolveImportDraft(draft))
+    }
+})
+
+// What a finished job reports about its draft
+function summarizeImportJob(draft) {
+    return {
+        importId: draft.id,
+        documentType: draft.documentType,
+        vessel: draft.extractedDetails?.vessel || null,
+        lowConfidenceCount: Object.keys(draft.lowConfidenceFields || {}).length,
+        hasDuplicates: hasDuplicates(draft.duplicates),
+        isAmendment: !!draft.duplicates?.isAmendment
+    }
+}
 
-        // Add error message if vessel couldn't be created
-        if (!vessel && details.vessel) {
-            response.error = `Could not find MMSI for vessel "${details.vessel}". The vessel may not be in global vessel databases. Try adding the 9-digit MMSI number to the Bill of Lading.`
-        } else if (!vessel) {
-            response.error = 'Could not extract vessel information from the PDF.'
+// Flatten an upload into one entry per PDF; zips are unpacked, anything else is rejected
+function expandBatchUpload(files) {
+    const entries = []
+    files.forEach((file) => {
+        if (isZip(file.buffer)) {
+            try {
+                readZipEntries(file.buffer, { maxEntries: MAX_BATCH_FILES, maxEntrySize: MAX_PDF_BYTES }).forEach((entry) => {
+                    if (!/\.pdf$/i.test(entry.name)) return
+                    try {
+                        entries.push({ fileName: entry.name, buffer: entry.read() })
+                    } catch (err) {
+                        entries.push({ fileName: entry.name, error: err.message })
+                    }
+                })
+            } catch (err) {
+                entries.push({ fileName: file.originalname, error: err.message })
+            }
+        } else if (file.buffer.subarray(0, 5).toString('ascii') === '%PDF-') {
+            entries.push({ fileName: file.originalname, buffer: file.buffer })
+        } else {
+            entries.push({ fileName: file.originalname, error: 'Not a PDF or zip file' })
         }
+    })
+    return entries
+}
+
+// What clients see of a job, with the draft's current review state
+function toJobView(job) {
+    const entry = job.importId ? importRepository.get(job.importId) : null
+    return { ...job, importStatus: entry?.status || null }
+}
 
-        res.json(response)
+// documentType form field: a documentTypes.js id, or empty/"auto" to classify
+function parseDocumentType(value) {
+    const id = (value || '').toString().trim()
+    if (!id || id === 'auto') return { documentType: null }
+    if (!isDocumentType(id)) return { error: `Unknown document type: ${id}` }
+    return { documentType: id }
+}
+
+app.post(['/api/import/document', '/api/import/bl'], upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' })
+    const { documentType, error: typeError } = parseDocumentType(req.body?.documentType)
+    if (typeError) return res.status(400).json({ error: typeError })
+
+    try {
+        const draft = await createImportDraft(req.file.buffer, req.file.originalname, { ...getUploader(req), documentType })
+        res.json(toImportResponse(draft))
     } catch (error) {
         console.error('Import error:', error)
         res.status(500).json({ error: error.message })
     }
 })
 
+// Many PDFs (or zips of them) at once; each becomes a background job producing a draft
+app.post('/api/import/batch', batchUpload.array('files', MAX_BATCH_FILES), async (req, res) => {
+    if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' })
+    const { documentType, error: typeError } = parseDocumentType(req.body?.documentType)
+    if (typeError) return res.status(400).json({ error: typeError })
+
+    const entries = expandBatchUpload(req.files)
+    if (entries.length === 0) return res.status(400).json({ error: 'No PDF files found in upload' })
+    if (entries.length > MAX_BATCH_FILES) {
+        return res.status(400).json({ error: `At most ${MAX_BATCH_FILES} files per batch` })
+    }
+
+    const options = { ...getUploader(req), documentType }
+    const { batchId, jobs } = await importJobs.enqueue(entries.map(entry => ({ ...entry, options })))
+    console.log(`Import batch ${batchId}: ${jobs.length} file(s) queued`)
+    res.status(202).json({ batchId, jobs: jobs.map(toJobView) })
+})
+
+app.get('/api/import/jobs', (req, res) => {
+    const batchId = (req.query.batch || '').toString()
+    if (!batchId) return res.status(400).json({ error: 'batch query parameter required' })
+    res.json({ batchId, jobs: importJobs.listBatch(batchId).map(toJobView) })
+})
+
+app.get('/api/import/jobs/:id', (req, res) => {
+    const job = importJobs.get(req.params.id)
+    if (!job) return res.status(404).json({ error: 'Job not found' })
+    res.json({ job: toJobView(job) })
+})
+
+// Import history, newest first: ?status=draft|committed&limit=&offset=
+app.get('/api/imports', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    const { imports, total } = importRepository.list({
+        status: req.query.status?.toString(),
+        limit,
+        offset
+    })
+    res.json({ imports: imports.map(toImportSummary), total, limit, offset })
+})
+
+app.get('/api/imports/:id', (req, res) => {
+    const entry = importRepository.get(req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Import not found' })
+    res.json({
+        import: toImportView(entry),
+        documentType: describeDocumentType(entry.documentType),
+        success: isUsableExtraction(entry.documentType, entry.extractedDetails)
+    })
+})
+
+// The original uploaded PDF, exactly as received
+app.get('/api/imports/:id/document', async (req, res) => {
+    const entry = importRepository.get(req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Import not found' })
+    if (!entry.document?.key) return res.status(404).json({ error: 'No stored document for this import' })
+
+    try {
+        const buffer = await getDocument(entry.document.key)
+        if (!buffer) return res.status(404).json({ error: 'Stored document is missing' })
+
+        // Header values must be plain ASCII
+        const fileName = (entry.fileName || `${entry.id}.pdf`).replace(/[^\x20-\x7E]|["\\]/g, '_')
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': buffer.length,
+            'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${fileName}"`,
+            'X-Content-SHA256': entry.fileHash || ''
+        })
+        res.send(buffer)
+    } catch (error) {
+        console.error('Document fetch error:', error)
+        res.status(502).json({ error: 'Could not read stored document' })
+    }
+})
+
+// Run extraction again on the stored document, e.g. after changing backends or to read it
+// as a different document type. The result is a new draft; the original is left as it was.
+app.post('/api/imports/:id/reextract', async (req, res) => {
+    const entry = importRepository.get(req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Import not found' })
+    if (!entry.document?.key) return res.status(404).json({ error: 'No stored document for this import' })
+    const requested = parseDocumentType(req.body?.documentType)
+    if (requested.error) return res.status(400).json({ error: requested.error })
+    // A type the uploader chose sticks; a guessed one is guessed again
+    const documentType = requested.documentType ||
+        (entry.classification?.source === 'user' ? entry.documentType : null)
+
+    try {
+        const buffer = await getDocument(entry.document.key)
+        if (!buffer) return res.status(404).json({ error: 'Stored document is missing' })
+
+        let draft = await createImportDraft(buffer, entry.fileName, { ...getUploader(req), rerunOf: entry.id, documentType })
+        // A batch file read again takes its original's place in the batch
+        if (entry.batchId && entry.job) {
+            draft = importRepository.update(draft.id, {
+                batchId: entry.batchId,
+                job: { ...entry.job, ...summarizeImportJob(draft), status: 'done', progress: 100, error: null }
+            })
+        }
+        res.json(toImportResponse(draft))
+    } catch (error) {
+        console.error('Re-extraction error:', error)
+        res.status(500).json({ error: error.message })
+    }
+})
+
+// Merge the reviewed (and possibly corrected) draft into a shipment. BLs and waybills
+// create the tracked vessel and its shipment, booking confirmations a pre-shipment, and
+// arrival notices, invoices and packing lists update the shipment they refer to.
+app.post('/api/imports/:id/commit', async (req, res) => {
+    const entry = importRepository.get(req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Import not found' })
+    if (entry.status !== 'draft') {
+        return res.status(409).json({ error: `Import already ${entry.status}` })
+    }
+
+    const documentType = getDocumentType(entry.documentType)
+    const corrections = {}
+    documentType.reviewFields.forEach((field) => {
+        if (!(field in (req.body || {}))) return
+        const value = req.body[field] === null ? null : req.body[field]?.toString().trim() || null
+        corrections[field] = documentType.numberFields.includes(field) ? parseQuantity(value) : value
+    })
+    const details = normalizeExtractedDetails({ ...entry.extractedDetails, ...corrections })
+    delete details.mmsiGuessed
+
+    if (details.mmsi && !/^\d{9}$/.test(details.mmsi)) {
+        return res.status(400).json({ error: 'MMSI must be 9 digits' })
+    }
+
+    const shipmentAction = req.body?.shipmentAction || null
+    if (shipmentAction && !['update', 'create'].includes(shipmentAction)) {
+        return res.status(400).json({ error: 'shipmentAction must be "update" or "create"' })
+    }
+    const duplicates = findDuplicates({ importId: entry.id, fileHash: entry.fileHash, details, documentType: documentType.id })
+
+    // An arrival notice for a BL we never imported still names the vessel to track
+    let merge = documentType.merge
+    if (merge === 'arrival' && duplicates.shipments.length === 0 && details.vessel) merge = 'shipment'
+
+    if (merge === 'shipment' && !details.vessel) return res.status(400).json({ error: 'Vessel name required' })
+    if (merge === 'booking' && !details.bookingNumber) return res.status(400).json({ error: 'Booking number required' })
+    if ((merge === 'arrival' || merge === 'attachment') && duplicates.shipments.length === 0) {
+        return res.status(422).json({
+            error: `No shipment matches this ${documentType.label}. Import its Bill of Lading or Booking Confirmation first, or correct the reference numbers.`
+        })
+    }
+
+    // A document that is already a shipment needs an explicit choice: amend it or track it separately
+    const canCreate = merge === 'shipment' || merge === 'booking'
+    if (canCreate && duplicates.shipments.length > 0 && !shipmentAction) {
+        return res.status(409).json({
+            error: 'This document matches an existing shipment. Choose to update it or create a new one.',
+            duplicates
+        })
+    }
+    const shipmentId = !canCreate || shipmentAction === 'update'
+        ? (req.body?.shipmentId || duplicates.shipments[0]?.shipmentId || null)
+        : null
+    if (shipmentId && !duplicates.shipments.some(match => match.shipmentId === shipmentId)) {
+        return res.status(400).json({ error: 'shipmentId does not match this document' })
+    }
+    const mergeOptions = { action: canCreate ? shipmentAction : 'update', shipmentId, importId: entry.id, documentType: documentType.id }
+
+    // Claimed before the first await, so a double submit gets the 409 above instead of
+    // creating the vessel and shipment twice; any failure hands the draft back
+    importRepository.update(entry.id, { status: 'committing' })
+    try {
+        let vessel = null
+        let shipment = null
+        if (merge === 'shipment') {
+            // The reviewed MMSI is authoritative, so don't let the raw text suggest another one
+            vessel = await createVesselFromImport(details, '')
+            if (!vessel) {
+                importRepository.update(entry.id, { status: 'draft', reviewedDetails: details })
+                return res.status(422).json({
+                    error: `Could not find MMSI for vessel "${details.vessel}". Enter the 9-digit MMSI and try again.`
+                })
+            }
+            vesselRepository.merge(vessel)
+            shipment = upsertShipmentFromImport(details, vessel, mergeOptions)
+            if (shipment && documentType.merge === 'arrival') {
+                shipment = applyDocumentToShipment(shipment.id, details, mergeOptions)
+            }
+        } else if (merge === 'booking') {
+            shipment = upsertPreShipment(details, mergeOptions)
+        } else {
+            shipment = applyDocumentToShipment(shipmentId, details, mergeOptions)
+        }
+        shipment = recordShipmentDocument(shipment, entry, documentType)
+
+        const committed = importRepository.update(entry.id, {
+            status: 'committed',
+            reviewedDetails: details,
+            duplicates,
+            shipmentAction: mergeOptions.action || 'create',
+            correctedFields: Object.keys(corrections).filter(field =>
+                (corrections[field] ?? null) !== (entry.extractedDetails?.[field] ?? null)
+            ),
+            mmsi: vessel?.mmsi || shipment?.mmsi || null,
+            shipmentId: shipment?.id || null,
+            committedAt: new Date().toISOString()
+        })
+        if (vessel) console.log('Vessel imported:', vessel.name, vessel.mmsi, shipment ? `(shipment ${shipment.id})` : '')
+        else console.log(`${documentType.label} imported into shipment ${shipment?.id}`)
+
+        webhookDispatcher.emit('import.completed', {
+            importId: committed.id,
+            documentType: documentType.id,
+            fileName: committed.fileName || null,
+            shipmentAction: committed.shipmentAction,
+            shipmentId: shipment?.id || null,
+            mmsi: committed.mmsi,
+            vesselName: vessel?.name || shipment?.vesselName || null,
+            blNumber: details.blNumber || null,
+            bookingNumber: details.bookingNumber || null,
+            uploadedBy: committed.uploadedBy || null
+        })
+
+        res.json({ success: true, vessel, shipment, duplicates, import: toImportView(committed) })
+    } catch (error) {
+        console.error('Import commit error:', error)
+        if (importRepository.get(entry.id)?.status === 'committing') {
+            importRepository.update(entry.id, { status: 'draft' })
+        }
+        res.status(500).json({ error: error.message })
+    }
+})
+
+app.delete('/api/imports/:id', (req, res) => {
+    const entry = importRepository.get(req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Import not found' })
+    if (entry.status !== 'draft' && entry.status !== 'failed') {
+        return res.status(409).json({ error: 'Only drafts and failed imports can be discarded' })
+    }
+    importRepository.remove(entry.id)
+    releaseImportDocument(entry)
+    res.json({ success: true })
+})
+
 app.get('/api/vessels/search', async (req, res) => {
     const query = (req.query.q || '').toString().trim()
     if (!query) return res.json({ vessels: [] })
 
-    const candidates = [...trackedVessels.values(), ...vesselDatabase]
+    const candidates = [...trackedVesselRepository.list(), ...vesselRepository.list()]
     const matches = candidates.filter(v =>
         (v.name || '').toLowerCase().includes(query.toLowerCase()) ||
         (v.mmsi || '').toString().includes(query)
     )
     const unique = Array.from(new Map(matches.map(v => [v.mmsi, v])).values())
     if (unique.length > 0) {
-        return res.json({ vessels: unique.slice(0, MAX_TRACKED_VESSELS) })
+        return res.json({ vessels: unique.slice(0, SEARCH_RESULT_LIMIT) })
     }
 
     let found = null
     if (/^\\d{9}$/.test(query)) {
         found = { mmsi: query, name: null, source: 'mmsi' }
     } else {
-        found = await searchVesselByName(query)
+        found = await vesselProviders.search(query)
     }
 
     if (!found?.mmsi) {
         return res.json({ vessels: [] })
     }
 
-    let vessel = trackedVessels.get(found.mmsi) || vesselDatabase.find(v => v.mmsi === found.mmsi)
+    let vessel = trackedVesselRepository.get(found.mmsi) || vesselRepository.get(found.mmsi)
     if (!vessel) {
-        const vesselStatus = await getVesselStatus(found.mmsi)
+        const vesselStatus = await vesselProviders.getStatus(found.mmsi)
         vessel = {
             mmsi: found.mmsi.toString(),
             name: found.name || vesselStatus?.name || query.toUpperCase(),
@@ -1643,34 +2296,35 @@ app.get('/api/vessels/search', async (req, res) => {
     }
 
     const refreshed = await refreshPositionForVessel(vessel, { force: true })
-    const finalVessel = refreshed || vessel
+    // A rejected fix only updates data-quality info, so re-read what was stored
+    const finalVessel = refreshed || trackedVesselRepository.get(vessel.mmsi) || vessel
 
-    trackedVessels.set(finalVessel.mmsi, finalVessel)
-    const idx = vesselDatabase.findIndex(v => v.mmsi === finalVessel.mmsi)
-    if (idx >= 0) {
-        vesselDatabase[idx] = { ...vesselDatabase[idx], ...finalVessel }
-    } else {
-        vesselDatabase.push(finalVessel)
-    }
+    trackedVesselRepository.save(finalVessel)
+    vesselRepository.merge(finalVessel)
 
     res.json({ vessels: [finalVessel] })
 })
 
 app.get('/api/vessels', async (req, res) => {
-    const vessels = Array.from(trackedVessels.values())
-    const allVessels = [...vesselDatabase.map(v => ({
+    // status: active (default), archived or all
+    const status = (req.query.status || 'active').toString()
+    const vessels = trackedVesselRepository.list()
+    const allVessels = [...vesselRepository.list().map(v => ({
         ...v,
         bottleneckWarning: v.latitude && v.longitude ? checkBottleneckProximity(v.latitude, v.longitude) : null
     })), ...vessels]
     const uniqueVessels = Array.from(new Map(allVessels.map(v => [v.mmsi, v])).values())
+        .filter(v => status === 'all' || (status === 'archived' ? !!v.archived : !v.archived))
     const sorted = uniqueVessels.sort((a, b) => {
         const ta = new Date(a.updatedAt || a.importedAt || 0).getTime()
         const tb = new Date(b.updatedAt || b.importedAt || 0).getTime()
         return tb - ta
     })
-    res.json({ vessels: sorted.slice(0, MAX_TRACKED_VESSELS) })
+    res.json({ vessels: sorted.map(withEstimatedPosition) })
 })
 
+app.get('/api/events', handleEventStream)
+
 app.get('/api/bottlenecks', async (req, res) => {
     try {
         const bottlenecks = await getBottlenecks()
@@ -1685,14 +2339,14 @@ app.get('/api/vessels/:mmsi/details', async (req, res) => {
     const mmsi = req.params.mmsi?.toString()
     if (!mmsi) return res.status(400).json({ error: 'mmsi required' })
 
-    const vessel = trackedVessels.get(mmsi) || vesselDatabase.find(v => v.mmsi === mmsi)
+    const vessel = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
     if (!vessel) return res.status(404).json({ error: 'not found' })
 
     const enriched = { ...vessel }
 
-    // Always refresh vessel status from VesselFinder API (speed, heading, current destination)
+    // Always refresh vessel status from the status providers (speed, heading, current destination)
     if (mmsi.match(/^\d{9}$/)) {
-        const vesselStatus = await getVesselStatus(mmsi)
+        const vesselStatus = await vesselProviders.getStatus(mmsi)
         if (vesselStatus) {
             enriched.speed = vesselStatus.speed ?? enriched.speed
             enriched.heading = vesselStatus.heading ?? enriched.heading
@@ -1701,11 +2355,11 @@ app.get('/api/vessels/:mmsi/details', async (req, res) => {
             enriched.imo = vesselStatus.imo || enriched.imo
             enriched.grossTonnage = vesselStatus.grossTonnage || enriched.grossTonnage
             enriched.eta = enriched.eta || vesselStatus.eta
-            enriched.statusSource = 'vesselfinder-api'
+            enriched.statusSource = vesselStatus.source
             enriched.statusUpdatedAt = vesselStatus.lastUpdate
 
-            // Note: VesselFinder free tier doesn't provide coordinates
-            // Coordinates come from MyShipTracking scraper
+            // Status providers may not include coordinates
+            // Coordinates come from the position providers
             const cachedPosition = getLivePosition(mmsi)
             if (cachedPosition) {
                 enriched.latitude = cachedPosition.latitude
@@ -1715,15 +2369,16 @@ app.get('/api/vessels/:mmsi/details', async (req, res) => {
             }
 
             // Update stored vessel data
-            trackedVessels.set(mmsi, { ...trackedVessels.get(mmsi), ...enriched })
-            const dbIdx = vesselDatabase.findIndex(v => v.mmsi === mmsi)
-            if (dbIdx >= 0) vesselDatabase[dbIdx] = { ...vesselDatabase[dbIdx], ...enriched }
+            trackedVesselRepository.merge(enriched)
+            if (vesselRepository.has(mmsi)) vesselRepository.merge(enriched)
         }
     }
 
     const refreshed = await refreshPositionForVessel(enriched, { force: true })
     if (refreshed) {
         Object.assign(enriched, refreshed)
+    } else {
+        enriched.dataQuality = trackedVesselRepository.get(mmsi)?.dataQuality || enriched.dataQuality
     }
 
     if (enriched.latitude && enriched.longitude) {
@@ -1746,9 +2401,256 @@ app.get('/api/vessels/:mmsi/details', async (req, res) => {
         }
     }
 
+    enriched.estimatedPosition = getEstimatedPosition(enriched)
+    enriched.refreshSchedule = refreshScheduler.getVesselSchedule(mmsi)
+
     res.json({ vessel: enriched })
 })
 
+app.get('/api/vessels/:mmsi/track', (req, res) => {
+    const mmsi = req.params.mmsi?.toString()
+    if (!mmsi) return res.status(400).json({ error: 'mmsi required' })
+
+    const to = req.query.to ? new Date(req.query.to.toString()) : new Date()
+    const from = req.query.from ? new Date(req.query.from.toString()) : new Date(to.getTime() - TRACK_DEFAULT_WINDOW_MS)
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ error: 'from and to must be valid dates' })
+    }
+    if (from > to) {
+        return res.status(400).json({ error: 'from must be before to' })
+    }
+
+    const requestedMax = Number(req.query.maxPoints)
+    const maxPoints = Number.isFinite(requestedMax) && requestedMax >= 2
+        ? Math.min(requestedMax, TRACK_MAX_POINTS)
+        : TRACK_MAX_POINTS
+
+    const points = positionHistoryRepository.range(mmsi, from.toISOString(), to.toISOString())
+    const track = downsampleTrack(points, maxPoints)
+
+    res.json({
+        mmsi,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        totalPoints: points.length,
+        downsampled: track.length < points.length,
+        points: track
+    })
+})
+
+// Static PNG of the route and current position, as embedded in HTML emails
+app.get('/api/vessels/:mmsi/route-map.png', async (req, res) => {
+    const mmsi = req.params.mmsi?.toString()
+    const vessel = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
+    if (!vessel) return res.status(404).json({ error: 'Vessel not found' })
+
+    if (!Array.isArray(vessel.route) || vessel.route.length < 2) {
+        await ensurePortCoordinates(vessel)
+        await ensureRoute(vessel)
+    }
+    const map = renderRouteMap(vessel)
+    if (!map) return res.status(404).json({ error: 'No route or position to draw' })
+
+    res.set('Cache-Control', 'public, max-age=300')
+    res.type('png').send(map)
+})
+
+app.patch('/api/vessels/:mmsi', async (req, res) => {
+    const mmsi = req.params.mmsi?.toString()
+    const stored = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
+    if (!stored) return res.status(404).json({ error: 'not found' })
+
+    const changes = req.body || {}
+    const updated = { ...stored }
+    const changed = new Set()
+
+    EDITABLE_VESSEL_FIELDS.forEach((field) => {
+        if (!(field in changes)) return
+        const value = changes[field] === null ? null : changes[field]?.toString().trim() || null
+        if (value === (updated[field] ?? null)) return
+        updated[field] = value
+        changed.add(field)
+    })
+    if (changed.has('name') && updated.name) updated.name = updated.name.toUpperCase()
+    if (changed.has('voyage')) updated.voyageNo = updated.voyage
+
+    if ('archived' in changes) {
+        const archived = changes.archived === true || changes.archived === 'true'
+        if (archived !== !!updated.archived) {
+            updated.archived = archived
+            updated.archivedAt = archived ? new Date().toISOString() : null
+            changed.add('archived')
+        }
+    }
+
+    if (changed.size === 0) return res.json({ vessel: stored })
+
+    // Corrected ports invalidate their coordinates and the route built from them
+    if (changed.has('origin')) {
+        updated.originLat = null
+        updated.originLng = null
+    }
+    if (changed.has('destination')) {
+        updated.destLat = null
+        updated.destLng = null
+    }
+    if (changed.has('origin') || changed.has('destination')) {
+        updated.route = null
+        updated.routeSource = null
+        updated.nextWaypoint = null
+        await ensurePortCoordinates(updated)
+        await ensureRoute(updated)
+
+        if (updated.route && updated.route.length >= 2) {
+            updated.nextWaypoint = updated.route[1] || null
+            if (updated.latitude && updated.longitude) {
+                const bottlenecks = getBottlenecksSync()
+                const etaCalc = estimateArrival(updated.route, updated.latitude, updated.longitude, updated.speed || 12, { bottlenecks })
+                updated.eta = etaCalc?.eta || updated.eta
+                updated.distanceRemainingNm = etaCalc?.distanceRemaining || null
+                updated.hoursRemaining = etaCalc?.hoursRemaining || null
+                updated.bottleneckDelayMinutes = etaCalc?.bottleneckDelayMinutes || 0
+                updated.bottlenecksPassed = etaCalc?.bottlenecksPassed || []
+            }
+        }
+    }
+
+    if (['blNumber', 'carrier', 'containerNumber'].some(field => changed.has(field))) {
+        const carrierInfo = detectCarrier({
+            blNumber: updated.blNumber,
+            carrier: updated.carrier,
+            containerNumber: updated.containerNumber
+        })
+        updated.carrier = carrierInfo?.name || updated.carrier
+        updated.carrierId = carrierInfo?.id || null
+        updated.carrierTrackingUrl = carrierInfo?.trackingUrl || null
+        updated.carrierColor = carrierInfo?.color || null
+    }
+
+    updated.editedAt = new Date().toISOString()
+    if (trackedVesselRepository.has(mmsi)) trackedVesselRepository.save(updated)
+    if (vesselRepository.has(mmsi)) vesselRepository.save(updated)
+
+    if (changed.has('archived') && updated.archived) {
+        publish('vesselRemoved', { mmsi, reason: 'archived' })
+    } else {
+        publish('vesselUpdate', withEstimatedPosition(updated))
+        refreshScheduler.expedite(mmsi)
+    }
+
+    res.json({ vessel: updated, changed: Array.from(changed) })
+})
+
+// Untrack a vessel. Position history is kept so a re-added vessel keeps its track.
+app.delete('/api/vessels/:mmsi', (req, res) => {
+    const mmsi = req.params.mmsi?.toString()
+    const stored = trackedVesselRepository.get(mmsi) || vesselRepository.get(mmsi)
+    if (!stored) return res.status(404).json({ error: 'not found' })
+
+    trackedVesselRepository.remove(mmsi)
+    vesselRepository.remove(mmsi)
+    positionCache.delete(getPositionCacheKey(mmsi, stored.name))
+    aisLastApplied.delete(mmsi)
+    vesselEventState.delete(mmsi)
+
+    // Nothing left to report on, so stop any scheduled emails for it. The alert state goes
+    // too, or a re-added vessel would stay silent about conditions that were already on.
+    let cancelled = 0
+    let subscriptionsChanged = false
+    subscriptions.forEach((sub) => {
+        if (sub.mmsi?.toString() !== mmsi) return
+        if (sub.alertState && Object.keys(sub.alertState).length > 0) {
+            sub.alertState = {}
+            subscriptionsChanged = true
+        }
+        if (!sub.active) return
+        sub.active = false
+        sub.updatedAt = new Date().toISOString()
+        cancelled += 1
+        subscriptionsChanged = true
+    })
+    if (subscriptionsChanged) saveSubscriptions()
+
+    // Digests compare against the ETA they last reported; drop this vessel's baseline
+    let digestsChanged = false
+    digests.forEach((digest) => {
+        if (!digest.vessels?.[mmsi]) return
+        delete digest.vessels[mmsi]
+        digestsChanged = true
+    })
+    if (digestsChanged) saveDigests()
+
+    // Cargo outlives the vessel: keep the shipments (and their vessel name) but unlink them
+    const detached = shipmentRepository.list({ mmsi })
+    detached.forEach(shipment => shipmentRepository.update(shipment.id, { mmsi: null }))
+
+    publish('vesselRemoved', { mmsi, reason: 'deleted' })
+    res.json({ success: true, mmsi, cancelledNotifications: cancelled, detachedShipments: detached.length })
+})
+
+app.get('/api/shipments', (req, res) => {
+    const query = (req.query.q || '').toString().trim().toUpperCase()
+    let shipments = shipmentRepository.list({
+        mmsi: req.query.mmsi?.toString(),
+        blNumber: req.query.blNumber?.toString()
+    })
+    if (req.query.status) {
+        shipments = shipments.filter(s => s.status === req.query.status)
+    }
+    if (query) {
+        shipments = shipments.filter(s =>
+            [s.blNumber, s.bookingNumber, s.vesselName, s.consignee, s.shipper]
+                .some(value => (value || '').toUpperCase().includes(query)) ||
+            (s.containers || []).some(c => c.containerNumber.includes(query))
+        )
+    }
+    res.json({ shipments: shipments.map(withVesselSummary) })
+})
+
+app.get('/api/shipments/:id', (req, res) => {
+    const shipment = shipmentRepository.get(req.params.id)
+    if (!shipment) return res.status(404).json({ error: 'not found' })
+    res.json({ shipment: withVesselSummary(shipment) })
+})
+
+app.post('/api/shipments', (req, res) => {
+    const { fields, error } = parseShipmentInput(req.body || {})
+    if (error) return res.status(400).json({ error })
+    const vessel = fields.mmsi ? (trackedVesselRepository.get(fields.mmsi) || vesselRepository.get(fields.mmsi)) : null
+    const shipment = shipmentRepository.create({
+        containers: [],
+        status: 'booked',
+        source: 'manual',
+        ...fields,
+        vesselName: fields.vesselName || vessel?.name || null
+    })
+    res.status(201).json({ shipment: withVesselSummary(shipment) })
+})
+
+app.patch('/api/shipments/:id', (req, res) => {
+    if (!shipmentRepository.get(req.params.id)) return res.status(404).json({ error: 'not found' })
+    const { fields, error } = parseShipmentInput(req.body || {}, { partial: true })
+    if (error) return res.status(400).json({ error })
+    // Moving cargo to another vessel picks up that vessel's name unless one was given
+    if (fields.mmsi && !('vesselName' in fields)) {
+        fields.vesselName = (trackedVesselRepository.get(fields.mmsi) || vesselRepository.get(fields.mmsi))?.name || null
+    }
+    const shipment = shipmentRepository.update(req.params.id, fields)
+    res.json({ shipment: withVesselSummary(shipment) })
+})
+
+app.delete('/api/shipments/:id', (req, res) => {
+    if (!shipmentRepository.remove(req.params.id)) return res.status(404).json({ error: 'not found' })
+    res.json({ success: true, id: req.params.id })
+})
+
+// Alert triggers a subscription can choose, with their parameter ranges
+app.get('/api/notifications/triggers', (req, res) => {
+    res.json({
+        triggers: Object.entries(ALERT_TRIGGERS).map(([type, definition]) => ({ type, ...definition }))
+    })
+})
+
 app.get('/api/notifications', (req, res) => {
     const mmsi = req.query.mmsi?.toString()
     const email = req.query.email?.toString()
@@ -1759,7 +2661,7 @@ app.get('/api/notifications', (req, res) => {
     if (email) {
         list = list.filter(s => s.email === email)
     }
-    res.json({ subscriptions: list })
+    res.json({ subscriptions: list.map(toSubscriptionView) })
 })
 
 app.get('/api/carrier/eta', async (req, res) => {
@@ -1781,31 +2683,73 @@ app.get('/api/carrier/eta', async (req, res) => {
     }
 })
 
+// What clients see of a subscription; chat webhook URLs are credentials
+function toSubscriptionView(sub) {
+    const view = { ...sub, inDigest: isInDigest(sub) }
+    if (sub.targetUrl) view.targetUrl = maskTargetUrl(sub.targetUrl)
+    return view
+}
+
+// channel: 'email' (needs email) or 'slack' / 'teams' (need targetUrl, the incoming webhook URL)
 app.post('/api/notifications', async (req, res) => {
-    if (!EMAIL_ENABLED) {
+    const { mmsi, cadenceHours, sendNow } = req.body || {}
+    if (!mmsi) {
+        return res.status(400).json({ error: 'mmsi required' })
+    }
+    const target = normalizeChannel(req.body)
+    if (target.error) return res.status(400).json({ error: target.error })
+    if (target.channel === 'email' && !EMAIL_ENABLED) {
         return res.status(400).json({ error: 'Email service not configured' })
     }
-    const { mmsi, email, cadenceHours, sendNow } = req.body || {}
-    if (!mmsi || !email) {
-        return res.status(400).json({ error: 'mmsi and email required' })
+    const { triggers, error: triggerError } = normalizeTriggers(req.body.triggers)
+    if (triggerError) return res.status(400).json({ error: triggerError })
+    // cadenceHours 0 turns off the scheduled status email, leaving only the triggered alerts
+    // (and the recipient's daily digest, if they have one)
+    const alertsOnly = Number(cadenceHours) === 0 || cadenceHours === null
+    const inDigest = target.channel === 'email' && !!findActiveDigest(target.email)
+    if (alertsOnly && Object.keys(triggers).length === 0 && !inDigest) {
+        return res.status(400).json({ error: 'Choose at least one trigger, a cadence for status updates or a daily digest' })
     }
-    const cadence = normalizeCadenceHours(cadenceHours || 24)
+    const cadence = alertsOnly ? null : normalizeCadenceHours(cadenceHours || 24)
     const id = `sub_${Date.now()}_${Math.floor(Math.random() * 1000)}`
     const entry = {
         id,
         mmsi: mmsi.toString(),
-        email: email.toString().trim().toLowerCase(),
+        channel: target.channel,
+        email: target.email,
+        targetUrl: target.targetUrl,
         cadenceHours: cadence,
+        triggers,
+        alertState: {},
         active: true,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        // Send first email immediately (nextRun = now), then wait cadence for subsequent
-        nextRun: sendNow !== false ? Date.now() : Date.now() + cadence * 60 * 60 * 1000,
+        // Send first update immediately (nextRun = now), then wait cadence for subsequent
+        nextRun: alertsOnly ? null : sendNow !== false ? Date.now() : Date.now() + cadence * 60 * 60 * 1000,
         retryCount: 0
     }
     subscriptions.push(entry)
     saveSubscriptions()
-    res.json({ subscription: entry })
+    res.json({ subscription: toSubscriptionView(entry) })
+})
+
+// Change which alerts a subscription gets; alert state is kept for triggers that stay on
+app.patch('/api/notifications/:id', (req, res) => {
+    const id = req.params.id?.toString()
+    const sub = subscriptions.find(s => s.id === id)
+    if (!sub) return res.status(404).json({ error: 'not found' })
+    if (!req.body || !('triggers' in req.body)) {
+        return res.status(400).json({ error: 'triggers required' })
+    }
+    const { triggers, error } = normalizeTriggers(req.body.triggers)
+    if (error) return res.status(400).json({ error })
+    if (!sub.cadenceHours && Object.keys(triggers).length === 0 && !isInDigest(sub)) {
+        return res.status(400).json({ error: 'An alerts-only subscription needs at least one trigger' })
+    }
+    sub.triggers = triggers
+    sub.updatedAt = new Date().toISOString()
+    saveSubscriptions()
+    res.json({ subscription: toSubscriptionView(sub) })
 })
 
 app.post('/api/notifications/:id/cancel', (req, res) => {
@@ -1815,23 +2759,24 @@ app.post('/api/notifications/:id/cancel', (req, res) => {
     sub.active = false
     sub.updatedAt = new Date().toISOString()
     saveSubscriptions()
-    res.json({ subscription: sub })
+    res.json({ subscription: toSubscriptionView(sub) })
 })
 
 app.post('/api/notifications/:id/test', async (req, res) => {
-    if (!EMAIL_ENABLED) {
-        return res.status(400).json({ error: 'Email service not configured' })
-    }
     const id = req.params.id?.toString()
     const sub = subscriptions.find(s => s.id === id)
     if (!sub) return res.status(404).json({ error: 'not found' })
+    if ((sub.channel || 'email') === 'email' && !EMAIL_ENABLED) {
+        return res.status(400).json({ error: 'Email service not configured' })
+    }
     try {
-        await sendVesselEmailUpdate(sub)
+        await sendVesselUpdate(sub)
         sub.lastSentAt = new Date().toISOString()
-        sub.nextRun = Date.now() + sub.cadenceHours * 60 * 60 * 1000
+        if (sub.cadenceHours) sub.nextRun = Date.now() + sub.cadenceHours * 60 * 60 * 1000
         sub.updatedAt = new Date().toISOString()
         saveSubscriptions()
-        res.json({ ok: true, subscription: sub })
+        publish('notificationSent', { id: sub.id, mmsi: sub.mmsi, sentAt: sub.lastSentAt })
+        res.json({ ok: true, subscription: toSubscriptionView(sub) })
     } catch (err) {
         sub.lastError = err.message
         sub.updatedAt = new Date().toISOString()
@@ -1840,11 +2785,175 @@ app.post('/api/notifications/:id/test', async (req, res) => {
     }
 })
 
+// Daily digests: one scheduled email per recipient for all their vessels (see digests.js)
+app.get('/api/digests', (req, res) => {
+    const email = req.query.email?.toString().trim().toLowerCase()
+    res.json({ digests: email ? digests.filter(d => d.email === email) : digests })
+})
+
+// Creates the recipient's digest, or changes its send time and timezone and turns it back on
+app.post('/api/digests', (req, res) => {
+    if (!EMAIL_ENABLED) {
+        return res.status(400).json({ error: 'Email service not configured' })
+    }
+    const input = normalizeDigestInput(req.body)
+    if (input.error) return res.status(400).json({ error: input.error })
+
+    const now = new Date().toISOString()
+    let digest = digests.find(d => d.email === input.email)
+    if (digest) {
+        Object.assign(digest, input, { active: true, updatedAt: now, retryCount: 0 })
+    } else {
+        digest = {
+            id: `dig_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+            ...input,
+            active: true,
+            vessels: {},
+            createdAt: now,
+            updatedAt: now,
+            lastSentAt: null,
+            retryCount: 0
+        }
+        digests.push(digest)
+    }
+    digest.nextRun = nextDigestRun(digest)
+    saveDigests()
+    res.json({ digest })
+})
+
+app.post('/api/digests/:id/cancel', (req, res) => {
+    const id = req.params.id?.toString()
+    const digest = digests.find(d => d.id === id)
+    if (!digest) return res.status(404).json({ error: 'not found' })
+    digest.active = false
+    digest.nextRun = null
+    digest.updatedAt = new Date().toISOString()
+    saveDigests()
+
+    // Scheduled status emails resume from now rather than all firing at once
+    let resumed = false
+    subscriptions
+        .filter(sub => sub.active && sub.cadenceHours && sub.email === digest.email && (!sub.channel || sub.channel === 'email'))
+        .forEach((sub) => {
+            sub.nextRun = Date.now() + sub.cadenceHours * 60 * 60 * 1000
+            resumed = true
+        })
+    if (resumed) saveSubscriptions()
+    res.json({ digest })
+})
+
+// Send the digest now without moving its schedule or the baseline for ETA changes
+app.post('/api/digests/:id/test', async (req, res) => {
+    const id = req.params.id?.toString()
+    const digest = digests.find(d => d.id === id)
+    if (!digest) return res.status(404).json({ error: 'not found' })
+    if (!EMAIL_ENABLED) {
+        return res.status(400).json({ error: 'Email service not configured' })
+    }
+    try {
+        const rows = await sendDigest(digest)
+        if (!rows) return res.status(400).json({ error: 'No active email subscriptions for this recipient' })
+        res.json({ ok: true, vessels: rows.length })
+    } catch (err) {
+        digest.lastError = err.message
+        digest.updatedAt = new Date().toISOString()
+        saveDigests()
+        res.status(500).json({ error: err.message })
+    }
+})
+
+// Outbound webhooks (see webhooks.js)
+app.get('/api/webhooks', (req, res) => {
+    res.json({
+        webhooks: webhookRepository.list().map(webhook => toWebhookView(webhook)),
+        events: WEBHOOK_EVENTS
+    })
+})
+
+app.post('/api/webhooks', (req, res) => {
+    const { fields, error } = normalizeWebhookInput(req.body || {}, { requireUrl: true })
+    if (error) return res.status(400).json({ error })
+    const webhook = webhookRepository.create({
+        url: fields.url,
+        events: fields.events || ['*'],
+        description: fields.description || null,
+        active: fields.active ?? true,
+        secret: fields.secret || generateSecret(),
+        consecutiveFailures: 0
+    })
+    console.log(`Webhook created: ${webhook.id} -> ${webhook.url} (${webhook.events.join(', ')})`)
+    // The only time the secret is shown; receivers need it to verify signatures
+    res.status(201).json({ webhook: toWebhookView(webhook, { includeSecret: true }) })
+})
+
+app.patch('/api/webhooks/:id', (req, res) => {
+    if (!webhookRepository.get(req.params.id)) return res.status(404).json({ error: 'Webhook not found' })
+    const { fields, error } = normalizeWebhookInput(req.body || {})
+    if (error) return res.status(400).json({ error })
+    if (req.body?.rotateSecret) fields.secret = generateSecret()
+    const webhook = webhookRepository.update(req.params.id, fields)
+    res.json({ webhook: toWebhookView(webhook, { includeSecret: !!fields.secret }) })
+})
+
+app.delete('/api/webhooks/:id', (req, res) => {
+    if (!webhookRepository.remove(req.params.id)) return res.status(404).json({ error: 'Webhook not found' })
+    res.json({ success: true, id: req.params.id })
+})
+
+app.post('/api/webhooks/:id/test', (req, res) => {
+    const delivery = webhookDispatcher.sendTest(req.params.id)
+    if (!delivery) return res.status(404).json({ error: 'Webhook not found' })
+    res.status(202).json({ delivery })
+})
+
+// Delivery log: ?webhookId&status=pending|delivered|failed|dead&event&limit&offset
+app.get('/api/webhooks/deliveries', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    const { deliveries, total } = webhookDeliveryRepository.list({
+        webhookId: req.query.webhookId?.toString(),
+        status: req.query.status?.toString(),
+        event: req.query.event?.toString(),
+        limit,
+        offset
+    })
+    res.json({ deliveries, total, limit, offset })
+})
+
+// Dead letters: deliveries that ran out of retries
+app.get('/api/webhooks/dead-letters', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    const { deliveries, total } = webhookDeliveryRepository.list({ status: 'dead', webhookId: req.query.webhookId?.toString(), limit, offset })
+    res.json({ deliveries, total, limit, offset })
+})
+
+app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+    const existing = webhookDeliveryRepository.get(req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Delivery not found' })
+    const delivery = webhookDispatcher.redeliver(existing.id)
+    if (!delivery) return res.status(409).json({ error: `Delivery is ${existing.status} or being sent; only failed or dead deliveries can be redelivered` })
+    res.status(202).json({ delivery })
+})
+
+app.delete('/api/webhooks/deliveries/:id', (req, res) => {
+    if (!webhookDeliveryRepository.remove(req.params.id)) return res.status(404).json({ error: 'Delivery not found' })
+    res.json({ success: true, id: req.params.id })
+})
+
 app.get('/api/health', (req, res) => res.json({
     status: 'ok',
     timestamp: new Date(),
-    trackedVessels: trackedVessels.size,
-    positionRefreshMs: POSITION_REFRESH_MS
+    trackedVessels: trackedVesselRepository.count(),
+    eventClients: getClientCount(),
+    providers: vesselProviders.listProviders(),
+    extraction: extractionBackends.listExtractors(),
+    ais: getAisIngestStats(),
+    refresh: refreshScheduler.getStats(),
+    importJobs: importJobs.getStats(),
+    documentStore: describeDocumentStore().type,
+    webhooks: webhookDispatcher.getStats(),
+    providerBudgets: vesselProviders.getRateBudgets()
 }))
 
 // Serve static files
@@ -1859,16 +2968,26 @@ if (process.env.NODE_ENV === 'production') {
 
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`)
-    console.log(`Gemini API Key configured: ${!!process.env.GEMINI_API_KEY}`)
-    console.log(`Position refresh interval: ${POSITION_REFRESH_MS}ms`)
+    console.log(`Extraction backends: ${JSON.stringify(extractionBackends.listExtractors())}`)
+    console.log(`Import documents: ${describeDocumentStore().type} (${describeDocumentStore().location})`)
+    console.log(`Position refresh tiers (ms): ${JSON.stringify(refreshScheduler.getStats().intervalsMs)}`)
     console.log(`Email notifications enabled: ${EMAIL_ENABLED} (via ${EMAIL_VIA_API ? 'Brevo API' : EMAIL_VIA_SMTP ? 'SMTP' : 'none'})`)
+    console.log(`Email template overrides: ${EMAIL_TEMPLATES_DIR}`)
     if (EMAIL_VIA_SMTP && mailTransporter) {
         withTimeout(mailTransporter.verify(), SMTP_SEND_TIMEOUT_MS, 'SMTP verify')
             .then(() => console.log('SMTP connection verified'))
             .catch((err) => console.error('SMTP verify failed:', formatEmailError(err)))
     }
-    startPositionRefresh()
+    // A commit cut off by a restart never finished; hand those drafts back for review
+    importRepository.list({ status: 'committing' }).imports
+        .forEach(entry => importRepository.update(entry.id, { status: 'draft' }))
+    importJobs.resume()
+    startImportPruning()
+    refreshScheduler.start()
+    startBottleneckRefresh()
     startNotificationsScheduler()
+    webhookDispatcher.start()
+    startAisIngest({ onPosition: handleAisPosition, onStatic: handleAisStatic })
 })
 
 module.exports = app
@@ -24,6 +24,8 @@ function App() {
     const [isLoading, setIsLoading] = useState(false)
     const [showImport, setShowImport] = useState(false)
     const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false)
+    const [showArchived, setShowArchived] = useState(false)
+    const [archivedVessels, setArchivedVessels] = useState([])
 
     useEffect(() => {
         if (typeof window === 'undefined') return
@@ -60,12 +62,18 @@ function App() {
                 return [...prev, vesselData]
             })
         }
+        const handleVesselRemoved = ({ mmsi }) => {
+            setVessels(prev => prev.filter(v => v.mmsi !== mmsi))
+            setSelectedVessel(prev => prev?.mmsi === mmsi ? null : prev)
+        }
 
         vesselService.on('connect', handleConnect)
         vesselService.on('disconnect', handleDisconnect)
         vesselService.on('vesselUpdate', handleVesselUpdate)
+        vesselService.on('vesselRemoved', handleVesselRemoved)
+        vesselService.on('bottleneckUpdate', setBottlenecks)
 
-        // Connect to websocket
+        // Connect to the push channel (falls back to polling)
         vesselService.connect()
 
         // Load bottleneck zones
@@ -75,6 +83,8 @@ function App() {
             vesselService.off('connect', handleConnect)
             vesselService.off('disconnect', handleDisconnect)
             vesselService.off('vesselUpdate', handleVesselUpdate)
+            vesselService.off('vesselRemoved', handleVesselRemoved)
+            vesselService.off('bottleneckUpdate', setBottlenecks)
             vesselService.disconnect()
         }
     }, [])
@@ -109,6 +119,44 @@ function App() {
         }
     }, [])
 
+    useEffect(() => {
+        if (!showArchived) return
+        vesselService.getVessels('archived')
+            .then(setArchivedVessels)
+            .catch((err) => console.error('archived load error', err))
+    }, [showArchived])
+
+    const handleVesselEdit = useCallback(async (mmsi, changes) => {
+        const updated = await vesselService.updateVessel(mmsi, changes)
+        setVessels(prev => prev.map(v => v.mmsi === mmsi ? { ...v, ...updated } : v))
+        setSelectedVessel(prev => prev?.mmsi === mmsi ? { ...prev, ...updated } : prev)
+        return updated
+    }, [])
+
+    const handleVesselArchive = useCallback(async (vessel, archived) => {
+        try {
+            const updated = await vesselService.archiveVessel(vessel.mmsi, archived)
+            if (archived) {
+                setArchivedVessels(prev => [updated, ...prev.filter(v => v.mmsi !== vessel.mmsi)])
+            } else {
+                setArchivedVessels(prev => prev.filter(v => v.mmsi !== vessel.mmsi))
+                setVessels(prev => prev.some(v => v.mmsi === vessel.mmsi) ? prev : [...prev, updated])
+            }
+        } catch (error) {
+            console.error('Archive failed:', error)
+        }
+    }, [])
+
+    const handleVesselRemove = useCallback(async (vessel) => {
+        if (!window.confirm(`Stop tracking ${vessel.name || vessel.mmsi}? Scheduled email updates for it will be cancelled.`)) return
+        try {
+            await vesselService.removeVessel(vessel.mmsi)
+            setArchivedVessels(prev => prev.filter(v => v.mmsi !== vessel.mmsi))
+        } catch (error) {
+            console.error('Remove failed:', error)
+        }
+    }, [])
+
     const handleCloseInfo = useCallback(() => {
         setSelectedVessel(null)
     }, [])
@@ -197,7 +245,16 @@ function App() {
 
                     {/* Vessel List */}
                     <div className="vessel-list">
-                        <div className="section-title">Tracked Vessels</div>
+                        <div className="section-title vessel-list-title">
+                            <span>Tracked Vessels</span>
+                            <button
+                                type="button"
+                                className="link-btn"
+                                onClick={() => setShowArchived(prev => !prev)}
+                            >
+                                {showArchived ? 'Hide archived' : 'Show archived'}
+                            </button>
+                        </div>
                         {vessels.length === 0 ? (
                             <div className="empty-state">
                                 <div className="empty-state-icon">
@@ -215,9 +272,32 @@ function App() {
                                     vessel={vessel}
                                     isActive={selectedVessel?.mmsi === vessel.mmsi}
                                     onClick={() => handleVesselSelect(vessel)}
+                                    onEdit={handleVesselEdit}
+                                    onArchive={handleVesselArchive}
+                                    onRemove={handleVesselRemove}
                                 />
                             ))
                         )}
+
+                        {showArchived && (
+                            <>
+                                <div className="section-title">Archived</div>
+                                {archivedVessels.length === 0 ? (
+                                    <div className="empty-state-text" style={{ padding: '0 8px 8px' }}>No archived voyages</div>
+                                ) : (
+                                    archivedVessels.map(vessel => (
+                                        <VesselCard
+                                            key={`archived-${vessel.mmsi}`}
+                                            vessel={vessel}
+                                            isActive={false}
+                                            onClick={() => {}}
+                                            onArchive={handleVesselArchive}
+                                            onRemove={handleVesselRemove}
+                                        />
+                                    ))
+                                )}
+                            </>
+                        )}
                     </div>
 
                     {/* Bottleneck Alerts */}
@@ -264,13 +344,85 @@ function App() {
     )
 }
 
+// Fields the edit form can correct (labels match the BL wording)
+const EDIT_FIELDS = [
+    { key: 'origin', label: 'Port of Loading' },
+    { key: 'destination', label: 'Port of Discharge' },
+    { key: 'finalDestination', label: 'Final Destination' },
+    { key: 'voyage', label: 'Voyage' },
+    { key: 'blNumber', label: 'B/L Number' },
+    { key: 'containerNumber', label: 'Container' }
+]
+
+// Inline form for correcting voyage/BL details on a card
+function VesselEditForm({ vessel, onSave, onCancel }) {
+    const [values, setValues] = useState(() =>
+        Object.fromEntries(EDIT_FIELDS.map(({ key }) => [key, vessel[key] || '']))
+    )
+    const [isSaving, setIsSaving] = useState(false)
+    const [error, setError] = useState(null)
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        const changes = Object.fromEntries(
+            EDIT_FIELDS
+                .filter(({ key }) => (values[key] || '') !== (vessel[key] || ''))
+                .map(({ key }) => [key, values[key].trim() || null])
+        )
+        if (Object.keys(changes).length === 0) {
+            onCancel()
+            return
+        }
+        setIsSaving(true)
+        setError(null)
+        try {
+            await onSave(vessel.mmsi, changes)
+            onCancel()
+        } catch (err) {
+            setError(err.message)
+        } finally {
+            setIsSaving(false)
+        }
+    }
+
+    return (
+        <form className="vessel-edit-form" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+            {EDIT_FIELDS.map(({ key, label }) => (
+                <label key={key} className="vessel-edit-field">
+                    <span className="meta-label">{label}</span>
+                    <input
+                        type="text"
+                        className="search-input"
+                        value={values[key]}
+                        onChange={(e) => setValues(prev => ({ ...prev, [key]: e.target.value }))}
+                    />
+                </label>
+            ))}
+            {error && <div className="error-message">{error}</div>}
+            <div className="action-buttons">
+                <button type="button" className="secondary-btn" onClick={onCancel} disabled={isSaving}>Cancel</button>
+                <button type="submit" className="primary-btn" disabled={isSaving}>
+                    {isSaving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </form>
+    )
+}
+
 // Vessel Card Component
-function VesselCard({ vessel, isActive, onClick }) {
+function VesselCard({ vessel, isActive, onClick, onEdit, onArchive, onRemove }) {
+    const [isEditing, setIsEditing] = useState(false)
     const isDelayed = vessel.delayMinutes > 0
 
+    // Card actions must not also select the vessel
+    const stop = (handler) => (e) => {
+        e.stopPropagation()
+        handler()
+    }
+
     return (
         <div
-            className={`vessel-card ${isActive ? 'active' : ''}`}
+            className={`vessel-card ${isActive ? 'active' : ''} ${vessel.archived ? 'archived' : ''}`}
             onClick={onClick}
         >
             <div className="vessel-header">
@@ -310,6 +462,24 @@ function VesselCard({ vessel, isActive, onClick }) {
                     </span>
                 </div>
             </div>
+
+            {isEditing ? (
+                <VesselEditForm vessel={vessel} onSave={onEdit} onCancel={() => setIsEditing(false)} />
+            ) : (
+                <div className="vessel-actions">
+                    {onEdit && !vessel.archived && (
+                        <button type="button" className="link-btn" onClick={stop(() => setIsEditing(true))}>Edit</button>
+                    )}
+                    {onArchive && (
+                        <button type="button" className="link-btn" onClick={stop(() => onArchive(vessel, !vessel.archived))}>
+                            {vessel.archived ? 'Restore' : 'Archive'}
+                        </button>
+                    )}
+                    {onRemove && (
+                        <button type="button" className="link-btn danger" onClick={stop(() => onRemove(vessel))}>Remove</button>
+                    )}
+                </div>
+            )}
         </div>
     )
 }
@@ -0,0 +1,61 @@
+import { memo } from 'react'
+
+const formatNumber = (value, digits = 0) =>
+    Number.isFinite(value) ? value.toLocaleString('en-US', { maximumFractionDigits: digits }) : '-'
+
+const sumOf = (containers, field) => {
+    const values = containers.map(c => c[field]).filter(Number.isFinite)
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null
+}
+
+// Container list from a Bill of Lading, with totals when there is more than one
+function ContainerTable({ containers }) {
+    if (!containers || containers.length === 0) return null
+
+    const totalPackages = sumOf(containers, 'packages')
+    const totalWeight = sumOf(containers, 'grossWeightKg')
+    const totalVolume = sumOf(containers, 'measurementCbm')
+
+    return (
+        <div className="container-table-wrapper">
+            <table className="container-table">
+                <thead>
+                    <tr>
+                        <th>Container</th>
+                        <th>Type</th>
+                        <th>Seal</th>
+                        <th className="numeric">Pkgs</th>
+                        <th className="numeric">Weight (kg)</th>
+                        <th className="numeric">CBM</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {containers.map(container => (
+                        <tr key={container.containerNumber}>
+                            <td className="mono">{container.containerNumber}</td>
+                            <td>{container.sizeType || '-'}</td>
+                            <td className="mono">{container.sealNumber || '-'}</td>
+                            <td className="numeric" title={container.packageType || undefined}>
+                                {formatNumber(container.packages)}
+                            </td>
+                            <td className="numeric">{formatNumber(container.grossWeightKg, 1)}</td>
+                            <td className="numeric">{formatNumber(container.measurementCbm, 2)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+                {containers.length > 1 && (
+                    <tfoot>
+                        <tr>
+                            <td colSpan={3}>{containers.length} containers</td>
+                            <td className="numeric">{formatNumber(totalPackages)}</td>
+                            <td className="numeric">{formatNumber(totalWeight, 1)}</td>
+                            <td className="numeric">{formatNumber(totalVolume, 2)}</td>
+                        </tr>
+                    </tfoot>
+                )}
+            </table>
+        </div>
+    )
+}
+
+export default memo(ContainerTable)
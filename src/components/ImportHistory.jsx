@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react'
+
+const PAGE_SIZE = 25
+
+const METHOD_LABELS = {
+    'ai-text': 'AI (text)',
+    'ai-vision': 'AI (vision)',
+    rules: 'rule-based',
+    none: 'manual'
+}
+
+const formatDate = value => (value ? new Date(value).toLocaleString() : '-')
+
+// Past imports with their original documents; any of them can be extracted again
+function ImportHistory({ onReextracted }) {
+    const [imports, setImports] = useState([])
+    const [total, setTotal] = useState(0)
+    const [isLoading, setIsLoading] = useState(true)
+    const [rerunId, setRerunId] = useState(null)
+    const [error, setError] = useState(null)
+
+    const loadPage = async (offset) => {
+        setIsLoading(true)
+        try {
+            const response = await fetch(`/api/imports?limit=${PAGE_SIZE}&offset=${offset}`)
+            const data = await response.json()
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not load import history')
+            }
+            setImports(prev => (offset === 0 ? data.imports : [...prev, ...data.imports]))
+            setTotal(data.total)
+        } catch (err) {
+            console.error('Import history error:', err)
+            setError(err.message)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    useEffect(() => {
+        loadPage(0)
+    }, [])
+
+    const handleReextract = async (entry) => {
+        setRerunId(entry.id)
+        setError(null)
+        try {
+            const response = await fetch(`/api/imports/${entry.id}/reextract`, { method: 'POST' })
+            const data = await response.json()
+            if (!response.ok) {
+                throw new Error(data.error || 'Re-extraction failed')
+            }
+            onReextracted(data)
+        } catch (err) {
+            console.error('Re-extraction error:', err)
+            setError(err.message)
+        } finally {
+            setRerunId(null)
+        }
+    }
+
+    if (isLoading && imports.length === 0) {
+        return <div className="import-history-empty">Loading import history...</div>
+    }
+
+    return (
+        <div className="import-history">
+            {error && <div className="error-message">{error}</div>}
+            {imports.length === 0 && !error && (
+                <div className="import-history-empty">No documents imported yet</div>
+            )}
+
+            <ul className="import-history-list">
+                {imports.map(entry => (
+                    <li key={entry.id} className="import-history-item">
+                        <div className="import-history-header">
+                            {entry.hasDocument ? (
+                                <a
+                                    className="file-name"
+                                    href={`/api/imports/${entry.id}/document`}
+                                    target="_blank"
+                                    rel="noreferrer"
+                                    title="Open original document"
+                                >
+                                    {entry.fileName || entry.id}
+                                </a>
+                            ) : (
+                                <span className="file-name">{entry.fileName || entry.id}</span>
+                            )}
+                            <span className={`import-status ${entry.status}`}>{entry.status}</span>
+                        </div>
+                        <div className="import-history-detail">
+                            {entry.documentTypeLabel && `${entry.documentTypeLabel} · `}
+                            {entry.vessel || 'No vessel'}
+                            {entry.blNumber && ` · B/L ${entry.blNumber}`}
+                            {entry.mmsi && ` · MMSI ${entry.mmsi}`}
+                        </div>
+                        <div className="import-history-meta">
+                            {formatDate(entry.createdAt)}
+                            {` · ${METHOD_LABELS[entry.extractionMethod] || entry.extractionMethod || '-'}`}
+                            {entry.extractionProvider && ` (${entry.extractionProvider})`}
+                            {entry.uploadedBy && ` · ${entry.uploadedBy}`}
+                            {entry.rerunOf && ' · re-extracted'}
+                        </div>
+                        {entry.hasDocument && (
+                            <button
+                                type="button"
+                                className="link-btn"
+                                onClick={() => handleReextract(entry)}
+                                disabled={rerunId !== null}
+                            >
+                                {rerunId === entry.id ? 'Extracting...' : 'Re-run extraction'}
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {imports.length < total && (
+                <button className="secondary-btn" onClick={() => loadPage(imports.length)} disabled={isLoading}>
+                    {isLoading ? 'Loading...' : `Show more (${total - imports.length})`}
+                </button>
+            )}
+        </div>
+    )
+}
+
+export default ImportHistory
@@ -1,64 +1,536 @@
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
+import ContainerTable from './ContainerTable'
+import ImportHistory from './ImportHistory'
+
+// Document types the server can classify (documentTypes.js); the review form comes from the draft
+const DOCUMENT_TYPES = [
+    { id: 'bill-of-lading', label: 'Bill of Lading' },
+    { id: 'sea-waybill', label: 'Sea Waybill' },
+    { id: 'arrival-notice', label: 'Arrival Notice' },
+    { id: 'booking-confirmation', label: 'Booking Confirmation' },
+    { id: 'commercial-invoice', label: 'Commercial Invoice' },
+    { id: 'packing-list', label: 'Packing List' }
+]
+
+const documentTypeLabel = id => DOCUMENT_TYPES.find(type => type.id === id)?.label || id
+
+const CLASSIFICATION_LABELS = {
+    user: 'chosen by you',
+    rules: 'detected',
+    default: 'assumed'
+}
+
+// Every field a document type may ask the reviewer to correct
+const FIELD_DEFINITIONS = {
+    vessel: { label: 'Vessel Name' },
+    mmsi: { label: 'MMSI', mono: true, placeholder: 'Looked up by name if blank' },
+    voyage: { label: 'Voyage No' },
+    portOfLoading: { label: 'Port of Loading' },
+    portOfDischarge: { label: 'Port of Discharge' },
+    finalDestination: { label: 'Final Destination' },
+    carrier: { label: 'Carrier' },
+    blNumber: { label: 'B/L Number', mono: true },
+    bookingNumber: { label: 'Booking No', mono: true },
+    shipper: { label: 'Shipper' },
+    consignee: { label: 'Consignee' },
+    etd: { label: 'ETD', placeholder: 'YYYY-MM-DD' },
+    eta: { label: 'ETA', placeholder: 'YYYY-MM-DD' },
+    lastFreeDay: { label: 'Last Free Day', placeholder: 'YYYY-MM-DD' },
+    freeTimeDays: { label: 'Free Time (days)' },
+    terminal: { label: 'Terminal' },
+    cargoCutoff: { label: 'Cargo Cut-off' },
+    documentCutoff: { label: 'Document Cut-off' },
+    equipment: { label: 'Equipment', placeholder: 'e.g. 2 x 40HC' },
+    invoiceNumber: { label: 'Invoice No', mono: true },
+    invoiceDate: { label: 'Invoice Date', placeholder: 'YYYY-MM-DD' },
+    currency: { label: 'Currency', placeholder: 'e.g. USD' },
+    totalValue: { label: 'Total Value' },
+    incoterms: { label: 'Incoterms' },
+    packingListNumber: { label: 'Packing List No', mono: true },
+    totalPackages: { label: 'Total Packages' },
+    packageType: { label: 'Package Type' },
+    totalGrossWeightKg: { label: 'Gross Weight (kg)' },
+    totalMeasurementCbm: { label: 'Measurement (m³)' }
+}
+
+const DEFAULT_REVIEW_FIELDS = [
+    'vessel', 'mmsi', 'voyage', 'portOfLoading', 'portOfDischarge', 'finalDestination',
+    'carrier', 'blNumber', 'bookingNumber', 'shipper', 'consignee'
+]
+
+const reviewFieldsOf = data => data?.documentType?.reviewFields || DEFAULT_REVIEW_FIELDS
+
+const toFormValues = (details = {}, fields = DEFAULT_REVIEW_FIELDS) =>
+    Object.fromEntries(fields.map(key => [key, details[key] ?? '']))
+
+// What committing does for each way a document merges into shipments
+const COMMIT_ACTIONS = {
+    shipment: { requiredField: 'vessel', label: 'Import & Track Vessel', busyLabel: 'Creating Vessel...' },
+    booking: { requiredField: 'bookingNumber', label: 'Create Booking', busyLabel: 'Creating Booking...' },
+    arrival: { requiredField: null, label: 'Update Shipment', busyLabel: 'Updating Shipment...' },
+    attachment: { requiredField: null, label: 'Attach to Shipment', busyLabel: 'Attaching...' }
+}
+
+// An arrival notice for a shipment we don't know yet starts tracking its vessel instead
+const commitActionOf = (data) => {
+    const merge = data?.documentType?.merge || 'shipment'
+    if (merge === 'arrival' && !data.duplicates?.shipments?.length) return COMMIT_ACTIONS.shipment
+    return COMMIT_ACTIONS[merge] || COMMIT_ACTIONS.shipment
+}
+
+const SOURCE_LABELS = {
+    rules: 'rule-based',
+    'text-scan': 'text scan',
+    'bl-prefix': 'BL prefix',
+    'vessel-search': 'vessel search',
+    'local-llm': 'local LLM',
+    openai: 'OpenAI',
+    gemini: 'Gemini'
+}
+
+const sourceLabel = source => SOURCE_LABELS[source] || source
+
+const DIFF_LABELS = {
+    vesselName: 'Vessel',
+    voyage: 'Voyage',
+    portOfLoading: 'Port of Loading',
+    portOfDischarge: 'Port of Discharge',
+    finalDestination: 'Final Destination',
+    carrier: 'Carrier',
+    blNumber: 'B/L Number',
+    bookingNumber: 'Booking No',
+    shipper: 'Shipper',
+    consignee: 'Consignee',
+    etd: 'ETD',
+    eta: 'ETA',
+    lastFreeDay: 'Last Free Day',
+    freeTimeDays: 'Free Time (days)',
+    terminal: 'Terminal',
+    cargoCutoff: 'Cargo Cut-off',
+    documentCutoff: 'Document Cut-off'
+}
+
+// First matching shipment is updated unless the reviewer chooses otherwise
+const defaultShipmentChoice = duplicates => duplicates?.shipments?.[0]?.shipmentId || null
+
+// Earlier imports of this file and shipments with the same BL, with what this document changes.
+// Only documents that can start a shipment (BLs, waybills, bookings) offer to create a new one.
+function DuplicateNotice({ duplicates, choice, onChoose, allowCreate }) {
+    if (!duplicates) return null
+    const { sameDocument, shipments } = duplicates
+    if (sameDocument.length === 0 && shipments.length === 0) return null
+
+    return (
+        <div className="duplicate-notice">
+            <div className="section-title">
+                {!allowCreate ? 'Matching shipment' : duplicates.isAmendment ? 'Amended document' : 'Already imported'}
+            </div>
+            {sameDocument.length > 0 && (
+                <p className="duplicate-same-document">
+                    This exact file was imported before:{' '}
+                    {sameDocument.map(entry => `${new Date(entry.createdAt).toLocaleDateString()} (${entry.status})`).join(', ')}
+                </p>
+            )}
+            {shipments.map(match => (
+                <label key={match.shipmentId} className="duplicate-option">
+                    <input
+                        type="radio"
+                        name="shipment-choice"
+                        checked={choice === match.shipmentId}
+                        onChange={() => onChoose(match.shipmentId)}
+                    />
+                    <div>
+                        <span>
+                            Update shipment {match.blNumber || match.bookingNumber}
+                            {match.vesselName && ` on ${match.vesselName}`}
+                        </span>
+                        {match.changes.length === 0 && match.containers.added.length === 0 && match.containers.removed.length === 0 ? (
+                            <div className="duplicate-changes">No changes</div>
+                        ) : (
+                            <ul className="duplicate-changes">
+                                {match.changes.map(change => (
+                                    <li key={change.field}>
+                                        {DIFF_LABELS[change.field] || change.field}:{' '}
+                                        <del>{change.previous || '(blank)'}</del> → <ins>{change.current}</ins>
+                                    </li>
+                                ))}
+                                {match.containers.added.length > 0 && (
+                                    <li>Containers added: <ins>{match.containers.added.join(', ')}</ins></li>
+                                )}
+                                {match.containers.removed.length > 0 && (
+                                    <li>Containers removed: <del>{match.containers.removed.join(', ')}</del></li>
+                                )}
+                            </ul>
+                        )}
+                    </div>
+                </label>
+            ))}
+            {allowCreate && shipments.length > 0 && (
+                <label className="duplicate-option">
+                    <input
+                        type="radio"
+                        name="shipment-choice"
+                        checked={choice === 'create'}
+                        onChange={() => onChoose('create')}
+                    />
+                    <span>Create a new shipment</span>
+                </label>
+            )}
+        </div>
+    )
+}
+
+const JOB_POLL_INTERVAL_MS = 1500
+const ACTIVE_JOB_STATUSES = ['queued', 'extracting', 'resolving']
+
+const JOB_STATUS_LABELS = {
+    queued: 'Queued',
+    extracting: 'Extracting data...',
+    resolving: 'Looking up vessel and ports...',
+    done: 'Ready for review',
+    failed: 'Failed'
+}
+
+const isPdfFile = file => file.type === 'application/pdf' || /\.pdf$/i.test(file.name)
+const isZipFile = file => /zip/.test(file.type) || /\.zip$/i.test(file.name)
+
+// One file's progress in a batch upload
+function BatchJobRow({ job, onReview }) {
+    const status = job.importStatus === 'committed' ? 'Imported'
+        : job.status === 'done' && !job.importStatus ? 'Discarded'
+            : JOB_STATUS_LABELS[job.status] || job.status
+
+    return (
+        <li className={`batch-job ${job.status}`}>
+            <div className="batch-job-header">
+                <span className="file-name" title={job.fileName}>{job.fileName}</span>
+                {job.documentType && <span className="document-type-badge">{documentTypeLabel(job.documentType)}</span>}
+                {job.status === 'done' && job.importStatus === 'draft' ? (
+                    <button type="button" className="link-btn" onClick={() => onReview(job)}>Review</button>
+                ) : (
+                    <span className="batch-job-status">{status}</span>
+                )}
+            </div>
+            <div className="batch-progress">
+                <div className="batch-progress-bar" style={{ width: `${job.progress}%` }} />
+            </div>
+            {job.error && <div className="batch-job-detail error">{job.error}</div>}
+            {job.status === 'done' && job.vessel && (
+                <div className="batch-job-detail">
+                    {job.vessel}
+                    {job.lowConfidenceCount > 0 && ` · ${job.lowConfidenceCount} field${job.lowConfidenceCount === 1 ? '' : 's'} to check`}
+                    {job.hasDuplicates && (job.isAmendment ? ' · amended' : ' · already imported')}
+                </div>
+            )}
+        </li>
+    )
+}
+
+const confidenceLevel = (confidence) => {
+    if (confidence >= 0.8) return 'high'
+    if (confidence >= 0.6) return 'medium'
+    return 'low'
+}
+
+// Where a value came from, who agreed with it and what the other readers saw instead
+function FieldProvenance({ provenance, edited, onUseValue }) {
+    if (edited) return <span className="field-provenance">Edited by you</span>
+    if (!provenance?.value) return null
+
+    return (
+        <div className="field-provenance">
+            <span>
+                {sourceLabel(provenance.source)}
+                {provenance.crossValidated && ` · confirmed by ${provenance.crossValidatedBy.map(sourceLabel).join(', ')}`}
+                {provenance.page && ` · p.${provenance.page}`}
+            </span>
+            {provenance.snippet && (
+                <span className="field-provenance-snippet" title={provenance.snippet}>“{provenance.snippet}”</span>
+            )}
+            {provenance.conflicts.map(conflict => (
+                <span key={`${conflict.source}-${conflict.value}`} className="field-provenance-conflict">
+                    Conflict: {sourceLabel(conflict.source)} read{' '}
+                    <button type="button" className="link-btn" onClick={() => onUseValue(conflict.value)}>
+                        {conflict.value}
+                    </button>
+                </span>
+            ))}
+        </div>
+    )
+}
 
 function ImportPanel({ onClose, onImportComplete }) {
-    const [file, setFile] = useState(null)
+    const [files, setFiles] = useState([])
     const [isUploading, setIsUploading] = useState(false)
+    const [isDragging, setIsDragging] = useState(false)
+    const [batch, setBatch] = useState(null)
+    const [uploadType, setUploadType] = useState('auto')
+    const [showHistory, setShowHistory] = useState(false)
     const [extractedData, setExtractedData] = useState(null)
+    const [formValues, setFormValues] = useState(null)
+    const [shipmentChoice, setShipmentChoice] = useState(null)
+    const [isCommitting, setIsCommitting] = useState(false)
+    const [isRereading, setIsRereading] = useState(false)
     const [error, setError] = useState(null)
     const fileInputRef = useRef(null)
 
+    const batchId = batch?.batchId
+    const batchActive = !!batch?.jobs.some(job => ACTIVE_JOB_STATUSES.includes(job.status))
+
+    const refreshBatch = async (id) => {
+        try {
+            const response = await fetch(`/api/import/jobs?batch=${encodeURIComponent(id)}`)
+            const data = await response.json()
+            if (response.ok) setBatch(data)
+        } catch (err) {
+            console.error('Batch status error:', err)
+        }
+    }
+
+    // Poll the batch until every file has finished
+    useEffect(() => {
+        if (!batchId || !batchActive) return
+        const interval = setInterval(() => refreshBatch(batchId), JOB_POLL_INTERVAL_MS)
+        return () => clearInterval(interval)
+    }, [batchId, batchActive])
+
+    const selectFiles = (fileList) => {
+        const selected = Array.from(fileList || []).filter(f => isPdfFile(f) || isZipFile(f))
+        if (selected.length === 0) {
+            setError('Only PDF or zip files can be imported')
+            return
+        }
+        setFiles(selected)
+        setError(null)
+        setExtractedData(null)
+    }
+
     const handleFileChange = (e) => {
-        if (e.target.files && e.target.files[0]) {
-            setFile(e.target.files[0])
-            setError(null)
-            setExtractedData(null)
+        if (e.target.files && e.target.files.length > 0) {
+            selectFiles(e.target.files)
+        }
+        e.target.value = ''
+    }
+
+    const handleDragOver = (e) => {
+        e.preventDefault()
+        setIsDragging(true)
+    }
+
+    const handleDrop = (e) => {
+        e.preventDefault()
+        setIsDragging(false)
+        selectFiles(e.dataTransfer.files)
+    }
+
+    const openReview = (data) => {
+        setExtractedData(data)
+        setFormValues(toFormValues(data.extractedDetails, reviewFieldsOf(data)))
+        setShipmentChoice(defaultShipmentChoice(data.duplicates))
+    }
+
+    const uploadSingle = async (file) => {
+        const formData = new FormData()
+        formData.append('file', file)
+        formData.append('documentType', uploadType)
+
+        const response = await fetch('/api/import/bl', {
+            method: 'POST',
+            body: formData
+        })
+
+        const data = await response.json()
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed')
         }
+
+        openReview(data)
+    }
+
+    const uploadBatch = async () => {
+        const formData = new FormData()
+        files.forEach(f => formData.append('files', f))
+        formData.append('documentType', uploadType)
+
+        const response = await fetch('/api/import/batch', {
+            method: 'POST',
+            body: formData
+        })
+
+        const data = await response.json()
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed')
+        }
+
+        setBatch(data)
+        setFiles([])
     }
 
     const handleUpload = async () => {
-        if (!file) return
+        if (files.length === 0) return
 
         setIsUploading(true)
         setError(null)
 
-        const formData = new FormData()
-        formData.append('file', file)
+        try {
+            // A single PDF is reviewed straight away; several files or a zip go through the job queue
+            if (files.length === 1 && isPdfFile(files[0])) await uploadSingle(files[0])
+            else await uploadBatch()
+        } catch (err) {
+            console.error('Upload Error:', err)
+            setError(err.message)
+        } finally {
+            setIsUploading(false)
+        }
+    }
 
+    const handleReviewJob = async (job) => {
+        setError(null)
         try {
-            const response = await fetch('/api/import/bl', {
-                method: 'POST',
-                body: formData
+            const response = await fetch(`/api/imports/${job.importId}`)
+            const data = await response.json()
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not load import')
+            }
+
+            const view = data.import
+            openReview({
+                success: data.success,
+                draft: view,
+                documentType: data.documentType,
+                classification: view.classification,
+                extractedDetails: view.extractedDetails,
+                extractionMethod: view.extractionMethod,
+                fieldProvenance: view.fieldProvenance,
+                duplicates: view.duplicates,
+                isScannedPDF: view.isScannedPDF
             })
+        } catch (err) {
+            console.error('Review Error:', err)
+            setError(err.message)
+        }
+    }
 
-            const data = await response.json()
+    const handleReextracted = (data) => {
+        setShowHistory(false)
+        setBatch(null)
+        openReview(data)
+    }
+
+    // Back to the batch list after reviewing one of its files
+    const returnToBatch = () => {
+        setExtractedData(null)
+        setFormValues(null)
+        if (batchId) refreshBatch(batchId)
+    }
+
+    // Read the same document again as another type, replacing the current draft
+    const handleDocumentTypeChange = async (documentType) => {
+        const draftId = extractedData?.draft?.id
+        if (!draftId) return
 
+        setIsRereading(true)
+        setError(null)
+        try {
+            const response = await fetch(`/api/imports/${draftId}/reextract`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ documentType })
+            })
+            const data = await response.json()
             if (!response.ok) {
-                throw new Error(data.error || 'Upload failed')
+                throw new Error(data.error || 'Re-extraction failed')
             }
-
-            setExtractedData(data)
+            fetch(`/api/imports/${draftId}`, { method: 'DELETE' })
+                .catch(err => console.error('Discard draft error:', err))
+            openReview(data)
         } catch (err) {
-            console.error('Upload Error:', err)
+            console.error('Re-extraction error:', err)
             setError(err.message)
         } finally {
-            setIsUploading(false)
+            setIsRereading(false)
         }
     }
 
-    const handleConfirm = () => {
-        if (onImportComplete && extractedData?.vessel) {
-            onImportComplete(extractedData.vessel)
+    const handleFieldChange = (key, value) => {
+        setFormValues(prev => ({ ...prev, [key]: value }))
+    }
+
+    // Throw the draft away so it doesn't linger until it expires
+    const handleDiscard = () => {
+        const draftId = extractedData?.draft?.id
+        if (draftId) {
+            fetch(`/api/imports/${draftId}`, { method: 'DELETE' })
+                .catch(err => console.error('Discard draft error:', err))
+        }
+        setError(null)
+        if (batch) returnToBatch()
+        else {
+            setExtractedData(null)
+            setFormValues(null)
         }
-        onClose()
     }
 
-    const hasData = extractedData && extractedData.vessel
+    const handleConfirm = async () => {
+        const draftId = extractedData?.draft?.id
+        if (!draftId) return
+
+        let shipmentOptions = {}
+        if (shipmentChoice === 'create') shipmentOptions = { shipmentAction: 'create' }
+        else if (shipmentChoice) shipmentOptions = { shipmentAction: 'update', shipmentId: shipmentChoice }
+
+        setIsCommitting(true)
+        setError(null)
+        try {
+            const response = await fetch(`/api/imports/${draftId}/commit`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...formValues, ...shipmentOptions })
+            })
+            const data = await response.json()
+            // Corrections can turn up a shipment the extracted BL number didn't match
+            if (response.status === 409 && data.duplicates) {
+                setExtractedData(prev => ({ ...prev, duplicates: data.duplicates }))
+                setShipmentChoice(defaultShipmentChoice(data.duplicates))
+            }
+            if (!response.ok) {
+                throw new Error(data.error || 'Import failed')
+            }
+
+            if (onImportComplete && data.vessel) {
+                onImportComplete(data.vessel)
+            }
+            if (batch) returnToBatch()
+            else onClose()
+        } catch (err) {
+            console.error('Import Error:', err)
+            setError(err.message)
+        } finally {
+            setIsCommitting(false)
+        }
+    }
+
+    const lowConfidence = extractedData?.draft?.lowConfidenceFields || {}
+    const fieldProvenance = extractedData?.fieldProvenance || {}
+    const lowConfidenceCount = Object.keys(lowConfidence).length
+    const reviewFields = reviewFieldsOf(extractedData)
+    const documentType = extractedData?.documentType
+    const commitAction = commitActionOf(extractedData)
+    const canCommit = (!commitAction.requiredField || !!formValues?.[commitAction.requiredField]?.toString().trim()) &&
+        !isCommitting && !isRereading
 
     return (
         <div className="import-overlay" onClick={onClose}>
             <div className="import-panel" onClick={(event) => event.stopPropagation()}>
                 <div className="import-header">
-                    <h3>Import Bill of Lading / Invoice</h3>
+                    <h3>{showHistory ? 'Import History' : 'Import Shipping Document'}</h3>
+                    {!extractedData && (
+                        <button type="button" className="link-btn" onClick={() => setShowHistory(prev => !prev)}>
+                            {showHistory ? 'Upload' : 'History'}
+                        </button>
+                    )}
                     <button className="close-btn" onClick={onClose} aria-label="Close">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                             <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
@@ -67,122 +539,201 @@ function ImportPanel({ onClose, onImportComplete }) {
                 </div>
 
                 <div className="import-content">
-                    {!extractedData ? (
+                    {!extractedData && showHistory ? (
+                        <ImportHistory onReextracted={handleReextracted} />
+                    ) : !extractedData && batch ? (
+                        <div className="upload-section">
+                            <div className="section-title">
+                                {batchActive
+                                    ? `Processing ${batch.jobs.filter(job => ACTIVE_JOB_STATUSES.includes(job.status)).length} of ${batch.jobs.length} files...`
+                                    : `${batch.jobs.length} file${batch.jobs.length === 1 ? '' : 's'} processed`}
+                            </div>
+                            <ul className="batch-job-list">
+                                {batch.jobs.map(job => (
+                                    <BatchJobRow key={job.id} job={job} onReview={handleReviewJob} />
+                                ))}
+                            </ul>
+
+                            {error && <div className="error-message">{error}</div>}
+
+                            <div className="action-buttons">
+                                <button className="secondary-btn" onClick={() => setBatch(null)}>
+                                    Upload More
+                                </button>
+                                <button className="primary-btn" onClick={onClose}>
+                                    Done
+                                </button>
+                            </div>
+                        </div>
+                    ) : !extractedData ? (
                         <div className="upload-section">
                             <div
-                                className="drop-zone"
+                                className={`drop-zone${isDragging ? ' dragging' : ''}`}
                                 onClick={() => fileInputRef.current?.click()}
+                                onDragOver={handleDragOver}
+                                onDragLeave={() => setIsDragging(false)}
+                                onDrop={handleDrop}
                             >
                                 <div className="upload-icon">
                                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                                         <path strokeLinecap="round" strokeLinejoin="round" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                                     </svg>
                                 </div>
-                                <p>Click to upload PDF or drag and drop</p>
-                                <span className="file-hint">Supported formats: PDF (Bill of Lading, Invoice)</span>
+                                <p>Click to upload PDFs or drag and drop</p>
+                                <span className="file-hint">
+                                    Supported formats: PDF (B/L, waybill, arrival notice, booking, invoice, packing list), or a zip of PDFs
+                                </span>
                             </div>
+                            <label className="document-type-select">
+                                <span className="label">Document type</span>
+                                <select value={uploadType} onChange={(e) => setUploadType(e.target.value)}>
+                                    <option value="auto">Detect automatically</option>
+                                    {DOCUMENT_TYPES.map(type => (
+                                        <option key={type.id} value={type.id}>{type.label}</option>
+                                    ))}
+                                </select>
+                            </label>
                             <input
                                 type="file"
                                 ref={fileInputRef}
                                 onChange={handleFileChange}
-                                accept=".pdf"
+                                accept=".pdf,.zip"
+                                multiple
                                 style={{ display: 'none' }}
                             />
 
-                            {file && (
-                                <div className="selected-file">
-                                    <span className="file-name">{file.name}</span>
-                                    <span className="file-size">{(file.size / 1024).toFixed(1)} KB</span>
+                            {files.map(f => (
+                                <div key={`${f.name}-${f.size}`} className="selected-file">
+                                    <span className="file-name">{f.name}</span>
+                                    <span className="file-size">{(f.size / 1024).toFixed(1)} KB</span>
                                 </div>
-                            )}
+                            ))}
 
                             {error && <div className="error-message">{error}</div>}
 
                             <button
                                 className="upload-btn"
-                                disabled={!file || isUploading}
+                                disabled={files.length === 0 || isUploading}
                                 onClick={handleUpload}
                             >
-                                {isUploading ? 'Extracting Data...' : 'Upload & Extract'}
+                                {isUploading
+                                    ? (files.length === 1 && isPdfFile(files[0]) ? 'Extracting Data...' : 'Uploading...')
+                                    : (files.length > 1 ? `Upload & Extract ${files.length} Files` : 'Upload & Extract')}
                             </button>
                         </div>
                     ) : (
                         <div className="review-section">
-                            {hasData ? (
-                                <>
-                                    <div className="success-message">
-                                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                            <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-                                        </svg>
-                                        Data Extracted Successfully
-                                    </div>
+                            {documentType && (
+                                <label className="document-type-select">
+                                    <span className="label">
+                                        Document type
+                                        {extractedData.classification && ` (${CLASSIFICATION_LABELS[extractedData.classification.source] || extractedData.classification.source})`}
+                                    </span>
+                                    <select
+                                        value={documentType.id}
+                                        onChange={(e) => handleDocumentTypeChange(e.target.value)}
+                                        disabled={isRereading || isCommitting}
+                                    >
+                                        {DOCUMENT_TYPES.map(type => (
+                                            <option key={type.id} value={type.id}>{type.label}</option>
+                                        ))}
+                                    </select>
+                                    {isRereading && <span className="file-hint">Reading again...</span>}
+                                </label>
+                            )}
 
-                                    <div className="extracted-data-card">
-                                        <div className="data-row">
-                                            <span className="label">Vessel Name</span>
-                                            <span className="value highlight">{extractedData.vessel.name}</span>
-                                        </div>
-                                        <div className="data-row">
-                                            <span className="label">Voyage No</span>
-                                            <span className="value">{extractedData.vessel.voyageNo || extractedData.vessel.voyage || '-'}</span>
-                                        </div>
-                                        <div className="data-row">
-                                            <span className="label">Port of Loading</span>
-                                            <span className="value">{extractedData.vessel.origin}</span>
-                                        </div>
-                                        <div className="data-row">
-                                            <span className="label">Port of Discharge</span>
-                                            <span className="value">{extractedData.vessel.destination}</span>
-                                        </div>
-                                        {extractedData.vessel.finalDestination && (
-                                            <div className="data-row">
-                                                <span className="label">Final Destination</span>
-                                                <span className="value">{extractedData.vessel.finalDestination}</span>
-                                            </div>
-                                        )}
-                                        <div className="data-row">
-                                            <span className="label">MMSI (Est.)</span>
-                                            <span className="value mono">{extractedData.vessel.mmsi}</span>
-                                        </div>
-                                        {extractedData.vessel.blNumber && (
-                                            <div className="data-row">
-                                                <span className="label">B/L Number</span>
-                                                <span className="value mono">{extractedData.vessel.blNumber}</span>
-                                            </div>
-                                        )}
-                                    </div>
-                                </>
+                            {extractedData.success ? (
+                                <div className="success-message">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                        <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+                                    </svg>
+                                    {lowConfidenceCount > 0
+                                        ? `Data extracted - check ${lowConfidenceCount} highlighted field${lowConfidenceCount === 1 ? '' : 's'}`
+                                        : 'Data extracted - review before importing'}
+                                </div>
                             ) : (
                                 <div className="error-message">
                                     <strong>Extraction Failed</strong>
-                                    {extractedData?.error && (
+                                    {extractedData.error && (
                                         <p style={{ marginTop: 8 }}>{extractedData.error}</p>
                                     )}
-                                    {extractedData?.isScannedPDF ? (
+                                    {extractedData.isScannedPDF && (
                                         <p style={{ marginTop: 8 }}>
                                             This PDF appears to be a <strong>scanned document</strong> (image-based).
-                                            <br /><br />
-                                            Please upload a <strong>digital PDF</strong> where text can be selected, or search for the vessel manually using the vessel name from your document.
-                                        </p>
-                                    ) : (
-                                        <p style={{ marginTop: 8 }}>
-                                            Could not identify vessel details in this PDF.
-                                            <br /><br />
-                                            Please ensure the document contains vessel information (name, voyage number, ports) or search manually.
+                                            A <strong>digital PDF</strong> where text can be selected extracts much more reliably.
                                         </p>
                                     )}
                                 </div>
                             )}
 
+                            <div className="extracted-data-card import-review-form">
+                                {reviewFields.map((key) => {
+                                    const { label, mono, placeholder } = FIELD_DEFINITIONS[key] || { label: key }
+                                    const provenance = fieldProvenance[key]
+                                    const edited = (formValues?.[key] ?? '') !== (provenance?.value ?? '')
+                                    return (
+                                        <div
+                                            key={key}
+                                            className={`import-review-field${lowConfidence[key] && !edited ? ' low-confidence' : ''}`}
+                                        >
+                                            <div className="import-review-label">
+                                                <label className="label" htmlFor={`import-field-${key}`}>{label}</label>
+                                                {provenance?.value && !edited && (
+                                                    <span className={`confidence-badge ${confidenceLevel(provenance.confidence)}`}>
+                                                        {Math.round(provenance.confidence * 100)}%
+                                                    </span>
+                                                )}
+                                            </div>
+                                            <input
+                                                id={`import-field-${key}`}
+                                                className={`search-input${mono ? ' mono' : ''}`}
+                                                value={formValues?.[key] ?? ''}
+                                                placeholder={placeholder}
+                                                onChange={(e) => handleFieldChange(key, e.target.value)}
+                                            />
+                                            {lowConfidence[key] && !edited && (
+                                                <span className="import-review-hint">{lowConfidence[key]}</span>
+                                            )}
+                                            <FieldProvenance
+                                                provenance={provenance}
+                                                edited={edited}
+                                                onUseValue={(value) => handleFieldChange(key, value)}
+                                            />
+                                        </div>
+                                    )
+                                })}
+                            </div>
+
+                            <DuplicateNotice
+                                duplicates={extractedData.duplicates}
+                                choice={shipmentChoice}
+                                onChoose={setShipmentChoice}
+                                allowCreate={['shipment', 'booking'].includes(documentType?.merge || 'shipment')}
+                            />
+
+                            {extractedData.extractedDetails?.containers?.length > 0 && (
+                                <div className="extracted-containers">
+                                    <div className="section-title">
+                                        Containers ({extractedData.extractedDetails.containers.length})
+                                    </div>
+                                    <ContainerTable containers={extractedData.extractedDetails.containers} />
+                                </div>
+                            )}
+
+                            {error && <div className="error-message">{error}</div>}
+
                             <div className="action-buttons">
-                                <button className="secondary-btn" onClick={() => setExtractedData(null)}>
-                                    Try Another File
-                                </button>
-                                {hasData && (
-                                    <button className="primary-btn" onClick={handleConfirm}>
-                                        Import & Track Vessel
+                                {batch && (
+                                    <button className="secondary-btn" onClick={returnToBatch} disabled={isCommitting}>
+                                        Back
                                     </button>
                                 )}
+                                <button className="secondary-btn" onClick={handleDiscard} disabled={isCommitting}>
+                                    {batch ? 'Discard' : 'Try Another File'}
+                                </button>
+                                <button className="primary-btn" onClick={handleConfirm} disabled={!canCommit}>
+                                    {isCommitting ? commitAction.busyLabel : commitAction.label}
+                                </button>
                             </div>
                         </div>
                     )}
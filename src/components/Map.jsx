@@ -1,6 +1,10 @@
-import { useEffect, useRef, useMemo, memo, useCallback } from 'react'
+import { Fragment, useEffect, useRef, useMemo, useState, memo, useCallback } from 'react'
 import { MapContainer, TileLayer, Marker, Popup, Polyline, Circle, CircleMarker, useMap } from 'react-leaflet'
 import L from 'leaflet'
+import TrackPlayback, { PLAYBACK_SPEEDS } from './TrackPlayback'
+import { vesselService } from '../services/vesselService'
+
+const PLAYBACK_TICK_MS = 200
 
 // Haversine distance (km)
 function haversineDistance(lat1, lng1, lat2, lng2) {
@@ -149,6 +153,45 @@ function selectRouteMarkers(route) {
         }))
 }
 
+// Interpolate a position along a time-ordered track at the given timestamp
+function interpolateTrackPosition(points, time) {
+    if (!points || points.length === 0) return null
+    if (time <= points[0].time) return points[0]
+    const last = points[points.length - 1]
+    if (time >= last.time) return last
+
+    for (let i = 1; i < points.length; i++) {
+        const next = points[i]
+        if (next.time < time) continue
+        const prev = points[i - 1]
+        const span = next.time - prev.time
+        const ratio = span > 0 ? (time - prev.time) / span : 0
+        return {
+            lat: prev.lat + (next.lat - prev.lat) * ratio,
+            lng: prev.lng + (next.lng - prev.lng) * ratio,
+            speed: ratio < 0.5 ? prev.speed : next.speed,
+            heading: ratio < 0.5 ? prev.heading : next.heading,
+            time,
+            index: i - 1
+        }
+    }
+    return last
+}
+
+// Normalize track API points for playback
+function normalizeTrack(points = []) {
+    return points
+        .map((p, index) => ({
+            lat: Number(p.latitude),
+            lng: Number(p.longitude),
+            speed: Number.isFinite(p.speed) ? p.speed : null,
+            heading: Number.isFinite(p.heading) ? p.heading : null,
+            time: new Date(p.recordedAt).getTime(),
+            index
+        }))
+        .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng) && Number.isFinite(p.time))
+}
+
 // Pre-created vessel icons
 const vesselIconNormal = L.divIcon({
     className: 'vessel-marker',
@@ -162,13 +205,24 @@ const vesselIconSelected = L.divIcon({
     iconAnchor: [10, 10],
 })
 
+const vesselIconEstimated = L.divIcon({
+    className: 'vessel-marker estimated',
+    iconSize: [14, 14],
+    iconAnchor: [7, 7],
+})
+
 const getVesselIcon = (isSelected) => isSelected ? vesselIconSelected : vesselIconNormal
 
 // Memoized Map Controller
-const MapController = memo(function MapController({ selectedVessel, fullRoute }) {
+const MapController = memo(function MapController({ selectedVessel, fullRoute, trackPath }) {
     const map = useMap()
     const lastVesselRef = useRef(null)
 
+    useEffect(() => {
+        if (!map || !trackPath || trackPath.length < 2) return
+        map.fitBounds(trackPath, { padding: [50, 50], maxZoom: 8, animate: true, duration: 0.5 })
+    }, [trackPath, map])
+
     useEffect(() => {
         if (!map) return
 
@@ -295,6 +349,53 @@ const VesselMarker = memo(function VesselMarker({ vessel, isSelected, onSelect }
     )
 })
 
+// Dead-reckoning estimate: hollow marker, uncertainty circle and a link back to the last fix
+const EstimatedPosition = memo(function EstimatedPosition({ vessel, onSelect }) {
+    const estimate = vessel.estimatedPosition
+    if (!estimate || !vessel.latitude || !vessel.longitude) return null
+
+    const center = [estimate.latitude, estimate.longitude]
+    const ageHours = Math.floor(estimate.ageMinutes / 60)
+    const ageLabel = ageHours > 0 ? `${ageHours}h ${estimate.ageMinutes % 60}m` : `${estimate.ageMinutes}m`
+
+    return (
+        <>
+            <Polyline
+                positions={[[vessel.latitude, vessel.longitude], center]}
+                pathOptions={{ color: '#facc15', weight: 1.5, opacity: 0.6, dashArray: '2, 6' }}
+            />
+            <Circle
+                center={center}
+                radius={estimate.uncertaintyNm * 1852}
+                pathOptions={{
+                    fillColor: '#facc15',
+                    fillOpacity: 0.08,
+                    color: '#facc15',
+                    weight: 1,
+                    dashArray: '3, 5'
+                }}
+            />
+            <Marker position={center} icon={vesselIconEstimated} eventHandlers={{ click: onSelect }}>
+                <Popup>
+                    <div style={{ minWidth: 160, padding: '4px 0' }}>
+                        <strong style={{ fontSize: 14 }}>{vessel.name || 'Unknown'}</strong>
+                        <br />
+                        <span style={{ fontSize: 11, color: '#b45309', fontWeight: 500 }}>ESTIMATED POSITION</span>
+                        <br />
+                        <span style={{ fontSize: 12, color: '#666' }}>
+                            Last fix {ageLabel} ago · ±{estimate.uncertaintyNm} nm
+                        </span>
+                        <br />
+                        <span style={{ fontSize: 12 }}>
+                            {estimate.distanceNm} nm along route at {estimate.speedKnots?.toFixed(1) || 0} kn
+                        </span>
+                    </div>
+                </Popup>
+            </Marker>
+        </>
+    )
+})
+
 // Route Polylines - memoized
 const RoutePolylines = memo(function RoutePolylines({ completedPath, congestionSegments, remainingPath }) {
     return (
@@ -345,8 +446,125 @@ const RoutePolylines = memo(function RoutePolylines({ completedPath, congestionS
     )
 })
 
+// Historical track - faint full trail with the played portion drawn solid
+const HistoricalTrack = memo(function HistoricalTrack({ trackPath, playedPath }) {
+    if (!trackPath || trackPath.length < 2) return null
+
+    return (
+        <>
+            <Polyline
+                positions={trackPath}
+                pathOptions={{
+                    color: '#a855f7',
+                    weight: 2,
+                    opacity: 0.4,
+                    dashArray: '4, 6',
+                    lineCap: 'round'
+                }}
+            />
+            {playedPath && playedPath.length >= 2 && (
+                <Polyline
+                    positions={playedPath}
+                    pathOptions={{
+                        color: '#a855f7',
+                        weight: 3,
+                        opacity: 0.95,
+                        lineCap: 'round',
+                        lineJoin: 'round'
+                    }}
+                />
+            )}
+        </>
+    )
+})
+
 function Map({ vessels, selectedVessel, bottlenecks, onVesselSelect }) {
     const mapRef = useRef(null)
+    const [playback, setPlayback] = useState(null)
+    const [trackLoading, setTrackLoading] = useState(false)
+    const [trackError, setTrackError] = useState(null)
+
+    // Leave playback whenever the selection changes
+    useEffect(() => {
+        setPlayback(null)
+        setTrackError(null)
+    }, [selectedVessel?.mmsi])
+
+    // Advance the playback clock while playing
+    useEffect(() => {
+        if (!playback?.playing) return
+        const id = setInterval(() => {
+            setPlayback(prev => {
+                if (!prev) return prev
+                const time = Math.min(prev.time + prev.speed * PLAYBACK_TICK_MS, prev.endTime)
+                return { ...prev, time, playing: time < prev.endTime }
+            })
+        }, PLAYBACK_TICK_MS)
+        return () => clearInterval(id)
+    }, [playback?.playing])
+
+    const handlePlaybackStart = useCallback(async () => {
+        if (!selectedVessel?.mmsi) return
+        setTrackLoading(true)
+        setTrackError(null)
+        try {
+            const points = normalizeTrack(await vesselService.getVesselTrack(selectedVessel.mmsi))
+            if (points.length < 2) {
+                setTrackError('Not enough position history yet')
+                return
+            }
+            setPlayback({
+                points,
+                startTime: points[0].time,
+                endTime: points[points.length - 1].time,
+                time: points[0].time,
+                playing: false,
+                speed: PLAYBACK_SPEEDS[1].value
+            })
+        } catch (err) {
+            setTrackError(err.message)
+        } finally {
+            setTrackLoading(false)
+        }
+    }, [selectedVessel?.mmsi])
+
+    const handlePlaybackStop = useCallback(() => setPlayback(null), [])
+
+    const handleTogglePlay = useCallback(() => {
+        setPlayback(prev => {
+            if (!prev) return prev
+            // Restart from the beginning when play is pressed at the end
+            const time = !prev.playing && prev.time >= prev.endTime ? prev.startTime : prev.time
+            return { ...prev, time, playing: !prev.playing }
+        })
+    }, [])
+
+    const handleSeek = useCallback((time) => {
+        setPlayback(prev => prev ? { ...prev, time } : prev)
+    }, [])
+
+    const handleSpeedChange = useCallback((speed) => {
+        setPlayback(prev => prev ? { ...prev, speed } : prev)
+    }, [])
+
+    const trackPath = useMemo(
+        () => playback ? playback.points.map(p => [p.lat, p.lng]) : null,
+        [playback?.points]
+    )
+
+    const playbackPosition = useMemo(
+        () => playback ? interpolateTrackPosition(playback.points, playback.time) : null,
+        [playback?.points, playback?.time]
+    )
+
+    const playedPath = useMemo(() => {
+        if (!playback || !playbackPosition) return null
+        const path = playback.points
+            .filter(p => p.time <= playbackPosition.time)
+            .map(p => [p.lat, p.lng])
+        path.push([playbackPosition.lat, playbackPosition.lng])
+        return path
+    }, [playback?.points, playbackPosition])
 
     // Stable vessel select callback
     const handleVesselSelect = useCallback((vessel) => {
@@ -429,7 +647,7 @@ function Map({ vessels, selectedVessel, bottlenecks, onVesselSelect }) {
                     noWrap={true}
                 />
 
-                <MapController selectedVessel={selectedVessel} fullRoute={fullRoute} />
+                <MapController selectedVessel={selectedVessel} fullRoute={fullRoute} trackPath={trackPath} />
 
                 {/* Bottleneck zones */}
                 {bottlenecks?.map((zone) => (
@@ -443,21 +661,47 @@ function Map({ vessels, selectedVessel, bottlenecks, onVesselSelect }) {
                     remainingPath={remainingPath}
                 />
 
+                {/* Historical track playback */}
+                <HistoricalTrack trackPath={trackPath} playedPath={playedPath} />
+
                 {/* Route waypoints */}
                 {routeWaypoints?.map((point, idx) => (
                     <RouteWaypoint key={`wp-${idx}-${point.name}`} point={point} />
                 ))}
 
                 {/* Vessel markers */}
-                {vessels?.map(vessel => (
-                    <VesselMarker
-                        key={vessel.mmsi}
-                        vessel={vessel}
-                        isSelected={selectedVessel?.mmsi === vessel.mmsi}
-                        onSelect={() => handleVesselSelect(vessel)}
-                    />
-                ))}
+                {vessels?.map(vessel => {
+                    const isSelected = selectedVessel?.mmsi === vessel.mmsi
+                    // During playback the selected vessel is drawn at its historical position
+                    const displayVessel = isSelected && playbackPosition
+                        ? { ...vessel, latitude: playbackPosition.lat, longitude: playbackPosition.lng, speed: playbackPosition.speed ?? vessel.speed }
+                        : vessel
+                    return (
+                        <Fragment key={vessel.mmsi}>
+                            {!(isSelected && playbackPosition) && (
+                                <EstimatedPosition vessel={vessel} onSelect={() => handleVesselSelect(vessel)} />
+                            )}
+                            <VesselMarker
+                                vessel={displayVessel}
+                                isSelected={isSelected}
+                                onSelect={() => handleVesselSelect(vessel)}
+                            />
+                        </Fragment>
+                    )
+                })}
             </MapContainer>
+
+            <TrackPlayback
+                vessel={selectedVessel}
+                playback={playback ? { ...playback, current: playbackPosition } : null}
+                isLoading={trackLoading}
+                error={trackError}
+                onStart={handlePlaybackStart}
+                onStop={handlePlaybackStop}
+                onTogglePlay={handleTogglePlay}
+                onSeek={handleSeek}
+                onSpeedChange={handleSpeedChange}
+            />
         </div>
     )
 }
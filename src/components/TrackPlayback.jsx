@@ -0,0 +1,108 @@
+// Simulated time per real second while playing
+const PLAYBACK_SPEEDS = [
+    { label: '10 min/s', value: 600 },
+    { label: '1 h/s', value: 3600 },
+    { label: '6 h/s', value: 21600 },
+    { label: '1 day/s', value: 86400 }
+]
+
+const PlayIcon = () => (
+    <svg viewBox="0 0 24 24" fill="currentColor">
+        <path d="M8 5v14l11-7z" />
+    </svg>
+)
+
+const PauseIcon = () => (
+    <svg viewBox="0 0 24 24" fill="currentColor">
+        <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />
+    </svg>
+)
+
+const HistoryIcon = () => (
+    <svg viewBox="0 0 24 24" fill="currentColor">
+        <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z" />
+    </svg>
+)
+
+function formatPlaybackTime(ms) {
+    if (!Number.isFinite(ms)) return '--'
+    return new Date(ms).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    })
+}
+
+function TrackPlayback({ vessel, playback, isLoading, error, onStart, onStop, onTogglePlay, onSeek, onSpeedChange }) {
+    if (!vessel) return null
+
+    if (!playback) {
+        return (
+            <div className="track-playback collapsed">
+                <button
+                    type="button"
+                    className="playback-start-btn"
+                    onClick={onStart}
+                    disabled={isLoading}
+                >
+                    <HistoryIcon />
+                    {isLoading ? 'Loading track...' : 'Track History'}
+                </button>
+                {error && <div className="playback-error">{error}</div>}
+            </div>
+        )
+    }
+
+    const { startTime, endTime, time, playing, speed, current } = playback
+
+    return (
+        <div className="track-playback">
+            <div className="playback-header">
+                <span className="playback-title">Track Playback</span>
+                <button type="button" className="close-btn" onClick={onStop} aria-label="Exit playback">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            <div className="playback-controls">
+                <button
+                    type="button"
+                    className="playback-play-btn"
+                    onClick={onTogglePlay}
+                    aria-label={playing ? 'Pause' : 'Play'}
+                >
+                    {playing ? <PauseIcon /> : <PlayIcon />}
+                </button>
+                <input
+                    type="range"
+                    className="playback-slider"
+                    min={startTime}
+                    max={endTime}
+                    step={Math.max(Math.round((endTime - startTime) / 1000), 1)}
+                    value={time}
+                    onChange={(e) => onSeek(Number(e.target.value))}
+                />
+                <select
+                    className="playback-speed"
+                    value={speed}
+                    onChange={(e) => onSpeedChange(Number(e.target.value))}
+                >
+                    {PLAYBACK_SPEEDS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="playback-meta">
+                <span>{formatPlaybackTime(time)}</span>
+                <span>{current?.speed !== null && current?.speed !== undefined ? `${current.speed.toFixed(1)} kn` : '-- kn'}</span>
+            </div>
+        </div>
+    )
+}
+
+export { PLAYBACK_SPEEDS }
+export default TrackPlayback
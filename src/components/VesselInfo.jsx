@@ -1,5 +1,24 @@
 import { useEffect, useRef, useState } from 'react'
 import { vesselService } from '../services/vesselService'
+import ContainerTable from './ContainerTable'
+
+// Human-readable reasons for positions rejected by the plausibility filter
+const REJECTION_LABELS = {
+    'invalid-coordinates': 'Invalid coordinates',
+    'null-island': 'Position 0,0',
+    'on-land': 'On land',
+    'stale': 'Older than current fix',
+    'teleport': 'Impossible jump'
+}
+
+// Delivery channels for vessel updates (see notificationChannels.js)
+const CHANNEL_LABELS = {
+    email: 'Email',
+    slack: 'Slack',
+    teams: 'Microsoft Teams'
+}
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
 
 // Calendar icon
 const CalendarIcon = () => (
@@ -27,9 +46,17 @@ function VesselInfo({ vessel, onClose }) {
 
     const isDelayed = vessel.delayMinutes > 0
     const etaDate = vessel.eta ? new Date(vessel.eta) : null
+    const [channel, setChannel] = useState('email')
     const [email, setEmail] = useState('')
+    const [targetUrl, setTargetUrl] = useState('')
     const [cadenceHours, setCadenceHours] = useState(24)
+    // Daily digest: one email a day at digestTime (browser timezone) for all of the recipient's vessels
+    const [useDigest, setUseDigest] = useState(false)
+    const [digestTime, setDigestTime] = useState('08:00')
     const [subscriptions, setSubscriptions] = useState([])
+    const [alertTriggers, setAlertTriggers] = useState([])
+    // Chosen triggers: type -> parameter value (or true for triggers without one)
+    const [selectedTriggers, setSelectedTriggers] = useState({})
     const [notificationError, setNotificationError] = useState(null)
     const [notificationSuccess, setNotificationSuccess] = useState(null)
     const [isSubmitting, setIsSubmitting] = useState(false)
@@ -37,6 +64,7 @@ function VesselInfo({ vessel, onClose }) {
     const [carrierEta, setCarrierEta] = useState(null)
     const [carrierEtaError, setCarrierEtaError] = useState(null)
     const [carrierEtaLoading, setCarrierEtaLoading] = useState(false)
+    const [shipments, setShipments] = useState([])
     const [isMinimized, setIsMinimized] = useState(() => {
         if (typeof window === 'undefined') return false
         return window.matchMedia('(max-width: 768px)').matches
@@ -76,6 +104,53 @@ function VesselInfo({ vessel, onClose }) {
         return () => { active = false }
     }, [vessel?.mmsi])
 
+    useEffect(() => {
+        let active = true
+        if (vessel?.mmsi) {
+            vesselService.getShipments({ mmsi: vessel.mmsi })
+                .then((list) => {
+                    if (active) setShipments(list)
+                })
+                .catch(() => {
+                    if (active) setShipments([])
+                })
+        }
+        return () => { active = false }
+    }, [vessel?.mmsi, vessel?.blNumber])
+
+    useEffect(() => {
+        let active = true
+        vesselService.getAlertTriggers()
+            .then((list) => {
+                if (active) setAlertTriggers(list)
+            })
+            .catch(() => {
+                if (active) setAlertTriggers([])
+            })
+        return () => { active = false }
+    }, [])
+
+    useEffect(() => {
+        const handleVesselAlert = (event) => {
+            if (event.mmsi !== vessel?.mmsi) return
+            const alert = { type: event.type, title: event.title, message: event.message, at: new Date().toISOString() }
+            setSubscriptions(prev => prev.map(s => s.id === event.id
+                ? { ...s, lastAlertAt: alert.at, recentAlerts: [alert, ...(s.recentAlerts || [])] }
+                : s))
+        }
+        vesselService.on('vesselAlert', handleVesselAlert)
+        return () => vesselService.off('vesselAlert', handleVesselAlert)
+    }, [vessel?.mmsi])
+
+    useEffect(() => {
+        const handleNotificationSent = (event) => {
+            if (event.mmsi !== vessel?.mmsi) return
+            setSubscriptions(prev => prev.map(s => s.id === event.id ? { ...s, lastSentAt: event.sentAt } : s))
+        }
+        vesselService.on('notificationSent', handleNotificationSent)
+        return () => vesselService.off('notificationSent', handleNotificationSent)
+    }, [vessel?.mmsi])
+
     useEffect(() => {
         setCarrierEta(null)
         setCarrierEtaError(null)
@@ -115,17 +190,34 @@ function VesselInfo({ vessel, onClose }) {
         event.preventDefault()
         setNotificationError(null)
         setNotificationSuccess(null)
-        if (!email || !vessel?.mmsi) return
+        if (!hasTarget || !vessel?.mmsi) return
         setIsSubmitting(true)
         try {
+            const triggers = Object.fromEntries(alertTriggers
+                .filter(trigger => trigger.type in selectedTriggers)
+                .map(trigger => [
+                    trigger.type,
+                    trigger.param ? { [trigger.param]: selectedTriggers[trigger.type] } : true
+                ]))
+            const inDigest = channel === 'email' && useDigest
+            if (inDigest) {
+                await vesselService.saveDigest({ email, sendAt: digestTime, timezone: BROWSER_TIMEZONE })
+            }
             const sub = await vesselService.createNotification({
                 mmsi: vessel.mmsi,
-                email,
-                cadenceHours
+                channel,
+                email: channel === 'email' ? email : undefined,
+                targetUrl: channel === 'email' ? undefined : targetUrl,
+                cadenceHours: inDigest ? 0 : cadenceHours,
+                triggers
             })
             setSubscriptions(prev => [...prev, sub])
-            setNotificationSuccess('Email updates scheduled.')
+            setNotificationSuccess(inDigest
+                ? `Added to your daily digest at ${digestTime}.`
+                : cadenceHours > 0 ? 'Updates scheduled.' : 'Alerts set up.')
             setEmail('')
+            setTargetUrl('')
+            setSelectedTriggers({})
         } catch (err) {
             setNotificationError(err.message)
         } finally {
@@ -133,13 +225,30 @@ function VesselInfo({ vessel, onClose }) {
         }
     }
 
+    const hasTarget = channel === 'email' ? !!email : !!targetUrl
+    const digestSelected = channel === 'email' && useDigest
+
+    const toggleTrigger = (trigger) => {
+        setSelectedTriggers((prev) => {
+            const next = { ...prev }
+            if (trigger.type in next) delete next[trigger.type]
+            else next[trigger.type] = trigger.param ? trigger.defaultValue : true
+            return next
+        })
+    }
+
+    const describeTriggers = (triggers = {}) => alertTriggers
+        .filter(trigger => trigger.type in triggers)
+        .map(trigger => (trigger.param ? `${trigger.label} (${triggers[trigger.type][trigger.param]} ${trigger.param})` : trigger.label))
+        .join(', ')
+
     const handleCancelNotification = async (id) => {
         setNotificationError(null)
         setNotificationSuccess(null)
         try {
             const updated = await vesselService.cancelNotification(id)
             setSubscriptions(prev => prev.map(s => s.id === updated.id ? updated : s))
-            setNotificationSuccess('Email updates stopped.')
+            setNotificationSuccess('Updates stopped.')
         } catch (err) {
             setNotificationError(err.message)
         }
@@ -151,7 +260,7 @@ function VesselInfo({ vessel, onClose }) {
         setSendingId(id)
         try {
             await vesselService.sendNotificationNow(id)
-            setNotificationSuccess('Test email sent.')
+            setNotificationSuccess('Test update sent.')
         } catch (err) {
             setNotificationError(err.message)
         } finally {
@@ -328,6 +437,64 @@ function VesselInfo({ vessel, onClose }) {
                     </div>
                 )}
 
+                {/* Shipments on board */}
+                {shipments.length > 0 && (
+                    <div className="info-section">
+                        <div className="info-section-title">Shipments ({shipments.length})</div>
+                        {shipments.map(shipment => (
+                            <div key={shipment.id} className="shipment-item">
+                                <div className="info-row">
+                                    <span className="info-label">{shipment.blNumber ? 'B/L' : 'Booking'}</span>
+                                    <span className="info-value mono">{shipment.blNumber || shipment.bookingNumber || '—'}</span>
+                                </div>
+                                <ContainerTable containers={shipment.containers} />
+                                {shipment.consignee && (
+                                    <div className="info-row">
+                                        <span className="info-label">Consignee</span>
+                                        <span className="info-value">{shipment.consignee}</span>
+                                    </div>
+                                )}
+                                {shipment.lastFreeDay && (
+                                    <div className="info-row">
+                                        <span className="info-label">Last Free Day</span>
+                                        <span className="info-value">
+                                            {shipment.lastFreeDay}
+                                            {shipment.terminal && ` · ${shipment.terminal}`}
+                                        </span>
+                                    </div>
+                                )}
+                                {shipment.invoice?.totalValue != null && (
+                                    <div className="info-row">
+                                        <span className="info-label">Invoice</span>
+                                        <span className="info-value">
+                                            {shipment.invoice.currency} {shipment.invoice.totalValue.toLocaleString()}
+                                            {shipment.invoice.incoterms && ` · ${shipment.invoice.incoterms}`}
+                                        </span>
+                                    </div>
+                                )}
+                                {shipment.packingList?.totalPackages != null && (
+                                    <div className="info-row">
+                                        <span className="info-label">Packages</span>
+                                        <span className="info-value">
+                                            {shipment.packingList.totalPackages} {shipment.packingList.packageType || ''}
+                                        </span>
+                                    </div>
+                                )}
+                                {shipment.documents?.length > 0 && (
+                                    <div className="info-row">
+                                        <span className="info-label">Documents</span>
+                                        <span className="info-value">{shipment.documents.length}</span>
+                                    </div>
+                                )}
+                                <div className="info-row">
+                                    <span className="info-label">Status</span>
+                                    <span className="info-value" style={{ textTransform: 'capitalize' }}>{shipment.status?.replace('-', ' ')}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
                 {/* Current Position */}
                 <div className="info-section">
                     <div className="info-section-title">Current Position</div>
@@ -349,6 +516,30 @@ function VesselInfo({ vessel, onClose }) {
                     </div>
                 </div>
 
+                {/* Data Quality */}
+                {vessel.dataQuality?.rejectedFixes > 0 && (
+                    <div className="info-section">
+                        <div className="info-section-title">Data Quality</div>
+                        <div className="info-row">
+                            <span className="info-label">Fixes accepted</span>
+                            <span className="info-value">{vessel.dataQuality.acceptedFixes || 0}</span>
+                        </div>
+                        <div className="info-row">
+                            <span className="info-label">Fixes rejected</span>
+                            <span className="info-value">{vessel.dataQuality.rejectedFixes}</span>
+                        </div>
+                        {vessel.dataQuality.lastRejection && (
+                            <div className="info-row">
+                                <span className="info-label">Last rejected</span>
+                                <span className="info-value" title={vessel.dataQuality.lastRejection.detail}>
+                                    {REJECTION_LABELS[vessel.dataQuality.lastRejection.reason] || vessel.dataQuality.lastRejection.reason}
+                                    {vessel.dataQuality.lastRejection.source ? ` (${vessel.dataQuality.lastRejection.source})` : ''}
+                                </span>
+                            </div>
+                        )}
+                    </div>
+                )}
+
                 {/* Route */}
                 <div className="info-section">
                     <div className="info-section-title">Route</div>
@@ -479,40 +670,142 @@ function VesselInfo({ vessel, onClose }) {
                     </div>
                 )}
 
-                {/* Email Updates */}
+                {/* Vessel Updates (email, Slack or Teams) */}
                 <div className="info-section">
-                    <div className="info-section-title">Email Updates</div>
+                    <div className="info-section-title">Vessel Updates</div>
                     <form onSubmit={handleCreateNotification} style={{ display: 'grid', gap: 8 }}>
-                        <input
-                            type="email"
-                            className="search-input"
-                            placeholder="you@example.com"
-                            value={email}
-                            onChange={(e) => setEmail(e.target.value)}
-                            required
-                        />
                         <label className="info-row" style={{ justifyContent: 'space-between' }}>
-                            <span className="info-label">Cadence (hours)</span>
-                            <input
-                                type="number"
-                                min="1"
-                                max="168"
-                                value={cadenceHours}
-                                onChange={(e) => setCadenceHours(Number(e.target.value))}
+                            <span className="info-label">Send to</span>
+                            <select
+                                value={channel}
+                                onChange={(e) => setChannel(e.target.value)}
                                 style={{
-                                    width: 96,
                                     minHeight: 36,
-                                    textAlign: 'right',
                                     background: 'var(--bg-tertiary)',
                                     border: '1px solid var(--border-subtle)',
                                     color: 'var(--text-primary)',
                                     borderRadius: 6,
                                     padding: '6px 8px'
                                 }}
-                            />
+                            >
+                                {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
                         </label>
-                        <button className="primary-btn" type="submit" disabled={isSubmitting || !email}>
-                            {isSubmitting ? 'Scheduling...' : 'Start Email Updates'}
+                        {channel === 'email' ? (
+                            <input
+                                type="email"
+                                className="search-input"
+                                placeholder="you@example.com"
+                                value={email}
+                                onChange={(e) => setEmail(e.target.value)}
+                                required
+                            />
+                        ) : (
+                            <input
+                                type="url"
+                                className="search-input"
+                                placeholder={`${CHANNEL_LABELS[channel]} incoming webhook URL (https://...)`}
+                                value={targetUrl}
+                                onChange={(e) => setTargetUrl(e.target.value)}
+                                required
+                            />
+                        )}
+                        {channel === 'email' && (
+                            <label className="info-row" style={{ alignItems: 'center', gap: 8 }}>
+                                <input
+                                    type="checkbox"
+                                    checked={useDigest}
+                                    onChange={(e) => setUseDigest(e.target.checked)}
+                                />
+                                <span className="info-label" style={{ flex: 1 }}>Include in my daily digest</span>
+                                {useDigest && (
+                                    <input
+                                        type="time"
+                                        value={digestTime}
+                                        onChange={(e) => setDigestTime(e.target.value)}
+                                        aria-label="Daily digest send time"
+                                        title={BROWSER_TIMEZONE}
+                                        required
+                                        style={{
+                                            background: 'var(--bg-tertiary)',
+                                            border: '1px solid var(--border-subtle)',
+                                            color: 'var(--text-primary)',
+                                            borderRadius: 6,
+                                            padding: '4px 6px'
+                                        }}
+                                    />
+                                )}
+                            </label>
+                        )}
+                        {digestSelected ? (
+                            <span className="info-label" style={{ fontSize: 12 }}>
+                                One email a day at {digestTime} ({BROWSER_TIMEZONE}) covering every vessel sent to this address
+                            </span>
+                        ) : (
+                            <label className="info-row" style={{ justifyContent: 'space-between' }}>
+                                <span className="info-label">Status update every (hours, 0 = alerts only)</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="168"
+                                    value={cadenceHours}
+                                    onChange={(e) => setCadenceHours(Number(e.target.value))}
+                                    style={{
+                                        width: 96,
+                                        minHeight: 36,
+                                        textAlign: 'right',
+                                        background: 'var(--bg-tertiary)',
+                                        border: '1px solid var(--border-subtle)',
+                                        color: 'var(--text-primary)',
+                                        borderRadius: 6,
+                                        padding: '6px 8px'
+                                    }}
+                                />
+                            </label>
+                        )}
+                        {alertTriggers.length > 0 && (
+                            <div style={{ display: 'grid', gap: 4 }}>
+                                <span className="info-label">Alert me when the vessel...</span>
+                                {alertTriggers.map(trigger => (
+                                    <label key={trigger.type} className="info-row" style={{ alignItems: 'center', gap: 8 }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={trigger.type in selectedTriggers}
+                                            onChange={() => toggleTrigger(trigger)}
+                                        />
+                                        <span className="info-label" style={{ flex: 1 }}>{trigger.label}</span>
+                                        {trigger.param && trigger.type in selectedTriggers && (
+                                            <input
+                                                type="number"
+                                                min={trigger.min}
+                                                max={trigger.max}
+                                                value={selectedTriggers[trigger.type]}
+                                                onChange={(e) => setSelectedTriggers(prev => ({ ...prev, [trigger.type]: Number(e.target.value) }))}
+                                                aria-label={`${trigger.label} (${trigger.param})`}
+                                                title={trigger.param}
+                                                style={{
+                                                    width: 72,
+                                                    textAlign: 'right',
+                                                    background: 'var(--bg-tertiary)',
+                                                    border: '1px solid var(--border-subtle)',
+                                                    color: 'var(--text-primary)',
+                                                    borderRadius: 6,
+                                                    padding: '4px 6px'
+                                                }}
+                                            />
+                                        )}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                        <button
+                            className="primary-btn"
+                            type="submit"
+                            disabled={isSubmitting || !hasTarget || (!digestSelected && !(cadenceHours > 0) && Object.keys(selectedTriggers).length === 0)}
+                        >
+                            {isSubmitting ? 'Scheduling...' : `Start ${CHANNEL_LABELS[channel]} Updates`}
                         </button>
                     </form>
                     {notificationError && (
@@ -525,26 +818,36 @@ function VesselInfo({ vessel, onClose }) {
                     {subscriptions.filter(s => s.active).length > 0 && (
                         <div style={{ marginTop: 12, display: 'grid', gap: 6 }}>
                             {subscriptions.filter(s => s.active).map(sub => (
-                                <div key={sub.id} className="info-row" style={{ alignItems: 'center' }}>
-                                    <span className="info-label">{sub.email}</span>
-                                    <span className="info-value">{sub.cadenceHours}h</span>
-                                    <button
-                                        type="button"
-                                        className="secondary-btn"
-                                        onClick={() => handleSendNow(sub.id)}
-                                        disabled={sendingId === sub.id}
-                                        style={{ marginLeft: 8 }}
-                                    >
-                                        {sendingId === sub.id ? 'Sending...' : 'Send Now'}
-                                    </button>
-                                    <button
-                                        type="button"
-                                        className="secondary-btn"
-                                        onClick={() => handleCancelNotification(sub.id)}
-                                        style={{ marginLeft: 8 }}
-                                    >
-                                        Stop
-                                    </button>
+                                <div key={sub.id} style={{ display: 'grid', gap: 2 }}>
+                                    <div className="info-row" style={{ alignItems: 'center' }}>
+                                        <span className="info-label">
+                                            {!sub.channel || sub.channel === 'email' ? sub.email : `${CHANNEL_LABELS[sub.channel] || sub.channel} channel`}
+                                        </span>
+                                        <span className="info-value">{sub.inDigest ? 'daily digest' : sub.cadenceHours ? `${sub.cadenceHours}h` : 'alerts only'}</span>
+                                        <button
+                                            type="button"
+                                            className="secondary-btn"
+                                            onClick={() => handleSendNow(sub.id)}
+                                            disabled={sendingId === sub.id}
+                                            style={{ marginLeft: 8 }}
+                                        >
+                                            {sendingId === sub.id ? 'Sending...' : 'Send Now'}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            className="secondary-btn"
+                                            onClick={() => handleCancelNotification(sub.id)}
+                                            style={{ marginLeft: 8 }}
+                                        >
+                                            Stop
+                                        </button>
+                                    </div>
+                                    {sub.triggers && Object.keys(sub.triggers).length > 0 && (
+                                        <span className="info-label" style={{ fontSize: 12 }}>
+                                            Alerts: {describeTriggers(sub.triggers)}
+                                            {sub.recentAlerts?.[0] && ` · last: ${sub.recentAlerts[0].title} (${new Date(sub.recentAlerts[0].at).toLocaleString()})`}
+                                        </span>
+                                    )}
                                 </div>
                             ))}
                         </div>
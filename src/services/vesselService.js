@@ -1,9 +1,15 @@
 /**
- * Vessel Service - Handles API communication via HTTP polling
+ * Vessel Service - Handles API communication via Server-Sent Events push,
+ * falling back to HTTP polling while the event stream is unavailable
  */
 
 const DEFAULT_API_TIMEOUT_MS = 20000
 const POLLING_INTERVAL_MS = 30000 // 30 seconds
+// Dead-reckoning estimates drift with time, not with events, so re-fetch them now and then
+const ESTIMATE_REFRESH_MS = 5 * 60 * 1000
+const EVENTS_URL = '/api/events'
+const RECONNECT_BASE_MS = 1000
+const RECONNECT_MAX_MS = 60000
 
 async function fetchWithTimeout(url, options = {}, timeoutMs = DEFAULT_API_TIMEOUT_MS) {
     const controller = new AbortController()
@@ -24,7 +30,14 @@ class VesselService {
     constructor() {
         this.listeners = new Map()
         this.pollingInterval = null
+        this.estimateInterval = null
         this.isConnected = false
+        this.eventSource = null
+        this.reconnectTimer = null
+        this.reconnectAttempts = 0
+        this.lastEventId = null
+        this.active = false
+        this.vesselSignatures = new Map()
     }
 
     // Event emitter methods
@@ -47,15 +60,135 @@ class VesselService {
         this.listeners.get(event).forEach(cb => cb(data))
     }
 
-    // Start HTTP polling for vessel updates
+    // Open the push channel; polling covers the gaps while it is down
     connect() {
-        if (this.pollingInterval) return
+        if (this.active) return
+        this.active = true
 
-        console.log('Starting vessel data polling...')
-        this.poll() // Initial fetch
+        this.poll() // Initial snapshot
+        this.openEventStream()
+        // Polling fetches fresh estimates anyway while the stream is down
+        this.estimateInterval = setInterval(() => {
+            if (!this.pollingInterval) this.poll()
+        }, ESTIMATE_REFRESH_MS)
+    }
+
+    openEventStream() {
+        if (typeof EventSource === 'undefined') {
+            this.startPolling()
+            return
+        }
+
+        // Each reconnect is a new EventSource, which doesn't send Last-Event-ID itself, so
+        // pass the last id seen and the server replays what was missed
+        const url = this.lastEventId ? `${EVENTS_URL}?lastEventId=${encodeURIComponent(this.lastEventId)}` : EVENTS_URL
+        const source = new EventSource(url)
+        this.eventSource = source
+        const listen = (type, handler) => source.addEventListener(type, (event) => {
+            if (event.lastEventId) this.lastEventId = event.lastEventId
+            handler(event)
+        })
+
+        source.onopen = () => {
+            this.reconnectAttempts = 0
+            this.stopPolling()
+            // Catch up on anything missed while the stream was down
+            this.poll()
+            this.setConnected(true)
+        }
+
+        source.onerror = () => {
+            source.close()
+            if (this.eventSource === source) this.eventSource = null
+            this.setConnected(false)
+            this.startPolling()
+            this.scheduleReconnect()
+        }
+
+        listen('vesselUpdate', (event) => {
+            const raw = this.parseEventData(event)
+            if (raw) this.emitVesselIfChanged(raw)
+        })
+
+        listen('bottleneckUpdate', (event) => {
+            const data = this.parseEventData(event)
+            if (data?.bottlenecks) this.emit('bottleneckUpdate', data.bottlenecks)
+        })
+
+        listen('vesselRemoved', (event) => {
+            const data = this.parseEventData(event)
+            if (data?.mmsi) this.handleVesselRemoved(data)
+        })
+
+        listen('notificationSent', (event) => {
+            const data = this.parseEventData(event)
+            if (data) this.emit('notificationSent', data)
+        })
+
+        listen('vesselAlert', (event) => {
+            const data = this.parseEventData(event)
+            if (data) this.emit('vesselAlert', data)
+        })
+    }
+
+    // Exponential backoff with jitter so many tabs don't reconnect in lockstep
+    scheduleReconnect() {
+        if (!this.active || this.reconnectTimer) return
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS)
+        const jittered = delay / 2 + Math.random() * delay / 2
+        this.reconnectAttempts += 1
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null
+            if (this.active) this.openEventStream()
+        }, jittered)
+    }
+
+    parseEventData(event) {
+        try {
+            return JSON.parse(event.data)
+        } catch (err) {
+            console.error('Invalid event payload:', err)
+            return null
+        }
+    }
+
+    setConnected(connected) {
+        if (this.isConnected === connected) return
+        this.isConnected = connected
+        this.emit(connected ? 'connect' : 'disconnect')
+    }
+
+    startPolling() {
+        if (this.pollingInterval || !this.active) return
+        console.log('Event stream unavailable, polling vessel data...')
         this.pollingInterval = setInterval(() => this.poll(), POLLING_INTERVAL_MS)
     }
 
+    stopPolling() {
+        if (!this.pollingInterval) return
+        clearInterval(this.pollingInterval)
+        this.pollingInterval = null
+    }
+
+    // Only re-emit vessels whose position or schedule actually moved
+    emitVesselIfChanged(raw) {
+        const vessel = this.transformVesselData(raw)
+        if (!vessel.mmsi) return
+        const signature = [
+            vessel.latitude, vessel.longitude, vessel.speed, vessel.heading, vessel.eta,
+            vessel.origin, vessel.destination, vessel.bottleneckWarning?.zone, vessel.route?.length, raw.updatedAt,
+            vessel.estimatedPosition?.latitude, vessel.estimatedPosition?.longitude, vessel.estimatedPosition?.uncertaintyNm
+        ].join('|')
+        if (this.vesselSignatures.get(vessel.mmsi) === signature) return
+        this.vesselSignatures.set(vessel.mmsi, signature)
+        this.emit('vesselUpdate', vessel)
+    }
+
+    handleVesselRemoved(data) {
+        this.vesselSignatures.delete(data.mmsi)
+        this.emit('vesselRemoved', data)
+    }
+
     async poll() {
         try {
             const response = await fetchWithTimeout('/api/vessels')
@@ -63,30 +196,37 @@ class VesselService {
             const data = await response.json()
 
             if (data.vessels) {
-                data.vessels.forEach(v => {
-                    this.emit('vesselUpdate', this.transformVesselData(v))
-                })
+                data.vessels.forEach(v => this.emitVesselIfChanged(v))
 
                 // Mark as connected on successful poll
-                if (!this.isConnected) {
-                    this.isConnected = true
-                    this.emit('connect')
-                }
+                this.setConnected(true)
             }
         } catch (error) {
             console.error('Polling error:', error)
-            if (this.isConnected) {
-                this.isConnected = false
-                this.emit('disconnect')
+            if (!this.eventSource || this.eventSource.readyState !== 1) {
+                this.setConnected(false)
             }
         }
     }
 
     disconnect() {
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval)
-            this.pollingInterval = null
+        this.active = false
+        this.stopPolling()
+        if (this.estimateInterval) {
+            clearInterval(this.estimateInterval)
+            this.estimateInterval = null
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer)
+            this.reconnectTimer = null
         }
+        if (this.eventSource) {
+            this.eventSource.close()
+            this.eventSource = null
+        }
+        this.reconnectAttempts = 0
+        this.lastEventId = null
+        this.vesselSignatures.clear()
         this.isConnected = false
     }
 
@@ -116,13 +256,26 @@ class VesselService {
             distanceRemainingNm: raw.distanceRemainingNm || raw.distanceRemaining || null,
             hoursRemaining: raw.hoursRemaining || null,
             nextWaypoint: raw.nextWaypoint || null,
+            estimatedPosition: raw.estimatedPosition || null,
+            positionSource: raw.positionSource || null,
+            dataQuality: raw.dataQuality || null,
+            archived: !!raw.archived,
+            archivedAt: raw.archivedAt || null,
+            voyage: raw.voyage || raw.voyageNo || null,
+            blNumber: raw.blNumber || null,
+            bookingNumber: raw.bookingNumber || null,
+            containerNumber: raw.containerNumber || null,
+            carrier: raw.carrier || null,
+            carrierId: raw.carrierId || null,
+            carrierColor: raw.carrierColor || null,
+            carrierTrackingUrl: raw.carrierTrackingUrl || null,
             weather: raw.weather || null
         }
     }
 
     // Subscribe to vessel updates (triggers immediate refresh)
     subscribeToVessel(mmsi) {
-        // With HTTP polling, just trigger an immediate poll
+        // Pushes cover all vessels; fetch a fresh snapshot in case the stream lagged
         this.poll()
     }
 
@@ -159,6 +312,74 @@ class VesselService {
         return this.transformVesselData(data.vessel || {})
     }
 
+    // status: 'active' (default), 'archived' or 'all'
+    async getVessels(status = 'active') {
+        const response = await fetchWithTimeout(`/api/vessels?status=${encodeURIComponent(status)}`)
+        if (!response.ok) throw new Error('Failed to fetch vessels')
+        const data = await response.json()
+        return (data.vessels || []).map(v => this.transformVesselData(v))
+    }
+
+    async updateVessel(mmsi, changes) {
+        const response = await fetchWithTimeout(`/api/vessels/${encodeURIComponent(mmsi)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        })
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}))
+            throw new Error(err.error || 'Failed to update vessel')
+        }
+        const data = await response.json()
+        return this.transformVesselData(data.vessel || {})
+    }
+
+    async archiveVessel(mmsi, archived = true) {
+        const vessel = await this.updateVessel(mmsi, { archived })
+        if (archived) this.handleVesselRemoved({ mmsi, reason: 'archived' })
+        return vessel
+    }
+
+    async removeVessel(mmsi) {
+        const response = await fetchWithTimeout(`/api/vessels/${encodeURIComponent(mmsi)}`, {
+            method: 'DELETE'
+        })
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}))
+            throw new Error(err.error || 'Failed to remove vessel')
+        }
+        this.handleVesselRemoved({ mmsi, reason: 'deleted' })
+        return response.json()
+    }
+
+    // Historical position fixes for playback (server downsamples long windows)
+    async getVesselTrack(mmsi, { from, to, maxPoints } = {}) {
+        const params = new URLSearchParams()
+        if (from) params.set('from', new Date(from).toISOString())
+        if (to) params.set('to', new Date(to).toISOString())
+        if (maxPoints) params.set('maxPoints', maxPoints)
+        const query = params.toString()
+        const response = await fetchWithTimeout(`/api/vessels/${encodeURIComponent(mmsi)}/track${query ? `?${query}` : ''}`)
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}))
+            throw new Error(err.error || 'Failed to fetch vessel track')
+        }
+        const data = await response.json()
+        return data.points || []
+    }
+
+    // filters: mmsi, blNumber, status, q
+    async getShipments(filters = {}) {
+        const params = new URLSearchParams()
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value)
+        })
+        const response = await fetchWithTimeout(`/api/shipments?${params.toString()}`)
+        if (!response.ok) throw new Error('Failed to fetch shipments')
+        const data = await response.json()
+        return data.shipments || []
+    }
+
     async getNotifications(mmsi) {
         const response = await fetchWithTimeout(`/api/notifications?mmsi=${encodeURIComponent(mmsi)}`)
         if (!response.ok) throw new Error('Failed to fetch notifications')
@@ -166,11 +387,18 @@ class VesselService {
         return data.subscriptions || []
     }
 
-    async createNotification({ mmsi, email, cadenceHours }) {
+    async getAlertTriggers() {
+        const response = await fetchWithTimeout('/api/notifications/triggers')
+        if (!response.ok) throw new Error('Failed to fetch alert triggers')
+        const data = await response.json()
+        return data.triggers || []
+    }
+
+    async createNotification({ mmsi, channel = 'email', email, targetUrl, cadenceHours, triggers }) {
         const response = await fetchWithTimeout('/api/notifications', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ mmsi, email, cadenceHours })
+            body: JSON.stringify({ mmsi, channel, email, targetUrl, cadenceHours, triggers })
         })
         if (!response.ok) {
             const err = await response.json().catch(() => ({}))
@@ -204,6 +432,21 @@ class VesselService {
         return data.subscription
     }
 
+    // Creates the recipient's daily digest, or updates its send time and timezone
+    async saveDigest({ email, sendAt, timezone }) {
+        const response = await fetchWithTimeout('/api/digests', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, sendAt, timezone })
+        })
+        if (!response.ok) {
+            const err = await response.json().catch(() => ({}))
+            throw new Error(err.error || 'Failed to set up daily digest')
+        }
+        const data = await response.json()
+        return data.digest
+    }
+
     async fetchCarrierETA({ carrierId, trackingNumber }) {
         const params = new URLSearchParams()
         if (carrierId) params.set('carrierId', carrierId)
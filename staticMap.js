@@ -0,0 +1,258 @@
+/**
+ * Static Route Map
+ * Draws a vessel's route and current position into a small PNG for HTML emails, where
+ * the Leaflet map can't run. There are no tiles and no image library: the route is drawn
+ * over a plain sea background with a lat/lng graticule and encoded with zlib.
+ *
+ * Configuration:
+ *   ROUTE_MAP_WIDTH, ROUTE_MAP_HEIGHT - image size in pixels (default 600 x 300)
+ */
+
+const zlib = require('zlib')
+const { splitRouteByPosition } = require('./seaRoutes')
+
+const MAP_WIDTH = Number(process.env.ROUTE_MAP_WIDTH || 600)
+const MAP_HEIGHT = Number(process.env.ROUTE_MAP_HEIGHT || 300)
+
+const COLORS = {
+    sea: [219, 233, 246],
+    graticule: [197, 216, 234],
+    completed: [29, 78, 216],
+    remaining: [100, 116, 139],
+    origin: [22, 163, 74],
+    destination: [220, 38, 38],
+    vessel: [234, 88, 12],
+    outline: [255, 255, 255]
+}
+
+// Share of the image kept clear around the route
+const PADDING = 0.12
+// Smallest area shown, in degrees, so a short coastal hop isn't zoomed to a few pixels
+const MIN_SPAN_DEGREES = 2
+const GRATICULE_STEPS = [1, 2, 5, 10, 15, 30]
+const DASH_ON_PX = 8
+const DASH_OFF_PX = 6
+// Web Mercator is undefined at the poles
+const MAX_LATITUDE = 85
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+})
+
+function crc32(buffer) {
+    let crc = 0xffffffff
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4)
+    length.writeUInt32BE(data.length)
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+    const crc = Buffer.alloc(4)
+    crc.writeUInt32BE(crc32(body))
+    return Buffer.concat([length, body, crc])
+}
+
+// 8-bit RGB, no filtering; the flat colours deflate well enough without it
+function encodePng(width, height, pixels) {
+    const stride = width * 3
+    const raw = Buffer.alloc((stride + 1) * height)
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride)
+    }
+    const header = Buffer.alloc(13)
+    header.writeUInt32BE(width, 0)
+    header.writeUInt32BE(height, 4)
+    header[8] = 8
+    header[9] = 2
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ])
+}
+
+function createCanvas(width, height, background) {
+    const pixels = Buffer.alloc(width * height * 3)
+    for (let i = 0; i < pixels.length; i += 3) {
+        pixels[i] = background[0]
+        pixels[i + 1] = background[1]
+        pixels[i + 2] = background[2]
+    }
+
+    function setPixel(x, y, color) {
+        if (x < 0 || y < 0 || x >= width || y >= height) return
+        const offset = (y * width + x) * 3
+        pixels[offset] = color[0]
+        pixels[offset + 1] = color[1]
+        pixels[offset + 2] = color[2]
+    }
+
+    function fillCircle(cx, cy, radius, color) {
+        const r2 = radius * radius
+        for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+            for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+                if ((x - cx) ** 2 + (y - cy) ** 2 <= r2) setPixel(x, y, color)
+            }
+        }
+    }
+
+    // Polyline drawn by stamping discs every half pixel; dashes follow the whole line
+    function drawPolyline(points, lineWidth, color, dashed = false) {
+        let travelled = 0
+        for (let i = 0; i < points.length - 1; i++) {
+            const [x0, y0] = points[i]
+            const [x1, y1] = points[i + 1]
+            const length = Math.hypot(x1 - x0, y1 - y0)
+            const steps = Math.max(1, Math.ceil(length * 2))
+            for (let s = 0; s <= steps; s++) {
+                const along = travelled + (length * s) / steps
+                if (dashed && along % (DASH_ON_PX + DASH_OFF_PX) > DASH_ON_PX) continue
+                fillCircle(x0 + ((x1 - x0) * s) / steps, y0 + ((y1 - y0) * s) / steps, lineWidth / 2, color)
+            }
+            travelled += length
+        }
+    }
+
+    function hLine(y, color) {
+        for (let x = 0; x < width; x++) setPixel(x, Math.round(y), color)
+    }
+
+    function vLine(x, color) {
+        for (let y = 0; y < height; y++) setPixel(Math.round(x), y, color)
+    }
+
+    return { pixels, fillCircle, drawPolyline, hLine, vLine }
+}
+
+function mercatorY(lat) {
+    const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat))
+    return Math.log(Math.tan(Math.PI / 4 + (clamped * Math.PI) / 360)) * (180 / Math.PI)
+}
+
+// Keep consecutive longitudes within 180° of each other so a route across the
+// antimeridian is drawn as one line instead of wrapping round the world
+function unwrapLongitudes(points) {
+    let previous = null
+    return points.map((point) => {
+        let lng = point.lng
+        if (previous !== null) {
+            while (lng - previous > 180) lng -= 360
+            while (lng - previous < -180) lng += 360
+        }
+        previous = lng
+        return { ...point, lng }
+    })
+}
+
+function buildProjection(points, width, height) {
+    const xs = points.map(p => p.lng)
+    const ys = points.map(p => mercatorY(p.lat))
+    let minX = Math.min(...xs)
+    let maxX = Math.max(...xs)
+    let minY = Math.min(...ys)
+    let maxY = Math.max(...ys)
+
+    const padX = Math.max((maxX - minX) * PADDING, (MIN_SPAN_DEGREES - (maxX - minX)) / 2, 0)
+    const padY = Math.max((maxY - minY) * PADDING, (MIN_SPAN_DEGREES - (maxY - minY)) / 2, 0)
+    minX -= padX
+    maxX += padX
+    minY -= padY
+    maxY += padY
+
+    const scale = Math.min(width / (maxX - minX), height / (maxY - minY))
+    const offsetX = (width - (maxX - minX) * scale) / 2
+    const offsetY = (height - (maxY - minY) * scale) / 2
+
+    return {
+        project: (lat, lng) => [offsetX + (lng - minX) * scale, height - offsetY - (mercatorY(lat) - minY) * scale],
+        bounds: {
+            west: minX - offsetX / scale,
+            east: maxX + offsetX / scale,
+            south: minY - offsetY / scale,
+            north: maxY + offsetY / scale
+        }
+    }
+}
+
+function inverseMercatorY(y) {
+    return (2 * Math.atan(Math.exp((y * Math.PI) / 180)) - Math.PI / 2) * (180 / Math.PI)
+}
+
+function drawGraticule(canvas, projection) {
+    const { west, east, south, north } = projection.bounds
+    const span = Math.max(east - west, inverseMercatorY(north) - inverseMercatorY(south))
+    const step = GRATICULE_STEPS.find(candidate => span / candidate <= 8) || 30
+
+    for (let lng = Math.ceil(west / step) * step; lng <= east; lng += step) {
+        canvas.vLine(projection.project(0, lng)[0], COLORS.graticule)
+    }
+    const southLat = inverseMercatorY(south)
+    const northLat = inverseMercatorY(north)
+    for (let lat = Math.ceil(southLat / step) * step; lat <= northLat; lat += step) {
+        canvas.hLine(projection.project(lat, west)[1], COLORS.graticule)
+    }
+}
+
+function drawMarker(canvas, [x, y], radius, color) {
+    canvas.fillCircle(x, y, radius + 2, COLORS.outline)
+    canvas.fillCircle(x, y, radius, color)
+}
+
+/**
+ * Render the route (origin to destination, travelled part solid and remaining part dashed)
+ * with the vessel's position. Returns a PNG buffer, or null when there is nothing to draw.
+ */
+function renderRouteMap({ route, latitude, longitude } = {}, { width = MAP_WIDTH, height = MAP_HEIGHT } = {}) {
+    try {
+        const stops = (Array.isArray(route) ? route : [])
+            .map(point => ({ ...point, lat: Number(point.lat), lng: Number(point.lng) }))
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng))
+        const hasPosition = Number.isFinite(latitude) && Number.isFinite(longitude)
+        if (stops.length < 2 && !hasPosition) return null
+
+        let completed = []
+        let remaining = stops
+        if (stops.length >= 2 && hasPosition) {
+            ({ completed, remaining } = splitRouteByPosition(stops, latitude, longitude))
+        }
+
+        // Unwrap the whole route once so both halves and the markers share one frame
+        const ordered = unwrapLongitudes([
+            ...completed,
+            ...remaining.slice(completed.length > 0 ? 1 : 0),
+            ...(hasPosition && stops.length < 2 ? [{ lat: latitude, lng: longitude, type: 'current' }] : [])
+        ])
+        const completedPoints = ordered.slice(0, completed.length)
+        const remainingPoints = ordered.slice(Math.max(completed.length - 1, 0))
+        const current = ordered.find(point => point.type === 'current')
+
+        const projection = buildProjection(ordered, width, height)
+        const canvas = createCanvas(width, height, COLORS.sea)
+        const toPixels = points => points.map(point => projection.project(point.lat, point.lng))
+
+        drawGraticule(canvas, projection)
+        if (remainingPoints.length >= 2) canvas.drawPolyline(toPixels(remainingPoints), 3, COLORS.remaining, true)
+        if (completedPoints.length >= 2) canvas.drawPolyline(toPixels(completedPoints), 4, COLORS.completed)
+
+        if (stops.length >= 2) {
+            drawMarker(canvas, projection.project(ordered[0].lat, ordered[0].lng), 5, COLORS.origin)
+            const end = ordered[ordered.length - 1]
+            drawMarker(canvas, projection.project(end.lat, end.lng), 5, COLORS.destination)
+        }
+        if (current) drawMarker(canvas, projection.project(current.lat, current.lng), 6, COLORS.vessel)
+
+        return encodePng(width, height, canvas.pixels)
+    } catch (err) {
+        console.error('Route map render failed:', err.message)
+        return null
+    }
+}
+
+module.exports = {
+    renderRouteMap
+}
@@ -0,0 +1,635 @@
+/**
+ * Storage Module
+ * SQLite-backed persistence for vessels, shipments, tracking state and lookup caches.
+ * Schema changes are applied as numbered migrations tracked via PRAGMA user_version.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const crypto = require('crypto')
+const path = require('path')
+const Database = require('better-sqlite3')
+
+// Vercel only allows writes under the temp dir; everywhere else keep the file next to the app
+const DEFAULT_DATABASE_PATH = process.env.VERCEL
+    ? path.join(os.tmpdir(), 'shipping_tracker.db')
+    : path.join(__dirname, 'data', 'shipping_tracker.db')
+const DATABASE_PATH = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH
+
+// Ordered schema migrations - append new entries, never edit applied ones
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up: `
+            CREATE TABLE vessels (
+                mmsi TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE tracked_vessels (
+                mmsi TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE cache_entries (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (namespace, key)
+            );
+        `
+    },
+    {
+        version: 2,
+        name: 'position history',
+        up: `
+            CREATE TABLE position_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                mmsi TEXT NOT NULL,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                speed REAL,
+                heading REAL,
+                source TEXT,
+                recorded_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_position_history_mmsi_time ON position_history (mmsi, recorded_at);
+        `
+    },
+    {
+        version: 3,
+        name: 'shipments',
+        up: `
+            CREATE TABLE shipments (
+                id TEXT PRIMARY KEY,
+                mmsi TEXT,
+                bl_number TEXT,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_shipments_mmsi ON shipments (mmsi);
+            CREATE INDEX idx_shipments_bl_number ON shipments (bl_number);
+        `
+    },
+    {
+        version: 4,
+        name: 'imports',
+        up: `
+            CREATE TABLE imports (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_imports_status ON imports (status, created_at);
+        `
+    },
+    {
+        version: 5,
+        name: 'import documents',
+        up: `
+            ALTER TABLE imports ADD COLUMN file_hash TEXT;
+            CREATE INDEX idx_imports_file_hash ON imports (file_hash);
+            CREATE INDEX idx_imports_created_at ON imports (created_at);
+        `
+    },
+    {
+        version: 6,
+        name: 'webhooks',
+        up: `
+            CREATE TABLE webhooks (
+                id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL,
+                event TEXT NOT NULL,
+                status TEXT NOT NULL,
+                next_attempt_at TEXT,
+                data TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+            CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+        `
+    }
+]
+
+let db = null
+
+function runMigrations(database) {
+    const currentVersion = database.pragma('user_version', { simple: true })
+    const pending = MIGRATIONS.filter(m => m.version > currentVersion)
+    if (!pending.length) return
+
+    for (const migration of pending) {
+        database.transaction(() => {
+            database.exec(migration.up)
+            database.pragma(`user_version = ${migration.version}`)
+        })()
+        console.log(`Applied migration ${migration.version}: ${migration.name}`)
+    }
+}
+
+function getDatabase() {
+    if (db) return db
+
+    if (DATABASE_PATH !== ':memory:') {
+        fs.mkdirSync(path.dirname(DATABASE_PATH), { recursive: true })
+    }
+    db = new Database(DATABASE_PATH)
+    db.pragma('journal_mode = WAL')
+    db.pragma('busy_timeout = 5000')
+    runMigrations(db)
+    console.log('Database ready:', DATABASE_PATH)
+    return db
+}
+
+function parseRow(row) {
+    if (!row) return null
+    try {
+        return JSON.parse(row.data)
+    } catch (err) {
+        console.error('Corrupt stored record:', err.message)
+        return null
+    }
+}
+
+// Vessel documents keyed by MMSI, stored as JSON so new fields need no migration
+function createVesselRepository(table) {
+    return {
+        get(mmsi) {
+            if (!mmsi) return null
+            const row = getDatabase().prepare(`SELECT data FROM ${table} WHERE mmsi = ?`).get(mmsi.toString())
+            return parseRow(row)
+        },
+
+        has(mmsi) {
+            if (!mmsi) return false
+            return !!getDatabase().prepare(`SELECT 1 FROM ${table} WHERE mmsi = ?`).get(mmsi.toString())
+        },
+
+        list() {
+            return getDatabase()
+                .prepare(`SELECT data FROM ${table} ORDER BY updated_at DESC`)
+                .all()
+                .map(parseRow)
+                .filter(Boolean)
+        },
+
+        // MMSIs of the vessels that aren't archived, without loading the records
+        listActiveMmsis() {
+            return getDatabase()
+                .prepare(`SELECT mmsi FROM ${table} WHERE COALESCE(json_extract(data, '$.archived'), 0) = 0`)
+                .all()
+                .map(row => row.mmsi)
+        },
+
+        count() {
+            return getDatabase().prepare(`SELECT COUNT(*) AS total FROM ${table}`).get().total
+        },
+
+        save(vessel) {
+            if (!vessel?.mmsi) return null
+            const record = { ...vessel, mmsi: vessel.mmsi.toString() }
+            getDatabase()
+                .prepare(`INSERT INTO ${table} (mmsi, data, updated_at) VALUES (?, ?, ?)
+                    ON CONFLICT(mmsi) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`)
+                .run(record.mmsi, JSON.stringify(record), new Date().toISOString())
+            return record
+        },
+
+        // Shallow-merge onto the stored record (insert when missing)
+        merge(vessel) {
+            if (!vessel?.mmsi) return null
+            const existing = this.get(vessel.mmsi)
+            return this.save(existing ? { ...existing, ...vessel } : vessel)
+        },
+
+        remove(mmsi) {
+            if (!mmsi) return false
+            return getDatabase().prepare(`DELETE FROM ${table} WHERE mmsi = ?`).run(mmsi.toString()).changes > 0
+        }
+    }
+}
+
+// Map-compatible key/value cache persisted under a namespace
+function createCacheStore(namespace) {
+    return {
+        get(key) {
+            if (key === null || key === undefined) return undefined
+            const row = getDatabase()
+                .prepare('SELECT value FROM cache_entries WHERE namespace = ? AND key = ?')
+                .get(namespace, key.toString())
+            if (!row) return undefined
+            try {
+                return JSON.parse(row.value)
+            } catch (err) {
+                return undefined
+            }
+        },
+
+        has(key) {
+            if (key === null || key === undefined) return false
+            return !!getDatabase()
+                .prepare('SELECT 1 FROM cache_entries WHERE namespace = ? AND key = ?')
+                .get(namespace, key.toString())
+        },
+
+        set(key, value) {
+            if (key === null || key === undefined) return this
+            getDatabase()
+                .prepare(`INSERT INTO cache_entries (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)
+                    ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+                .run(namespace, key.toString(), JSON.stringify(value), new Date().toISOString())
+            return this
+        },
+
+        delete(key) {
+            if (key === null || key === undefined) return false
+            return getDatabase()
+                .prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?')
+                .run(namespace, key.toString()).changes > 0
+        }
+    }
+}
+
+// Append-only time series of position fixes per vessel
+const positionHistoryRepository = {
+    record(mmsi, fix) {
+        if (!mmsi || !fix) return null
+        if (!Number.isFinite(fix.latitude) || !Number.isFinite(fix.longitude)) return null
+        const entry = {
+            mmsi: mmsi.toString(),
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            speed: Number.isFinite(fix.speed) ? fix.speed : null,
+            heading: Number.isFinite(fix.heading) ? fix.heading : null,
+            source: fix.source || null,
+            recordedAt: fix.recordedAt || new Date().toISOString()
+        }
+        getDatabase()
+            .prepare(`INSERT INTO position_history (mmsi, latitude, longitude, speed, heading, source, recorded_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`)
+            .run(entry.mmsi, entry.latitude, entry.longitude, entry.speed, entry.heading, entry.source, entry.recordedAt)
+        return entry
+    },
+
+    // Fixes in [from, to] ordered oldest first; bounds are ISO strings
+    range(mmsi, from, to) {
+        if (!mmsi) return []
+        return getDatabase()
+            .prepare(`SELECT latitude, longitude, speed, heading, source, recorded_at AS recordedAt
+                FROM position_history
+                WHERE mmsi = ? AND recorded_at >= ? AND recorded_at <= ?
+                ORDER BY recorded_at ASC`)
+            .all(mmsi.toString(), from, to)
+    },
+
+    latest(mmsi) {
+        if (!mmsi) return null
+        return getDatabase()
+            .prepare(`SELECT latitude, longitude, speed, heading, source, recorded_at AS recordedAt
+                FROM position_history WHERE mmsi = ? ORDER BY recorded_at DESC LIMIT 1`)
+            .get(mmsi.toString()) || null
+    }
+}
+
+// Cargo on a vessel (one per BL); many shipments can reference the same MMSI
+const shipmentRepository = {
+    get(id) {
+        if (!id) return null
+        const row = getDatabase().prepare('SELECT data FROM shipments WHERE id = ?').get(id.toString())
+        return parseRow(row)
+    },
+
+    // Optional filters: mmsi, blNumber, bookingNumber
+    list(filters = {}) {
+        const clauses = []
+        const params = []
+        if (filters.mmsi) {
+            clauses.push('mmsi = ?')
+            params.push(filters.mmsi.toString())
+        }
+        if (filters.blNumber) {
+            clauses.push('bl_number = ?')
+            params.push(filters.blNumber.toString().toUpperCase())
+        }
+        if (filters.bookingNumber) {
+            clauses.push("UPPER(json_extract(data, '$.bookingNumber')) = ?")
+            params.push(filters.bookingNumber.toString().toUpperCase())
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''
+        return getDatabase()
+            .prepare(`SELECT data FROM shipments ${where} ORDER BY created_at DESC`)
+            .all(...params)
+            .map(parseRow)
+            .filter(Boolean)
+    },
+
+    create(shipment) {
+        const now = new Date().toISOString()
+        const record = {
+            ...shipment,
+            id: `shp_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            mmsi: shipment.mmsi ? shipment.mmsi.toString() : null,
+            blNumber: shipment.blNumber ? shipment.blNumber.toString().toUpperCase() : null,
+            createdAt: now,
+            updatedAt: now
+        }
+        getDatabase()
+            .prepare(`INSERT INTO shipments (id, mmsi, bl_number, data, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(record.id, record.mmsi, record.blNumber, JSON.stringify(record), now, now)
+        return record
+    },
+
+    update(id, changes) {
+        const existing = this.get(id)
+        if (!existing) return null
+        const record = { ...existing, ...changes, id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() }
+        record.mmsi = record.mmsi ? record.mmsi.toString() : null
+        record.blNumber = record.blNumber ? record.blNumber.toString().toUpperCase() : null
+        getDatabase()
+            .prepare('UPDATE shipments SET mmsi = ?, bl_number = ?, data = ?, updated_at = ? WHERE id = ?')
+            .run(record.mmsi, record.blNumber, JSON.stringify(record), record.updatedAt, record.id)
+        return record
+    },
+
+    remove(id) {
+        if (!id) return false
+        return getDatabase().prepare('DELETE FROM shipments WHERE id = ?').run(id.toString()).changes > 0
+    }
+}
+
+// Document imports: a draft holds the extraction until a user reviews and commits it.
+// Committed imports stay as the import history, with the hash of the original document.
+// A file from a batch upload is stored as 'queued' before it is extracted, with its
+// background job's state under `job` (see importJobs.js).
+const importRepository = {
+    get(id) {
+        if (!id) return null
+        const row = getDatabase().prepare('SELECT data FROM imports WHERE id = ?').get(id.toString())
+        return parseRow(row)
+    },
+
+    // Newest first. Optional filters: status, fileHash, batchId; limit/offset for paging
+    list(filters = {}) {
+        const clauses = []
+        const params = []
+        if (filters.status) {
+            clauses.push('status = ?')
+            params.push(filters.status.toString())
+        }
+        if (filters.fileHash) {
+            clauses.push('file_hash = ?')
+            params.push(filters.fileHash.toString())
+        }
+        if (filters.batchId) {
+            clauses.push("json_extract(data, '$.batchId') = ?")
+            params.push(filters.batchId.toString())
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''
+        const database = getDatabase()
+        const total = database.prepare(`SELECT COUNT(*) AS count FROM imports ${where}`).get(...params).count
+        const imports = database
+            .prepare(`SELECT data FROM imports ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+            .all(...params, filters.limit ?? -1, filters.offset ?? 0)
+            .map(parseRow)
+            .filter(Boolean)
+        return { imports, total }
+    },
+
+    // Imports from a batch upload whose background job is in one of these states, oldest first
+    listByJobStatus(statuses) {
+        if (!statuses?.length) return []
+        return getDatabase()
+            .prepare(`SELECT data FROM imports WHERE json_extract(data, '$.job.status') IN (${statuses.map(() => '?').join(', ')})
+                ORDER BY created_at ASC`)
+            .all(...statuses)
+            .map(parseRow)
+            .filter(Boolean)
+    },
+
+    // { [jobStatus]: count } over imports that came from a batch upload
+    countByJobStatus() {
+        const rows = getDatabase()
+            .prepare(`SELECT json_extract(data, '$.job.status') AS status, COUNT(*) AS count FROM imports
+                WHERE json_extract(data, '$.job.status') IS NOT NULL GROUP BY 1`)
+            .all()
+        return Object.fromEntries(rows.map(row => [row.status, row.count]))
+    },
+
+    countByFileHash(fileHash) {
+        if (!fileHash) return 0
+        return getDatabase().prepare('SELECT COUNT(*) AS count FROM imports WHERE file_hash = ?').get(fileHash).count
+    },
+
+    create(entry) {
+        const now = new Date().toISOString()
+        const record = {
+            ...entry,
+            id: `imp_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            status: entry.status || 'draft',
+            createdAt: now,
+            updatedAt: now
+        }
+        getDatabase()
+            .prepare('INSERT INTO imports (id, status, file_hash, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(record.id, record.status, record.fileHash || null, JSON.stringify(record), now, now)
+        return record
+    },
+
+    update(id, changes) {
+        const existing = this.get(id)
+        if (!existing) return null
+        const record = { ...existing, ...changes, id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() }
+        getDatabase()
+            .prepare('UPDATE imports SET status = ?, file_hash = ?, data = ?, updated_at = ? WHERE id = ?')
+            .run(record.status, record.fileHash || null, JSON.stringify(record), record.updatedAt, record.id)
+        return record
+    },
+
+    remove(id) {
+        if (!id) return false
+        return getDatabase().prepare('DELETE FROM imports WHERE id = ?').run(id.toString()).changes > 0
+    },
+
+    // Drop drafts nobody reviewed and batch files that failed; returns the removed imports so
+    // their documents can be cleaned up
+    pruneDrafts(olderThan) {
+        const database = getDatabase()
+        const cutoff = new Date(olderThan).toISOString()
+        return database.transaction(() => {
+            const removed = database
+                .prepare("SELECT data FROM imports WHERE status IN ('draft', 'failed') AND created_at < ?")
+                .all(cutoff)
+                .map(parseRow)
+                .filter(Boolean)
+            database.prepare("DELETE FROM imports WHERE status IN ('draft', 'failed') AND created_at < ?").run(cutoff)
+            return removed
+        })()
+    }
+}
+
+// Outbound webhook subscriptions (see webhooks.js)
+const webhookRepository = {
+    get(id) {
+        if (!id) return null
+        const row = getDatabase().prepare('SELECT data FROM webhooks WHERE id = ?').get(id.toString())
+        return parseRow(row)
+    },
+
+    list() {
+        return getDatabase()
+            .prepare('SELECT data FROM webhooks ORDER BY created_at')
+            .all()
+            .map(parseRow)
+            .filter(Boolean)
+    },
+
+    create(webhook) {
+        const now = new Date().toISOString()
+        const record = {
+            ...webhook,
+            id: `whk_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+            createdAt: now,
+            updatedAt: now
+        }
+        getDatabase()
+            .prepare('INSERT INTO webhooks (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)')
+            .run(record.id, JSON.stringify(record), now, now)
+        return record
+    },
+
+    update(id, changes) {
+        const existing = this.get(id)
+        if (!existing) return null
+        const record = { ...existing, ...changes, id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() }
+        getDatabase()
+            .prepare('UPDATE webhooks SET data = ?, updated_at = ? WHERE id = ?')
+            .run(JSON.stringify(record), record.updatedAt, record.id)
+        return record
+    },
+
+    // Removes the webhook and its delivery log
+    remove(id) {
+        if (!id) return false
+        const database = getDatabase()
+        return database.transaction(() => {
+            database.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id.toString())
+            return database.prepare('DELETE FROM webhooks WHERE id = ?').run(id.toString()).changes > 0
+        })()
+    }
+}
+
+// One event sent to one webhook, with every attempt made to deliver it.
+// status: pending -> delivered, or failed (retrying) -> dead once retries run out
+const webhookDeliveryRepository = {
+    get(id) {
+        if (!id) return null
+        const row = getDatabase().prepare('SELECT data FROM webhook_deliveries WHERE id = ?').get(id.toString())
+        return parseRow(row)
+    },
+
+    // Newest first. Optional filters: webhookId, status, event; limit/offset for paging
+    list(filters = {}) {
+        const clauses = []
+        const params = []
+        if (filters.webhookId) {
+            clauses.push('webhook_id = ?')
+            params.push(filters.webhookId.toString())
+        }
+        if (filters.status) {
+            clauses.push('status = ?')
+            params.push(filters.status.toString())
+        }
+        if (filters.event) {
+            clauses.push('event = ?')
+            params.push(filters.event.toString())
+        }
+        const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''
+        const database = getDatabase()
+        const total = database.prepare(`SELECT COUNT(*) AS count FROM webhook_deliveries ${where}`).get(...params).count
+        const deliveries = database
+            .prepare(`SELECT data FROM webhook_deliveries ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+            .all(...params, filters.limit ?? -1, filters.offset ?? 0)
+            .map(parseRow)
+            .filter(Boolean)
+        return { deliveries, total }
+    },
+
+    // Deliveries waiting for their first or next attempt, oldest first
+    listDue(now, limit) {
+        return getDatabase()
+            .prepare(`SELECT data FROM webhook_deliveries
+                WHERE status IN ('pending', 'failed') AND next_attempt_at <= ?
+                ORDER BY next_attempt_at LIMIT ?`)
+            .all(new Date(now).toISOString(), limit)
+            .map(parseRow)
+            .filter(Boolean)
+    },
+
+    create(delivery) {
+        const now = new Date().toISOString()
+        const record = {
+            ...delivery,
+            id: `whd_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            status: delivery.status || 'pending',
+            createdAt: now,
+            updatedAt: now
+        }
+        getDatabase()
+            .prepare(`INSERT INTO webhook_deliveries (id, webhook_id, event, status, next_attempt_at, data, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(record.id, record.webhookId, record.event, record.status, record.nextAttemptAt || null, JSON.stringify(record), now, now)
+        return record
+    },
+
+    update(id, changes) {
+        const existing = this.get(id)
+        if (!existing) return null
+        const record = { ...existing, ...changes, id: existing.id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() }
+        getDatabase()
+            .prepare('UPDATE webhook_deliveries SET status = ?, next_attempt_at = ?, data = ?, updated_at = ? WHERE id = ?')
+            .run(record.status, record.nextAttemptAt || null, JSON.stringify(record), record.updatedAt, record.id)
+        return record
+    },
+
+    remove(id) {
+        if (!id) return false
+        return getDatabase().prepare('DELETE FROM webhook_deliveries WHERE id = ?').run(id.toString()).changes > 0
+    },
+
+    // Dead letters are kept until someone redelivers or deletes them
+    pruneDelivered(olderThan) {
+        return getDatabase()
+            .prepare("DELETE FROM webhook_deliveries WHERE status = 'delivered' AND created_at < ?")
+            .run(new Date(olderThan).toISOString())
+            .changes
+    }
+}
+
+const vesselRepository = createVesselRepository('vessels')
+const trackedVesselRepository = createVesselRepository('tracked_vessels')
+
+module.exports = {
+    getDatabase,
+    createCacheStore,
+    vesselRepository,
+    trackedVesselRepository,
+    positionHistoryRepository,
+    shipmentRepository,
+    importRepository,
+    webhookRepository,
+    webhookDeliveryRepository,
+    DATABASE_PATH
+}
@@ -0,0 +1,21 @@
+/**
+ * Timeouts
+ * Rejects a promise that takes too long, for calls to outside services (vessel data
+ * providers, extraction backends, SMTP) that would otherwise hang a request or a job.
+ * The underlying work is not cancelled.
+ */
+
+// Resolves or rejects like promise, or rejects with "<label> timeout" after timeoutMs
+function withTimeout(promise, timeoutMs, label) {
+    let timeoutId = null
+    const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`${label} timeout`)), timeoutMs)
+    })
+    return Promise.race([promise, timeout]).finally(() => {
+        if (timeoutId) clearTimeout(timeoutId)
+    })
+}
+
+module.exports = {
+    withTimeout
+}
@@ -0,0 +1,292 @@
+/**
+ * Outbound Webhooks
+ * POSTs vessel, shipment and import events as signed JSON to subscriber endpoints (e.g. a
+ * TMS that updates customer portals). Every event becomes one stored delivery per matching
+ * webhook, so nothing is lost across restarts and every attempt can be inspected.
+ *
+ * Request:
+ *   body - { id, event, createdAt, data }; id is the delivery id and stays the same on retries
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (unix seconds)
+ *   X-Webhook-Signature - "sha256=" + hex HMAC-SHA256 of `${timestamp}.${body}` with the webhook secret
+ *
+ * A non-2xx response, timeout or network error is retried with exponential backoff; after
+ * WEBHOOK_MAX_ATTEMPTS the delivery is dead-lettered until it is redelivered by hand.
+ *
+ * Configuration:
+ *   WEBHOOK_TIMEOUT_MS - per request (default 10000)
+ *   WEBHOOK_MAX_ATTEMPTS - attempts before dead-lettering (default 8)
+ *   WEBHOOK_RETRY_BASE_MS - first retry delay, doubled each attempt (default 30000)
+ *   WEBHOOK_RETRY_MAX_MS - longest delay between attempts (default 6 hours)
+ *   WEBHOOK_CONCURRENCY - requests in flight (default 4)
+ *   WEBHOOK_LOG_RETENTION_DAYS - how long delivered entries stay in the log (default 14)
+ */
+
+const crypto = require('crypto')
+const { webhookRepository, webhookDeliveryRepository } = require('./storage')
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000)
+const WEBHOOK_MAX_ATTEMPTS = Math.max(Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8), 1)
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000)
+const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS || 6 * 60 * 60 * 1000)
+const WEBHOOK_CONCURRENCY = Math.max(Number(process.env.WEBHOOK_CONCURRENCY || 4), 1)
+const WEBHOOK_LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS || 14)
+
+const DISPATCH_TICK_MS = 5000
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000
+// Only the start of a failing response is kept in the log
+const MAX_RESPONSE_LOG_CHARS = 500
+
+const WEBHOOK_EVENTS = {
+    'vessel.position_updated': 'A new position was accepted for a tracked vessel',
+    'vessel.eta_changed': 'The estimated arrival moved',
+    'vessel.zone_entered': 'A vessel entered a bottleneck zone',
+    'vessel.zone_left': 'A vessel left a bottleneck zone',
+    'vessel.arrived': 'A vessel reached its port of discharge',
+    'import.completed': 'A reviewed document import was committed',
+    'webhook.test': 'Sent on request to check an endpoint'
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+// Backoff before attempt n+1, with +-20% jitter so a recovering endpoint isn't hit in lockstep
+function getRetryDelay(attempts) {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS)
+    return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+/**
+ * Validate webhook fields from a request body.
+ * Returns { fields } with only the fields given, or { error }.
+ */
+function normalizeWebhookInput(input = {}, { requireUrl = false } = {}) {
+    const fields = {}
+    if (input.url !== undefined || requireUrl) {
+        let url = null
+        try {
+            url = new URL(input.url)
+        } catch {
+            return { error: 'url must be an absolute http(s) URL' }
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' }
+        fields.url = url.toString()
+    }
+    if (input.events !== undefined) {
+        const events = Array.isArray(input.events) ? input.events.map(String) : null
+        if (!events || events.length === 0) return { error: 'events must be a non-empty list (use ["*"] for all)' }
+        const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS[event])
+        if (unknown.length > 0) {
+            return { error: `Unknown event ${unknown.join(', ')}. Use one of: ${Object.keys(WEBHOOK_EVENTS).join(', ')}` }
+        }
+        fields.events = Array.from(new Set(events))
+    }
+    if (input.description !== undefined) fields.description = input.description ? input.description.toString().slice(0, 200) : null
+    if (input.active !== undefined) fields.active = !!input.active
+    if (input.secret !== undefined) {
+        if (typeof input.secret !== 'string' || input.secret.length < 16) return { error: 'secret must be at least 16 characters' }
+        fields.secret = input.secret
+    }
+    return { fields }
+}
+
+// What API clients see of a webhook; the secret is only returned in full when it is created
+function toWebhookView(webhook, { includeSecret = false } = {}) {
+    if (!webhook) return null
+    const { secret, ...rest } = webhook
+    return includeSecret ? webhook : { ...rest, secretPreview: `${secret.slice(0, 10)}…` }
+}
+
+function createWebhookDispatcher() {
+    const inFlight = new Set()
+    let timer = null
+    let lastPruneAt = 0
+    let ticking = false
+    const stats = { queued: 0, delivered: 0, failed: 0, deadLettered: 0 }
+
+    async function attempt(delivery) {
+        const webhook = webhookRepository.get(delivery.webhookId)
+        if (!webhook) {
+            webhookDeliveryRepository.remove(delivery.id)
+            return
+        }
+        // Kept as a dead letter so it can still be sent once the webhook is enabled again
+        if (!webhook.active) {
+            webhookDeliveryRepository.update(delivery.id, { status: 'dead', lastError: 'Webhook disabled', nextAttemptAt: null })
+            return
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000)
+        const startedAt = Date.now()
+        const result = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null }
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'user-agent': 'VesselTracker-Webhooks/1.0',
+                    'x-webhook-id': delivery.id,
+                    'x-webhook-event': delivery.event,
+                    'x-webhook-timestamp': String(timestamp),
+                    'x-webhook-signature': signPayload(webhook.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            })
+            result.statusCode = response.status
+            if (!response.ok) {
+                const text = await response.text().catch(() => '')
+                result.error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_LOG_CHARS)}` : ''}`
+            }
+        } catch (err) {
+            result.error = err.name === 'TimeoutError' ? `Timeout after ${WEBHOOK_TIMEOUT_MS}ms` : err.message
+        }
+        result.durationMs = Date.now() - startedAt
+
+        const attempts = [...(delivery.attempts || []), result]
+        if (!result.error) {
+            webhookDeliveryRepository.update(delivery.id, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: result.at })
+            webhookRepository.update(webhook.id, { lastDeliveryAt: result.at, lastStatus: result.statusCode, consecutiveFailures: 0 })
+            stats.delivered += 1
+            return
+        }
+
+        const dead = attempts.length >= WEBHOOK_MAX_ATTEMPTS
+        webhookDeliveryRepository.update(delivery.id, {
+            status: dead ? 'dead' : 'failed',
+            attempts,
+            lastError: result.error,
+            nextAttemptAt: dead ? null : new Date(Date.now() + getRetryDelay(attempts.length)).toISOString()
+        })
+        webhookRepository.update(webhook.id, {
+            lastDeliveryAt: result.at,
+            lastStatus: result.statusCode,
+            lastError: result.error,
+            consecutiveFailures: (webhook.consecutiveFailures || 0) + 1
+        })
+        if (dead) {
+            stats.deadLettered += 1
+            console.error(`Webhook ${delivery.event} to ${webhook.url} dead-lettered after ${attempts.length} attempts: ${result.error}`)
+        } else {
+            stats.failed += 1
+            console.error(`Webhook ${delivery.event} to ${webhook.url} failed (attempt ${attempts.length}/${WEBHOOK_MAX_ATTEMPTS}): ${result.error}`)
+        }
+    }
+
+    async function tick() {
+        if (ticking) return
+        ticking = true
+        try {
+            const due = webhookDeliveryRepository
+                .listDue(Date.now(), WEBHOOK_CONCURRENCY * 4)
+                .filter(delivery => !inFlight.has(delivery.id))
+            for (let i = 0; i < due.length; i += WEBHOOK_CONCURRENCY) {
+                const batch = due.slice(i, i + WEBHOOK_CONCURRENCY)
+                batch.forEach(delivery => inFlight.add(delivery.id))
+                await Promise.all(batch.map(delivery => attempt(delivery)
+                    .catch(err => console.error('Webhook delivery error:', err.message))
+                    .finally(() => inFlight.delete(delivery.id))))
+            }
+
+            if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+                lastPruneAt = Date.now()
+                const removed = webhookDeliveryRepository.pruneDelivered(Date.now() - WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+                if (removed > 0) console.log(`Pruned ${removed} delivered webhook log entries`)
+            }
+        } catch (err) {
+            console.error('Webhook dispatch error:', err.message)
+        } finally {
+            ticking = false
+        }
+    }
+
+    function enqueue(webhook, event, data) {
+        const createdAt = new Date().toISOString()
+        const delivery = webhookDeliveryRepository.create({
+            webhookId: webhook.id,
+            event,
+            attempts: [],
+            nextAttemptAt: createdAt
+        })
+        // The body is fixed at enqueue time so every retry carries the same signed payload
+        const body = JSON.stringify({ id: delivery.id, event, createdAt, data })
+        stats.queued += 1
+        return webhookDeliveryRepository.update(delivery.id, { body })
+    }
+
+    /**
+     * Queue an event for every active webhook subscribed to it.
+     * Returns the created deliveries.
+     */
+    function emit(event, data) {
+        if (!WEBHOOK_EVENTS[event]) {
+            console.error(`Unknown webhook event: ${event}`)
+            return []
+        }
+        const deliveries = webhookRepository.list()
+            .filter(webhook => webhook.active && (webhook.events.includes('*') || webhook.events.includes(event)))
+            .map(webhook => enqueue(webhook, event, data))
+        if (deliveries.length > 0 && timer) setImmediate(tick)
+        return deliveries
+    }
+
+    // Send a webhook.test event to one endpoint, whatever events it subscribes to
+    function sendTest(webhookId) {
+        const webhook = webhookRepository.get(webhookId)
+        if (!webhook) return null
+        const delivery = enqueue(webhook, 'webhook.test', { webhookId: webhook.id, message: 'Test event' })
+        if (timer) setImmediate(tick)
+        return delivery
+    }
+
+    // Put a dead-lettered (or failed) delivery back in the queue with a fresh set of retries
+    function redeliver(deliveryId) {
+        const delivery = webhookDeliveryRepository.get(deliveryId)
+        if (!delivery || inFlight.has(delivery.id)) return null
+        if (delivery.status === 'delivered' || delivery.status === 'pending') return null
+        const requeued = webhookDeliveryRepository.update(delivery.id, {
+            status: 'pending',
+            attempts: [],
+            previousAttempts: [...(delivery.previousAttempts || []), ...(delivery.attempts || [])],
+            nextAttemptAt: new Date().toISOString(),
+            redeliveredAt: new Date().toISOString()
+        })
+        if (timer) setImmediate(tick)
+        return requeued
+    }
+
+    function start() {
+        if (timer) return
+        timer = setInterval(tick, DISPATCH_TICK_MS)
+        tick()
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer)
+        timer = null
+    }
+
+    function getStats() {
+        return {
+            ...stats,
+            inFlight: inFlight.size,
+            deadLetters: webhookDeliveryRepository.list({ status: 'dead', limit: 0 }).total
+        }
+    }
+
+    return { emit, sendTest, redeliver, start, stop, getStats }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    createWebhookDispatcher,
+    normalizeWebhookInput,
+    toWebhookView,
+    generateSecret,
+    signPayload
+}
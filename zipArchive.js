@@ -0,0 +1,86 @@
+/**
+ * Zip Archive Reader
+ * Just enough of the zip format to unpack an uploaded bundle of BL PDFs in memory:
+ * stored and deflated entries, no encryption, no zip64. Uses zlib, so no extra dependency.
+ */
+
+const zlib = require('zlib')
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+// End record is 22 bytes plus a comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff
+
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+const FLAG_ENCRYPTED = 0x1
+
+function isZip(buffer) {
+    return !!buffer && buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER
+}
+
+function findEndRecord(buffer) {
+    const stop = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH)
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset
+    }
+    return -1
+}
+
+/**
+ * List the files in a zip buffer.
+ * Returns [{ name, size, read() }] where read() inflates the entry on demand and
+ * throws for unsupported or oversized entries. Directories and macOS resource forks are skipped.
+ */
+function readZipEntries(buffer, { maxEntries = 100, maxEntrySize = 5 * 1024 * 1024 } = {}) {
+    const endOffset = findEndRecord(buffer)
+    if (endOffset === -1) throw new Error('Not a zip archive')
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10)
+    let offset = buffer.readUInt32LE(endOffset + 16)
+    const entries = []
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory')
+
+        const flags = buffer.readUInt16LE(offset + 8)
+        const method = buffer.readUInt16LE(offset + 10)
+        const compressedSize = buffer.readUInt32LE(offset + 20)
+        const size = buffer.readUInt32LE(offset + 24)
+        const nameLength = buffer.readUInt16LE(offset + 28)
+        const extraLength = buffer.readUInt16LE(offset + 30)
+        const commentLength = buffer.readUInt16LE(offset + 32)
+        const localOffset = buffer.readUInt32LE(offset + 42)
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength)
+        offset += 46 + nameLength + extraLength + commentLength
+
+        const baseName = name.split('/').pop()
+        if (!baseName || name.startsWith('__MACOSX/') || baseName.startsWith('._')) continue
+        if (entries.length >= maxEntries) throw new Error(`Zip has more than ${maxEntries} files`)
+
+        entries.push({
+            name: baseName,
+            size,
+            read() {
+                if (flags & FLAG_ENCRYPTED) throw new Error('Encrypted zip entries are not supported')
+                if (size > maxEntrySize) throw new Error('File too large')
+                if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) throw new Error('Corrupt zip entry')
+
+                // Local header name/extra lengths can differ from the central directory's
+                const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+                const data = buffer.subarray(dataStart, dataStart + compressedSize)
+                if (method === METHOD_STORED) return Buffer.from(data)
+                if (method === METHOD_DEFLATE) return zlib.inflateRawSync(data, { maxOutputLength: maxEntrySize })
+                throw new Error(`Unsupported zip compression method ${method}`)
+            }
+        })
+    }
+
+    return entries
+}
+
+module.exports = {
+    isZip,
+    readZipEntries
+}